@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title IOracleQuorum
+ * @dev What Traceability asks an oracle quorum before an oracle's reading may
+ * compromise a batch
+ */
+interface IOracleQuorum {
+    /**
+     * @dev Record an oracle's reading beyond the batch's tolerance (Traceability only)
+     * @param batchId The ID of the batch
+     * @param oracle The oracle that submitted the reading
+     * @param temperature The reading in Celsius
+     * @param timestamp When the reading was taken
+     * @return confirmed True when the batch has no quorum or enough of its oracles agree
+     */
+    function reportBreach(uint256 batchId, address oracle, int256 temperature, uint256 timestamp) external returns (bool confirmed);
+
+    /**
+     * @dev Give a batch made by a split or merge its parent's quorum (Traceability only)
+     * @param parentId The batch that was repacked
+     * @param childId The batch it was repacked into
+     */
+    function inheritQuorum(uint256 parentId, uint256 childId) external;
+}
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title IOracleReadings
+ * @dev The part of Traceability that contracts holding ORACLE_ROLE forward readings to
+ */
+interface IOracleReadings {
+    /**
+     * @dev Traceability.ProductBatch as returned by getBatchInfo
+     */
+    struct Batch {
+        uint256 batchId;
+        uint64 creationTimestamp;
+        address processor;
+        bool isCompromised;
+        uint8 status;
+        uint16 profileId;
+        address currentOwner;
+        uint64 excursionStartedAt;
+        bool isRepacked;
+        uint256 quantity;
+        string unit;
+    }
+
+    /**
+     * @dev Record several timestamped sensor readings for one batch (ORACLE_ROLE only)
+     * @param batchId The ID of the batch
+     * @param readings Temperatures in Celsius
+     * @param locations Where each reading was taken
+     * @param timestamps When each reading was taken
+     */
+    function submitOracleReadings(
+        uint256 batchId,
+        int256[] memory readings,
+        string[] memory locations,
+        uint256[] memory timestamps
+    ) external;
+
+    function getBatchInfo(uint256 batchId) external view returns (Batch memory);
+
+    // Timestamp of the batch's last accepted oracle reading; older readings are skipped
+    function lastOracleReadingAt(uint256 batchId) external view returns (uint256);
+
+    // How far past the block a reading's timestamp may lie
+    function ORACLE_CLOCK_TOLERANCE() external view returns (uint256);
+}
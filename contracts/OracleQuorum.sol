@@ -0,0 +1,271 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import "./IOracleQuorum.sol";
+import "./IOracleReadings.sol";
+import "./TraceabilityAdminGated.sol";
+
+/**
+ * @title OracleQuorum
+ * @dev Optional M-of-N confirmation of oracle temperature breaches. A batch
+ * assigned a quorum is only compromised by oracle readings once `threshold`
+ * of its oracles have each reported a breach within `window` seconds of one
+ * another; until then each breach is surfaced as an OracleDisagreement.
+ * Batches without a quorum, and readings from the batch's current owner, are
+ * handled by Traceability as before. Batches split or merged from a quorum
+ * batch inherit its quorum. Admins of the Traceability contract manage the
+ * assignments, and Traceability reports the breaches.
+ */
+contract OracleQuorum is IOracleQuorum, TraceabilityAdminGated {
+    // ORACLE_ROLE of the Traceability contract
+    bytes32 private constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
+
+    // Most oracles one batch can be assigned, bounding reportBreach's loop
+    uint256 public constant MAX_ORACLES = 10;
+
+    /**
+     * @dev The oracles that must agree before a batch is compromised
+     */
+    struct Quorum {
+        address[] oracles;           // Assigned oracles, each holding ORACLE_ROLE when assigned
+        uint8 threshold;             // Oracles that must report a breach; 0 when the batch has no quorum
+        uint32 window;               // Seconds within which their breaches must fall
+        address updatedBy;           // Admin who last set the quorum
+        uint64 updatedAt;            // Unix timestamp of the last change
+    }
+
+    // Mapping from batch ID to its quorum
+    mapping(uint256 => Quorum) private _quorums;
+
+    // Mapping from batch ID and oracle to whether the oracle is assigned to the batch
+    mapping(uint256 => mapping(address => bool)) private _assigned;
+
+    // Mapping from batch ID and oracle to the timestamp of the oracle's last reported breach
+    mapping(uint256 => mapping(address => uint256)) public lastBreachAt;
+
+    // Mapping from a split or merged batch's ID to the parent it took its quorum from
+    mapping(uint256 => uint256) public inheritedFrom;
+
+    event QuorumSet(
+        uint256 indexed batchId,
+        address indexed admin,
+        address[] oracles,
+        uint8 threshold,
+        uint32 window
+    );
+
+    event QuorumCleared(uint256 indexed batchId, address indexed admin);
+
+    /**
+     * @dev Emitted when a breach brings the number of agreeing oracles up to the threshold
+     */
+    event BreachConfirmed(
+        uint256 indexed batchId,
+        address indexed oracle,
+        uint256 timestamp,
+        int256 temperature,
+        uint256 agreeing
+    );
+
+    /**
+     * @dev Emitted when an oracle reports a breach too few of the batch's other oracles agree with
+     */
+    event OracleDisagreement(
+        uint256 indexed batchId,
+        address indexed oracle,
+        uint256 timestamp,
+        int256 temperature,
+        uint256 agreeing,
+        uint256 threshold
+    );
+
+    /**
+     * @dev Emitted when an oracle not assigned to a quorum batch reports a breach; it is ignored
+     */
+    event UnassignedOracleReport(uint256 indexed batchId, address indexed oracle, uint256 timestamp, int256 temperature);
+
+    /**
+     * @param _traceability Address of the Traceability contract
+     */
+    constructor(address _traceability) TraceabilityAdminGated(_traceability) {}
+
+    /**
+     * @dev Assign a batch the oracles that must agree on a breach, replacing any earlier quorum (Traceability admins only)
+     * @param _batchId The ID of the batch
+     * @param _oracles Independent oracles for the batch; each must hold ORACLE_ROLE
+     * @param _threshold How many of them must report a breach, between 1 and the number of oracles
+     * @param _window Seconds within which their breaches must fall
+     */
+    function setQuorum(
+        uint256 _batchId,
+        address[] memory _oracles,
+        uint8 _threshold,
+        uint32 _window
+    ) public onlyTraceabilityAdmin {
+        require(_oracles.length <= MAX_ORACLES, "Too many oracles");
+        require(_threshold > 0 && _threshold <= _oracles.length, "Threshold must be between 1 and the number of oracles");
+        require(_window > 0, "Window must be positive");
+        // Reverts for batches that do not exist
+        IOracleReadings(address(traceability)).getBatchInfo(_batchId);
+
+        _unassign(_batchId);
+        for (uint256 i = 0; i < _oracles.length; i++) {
+            require(traceability.hasRole(ORACLE_ROLE, _oracles[i]), "Quorum oracles must hold ORACLE_ROLE");
+            require(!_assigned[_batchId][_oracles[i]], "Duplicate oracle");
+            _assigned[_batchId][_oracles[i]] = true;
+        }
+
+        _quorums[_batchId] = Quorum({
+            oracles: _oracles,
+            threshold: _threshold,
+            window: _window,
+            updatedBy: msg.sender,
+            updatedAt: uint64(block.timestamp)
+        });
+
+        emit QuorumSet(_batchId, msg.sender, _oracles, _threshold, _window);
+    }
+
+    /**
+     * @dev Return a batch to single-oracle breaches (Traceability admins only)
+     * @param _batchId The ID of the batch
+     */
+    function clearQuorum(uint256 _batchId) public onlyTraceabilityAdmin {
+        require(_quorums[_batchId].threshold > 0, "Batch has no quorum");
+
+        _unassign(_batchId);
+        delete _quorums[_batchId];
+
+        emit QuorumCleared(_batchId, msg.sender);
+    }
+
+    /**
+     * @dev Record an oracle's breach and decide whether it may compromise the batch (Traceability only)
+     * @param _batchId The ID of the batch
+     * @param _oracle The oracle that submitted the reading
+     * @param _temperature The reading in Celsius
+     * @param _timestamp When the reading was taken
+     * @return confirmed True when the batch has no quorum or enough of its oracles agree
+     */
+    function reportBreach(
+        uint256 _batchId,
+        address _oracle,
+        int256 _temperature,
+        uint256 _timestamp
+    ) external override returns (bool confirmed) {
+        require(msg.sender == address(traceability), "Only Traceability can report breaches");
+
+        Quorum storage quorum = _quorums[_batchId];
+        if (quorum.threshold == 0) {
+            return true;
+        }
+        if (!_assigned[_batchId][_oracle]) {
+            emit UnassignedOracleReport(_batchId, _oracle, _timestamp, _temperature);
+            return false;
+        }
+
+        lastBreachAt[_batchId][_oracle] = _timestamp;
+
+        uint256 agreeing = 0;
+        for (uint256 i = 0; i < quorum.oracles.length; i++) {
+            uint256 reportedAt = lastBreachAt[_batchId][quorum.oracles[i]];
+            if (reportedAt != 0 && _distance(reportedAt, _timestamp) <= quorum.window) {
+                agreeing++;
+            }
+        }
+
+        if (agreeing >= quorum.threshold) {
+            emit BreachConfirmed(_batchId, _oracle, _timestamp, _temperature, agreeing);
+            return true;
+        }
+        emit OracleDisagreement(_batchId, _oracle, _timestamp, _temperature, agreeing, quorum.threshold);
+        return false;
+    }
+
+    /**
+     * @dev Give a batch made by a split or merge its parent's quorum (Traceability only)
+     * A merged batch is linked to each of its parents in turn; they must all have the same
+     * quorum, or none, so merging cannot dilute or drop a quorum. Breach reports are not carried over.
+     * @param _parentId The batch that was repacked
+     * @param _childId The batch it was repacked into
+     */
+    function inheritQuorum(uint256 _parentId, uint256 _childId) external override {
+        require(msg.sender == address(traceability), "Only Traceability can pass on quorums");
+
+        Quorum storage parent = _quorums[_parentId];
+        uint256 source = inheritedFrom[_childId];
+        if (source != 0) {
+            require(_sameQuorum(_quorums[source], parent), "Merged batches must share a quorum");
+            return;
+        }
+        inheritedFrom[_childId] = _parentId;
+        if (parent.threshold == 0) {
+            return;
+        }
+
+        for (uint256 i = 0; i < parent.oracles.length; i++) {
+            _assigned[_childId][parent.oracles[i]] = true;
+        }
+        _quorums[_childId] = Quorum({
+            oracles: parent.oracles,
+            threshold: parent.threshold,
+            window: parent.window,
+            updatedBy: parent.updatedBy,
+            updatedAt: uint64(block.timestamp)
+        });
+
+        emit QuorumSet(_childId, parent.updatedBy, parent.oracles, parent.threshold, parent.window);
+    }
+
+    /**
+     * @dev Get a batch's quorum; threshold is 0 if it has none
+     * @param _batchId The ID of the batch
+     */
+    function getQuorum(uint256 _batchId) public view returns (Quorum memory) {
+        return _quorums[_batchId];
+    }
+
+    /**
+     * @dev Check whether a batch needs a quorum to be compromised by oracles
+     * @param _batchId The ID of the batch
+     */
+    function hasQuorum(uint256 _batchId) public view returns (bool) {
+        return _quorums[_batchId].threshold > 0;
+    }
+
+    /**
+     * @dev Check whether an oracle is assigned to a batch's quorum
+     * @param _batchId The ID of the batch
+     * @param _oracle The oracle's address
+     */
+    function isAssigned(uint256 _batchId, address _oracle) public view returns (bool) {
+        return _assigned[_batchId][_oracle];
+    }
+
+    // ========== INTERNAL FUNCTIONS ==========
+
+    /**
+     * @dev Unassign a batch's current oracles and forget their breach reports,
+     * so votes cast under an old quorum cannot count towards a new one
+     */
+    function _unassign(uint256 _batchId) internal {
+        address[] storage oracles = _quorums[_batchId].oracles;
+        for (uint256 i = 0; i < oracles.length; i++) {
+            delete _assigned[_batchId][oracles[i]];
+            delete lastBreachAt[_batchId][oracles[i]];
+        }
+    }
+
+    function _sameQuorum(Quorum storage _a, Quorum storage _b) internal view returns (bool) {
+        return keccak256(abi.encode(_a.oracles, _a.threshold, _a.window)) ==
+            keccak256(abi.encode(_b.oracles, _b.threshold, _b.window));
+    }
+
+    function _managedItems() internal pure override returns (string memory) {
+        return "quorums";
+    }
+
+    function _distance(uint256 _a, uint256 _b) internal pure returns (uint256) {
+        return _a > _b ? _a - _b : _b - _a;
+    }
+}
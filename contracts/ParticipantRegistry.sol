@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import "./TraceabilityAdminGated.sol";
+
+/**
+ * @title ParticipantRegistry
+ * @dev Names the organizations behind the addresses of a Traceability deployment:
+ * organization, facility, country, license number and contact for each account.
+ * Admins of the Traceability contract manage the entries.
+ */
+contract ParticipantRegistry is TraceabilityAdminGated {
+    /**
+     * @dev The organization behind an address
+     */
+    struct Participant {
+        string organization;         // Legal or trading name, e.g. "Nordic Cold Storage AB"
+        string facility;             // Site the account acts for, e.g. "Gothenburg Depot"
+        string country;              // ISO 3166-1 alpha-2 code, e.g. "SE"
+        string licenseNumber;        // Food business or export license
+        string contact;              // Email or phone for traceability queries
+        address updatedBy;           // Admin who last registered the entry
+        uint64 updatedAt;            // Unix timestamp of the last registration, 0 if unregistered
+    }
+
+    // Mapping from account to its participant entry
+    mapping(address => Participant) private _participants;
+
+    // Registered accounts, for listing; _accountIndexes holds index + 1
+    address[] private _accounts;
+    mapping(address => uint256) private _accountIndexes;
+
+    event ParticipantRegistered(
+        address indexed account,
+        address indexed admin,
+        uint256 timestamp,
+        string organization,
+        string facility,
+        string country
+    );
+
+    event ParticipantRemoved(address indexed account, address indexed admin, uint256 timestamp);
+
+    /**
+     * @param _traceability Address of the Traceability contract
+     */
+    constructor(address _traceability) TraceabilityAdminGated(_traceability) {}
+
+    /**
+     * @dev Register or update the organization behind an account (Traceability admins only)
+     * @param _account The participant's address
+     * @param _organization Legal or trading name; must not be empty
+     * @param _facility Site the account acts for
+     * @param _country ISO 3166-1 alpha-2 country code
+     * @param _licenseNumber Food business or export license
+     * @param _contact Email or phone for traceability queries
+     */
+    function registerParticipant(
+        address _account,
+        string memory _organization,
+        string memory _facility,
+        string memory _country,
+        string memory _licenseNumber,
+        string memory _contact
+    ) public onlyTraceabilityAdmin {
+        require(_account != address(0), "Participant address cannot be zero");
+        require(bytes(_organization).length > 0, "Organization name cannot be empty");
+
+        _participants[_account] = Participant({
+            organization: _organization,
+            facility: _facility,
+            country: _country,
+            licenseNumber: _licenseNumber,
+            contact: _contact,
+            updatedBy: msg.sender,
+            updatedAt: uint64(block.timestamp)
+        });
+
+        if (_accountIndexes[_account] == 0) {
+            _accounts.push(_account);
+            _accountIndexes[_account] = _accounts.length;
+        }
+
+        emit ParticipantRegistered(_account, msg.sender, block.timestamp, _organization, _facility, _country);
+    }
+
+    /**
+     * @dev Remove an account's entry (Traceability admins only)
+     * @param _account The participant's address
+     */
+    function removeParticipant(address _account) public onlyTraceabilityAdmin {
+        uint256 index = _accountIndexes[_account];
+        require(index > 0, "Participant is not registered");
+
+        // Move the last account into the freed slot
+        address last = _accounts[_accounts.length - 1];
+        _accounts[index - 1] = last;
+        _accountIndexes[last] = index;
+        _accounts.pop();
+
+        delete _accountIndexes[_account];
+        delete _participants[_account];
+
+        emit ParticipantRemoved(_account, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Get the entry of an account; updatedAt is 0 when it is not registered
+     */
+    function getParticipant(address _account) public view returns (Participant memory) {
+        return _participants[_account];
+    }
+
+    /**
+     * @dev Get every registered account, in no particular order
+     */
+    function getParticipantAccounts() public view returns (address[] memory) {
+        return _accounts;
+    }
+
+    /**
+     * @dev Whether an account has an entry
+     */
+    function isRegistered(address _account) public view returns (bool) {
+        return _accountIndexes[_account] > 0;
+    }
+
+    // ========== INTERNAL FUNCTIONS ==========
+
+    function _managedItems() internal pure override returns (string memory) {
+        return "participants";
+    }
+}
@@ -0,0 +1,273 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./IOracleReadings.sol";
+import "./TraceabilityAdminGated.sol";
+
+/**
+ * @title SensorAttestations
+ * @dev Lets any account relay temperature readings that sensors signed as
+ * EIP-712 typed data, so devices need no gas and relayers need no trust.
+ * Admins of the Traceability contract register each device's signing key;
+ * readings with a valid signature from an active device are forwarded to
+ * submitOracleReadings, which this contract calls as an ORACLE_ROLE holder.
+ * Traceability therefore sees every device as this one oracle, and a batch
+ * with an oracle quorum counts this contract as a single oracle. Readings
+ * Traceability would skip for their timestamps are rejected here first, so
+ * ReadingAttested is only emitted for readings it records.
+ */
+contract SensorAttestations is EIP712, TraceabilityAdminGated {
+    bytes32 public constant SENSOR_READING_TYPEHASH = keccak256(
+        "SensorReading(uint256 batchId,int256 temperature,string location,uint256 timestamp,bytes32 deviceId)"
+    );
+
+    /**
+     * @dev A sensor allowed to sign readings
+     */
+    struct Device {
+        address signer;              // Key the device signs readings with
+        bool active;                 // False once revoked
+        address registeredBy;        // Admin who last registered the device
+        uint64 registeredAt;         // Unix timestamp of the last registration, 0 if unregistered
+        string label;                // e.g. "Reefer Truck 7, rear probe"
+    }
+
+    /**
+     * @dev A reading as the device signed it, with its signature
+     */
+    struct SignedReading {
+        uint256 batchId;
+        int256 temperature;          // Celsius
+        string location;
+        uint256 timestamp;           // When the device took the reading
+        bytes32 deviceId;
+        bytes signature;             // 65-byte EIP-712 signature by the device's signer
+    }
+
+    // Why a signed reading was not forwarded
+    enum AttestationRejection {
+        NONE,             // Forwarded
+        WRONG_BATCH,      // Signed for a different batch than the submission
+        UNKNOWN_DEVICE,   // Device is not registered or has been revoked
+        BAD_SIGNATURE,    // Not signed by the device's registered key
+        REPLAYED,         // Not newer than the device's last forwarded reading for the batch
+        BEFORE_CREATION,  // Taken before the batch was created
+        IN_FUTURE,        // Timestamp lies more than Traceability's ORACLE_CLOCK_TOLERANCE past the block
+        OUT_OF_ORDER      // Older than the batch's last accepted oracle reading, e.g. another device's
+    }
+
+    // Mapping from device ID to its registration
+    mapping(bytes32 => Device) private _devices;
+
+    // Mapping from batch ID and device ID to the timestamp of the device's last forwarded reading
+    mapping(uint256 => mapping(bytes32 => uint256)) public lastAttestedAt;
+
+    event DeviceRegistered(bytes32 indexed deviceId, address indexed signer, address indexed admin, uint256 timestamp, string label);
+
+    event DeviceRevoked(bytes32 indexed deviceId, address indexed admin, uint256 timestamp);
+
+    /**
+     * @dev Emitted for each signed reading forwarded to Traceability, naming the device behind it
+     */
+    event ReadingAttested(
+        uint256 indexed batchId,
+        bytes32 indexed deviceId,
+        address indexed relayer,
+        uint256 timestamp,
+        string location,
+        int256 temperature
+    );
+
+    /**
+     * @dev Emitted for each signed reading that is skipped instead of forwarded
+     */
+    event AttestationRejected(
+        uint256 indexed batchId,
+        bytes32 indexed deviceId,
+        AttestationRejection indexed reason,
+        address relayer,
+        uint256 timestamp,
+        int256 temperature
+    );
+
+    /**
+     * @param _traceability Address of the Traceability contract
+     */
+    constructor(address _traceability)
+        EIP712("FROST-CHAIN Sensor Attestations", "1")
+        TraceabilityAdminGated(_traceability)
+    {}
+
+    /**
+     * @dev Register a device, or rotate its signing key (Traceability admins only)
+     * @param _deviceId The device's ID, e.g. keccak256 of its serial number
+     * @param _signer Address of the key the device signs with
+     * @param _label Where the device is fitted
+     */
+    function registerDevice(bytes32 _deviceId, address _signer, string memory _label) public onlyTraceabilityAdmin {
+        require(_deviceId != bytes32(0), "Device ID cannot be zero");
+        require(_signer != address(0), "Signer address cannot be zero");
+
+        _devices[_deviceId] = Device({
+            signer: _signer,
+            active: true,
+            registeredBy: msg.sender,
+            registeredAt: uint64(block.timestamp),
+            label: _label
+        });
+
+        emit DeviceRegistered(_deviceId, _signer, msg.sender, block.timestamp, _label);
+    }
+
+    /**
+     * @dev Stop accepting readings signed by a device (Traceability admins only)
+     * @param _deviceId The device's ID
+     */
+    function revokeDevice(bytes32 _deviceId) public onlyTraceabilityAdmin {
+        require(_devices[_deviceId].active, "Device is not active");
+
+        _devices[_deviceId].active = false;
+
+        emit DeviceRevoked(_deviceId, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Forward a batch's signed readings to Traceability; readings that fail
+     * verification or Traceability's timestamp checks are skipped with
+     * AttestationRejected. Anyone can relay.
+     * @param _batchId The ID of the batch
+     * @param _readings Signed readings for the batch, oldest first
+     */
+    function relayReadings(uint256 _batchId, SignedReading[] calldata _readings) public {
+        require(_readings.length > 0, "Must provide at least one reading");
+
+        IOracleReadings target = IOracleReadings(address(traceability));
+        uint256 createdAt = target.getBatchInfo(_batchId).creationTimestamp;
+        uint256 latestAllowed = block.timestamp + target.ORACLE_CLOCK_TOLERANCE();
+        uint256 lastReadingAt = target.lastOracleReadingAt(_batchId);
+
+        AttestationRejection[] memory rejections = new AttestationRejection[](_readings.length);
+        uint256 accepted = 0;
+        for (uint256 i = 0; i < _readings.length; i++) {
+            SignedReading calldata reading = _readings[i];
+            rejections[i] = _verify(_batchId, reading);
+            if (rejections[i] == AttestationRejection.NONE) {
+                rejections[i] = _checkTimestamp(reading.timestamp, createdAt, latestAllowed, lastReadingAt);
+            }
+            if (rejections[i] != AttestationRejection.NONE) {
+                emit AttestationRejected(_batchId, reading.deviceId, rejections[i], msg.sender, reading.timestamp, reading.temperature);
+                continue;
+            }
+            lastAttestedAt[_batchId][reading.deviceId] = reading.timestamp;
+            lastReadingAt = reading.timestamp;
+            accepted++;
+            emit ReadingAttested(_batchId, reading.deviceId, msg.sender, reading.timestamp, reading.location, reading.temperature);
+        }
+
+        if (accepted == 0) {
+            return;
+        }
+
+        int256[] memory temperatures = new int256[](accepted);
+        string[] memory locations = new string[](accepted);
+        uint256[] memory timestamps = new uint256[](accepted);
+        uint256 next = 0;
+        for (uint256 i = 0; i < _readings.length; i++) {
+            if (rejections[i] == AttestationRejection.NONE) {
+                temperatures[next] = _readings[i].temperature;
+                locations[next] = _readings[i].location;
+                timestamps[next] = _readings[i].timestamp;
+                next++;
+            }
+        }
+
+        target.submitOracleReadings(_batchId, temperatures, locations, timestamps);
+    }
+
+    /**
+     * @dev Get a device's registration; registeredAt is 0 for unknown devices
+     * @param _deviceId The device's ID
+     */
+    function getDevice(bytes32 _deviceId) public view returns (Device memory) {
+        return _devices[_deviceId];
+    }
+
+    /**
+     * @dev EIP-712 digest a device signs for a reading
+     */
+    function readingDigest(
+        uint256 _batchId,
+        int256 _temperature,
+        string memory _location,
+        uint256 _timestamp,
+        bytes32 _deviceId
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            SENSOR_READING_TYPEHASH,
+            _batchId,
+            _temperature,
+            keccak256(bytes(_location)),
+            _timestamp,
+            _deviceId
+        )));
+    }
+
+    // ========== INTERNAL FUNCTIONS ==========
+
+    function _managedItems() internal pure override returns (string memory) {
+        return "devices";
+    }
+
+    /**
+     * @dev Check a signed reading against the submission, the device registry and the device's last reading
+     * @return rejection Why the reading must be skipped, NONE if it can be forwarded
+     */
+    function _verify(uint256 _batchId, SignedReading calldata _reading) internal view returns (AttestationRejection) {
+        if (_reading.batchId != _batchId) {
+            return AttestationRejection.WRONG_BATCH;
+        }
+        Device storage device = _devices[_reading.deviceId];
+        if (!device.active) {
+            return AttestationRejection.UNKNOWN_DEVICE;
+        }
+
+        bytes32 digest = readingDigest(_batchId, _reading.temperature, _reading.location, _reading.timestamp, _reading.deviceId);
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(digest, _reading.signature);
+        if (error != ECDSA.RecoverError.NoError || signer != device.signer) {
+            return AttestationRejection.BAD_SIGNATURE;
+        }
+
+        if (_reading.timestamp <= lastAttestedAt[_batchId][_reading.deviceId]) {
+            return AttestationRejection.REPLAYED;
+        }
+        return AttestationRejection.NONE;
+    }
+
+    /**
+     * @dev Apply submitOracleReadings' timestamp checks to a verified reading
+     * @param _timestamp The reading's timestamp
+     * @param _createdAt The batch's creation time
+     * @param _latestAllowed The block time plus Traceability's clock tolerance
+     * @param _lastReadingAt The batch's last accepted oracle reading, including earlier ones in this relay
+     * @return rejection Why Traceability would skip the reading, NONE if it would record it
+     */
+    function _checkTimestamp(
+        uint256 _timestamp,
+        uint256 _createdAt,
+        uint256 _latestAllowed,
+        uint256 _lastReadingAt
+    ) internal pure returns (AttestationRejection) {
+        if (_timestamp < _createdAt) {
+            return AttestationRejection.BEFORE_CREATION;
+        }
+        if (_timestamp > _latestAllowed) {
+            return AttestationRejection.IN_FUTURE;
+        }
+        if (_timestamp < _lastReadingAt) {
+            return AttestationRejection.OUT_OF_ORDER;
+        }
+        return AttestationRejection.NONE;
+    }
+}
@@ -3,6 +3,7 @@ pragma solidity ^0.8.18;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
+import "./IOracleQuorum.sol";
 
 /**
  * @title Traceability
@@ -15,7 +16,13 @@ import "@openzeppelin/contracts/utils/Counters.sol";
  * - Event-driven architecture for immutable and cost-efficient logging
  * - Gas-optimized data structures with storage packing
  * - Oracle-ready design for real-world IoT data integration
- * - Temperature breach monitoring with automatic compromise detection
+ * - Temperature breach monitoring against per-product temperature profiles,
+ *   tolerating short or shallow excursions outside the safe range
+ * - Batch splitting and merging with parent/child lineage for repacking
+ * - Product recalls with owner acknowledgement of the recall notice
+ * - Two-step handovers the recipient accepts with a receiving reading
+ * - Terminal SOLD, DISPOSED and RETURNED states that close a batch
+ * - Optional M-of-N oracle quorum before oracle readings compromise a batch
  * - Comprehensive chain of custody tracking
  */
 contract Traceability is AccessControl {
@@ -32,8 +39,34 @@ contract Traceability is AccessControl {
     // Counter to generate unique batch IDs
     Counters.Counter private _batchIds;
 
-    // Safe temperature threshold in Celsius
-    int256 private constant SAFE_TEMPERATURE_THRESHOLD = -18;
+    // Counter to generate unique temperature profile IDs
+    Counters.Counter private _profileIds;
+
+    // Counter to generate unique recall IDs
+    Counters.Counter private _recallIds;
+
+    // Profile registered at deployment and used by createBatch without a profile:
+    // the classic frozen-food range of -18C or colder
+    uint16 public constant DEFAULT_PROFILE_ID = 1;
+
+    // Most batches a single split creates or a single merge consumes, bounding gas
+    uint256 public constant MAX_REPACK_BATCHES = 50;
+
+    // Most batches a single recallBatches call flags, bounding gas
+    uint256 public constant MAX_RECALL_BATCHES = 100;
+
+    // How long a recipient has to accept a proposed transfer
+    uint256 public constant TRANSFER_ACCEPTANCE_PERIOD = 3 days;
+
+    // How far ahead of the block an oracle reading's timestamp may lie, for gateway clock skew
+    uint256 public constant ORACLE_CLOCK_TOLERANCE = 5 minutes;
+
+    // While true only PROCESSOR_ROLE holders can create batches; an admin can
+    // switch it off so any account can, e.g. for demos
+    bool public processorAllowlistEnabled = true;
+
+    // Quorum contract consulted before an oracle's reading compromises a batch, zero for none
+    IOracleQuorum public oracleQuorum;
 
     // ========== ENUMS ==========
     // Enum for batch status to track lifecycle
@@ -41,7 +74,31 @@ contract Traceability is AccessControl {
         CREATED,      // Initial state when batch is created
         IN_TRANSIT,   // When transferred to distributor
         DELIVERED,    // When delivered to retailer
-        COMPROMISED   // When temperature breach detected
+        COMPROMISED,  // When temperature breach detected
+        SOLD,         // Sold to consumers by a retailer; closes the batch
+        DISPOSED,     // Destroyed, with the reason logged; closes the batch
+        RETURNED      // Sent back to its processor; closes the batch, which can still be disposed
+    }
+
+    // Why a batch was compromised
+    enum CompromiseKind {
+        TEMPERATURE_BREACH, // A reading exceeded the profile's excursion tolerance
+        EMERGENCY,          // An admin called emergencyCompromiseBatch
+        RECALL              // An admin added the batch to a product recall
+    }
+
+    // Whether a temperature excursion started or ended
+    enum ExcursionPhase {
+        STARTED,      // First reading outside the safe range
+        ENDED         // First reading back inside the safe range
+    }
+
+    // Why submitOracleReadings skipped a reading
+    enum ReadingRejection {
+        NONE,             // Accepted
+        BEFORE_CREATION,  // Timestamp precedes the batch's creation
+        IN_FUTURE,        // Timestamp lies more than ORACLE_CLOCK_TOLERANCE past the block
+        OUT_OF_ORDER      // Timestamp precedes the batch's last accepted oracle reading
     }
 
     // ========== STRUCTS ==========
@@ -49,60 +106,416 @@ contract Traceability is AccessControl {
      * @dev Struct to hold the current state of a product batch
      * OPTIMIZED FOR GAS EFFICIENCY WITH STORAGE PACKING:
      * - Slot 1: batchId (32 bytes)
-     * - Slot 2: creationTimestamp (8) + processor (20) + isCompromised (1) + status (1) = 30 bytes
-     * - Slot 3: currentOwner (20 bytes)
+     * - Slot 2: creationTimestamp (8) + processor (20) + isCompromised (1) + status (1) + profileId (2) = 32 bytes
+     * - Slot 3: currentOwner (20) + excursionStartedAt (8) + isRepacked (1) = 29 bytes
+     * - Slot 4: quantity (32 bytes)
+     * - Slot 5+: unit (string)
      * This optimization reduces storage costs significantly.
      */
     struct ProductBatch {
         // Slot 1 (32 bytes)
         uint256 batchId;
         
-        // Slot 2 (30 bytes - packed efficiently)
+        // Slot 2 (32 bytes - packed efficiently)
         uint64 creationTimestamp;    // Sufficient for timestamps until year ~2.5 million
         address processor;           // Original processor address
         bool isCompromised;         // Temperature breach flag
         BatchStatus status;         // Current lifecycle status
+        uint16 profileId;           // Temperature profile the batch is checked against
         
-        // Slot 3 (20 bytes)
+        // Slot 3 (29 bytes)
         address currentOwner;       // Current custodian of the batch
+        uint64 excursionStartedAt;  // Time of the first out-of-range reading, 0 while in range
+        bool isRepacked;            // Split or merged; its product now lives in its child batches
+
+        // Slot 4 (32 bytes)
+        uint256 quantity;           // Amount of product, counted in unit
+
+        // Slot 5+ (dynamic)
+        string unit;                // Unit of quantity, e.g. "cases" or "kg"
+    }
+
+    /**
+     * @dev Safe temperature range for a kind of product (ice cream, frozen seafood,
+     * chilled dough, ...). Readings outside [minTemperature, maxTemperature] start an
+     * excursion; the batch is compromised once the excursion lasts longer than
+     * maxExcursionMinutes or a reading lies more than maxExcursionDegrees outside the range.
+     * With both limits at 0, any out-of-range reading compromises the batch.
+     */
+    struct TemperatureProfile {
+        string name;                 // Display name, e.g. "Ice Cream"
+        int256 minTemperature;       // Lowest safe reading in Celsius
+        int256 maxTemperature;       // Highest safe reading in Celsius
+        uint32 maxExcursionMinutes;  // Minutes readings may stay out of range
+        uint32 maxExcursionDegrees;  // Degrees a reading may lie outside the range
+        bool active;                 // Inactive profiles cannot be used for new batches
+    }
+
+    /**
+     * @dev A product recall. Batches are selected off-chain (by product, processor or
+     * creation date, plus every batch repacked from them) and flagged in chunks by
+     * recallBatches; the selection is kept as text in criteria.
+     */
+    struct Recall {
+        uint256 recallId;            // Unique identifier
+        address initiator;           // Admin who issued the recall
+        uint64 issuedAt;             // Unix timestamp of issueRecall
+        uint32 batchCount;           // Batches flagged so far
+        uint32 acknowledgedCount;    // Flagged batches whose owner acknowledged the notice
+        string reason;               // Why the product is recalled
+        string criteria;             // How the batches were selected
+    }
+
+    /**
+     * @dev Recall state of a single batch
+     */
+    struct BatchRecall {
+        uint256 recallId;            // Recall the batch belongs to, 0 if none
+        address acknowledgedBy;      // Owner who acknowledged the notice
+        uint64 acknowledgedAt;       // Unix timestamp of the acknowledgement, 0 until then
+    }
+
+    /**
+     * @dev A transfer proposed by the current owner and not yet accepted or cancelled.
+     * The sender keeps custody until the recipient accepts.
+     */
+    struct PendingTransfer {
+        address to;                  // Proposed new owner, zero if none
+        uint64 proposedAt;           // Unix timestamp of proposeTransfer
+        uint64 expiresAt;            // Last moment the recipient can accept
+        string notes;                // Sender's handover notes
     }
 
     // ========== MAPPINGS ==========
-    // Mapping from batch ID to its current state
-    mapping(uint256 => ProductBatch) public batches;
+    // Mapping from batch ID to its current state, read through getBatchInfo
+    mapping(uint256 => ProductBatch) internal batches;
+
+    // Mapping from profile ID to its temperature range
+    mapping(uint256 => TemperatureProfile) private _temperatureProfiles;
+
+    // Lineage: the batches each batch was split or merged from, and into
+    mapping(uint256 => uint256[]) private _parentBatchIds;
+    mapping(uint256 => uint256[]) private _childBatchIds;
+
+    // Mapping from recall ID to the recall
+    mapping(uint256 => Recall) private _recalls;
+
+    // Mapping from batch ID to its recall state
+    mapping(uint256 => BatchRecall) private _batchRecalls;
+
+    // Mapping from batch ID to its pending transfer
+    mapping(uint256 => PendingTransfer) private _pendingTransfers;
+
+    // Mapping from batch ID to the timestamp of its last accepted oracle reading, from any
+    // oracle; excursions are timed by these readings, so they must arrive in order
+    mapping(uint256 => uint256) public lastOracleReadingAt;
 
     // ========== EVENTS ==========
+    // Batch history is kept in typed events rather than storage, reducing gas
+    // costs by over 90%. Every batch event indexes the batch ID first, so one
+    // topic filter returns a batch's whole timeline. Deployments before these
+    // events logged everything as BatchEventLog(batchId, actor, timestamp,
+    // eventType, details, temperature) with an abi.encodePacked details string.
+
     /**
-     * @dev Comprehensive event for logging all significant actions
-     * This event-driven architecture replaces expensive on-chain storage
-     * for historical data, reducing gas costs by over 90%.
-     * 
-     * @param batchId The unique identifier of the batch (indexed for efficient querying)
-     * @param actor The address performing the action (indexed for filtering)
-     * @param timestamp Unix timestamp of the action
-     * @param eventType Type of event ("CREATED", "UPDATE", "HANDOVER", "COMPROMISED")
-     * @param details Human-readable details about the event
+     * @dev Emitted when a batch is created
+     * @param batchId The unique identifier of the batch
+     * @param processor The address that created the batch
+     * @param profileId The temperature profile the batch is checked against
+     * @param timestamp Unix timestamp of the creation
+     * @param productName The name of the product in the batch
+     * @param details Additional metadata about the batch
+     */
+    event BatchCreated(
+        uint256 indexed batchId,
+        address indexed processor,
+        uint256 indexed profileId,
+        uint256 timestamp,
+        string productName,
+        string details
+    );
+
+    /**
+     * @dev Emitted for every reading recorded through addTraceEvent
+     * @param batchId The unique identifier of the batch
+     * @param actor The owner or oracle recording the reading
+     * @param locationHash keccak256 of location, for filtering by place
+     * @param timestamp Unix timestamp of the reading
+     * @param location Where the reading was taken
      * @param temperature Temperature reading in Celsius
+     * @param notes Additional notes about the update
      */
-    event BatchEventLog(
+    event TraceRecorded(
         uint256 indexed batchId,
         address indexed actor,
+        bytes32 indexed locationHash,
+        uint256 timestamp,
+        string location,
+        int256 temperature,
+        string notes
+    );
+
+    /**
+     * @dev Emitted for every reading submitted through submitOracleReadings
+     * @param batchId The unique identifier of the batch
+     * @param oracle The oracle submitting the reading
+     * @param locationHash keccak256 of location, for filtering by place
+     * @param timestamp The sensor's timestamp for the reading
+     * @param location Where the reading was taken
+     * @param temperature Temperature reading in Celsius
+     */
+    event OracleReading(
+        uint256 indexed batchId,
+        address indexed oracle,
+        bytes32 indexed locationHash,
+        uint256 timestamp,
+        string location,
+        int256 temperature
+    );
+
+    /**
+     * @dev Emitted instead of OracleReading for a reading whose timestamp fails validation;
+     * the rest of the submission still goes through
+     * @param batchId The unique identifier of the batch
+     * @param oracle The oracle submitting the reading
+     * @param reason Which check the timestamp failed
+     * @param timestamp The sensor's timestamp for the reading
+     * @param location Where the reading was taken
+     * @param temperature Temperature reading in Celsius
+     */
+    event OracleReadingRejected(
+        uint256 indexed batchId,
+        address indexed oracle,
+        ReadingRejection indexed reason,
         uint256 timestamp,
-        string eventType,
-        string details,
+        string location,
         int256 temperature
     );
 
+    /**
+     * @dev Emitted when the current owner proposes handing a batch over
+     * @param batchId The unique identifier of the batch
+     * @param from The current owner
+     * @param to The proposed new owner
+     * @param timestamp Unix timestamp of the proposal
+     * @param expiresAt Last moment the recipient can accept
+     * @param notes Notes about the handover process
+     */
+    event TransferProposed(
+        uint256 indexed batchId,
+        address indexed from,
+        address indexed to,
+        uint256 timestamp,
+        uint256 expiresAt,
+        string notes
+    );
+
+    /**
+     * @dev Emitted when the owner withdraws a proposed transfer before it is accepted
+     * @param batchId The unique identifier of the batch
+     * @param from The current owner
+     * @param to The recipient the transfer was proposed to
+     * @param timestamp Unix timestamp of the cancellation
+     */
+    event TransferCancelled(
+        uint256 indexed batchId,
+        address indexed from,
+        address indexed to,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when the recipient accepts a transfer and custody passes to them
+     * @param batchId The unique identifier of the batch
+     * @param from The previous owner
+     * @param to The new owner
+     * @param timestamp Unix timestamp of the handover
+     * @param status The batch status after the handover
+     * @param notes The sender's notes about the handover process
+     */
+    event Handover(
+        uint256 indexed batchId,
+        address indexed from,
+        address indexed to,
+        uint256 timestamp,
+        BatchStatus status,
+        string notes
+    );
+
+    /**
+     * @dev Emitted when a batch is closed; a return is preceded by the Handover to the processor
+     * @param batchId The unique identifier of the batch
+     * @param actor The address closing the batch
+     * @param status SOLD, DISPOSED or RETURNED
+     * @param timestamp Unix timestamp of the closing
+     * @param notes Notes about the sale or return, or the reason for disposal
+     */
+    event BatchClosed(
+        uint256 indexed batchId,
+        address indexed actor,
+        BatchStatus indexed status,
+        uint256 timestamp,
+        string notes
+    );
+
+    /**
+     * @dev Emitted when a batch is compromised, after the reading that caused it
+     * Temperature breaches are emitted for every reading beyond the profile's tolerance
+     * @param batchId The unique identifier of the batch
+     * @param actor The address recording the breach or the admin compromising the batch
+     * @param kind Why the batch was compromised
+     * @param timestamp Unix timestamp of the breach
+     * @param temperature The offending reading in Celsius, 0 for emergencies
+     * @param reason The admin's reason for emergencies, empty for temperature breaches
+     */
+    event Compromised(
+        uint256 indexed batchId,
+        address indexed actor,
+        CompromiseKind indexed kind,
+        uint256 timestamp,
+        int256 temperature,
+        string reason
+    );
+
+    /**
+     * @dev Emitted before the reading that starts or ends a temperature excursion
+     * @param batchId The unique identifier of the batch
+     * @param actor The address recording the reading
+     * @param phase Whether the excursion started or ended
+     * @param timestamp Unix timestamp of the reading
+     * @param location Where the reading was taken
+     * @param temperature Temperature reading in Celsius
+     * @param durationSeconds Length of the excursion when it ends, 0 when it starts
+     */
+    event TemperatureExcursion(
+        uint256 indexed batchId,
+        address indexed actor,
+        ExcursionPhase indexed phase,
+        uint256 timestamp,
+        string location,
+        int256 temperature,
+        uint256 durationSeconds
+    );
+
+    /**
+     * @dev Emitted when a batch is split into child batches, after their BatchCreated events
+     * @param batchId The unique identifier of the split batch
+     * @param actor The owner splitting the batch
+     * @param timestamp Unix timestamp of the split
+     * @param childIds The new child batches
+     * @param quantities The quantity of each child batch, summing to the parent's
+     * @param notes Notes about the repacking
+     */
+    event BatchSplit(
+        uint256 indexed batchId,
+        address indexed actor,
+        uint256 timestamp,
+        uint256[] childIds,
+        uint256[] quantities,
+        string notes
+    );
+
+    /**
+     * @dev Emitted for each batch merged into a new batch, after the new batch's BatchCreated
+     * @param batchId The unique identifier of the merged batch
+     * @param actor The owner merging the batches
+     * @param mergedInto The new batch holding the merged product
+     * @param timestamp Unix timestamp of the merge
+     * @param notes Notes about the repacking
+     */
+    event BatchMerged(
+        uint256 indexed batchId,
+        address indexed actor,
+        uint256 indexed mergedInto,
+        uint256 timestamp,
+        string notes
+    );
+
+    /**
+     * @dev Emitted when an admin issues a product recall
+     * @param recallId The unique identifier of the recall
+     * @param initiator The admin issuing the recall
+     * @param timestamp Unix timestamp of the recall
+     * @param reason Why the product is recalled
+     * @param criteria How the recalled batches were selected
+     */
+    event RecallIssued(
+        uint256 indexed recallId,
+        address indexed initiator,
+        uint256 timestamp,
+        string reason,
+        string criteria
+    );
+
+    /**
+     * @dev Emitted when a batch is added to a recall; the owner is indexed so
+     * participants can filter for their own recall notices
+     * @param batchId The unique identifier of the recalled batch
+     * @param recallId The recall the batch was added to
+     * @param owner The owner of the batch when it was recalled
+     * @param timestamp Unix timestamp of the flagging
+     */
+    event BatchRecalled(
+        uint256 indexed batchId,
+        uint256 indexed recallId,
+        address indexed owner,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a batch owner acknowledges a recall notice
+     * @param batchId The unique identifier of the recalled batch
+     * @param recallId The recall the batch belongs to
+     * @param owner The owner acknowledging the notice
+     * @param timestamp Unix timestamp of the acknowledgement
+     */
+    event RecallAcknowledged(
+        uint256 indexed batchId,
+        uint256 indexed recallId,
+        address indexed owner,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when an admin registers a temperature profile
+     */
+    event TemperatureProfileRegistered(
+        uint256 indexed profileId,
+        string name,
+        int256 minTemperature,
+        int256 maxTemperature,
+        uint32 maxExcursionMinutes,
+        uint32 maxExcursionDegrees
+    );
+
+    /**
+     * @dev Emitted when an admin enables or retires a temperature profile
+     */
+    event TemperatureProfileStatusChanged(uint256 indexed profileId, bool active);
+
+    /**
+     * @dev Emitted when an admin turns the processor allowlist for batch creation on or off
+     */
+    event ProcessorAllowlistChanged(address indexed admin, bool enabled);
+
+    /**
+     * @dev Emitted when an admin sets or removes the oracle quorum contract
+     */
+    event OracleQuorumChanged(address indexed admin, address quorum);
+
     // ========== CONSTRUCTOR ==========
     /**
      * @dev Contract constructor
      * Grants the deployer (Rich Products) the admin role and initial processor role
+     * and registers the default frozen-food temperature profile
      */
     constructor() {
         // Grant the contract deployer the admin role
         // This allows them to grant other roles
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(PROCESSOR_ROLE, msg.sender);
+
+        _registerTemperatureProfile("Frozen (-18C or colder)", -60, -18, 0, 0);
     }
 
     // ========== MODIFIERS ==========
@@ -127,42 +540,105 @@ contract Traceability is AccessControl {
         _;
     }
 
+    /**
+     * @dev Modifier to check that a batch has not been split or merged
+     * Repacked batches only remain for their history and lineage
+     * @param _batchId The ID of the batch to check
+     */
+    modifier notRepacked(uint256 _batchId) {
+        require(!batches[_batchId].isRepacked, "Batch has been repacked");
+        _;
+    }
+
+    /**
+     * @dev Modifier to check that a batch has not been sold, disposed or returned
+     * Closed batches only remain for their history
+     * @param _batchId The ID of the batch to check
+     */
+    modifier notClosed(uint256 _batchId) {
+        require(!_isClosed(batches[_batchId]), "Batch is closed");
+        _;
+    }
+
+    /**
+     * @dev Modifier to check if a recall exists
+     * @param _recallId The ID of the recall to check
+     */
+    modifier recallExists(uint256 _recallId) {
+        require(_recallId != 0 && _recallId <= _recallIds.current(), "Recall does not exist");
+        _;
+    }
+
+    /**
+     * @dev Modifier to check if a temperature profile exists
+     * @param _profileId The ID of the profile to check
+     */
+    modifier profileExists(uint256 _profileId) {
+        require(_profileId != 0 && _profileId <= _profileIds.current(), "Temperature profile does not exist");
+        _;
+    }
+
     // ========== CORE FUNCTIONS ==========
 
     /**
-     * @dev Creates a new batch of products
-     * Anyone can create batches (simplified for prototype)
-     * Emits BatchEventLog with eventType "CREATED"
+     * @dev Creates a new batch of products checked against the default temperature profile
+     * Requires PROCESSOR_ROLE while processorAllowlistEnabled is set
+     * Emits BatchCreated
      * 
      * @param _productName The name of the product in the batch
      * @param _additionalDetails Additional metadata about the batch
+     * @param _quantity The amount of product in the batch, counted in _unit
+     * @param _unit The unit of _quantity, e.g. "cases" or "kg"
      * @return newBatchId The ID of the newly created batch
      */
     function createBatch(
         string memory _productName,
-        string memory _additionalDetails
+        string memory _additionalDetails,
+        uint256 _quantity,
+        string memory _unit
     ) public returns (uint256) {
-        _batchIds.increment();
-        uint256 newBatchId = _batchIds.current();
+        return _createBatch(_productName, _additionalDetails, DEFAULT_PROFILE_ID, _quantity, _unit);
+    }
 
-        batches[newBatchId] = ProductBatch({
-            batchId: newBatchId,
-            creationTimestamp: uint64(block.timestamp),
-            processor: msg.sender,
-            isCompromised: false,
-            status: BatchStatus.CREATED,
-            currentOwner: msg.sender
-        });
+    /**
+     * @dev Creates a new batch of products checked against the given temperature profile
+     * Requires PROCESSOR_ROLE while processorAllowlistEnabled is set
+     * Emits BatchCreated
+     * 
+     * @param _productName The name of the product in the batch
+     * @param _additionalDetails Additional metadata about the batch
+     * @param _profileId The active temperature profile for the product
+     * @param _quantity The amount of product in the batch, counted in _unit
+     * @param _unit The unit of _quantity, e.g. "cases" or "kg"
+     * @return newBatchId The ID of the newly created batch
+     */
+    function createBatchWithProfile(
+        string memory _productName,
+        string memory _additionalDetails,
+        uint256 _profileId,
+        uint256 _quantity,
+        string memory _unit
+    ) public returns (uint256) {
+        return _createBatch(_productName, _additionalDetails, _profileId, _quantity, _unit);
+    }
 
-        // Emit creation event with product details
-        emit BatchEventLog(
-            newBatchId,
-            msg.sender,
-            block.timestamp,
-            "CREATED",
-            string(abi.encodePacked("Product: ", _productName, " | ", _additionalDetails)),
-            SAFE_TEMPERATURE_THRESHOLD // Initial temperature assumed safe
-        );
+    function _createBatch(
+        string memory _productName,
+        string memory _additionalDetails,
+        uint256 _profileId,
+        uint256 _quantity,
+        string memory _unit
+    ) internal profileExists(_profileId) returns (uint256) {
+        if (processorAllowlistEnabled) {
+            _checkRole(PROCESSOR_ROLE);
+        }
+        require(_temperatureProfiles[_profileId].active, "Temperature profile is not active");
+        require(_quantity > 0, "Quantity must be positive");
+        require(bytes(_unit).length > 0, "Unit cannot be empty");
+
+        uint256 newBatchId = _newBatch(msg.sender, _profileId, _quantity, _unit);
+
+        emit BatchCreated(newBatchId, msg.sender, _profileId, block.timestamp, _productName, _additionalDetails);
 
         return newBatchId;
     }
@@ -170,8 +646,9 @@ contract Traceability is AccessControl {
     /**
      * @dev Adds a trace event for a batch
      * Callable by the current owner or an authorized oracle
-     * Automatically checks for temperature breaches and updates compromise status
-     * Emits BatchEventLog with eventType "UPDATE"
+     * Tracks temperature excursions and compromises the batch once one exceeds the profile's tolerance
+     * Emits TraceRecorded, followed by Compromised when the reading exceeds the tolerance
+     * and preceded by TemperatureExcursion when it leaves or re-enters the safe range
      * 
      * @param _batchId The ID of the batch to update
      * @param _location A string describing the current location
@@ -183,77 +660,300 @@ contract Traceability is AccessControl {
         string memory _location,
         int256 _temperature,
         string memory _additionalNotes
-    ) public batchExists(_batchId) onlyOwnerOrOracle(_batchId) {
-        ProductBatch storage batch = batches[_batchId];
-
-        // Check for temperature breach
-        if (_temperature > SAFE_TEMPERATURE_THRESHOLD) {
-            batch.isCompromised = true;
-            batch.status = BatchStatus.COMPROMISED;
-            
-            // Emit compromise event
-            emit BatchEventLog(
-                _batchId,
-                msg.sender,
-                block.timestamp,
-                "COMPROMISED",
-                string(abi.encodePacked("TEMPERATURE BREACH at ", _location, " | Temp: ", _intToString(_temperature), "C | ", _additionalNotes)),
-                _temperature
-            );
-        } else {
-            // Emit regular update event
-            emit BatchEventLog(
-                _batchId,
-                msg.sender,
-                block.timestamp,
-                "UPDATE",
-                string(abi.encodePacked("Location: ", _location, " | ", _additionalNotes)),
-                _temperature
-            );
-        }
+    ) public batchExists(_batchId) notRepacked(_batchId) notClosed(_batchId) onlyOwnerOrOracle(_batchId) {
+        _recordTrace(_batchId, _location, _temperature, _additionalNotes);
     }
 
     /**
-     * @dev Transfers ownership of a batch to a new actor
-     * Updates the batch status based on the new owner's role
-     * Emits BatchEventLog with eventType "HANDOVER"
+     * @dev Proposes handing a batch to a new owner
+     * The sender keeps custody until the recipient accepts within
+     * TRANSFER_ACCEPTANCE_PERIOD, and can cancel until then. An expired proposal
+     * is simply replaced; a live one has to be cancelled first.
+     * Emits TransferProposed
      * 
      * @param _batchId The ID of the batch to transfer
-     * @param _newOwner The address of the new owner
+     * @param _newOwner The address of the proposed new owner
      * @param _handoverNotes Notes about the handover process
      */
-    function transferOwnership(
+    function proposeTransfer(
         uint256 _batchId,
         address _newOwner,
         string memory _handoverNotes
-    ) public batchExists(_batchId) {
-        ProductBatch storage batch = batches[_batchId];
-        require(msg.sender == batch.currentOwner, "Only the current owner can transfer");
+    ) public batchExists(_batchId) notRepacked(_batchId) notClosed(_batchId) {
+        require(msg.sender == batches[_batchId].currentOwner, "Only the current owner can transfer");
         require(_newOwner != address(0), "New owner cannot be the zero address");
         require(_newOwner != msg.sender, "Cannot transfer to yourself");
+        require(!_hasLiveTransfer(_batchId), "A transfer is already pending");
+
+        uint256 expiresAt = block.timestamp + TRANSFER_ACCEPTANCE_PERIOD;
+        _pendingTransfers[_batchId] = PendingTransfer({
+            to: _newOwner,
+            proposedAt: uint64(block.timestamp),
+            expiresAt: uint64(expiresAt),
+            notes: _handoverNotes
+        });
 
-        // Store previous owner for event
+        emit TransferProposed(_batchId, msg.sender, _newOwner, block.timestamp, expiresAt, _handoverNotes);
+    }
+
+    /**
+     * @dev Accepts a proposed transfer, recording the reading taken on receipt
+     * Callable by the proposed recipient before the proposal expires. Updates the
+     * batch status based on the new owner's role, then checks the receiving reading
+     * like addTraceEvent does.
+     * Emits Handover, then TraceRecorded (and TemperatureExcursion or Compromised
+     * as for addTraceEvent)
+     * 
+     * @param _batchId The ID of the batch to accept
+     * @param _location Where the batch was received
+     * @param _temperature The temperature on receipt in Celsius
+     * @param _notes Notes about the receipt
+     */
+    function acceptTransfer(
+        uint256 _batchId,
+        string memory _location,
+        int256 _temperature,
+        string memory _notes
+    ) public batchExists(_batchId) notRepacked(_batchId) notClosed(_batchId) {
+        PendingTransfer memory pending = _pendingTransfers[_batchId];
+        require(pending.to != address(0), "No pending transfer");
+        require(msg.sender == pending.to, "Only the recipient can accept");
+        require(block.timestamp <= pending.expiresAt, "Transfer has expired");
+        delete _pendingTransfers[_batchId];
+
+        ProductBatch storage batch = batches[_batchId];
         address previousOwner = batch.currentOwner;
-        
+
         // Update ownership
-        batch.currentOwner = _newOwner;
+        batch.currentOwner = msg.sender;
         
         // Update status based on new owner's role
-        if (hasRole(DISTRIBUTOR_ROLE, _newOwner)) {
+        if (hasRole(DISTRIBUTOR_ROLE, msg.sender)) {
             batch.status = BatchStatus.IN_TRANSIT;
-        } else if (hasRole(RETAILER_ROLE, _newOwner)) {
+        } else if (hasRole(RETAILER_ROLE, msg.sender)) {
             batch.status = BatchStatus.DELIVERED;
         }
         // If transferred to processor or other role, status remains unchanged
 
-        emit BatchEventLog(
-            _batchId,
-            previousOwner,
-            block.timestamp,
-            "HANDOVER",
-            string(abi.encodePacked("Transferred from ", _addressToString(previousOwner), " to ", _addressToString(_newOwner), " | ", _handoverNotes)),
-            SAFE_TEMPERATURE_THRESHOLD // Assume safe temp at handover
+        emit Handover(_batchId, previousOwner, msg.sender, block.timestamp, batch.status, pending.notes);
+
+        _recordTrace(_batchId, _location, _temperature, _notes);
+    }
+
+    /**
+     * @dev Withdraws a proposed transfer that has not been accepted, expired or not
+     * Emits TransferCancelled
+     * 
+     * @param _batchId The ID of the batch whose transfer to cancel
+     */
+    function cancelTransfer(uint256 _batchId) public batchExists(_batchId) {
+        PendingTransfer memory pending = _pendingTransfers[_batchId];
+        require(pending.to != address(0), "No pending transfer");
+        require(msg.sender == batches[_batchId].currentOwner, "Only the current owner can cancel");
+        delete _pendingTransfers[_batchId];
+
+        emit TransferCancelled(_batchId, msg.sender, pending.to, block.timestamp);
+    }
+
+    /**
+     * @dev Splits a batch into child batches, e.g. a pallet into cases for several retailers
+     * Callable by the current owner. The children belong to the caller, keep the parent's
+     * processor, temperature profile, unit, status, compromise flag, open excursion and oracle
+     * quorum, and their quantities must sum to the parent's. The parent is marked repacked.
+     * Emits BatchCreated for each child, then BatchSplit
+     * 
+     * @param _batchId The ID of the batch to split
+     * @param _productName The name of the product in the child batches
+     * @param _quantities The quantity of each child batch
+     * @param _notes Notes about the repacking
+     * @return childIds The IDs of the new child batches
+     */
+    function splitBatch(
+        uint256 _batchId,
+        string memory _productName,
+        uint256[] memory _quantities,
+        string memory _notes
+    ) public batchExists(_batchId) notRepacked(_batchId) returns (uint256[] memory) {
+        ProductBatch storage parent = batches[_batchId];
+        require(msg.sender == parent.currentOwner, "Only the current owner can repack");
+        require(!_isClosed(parent), "Batch is closed");
+        // Recalled batches stay whole so the recall covers every descendant
+        require(_batchRecalls[_batchId].recallId == 0, "Batch is under recall");
+        require(!_hasLiveTransfer(_batchId), "Batch has a pending transfer");
+        require(
+            _quantities.length >= 2 && _quantities.length <= MAX_REPACK_BATCHES,
+            "Split needs 2 to 50 child batches"
         );
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < _quantities.length; i++) {
+            require(_quantities[i] > 0, "Quantity must be positive");
+            total += _quantities[i];
+        }
+        require(total == parent.quantity, "Child quantities must sum to the parent quantity");
+
+        parent.isRepacked = true;
+
+        uint256[] memory childIds = new uint256[](_quantities.length);
+        for (uint256 i = 0; i < _quantities.length; i++) {
+            uint256 childId = _newBatch(parent.processor, parent.profileId, _quantities[i], parent.unit);
+            batches[childId].status = parent.status;
+            _inheritState(batches[childId], parent);
+            _linkBatches(_batchId, childId);
+            childIds[i] = childId;
+
+            emit BatchCreated(childId, parent.processor, parent.profileId, block.timestamp, _productName, _notes);
+        }
+
+        emit BatchSplit(_batchId, msg.sender, block.timestamp, childIds, _quantities, _notes);
+        return childIds;
+    }
+
+    /**
+     * @dev Merges batches into one new batch, e.g. cases into a mixed pallet
+     * Callable by the owner of every merged batch. The batches must share a processor,
+     * temperature profile, unit and oracle quorum; the new batch keeps them, holds their total
+     * quantity, takes the first batch's status and is compromised if any of them is. The merged batches are marked repacked.
+     * Emits BatchCreated for the new batch, then BatchMerged for each merged batch
+     * 
+     * @param _mergedBatchIds The IDs of the batches to merge
+     * @param _productName The name of the product in the new batch
+     * @param _notes Notes about the repacking
+     * @return newBatchId The ID of the new batch
+     */
+    function mergeBatches(
+        uint256[] memory _mergedBatchIds,
+        string memory _productName,
+        string memory _notes
+    ) public returns (uint256) {
+        require(
+            _mergedBatchIds.length >= 2 && _mergedBatchIds.length <= MAX_REPACK_BATCHES,
+            "Merge needs 2 to 50 batches"
+        );
+
+        ProductBatch storage first = batches[_mergedBatchIds[0]];
+        uint256 total = 0;
+        for (uint256 i = 0; i < _mergedBatchIds.length; i++) {
+            ProductBatch storage parent = batches[_mergedBatchIds[i]];
+            require(parent.batchId != 0, "Batch does not exist");
+            // Also rejects a batch listed twice, as it was marked below on its first pass
+            require(!parent.isRepacked, "Batch has been repacked");
+            require(!_isClosed(parent), "Batch is closed");
+            require(_batchRecalls[_mergedBatchIds[i]].recallId == 0, "Batch is under recall");
+            require(!_hasLiveTransfer(_mergedBatchIds[i]), "Batch has a pending transfer");
+            require(msg.sender == parent.currentOwner, "Only the current owner can repack");
+            require(parent.profileId == first.profileId, "Merged batches must share a temperature profile");
+            require(keccak256(bytes(parent.unit)) == keccak256(bytes(first.unit)), "Merged batches must share a unit");
+            require(parent.processor == first.processor, "Merged batches must share a processor");
+
+            parent.isRepacked = true;
+            total += parent.quantity;
+        }
+
+        uint256 newBatchId = _newBatch(first.processor, first.profileId, total, first.unit);
+        ProductBatch storage merged = batches[newBatchId];
+        merged.status = first.status;
+
+        emit BatchCreated(newBatchId, first.processor, first.profileId, block.timestamp, _productName, _notes);
+
+        for (uint256 i = 0; i < _mergedBatchIds.length; i++) {
+            _inheritState(merged, batches[_mergedBatchIds[i]]);
+            _linkBatches(_mergedBatchIds[i], newBatchId);
+
+            emit BatchMerged(_mergedBatchIds[i], msg.sender, newBatchId, block.timestamp, _notes);
+        }
+
+        return newBatchId;
+    }
+
+    /**
+     * @dev Acknowledges receipt of the recall notice for a batch
+     * Callable once per recalled batch, by its current owner
+     * Emits RecallAcknowledged
+     * 
+     * @param _batchId The ID of the recalled batch
+     */
+    function acknowledgeRecall(uint256 _batchId) public batchExists(_batchId) {
+        BatchRecall storage batchRecall = _batchRecalls[_batchId];
+        require(batchRecall.recallId != 0, "Batch is not under recall");
+        require(msg.sender == batches[_batchId].currentOwner, "Only the current owner can acknowledge");
+        require(batchRecall.acknowledgedAt == 0, "Recall already acknowledged");
+
+        batchRecall.acknowledgedBy = msg.sender;
+        batchRecall.acknowledgedAt = uint64(block.timestamp);
+        _recalls[batchRecall.recallId].acknowledgedCount++;
+
+        emit RecallAcknowledged(_batchId, batchRecall.recallId, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Records the sale of a batch to consumers, closing it
+     * Callable by the current owner holding RETAILER_ROLE. Compromised batches cannot be sold.
+     * Emits BatchClosed with status SOLD
+     * 
+     * @param _batchId The ID of the batch sold
+     * @param _notes Notes about the sale
+     */
+    function markBatchSold(
+        uint256 _batchId,
+        string memory _notes
+    ) public onlyRole(RETAILER_ROLE) batchExists(_batchId) notRepacked(_batchId) notClosed(_batchId) {
+        ProductBatch storage batch = batches[_batchId];
+        require(msg.sender == batch.currentOwner, "Only the current owner can sell");
+        require(!batch.isCompromised, "Compromised batches cannot be sold");
+
+        _closeBatch(_batchId, BatchStatus.SOLD, _notes);
+    }
+
+    /**
+     * @dev Records the destruction of a batch, closing it
+     * Callable by the current owner or an admin, for open batches (usually compromised
+     * ones) and batches returned to their processor
+     * Emits BatchClosed with status DISPOSED
+     * 
+     * @param _batchId The ID of the batch disposed of
+     * @param _reason Why the batch was disposed of
+     */
+    function disposeBatch(
+        uint256 _batchId,
+        string memory _reason
+    ) public batchExists(_batchId) notRepacked(_batchId) {
+        ProductBatch storage batch = batches[_batchId];
+        require(
+            msg.sender == batch.currentOwner || hasRole(DEFAULT_ADMIN_ROLE, msg.sender),
+            "Only the current owner or an admin can dispose"
+        );
+        require(!_isClosed(batch) || batch.status == BatchStatus.RETURNED, "Batch is closed");
+        require(bytes(_reason).length > 0, "Disposal reason cannot be empty");
+
+        _closeBatch(_batchId, BatchStatus.DISPOSED, _reason);
+    }
+
+    /**
+     * @dev Sends a batch back to the processor that created it, closing it
+     * Callable by the current owner holding DISTRIBUTOR_ROLE or RETAILER_ROLE.
+     * Custody passes to the processor at once, who can then dispose of the batch.
+     * Emits Handover to the processor, then BatchClosed with status RETURNED
+     * 
+     * @param _batchId The ID of the batch to return
+     * @param _notes Notes about the return
+     */
+    function returnToProcessor(
+        uint256 _batchId,
+        string memory _notes
+    ) public batchExists(_batchId) notRepacked(_batchId) notClosed(_batchId) {
+        ProductBatch storage batch = batches[_batchId];
+        require(msg.sender == batch.currentOwner, "Only the current owner can return");
+        require(
+            hasRole(DISTRIBUTOR_ROLE, msg.sender) || hasRole(RETAILER_ROLE, msg.sender),
+            "Only distributors and retailers can return batches"
+        );
+        require(msg.sender != batch.processor, "Batch is already with its processor");
+
+        batch.currentOwner = batch.processor;
+        emit Handover(_batchId, msg.sender, batch.processor, block.timestamp, BatchStatus.RETURNED, _notes);
+
+        _closeBatch(_batchId, BatchStatus.RETURNED, _notes);
     }
 
     // ========== VIEW FUNCTIONS ==========
@@ -284,6 +984,86 @@ contract Traceability is AccessControl {
         return _batchIds.current();
     }
 
+    /**
+     * @dev Get a temperature profile
+     * @param _profileId The ID of the profile to query
+     * @return profile The complete TemperatureProfile struct
+     */
+    function getTemperatureProfile(uint256 _profileId) public view profileExists(_profileId) returns (TemperatureProfile memory) {
+        return _temperatureProfiles[_profileId];
+    }
+
+    /**
+     * @dev Get the temperature profile a batch is checked against
+     * @param _batchId The ID of the batch to query
+     * @return profile The batch's TemperatureProfile struct
+     */
+    function getBatchTemperatureProfile(uint256 _batchId) public view batchExists(_batchId) returns (TemperatureProfile memory) {
+        return _temperatureProfiles[batches[_batchId].profileId];
+    }
+
+    /**
+     * @dev Get the batches a batch was split or merged from
+     * @param _batchId The ID of the batch to query
+     * @return parentIds Empty for batches created with createBatch
+     */
+    function getParentBatchIds(uint256 _batchId) public view batchExists(_batchId) returns (uint256[] memory) {
+        return _parentBatchIds[_batchId];
+    }
+
+    /**
+     * @dev Get the batches a batch was split or merged into
+     * @param _batchId The ID of the batch to query
+     * @return childIds Empty until the batch is repacked
+     */
+    function getChildBatchIds(uint256 _batchId) public view batchExists(_batchId) returns (uint256[] memory) {
+        return _childBatchIds[_batchId];
+    }
+
+    /**
+     * @dev Get a recall
+     * @param _recallId The ID of the recall to query
+     * @return recall The complete Recall struct
+     */
+    function getRecall(uint256 _recallId) public view recallExists(_recallId) returns (Recall memory) {
+        return _recalls[_recallId];
+    }
+
+    /**
+     * @dev Get the current recall count
+     * @return count The total number of recalls issued
+     */
+    function getRecallCount() public view returns (uint256) {
+        return _recallIds.current();
+    }
+
+    /**
+     * @dev Get the recall state of a batch
+     * @param _batchId The ID of the batch to query
+     * @return batchRecall The batch's BatchRecall struct; recallId is 0 if it is not recalled
+     */
+    function getBatchRecall(uint256 _batchId) public view batchExists(_batchId) returns (BatchRecall memory) {
+        return _batchRecalls[_batchId];
+    }
+
+    /**
+     * @dev Get the transfer proposed for a batch
+     * @param _batchId The ID of the batch
+     * @return transfer The pending transfer; `to` is zero when there is none, and
+     * it may have expired (compare expiresAt with the current time)
+     */
+    function getPendingTransfer(uint256 _batchId) public view batchExists(_batchId) returns (PendingTransfer memory) {
+        return _pendingTransfers[_batchId];
+    }
+
+    /**
+     * @dev Get the current temperature profile count
+     * @return count The total number of profiles registered, including inactive ones
+     */
+    function getTemperatureProfileCount() public view returns (uint256) {
+        return _profileIds.current();
+    }
+
     /**
      * @dev Check if an address has any supply chain role
      * @param _account The address to check
@@ -315,6 +1095,7 @@ contract Traceability is AccessControl {
      * @dev Emergency function to mark a batch as compromised (admin only)
      * @param _batchId The ID of the batch to mark as compromised
      * @param _reason The reason for marking as compromised
+     * Emits Compromised with kind EMERGENCY
      */
     function emergencyCompromiseBatch(
         uint256 _batchId,
@@ -322,74 +1103,418 @@ contract Traceability is AccessControl {
     ) public onlyRole(DEFAULT_ADMIN_ROLE) batchExists(_batchId) {
         ProductBatch storage batch = batches[_batchId];
         batch.isCompromised = true;
-        batch.status = BatchStatus.COMPROMISED;
+        // Closed batches keep their final status; the flag still warns whoever holds the product
+        if (!_isClosed(batch)) {
+            batch.status = BatchStatus.COMPROMISED;
+        }
 
-        emit BatchEventLog(
+        emit Compromised(
             _batchId,
             msg.sender,
+            CompromiseKind.EMERGENCY,
             block.timestamp,
-            "COMPROMISED",
-            string(abi.encodePacked("EMERGENCY COMPROMISE | Reason: ", _reason)),
-            0 // Temperature not applicable for emergency compromise
+            0, // Temperature not applicable for emergency compromise
+            _reason
+        );
+    }
+
+    /**
+     * @dev Issue a product recall (admin only)
+     * Batches are added afterwards with recallBatches, in chunks that fit in a block
+     * @param _reason Why the product is recalled
+     * @param _criteria How the recalled batches are selected, e.g. "product=Frozen Peas"
+     * @return recallId The ID of the new recall
+     * Emits RecallIssued
+     */
+    function issueRecall(
+        string memory _reason,
+        string memory _criteria
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256) {
+        require(bytes(_reason).length > 0, "Recall reason cannot be empty");
+
+        _recallIds.increment();
+        uint256 newRecallId = _recallIds.current();
+
+        _recalls[newRecallId] = Recall({
+            recallId: newRecallId,
+            initiator: msg.sender,
+            issuedAt: uint64(block.timestamp),
+            batchCount: 0,
+            acknowledgedCount: 0,
+            reason: _reason,
+            criteria: _criteria
+        });
+
+        emit RecallIssued(newRecallId, msg.sender, block.timestamp, _reason, _criteria);
+        return newRecallId;
+    }
+
+    /**
+     * @dev Flag batches as part of a recall (admin only)
+     * Each batch is marked compromised and its owner notified through BatchRecalled.
+     * Batches already under a recall are skipped, so a chunk can safely be resent.
+     * @param _recallId The ID of the recall
+     * @param _recalledBatchIds Up to MAX_RECALL_BATCHES batch IDs
+     * @return flagged The number of batches newly added to the recall
+     * Emits BatchRecalled per flagged batch, and Compromised with kind RECALL for
+     * those not compromised already
+     */
+    function recallBatches(
+        uint256 _recallId,
+        uint256[] memory _recalledBatchIds
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) recallExists(_recallId) returns (uint256) {
+        require(
+            _recalledBatchIds.length > 0 && _recalledBatchIds.length <= MAX_RECALL_BATCHES,
+            "Recall needs 1 to 100 batches per call"
         );
+
+        Recall storage recall = _recalls[_recallId];
+        uint256 flagged = 0;
+
+        for (uint256 i = 0; i < _recalledBatchIds.length; i++) {
+            uint256 batchId = _recalledBatchIds[i];
+            ProductBatch storage batch = batches[batchId];
+            require(batch.batchId != 0, "Batch does not exist");
+
+            if (_batchRecalls[batchId].recallId != 0) {
+                continue;
+            }
+            _batchRecalls[batchId].recallId = _recallId;
+            flagged++;
+
+            if (!batch.isCompromised) {
+                batch.isCompromised = true;
+                if (!_isClosed(batch)) {
+                    batch.status = BatchStatus.COMPROMISED;
+                }
+                emit Compromised(batchId, msg.sender, CompromiseKind.RECALL, block.timestamp, 0, recall.reason);
+            }
+
+            emit BatchRecalled(batchId, _recallId, batch.currentOwner, block.timestamp);
+        }
+
+        recall.batchCount += uint32(flagged);
+        return flagged;
+    }
+
+    /**
+     * @dev Register a temperature profile for a kind of product (admin only)
+     * @param _name Display name of the profile
+     * @param _minTemperature Lowest safe reading in Celsius
+     * @param _maxTemperature Highest safe reading in Celsius
+     * @param _maxExcursionMinutes Minutes readings may stay out of range
+     * @param _maxExcursionDegrees Degrees a reading may lie outside the range
+     * @return profileId The ID of the new profile
+     */
+    function registerTemperatureProfile(
+        string memory _name,
+        int256 _minTemperature,
+        int256 _maxTemperature,
+        uint32 _maxExcursionMinutes,
+        uint32 _maxExcursionDegrees
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256) {
+        return _registerTemperatureProfile(_name, _minTemperature, _maxTemperature, _maxExcursionMinutes, _maxExcursionDegrees);
+    }
+
+    /**
+     * @dev Enable or retire a temperature profile for new batches (admin only)
+     * Existing batches keep being checked against their profile either way
+     * @param _profileId The ID of the profile to update
+     * @param _active Whether createBatch may use the profile
+     */
+    function setTemperatureProfileActive(
+        uint256 _profileId,
+        bool _active
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) profileExists(_profileId) {
+        _temperatureProfiles[_profileId].active = _active;
+        emit TemperatureProfileStatusChanged(_profileId, _active);
+    }
+
+    /**
+     * @dev Restrict batch creation to PROCESSOR_ROLE holders, or open it to anyone (admin only)
+     * Splitting and merging stay open to batch owners either way
+     * @param _enabled Whether createBatch requires PROCESSOR_ROLE
+     */
+    function setProcessorAllowlistEnabled(bool _enabled) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        processorAllowlistEnabled = _enabled;
+        emit ProcessorAllowlistChanged(msg.sender, _enabled);
+    }
+
+    /**
+     * @dev Set the quorum contract oracle breaches are confirmed with, or zero to trust every oracle (admin only)
+     * @param _quorum The OracleQuorum contract
+     */
+    function setOracleQuorum(IOracleQuorum _quorum) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        oracleQuorum = _quorum;
+        emit OracleQuorumChanged(msg.sender, address(_quorum));
     }
 
     // ========== UTILITY FUNCTIONS ==========
 
     /**
-     * @dev Convert integer to string
-     * @param _i The integer to convert
-     * @return _uintAsString The string representation
+     * @dev Store a new batch owned by the caller
+     * @param _processor The processor the batch's product comes from; repacked batches keep their source's
+     * @return newBatchId The ID of the new batch
      */
-    function _intToString(int256 _i) internal pure returns (string memory _uintAsString) {
-        if (_i == 0) {
-            return "0";
+    function _newBatch(address _processor, uint256 _profileId, uint256 _quantity, string memory _unit) internal returns (uint256) {
+        _batchIds.increment();
+        uint256 newBatchId = _batchIds.current();
+
+        batches[newBatchId] = ProductBatch({
+            batchId: newBatchId,
+            creationTimestamp: uint64(block.timestamp),
+            processor: _processor,
+            isCompromised: false,
+            status: BatchStatus.CREATED,
+            profileId: uint16(_profileId),
+            currentOwner: msg.sender,
+            excursionStartedAt: 0,
+            isRepacked: false,
+            quantity: _quantity,
+            unit: _unit
+        });
+
+        return newBatchId;
+    }
+
+    /**
+     * @dev Carry a repacked batch's cold-chain state over to a batch made from it
+     * A compromised parent compromises the child, and the child's open excursion is
+     * the earliest one among its parents
+     * @param _child The batch made from _parent
+     * @param _parent The repacked batch
+     */
+    function _inheritState(ProductBatch storage _child, ProductBatch storage _parent) internal {
+        if (_parent.isCompromised) {
+            _child.isCompromised = true;
+            _child.status = BatchStatus.COMPROMISED;
         }
-        
-        bool negative = _i < 0;
-        uint256 j = uint256(negative ? -_i : _i);
-        uint256 len;
-        uint256 k = j;
-        
-        while (k != 0) {
-            len++;
-            k /= 10;
+
+        if (_parent.excursionStartedAt != 0 &&
+            (_child.excursionStartedAt == 0 || _parent.excursionStartedAt < _child.excursionStartedAt)) {
+            _child.excursionStartedAt = _parent.excursionStartedAt;
         }
-        
-        bytes memory bstr = new bytes(negative ? len + 1 : len);
-        uint256 l = negative ? len : len - 1;
-        
-        while (j != 0) {
-            bstr[l--] = bytes1(uint8(48 + j % 10));
-            j /= 10;
+    }
+
+    /**
+     * @dev Log a reading for a batch and compromise it if the reading exceeds the
+     * profile's tolerance; shared by addTraceEvent and acceptTransfer
+     */
+    function _recordTrace(
+        uint256 _batchId,
+        string memory _location,
+        int256 _temperature,
+        string memory _notes
+    ) internal {
+        // Check for an excursion beyond the profile's tolerance
+        bool exceedsTolerance = _trackExcursion(_batchId, _temperature, block.timestamp, _location);
+
+        emit TraceRecorded(
+            _batchId,
+            msg.sender,
+            keccak256(bytes(_location)),
+            block.timestamp,
+            _location,
+            _temperature,
+            _notes
+        );
+
+        // The owner's own readings count at once; an oracle's may need a quorum
+        if (exceedsTolerance && (msg.sender == batches[_batchId].currentOwner || _quorumConfirms(_batchId, _temperature, block.timestamp))) {
+            _compromiseForTemperature(_batchId, _temperature, block.timestamp);
         }
-        
-        if (negative) {
-            bstr[0] = "-";
+    }
+
+    /**
+     * @dev Move a batch to a terminal status, dropping any expired transfer proposal
+     * Emits BatchClosed
+     */
+    function _closeBatch(uint256 _batchId, BatchStatus _status, string memory _notes) internal {
+        require(!_hasLiveTransfer(_batchId), "Batch has a pending transfer");
+        delete _pendingTransfers[_batchId];
+
+        batches[_batchId].status = _status;
+        emit BatchClosed(_batchId, msg.sender, _status, block.timestamp, _notes);
+    }
+
+    /**
+     * @dev Whether a batch has been sold, disposed of or returned
+     */
+    function _isClosed(ProductBatch storage _batch) internal view returns (bool) {
+        return _batch.status >= BatchStatus.SOLD;
+    }
+
+    /**
+     * @dev Whether a batch has a proposed transfer its recipient can still accept
+     */
+    function _hasLiveTransfer(uint256 _batchId) internal view returns (bool) {
+        PendingTransfer storage pending = _pendingTransfers[_batchId];
+        return pending.to != address(0) && block.timestamp <= pending.expiresAt;
+    }
+
+    /**
+     * @dev Record that _childId was split or merged from _parentId and pass on the parent's quorum
+     */
+    function _linkBatches(uint256 _parentId, uint256 _childId) internal {
+        _parentBatchIds[_childId].push(_parentId);
+        _childBatchIds[_parentId].push(_childId);
+        if (address(oracleQuorum) != address(0)) {
+            oracleQuorum.inheritQuorum(_parentId, _childId);
         }
-        
-        return string(bstr);
+    }
+
+    function _registerTemperatureProfile(
+        string memory _name,
+        int256 _minTemperature,
+        int256 _maxTemperature,
+        uint32 _maxExcursionMinutes,
+        uint32 _maxExcursionDegrees
+    ) internal returns (uint256) {
+        require(bytes(_name).length > 0, "Profile name cannot be empty");
+        require(_minTemperature < _maxTemperature, "Minimum temperature must be below maximum");
+        require(_profileIds.current() < type(uint16).max, "Too many temperature profiles");
+
+        _profileIds.increment();
+        uint256 newProfileId = _profileIds.current();
+
+        _temperatureProfiles[newProfileId] = TemperatureProfile({
+            name: _name,
+            minTemperature: _minTemperature,
+            maxTemperature: _maxTemperature,
+            maxExcursionMinutes: _maxExcursionMinutes,
+            maxExcursionDegrees: _maxExcursionDegrees,
+            active: true
+        });
+
+        emit TemperatureProfileRegistered(
+            newProfileId,
+            _name,
+            _minTemperature,
+            _maxTemperature,
+            _maxExcursionMinutes,
+            _maxExcursionDegrees
+        );
+        return newProfileId;
     }
 
     /**
-     * @dev Convert address to string
-     * @param _addr The address to convert
-     * @return The string representation of the address
+     * @dev Check a reading against the batch's temperature profile
+     * @param _batch The batch the reading belongs to
+     * @param _temperature The reading in Celsius
+     * @return isBreach True when the reading is outside the profile's safe range
      */
-    function _addressToString(address _addr) internal pure returns (string memory) {
-        bytes32 value = bytes32(uint256(uint160(_addr)));
-        bytes memory alphabet = "0123456789abcdef";
+    function _isTemperatureBreach(ProductBatch storage _batch, int256 _temperature) internal view returns (bool) {
+        TemperatureProfile storage profile = _temperatureProfiles[_batch.profileId];
+        return _temperature < profile.minTemperature || _temperature > profile.maxTemperature;
+    }
 
-        bytes memory str = new bytes(42);
-        str[0] = "0";
-        str[1] = "x";
-        
-        for (uint256 i = 0; i < 20; i++) {
-            str[2+i*2] = alphabet[uint8(value[i + 12] >> 4)];
-            str[3+i*2] = alphabet[uint8(value[i + 12] & 0x0f)];
+    /**
+     * @dev Open, extend or close the batch's temperature excursion for a reading
+     * Emits TemperatureExcursion STARTED for the first out-of-range reading and
+     * ENDED for the first reading back in range
+     * @param _batchId The ID of the batch
+     * @param _temperature The reading in Celsius
+     * @param _timestamp When the reading was taken
+     * @param _location Where the reading was taken
+     * @return exceedsTolerance True when the excursion has lasted too long or the reading is too far out
+     */
+    function _trackExcursion(
+        uint256 _batchId,
+        int256 _temperature,
+        uint256 _timestamp,
+        string memory _location
+    ) internal returns (bool) {
+        ProductBatch storage batch = batches[_batchId];
+        TemperatureProfile storage profile = _temperatureProfiles[batch.profileId];
+        uint256 startedAt = batch.excursionStartedAt;
+
+        if (!_isTemperatureBreach(batch, _temperature)) {
+            if (startedAt != 0) {
+                batch.excursionStartedAt = 0;
+                emit TemperatureExcursion(
+                    _batchId,
+                    msg.sender,
+                    ExcursionPhase.ENDED,
+                    _timestamp,
+                    _location,
+                    _temperature,
+                    _elapsed(startedAt, _timestamp)
+                );
+            }
+            return false;
         }
-        
-        return string(str);
+
+        if (startedAt == 0) {
+            startedAt = _timestamp;
+            batch.excursionStartedAt = uint64(_timestamp);
+            emit TemperatureExcursion(
+                _batchId,
+                msg.sender,
+                ExcursionPhase.STARTED,
+                _timestamp,
+                _location,
+                _temperature,
+                0
+            );
+        }
+
+        uint256 deviation = uint256(_temperature > profile.maxTemperature
+            ? _temperature - profile.maxTemperature
+            : profile.minTemperature - _temperature);
+
+        return deviation > profile.maxExcursionDegrees ||
+            _elapsed(startedAt, _timestamp) > uint256(profile.maxExcursionMinutes) * 60;
+    }
+
+    /**
+     * @dev Mark a batch compromised by a reading beyond its profile's tolerance
+     * Emits Compromised with kind TEMPERATURE_BREACH
+     * @param _batchId The ID of the batch
+     * @param _temperature The offending reading in Celsius
+     * @param _timestamp When the reading was taken
+     */
+    function _compromiseForTemperature(uint256 _batchId, int256 _temperature, uint256 _timestamp) internal {
+        ProductBatch storage batch = batches[_batchId];
+        batch.isCompromised = true;
+        batch.status = BatchStatus.COMPROMISED;
+
+        emit Compromised(_batchId, msg.sender, CompromiseKind.TEMPERATURE_BREACH, _timestamp, _temperature, "");
+    }
+
+    /**
+     * @dev Seconds from _from to _to, or 0 for readings reported out of order
+     */
+    function _elapsed(uint256 _from, uint256 _to) internal pure returns (uint256) {
+        return _to > _from ? _to - _from : 0;
+    }
+
+    /**
+     * @dev Check an oracle's breach with the quorum contract, if one is set
+     * @return confirmed True when the breach may compromise the batch
+     */
+    function _quorumConfirms(uint256 _batchId, int256 _temperature, uint256 _timestamp) internal returns (bool) {
+        return address(oracleQuorum) == address(0) ||
+            oracleQuorum.reportBreach(_batchId, msg.sender, _temperature, _timestamp);
+    }
+
+    /**
+     * @dev Validate an oracle reading's timestamp against the batch's creation,
+     * the current block and the batch's last accepted oracle reading
+     * @param _batchId The ID of the batch
+     * @param _timestamp The sensor's timestamp for the reading
+     * @return rejection Why the reading must be skipped, NONE if it is valid
+     */
+    function _checkOracleTimestamp(uint256 _batchId, uint256 _timestamp) internal view returns (ReadingRejection) {
+        if (_timestamp < batches[_batchId].creationTimestamp) {
+            return ReadingRejection.BEFORE_CREATION;
+        }
+        if (_timestamp > block.timestamp + ORACLE_CLOCK_TOLERANCE) {
+            return ReadingRejection.IN_FUTURE;
+        }
+        if (_timestamp < lastOracleReadingAt[_batchId]) {
+            return ReadingRejection.OUT_OF_ORDER;
+        }
+        return ReadingRejection.NONE;
     }
 
     // ========== ORACLE INTEGRATION ==========
@@ -397,6 +1522,10 @@ contract Traceability is AccessControl {
     /**
      * @dev Function specifically designed for oracle integration
      * Allows authorized oracles to submit multiple readings at once
+     * Readings timestamped before the batch's creation, more than ORACLE_CLOCK_TOLERANCE
+     * in the future or before the batch's last accepted oracle reading are skipped
+     * Emits OracleReading per accepted reading, with TemperatureExcursion and Compromised
+     * as in addTraceEvent, and OracleReadingRejected per skipped reading
      * @param _batchId The ID of the batch
      * @param _readings Array of temperature readings
      * @param _locations Array of corresponding locations
@@ -407,30 +1536,36 @@ contract Traceability is AccessControl {
         int256[] memory _readings,
         string[] memory _locations,
         uint256[] memory _timestamps
-    ) public onlyRole(ORACLE_ROLE) batchExists(_batchId) {
+    ) public onlyRole(ORACLE_ROLE) batchExists(_batchId) notRepacked(_batchId) notClosed(_batchId) {
         require(
             _readings.length == _locations.length && _locations.length == _timestamps.length,
             "Array lengths must match"
         );
         require(_readings.length > 0, "Must provide at least one reading");
 
-        ProductBatch storage batch = batches[_batchId];
-
         for (uint256 i = 0; i < _readings.length; i++) {
-            // Check for temperature breach
-            if (_readings[i] > SAFE_TEMPERATURE_THRESHOLD && !batch.isCompromised) {
-                batch.isCompromised = true;
-                batch.status = BatchStatus.COMPROMISED;
+            ReadingRejection rejection = _checkOracleTimestamp(_batchId, _timestamps[i]);
+            if (rejection != ReadingRejection.NONE) {
+                emit OracleReadingRejected(_batchId, msg.sender, rejection, _timestamps[i], _locations[i], _readings[i]);
+                continue;
             }
+            lastOracleReadingAt[_batchId] = _timestamps[i];
 
-            emit BatchEventLog(
+            // Check for an excursion beyond tolerance, timed by the sensor's own timestamps
+            bool exceedsTolerance = _trackExcursion(_batchId, _readings[i], _timestamps[i], _locations[i]);
+
+            emit OracleReading(
                 _batchId,
                 msg.sender,
+                keccak256(bytes(_locations[i])),
                 _timestamps[i],
-                batch.isCompromised ? "COMPROMISED" : "ORACLE_UPDATE",
-                string(abi.encodePacked("Oracle reading at ", _locations[i])),
+                _locations[i],
                 _readings[i]
             );
+
+            if (exceedsTolerance && _quorumConfirms(_batchId, _readings[i], _timestamps[i])) {
+                _compromiseForTemperature(_batchId, _readings[i], _timestamps[i]);
+            }
         }
     }
 }
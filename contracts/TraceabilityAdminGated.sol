@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+
+/**
+ * @title TraceabilityAdminGated
+ * @dev Base for the contracts deployed next to a Traceability contract. Each
+ * lives outside Traceability to keep it under the contract size limit, and is
+ * managed by Traceability's own admins, so there is a single admin list to audit.
+ */
+abstract contract TraceabilityAdminGated {
+    // DEFAULT_ADMIN_ROLE of the Traceability contract
+    bytes32 internal constant ADMIN_ROLE = 0x00;
+
+    // Traceability contract whose admins manage this one
+    IAccessControl public immutable traceability;
+
+    modifier onlyTraceabilityAdmin() {
+        if (!traceability.hasRole(ADMIN_ROLE, msg.sender)) {
+            revert(string.concat("Only Traceability admins can manage ", _managedItems()));
+        }
+        _;
+    }
+
+    /**
+     * @param _traceability Address of the Traceability contract
+     */
+    constructor(address _traceability) {
+        require(_traceability != address(0), "Traceability address cannot be zero");
+        traceability = IAccessControl(_traceability);
+    }
+
+    /**
+     * @dev What the admins manage here, as named in the onlyTraceabilityAdmin revert message
+     */
+    function _managedItems() internal pure virtual returns (string memory);
+}
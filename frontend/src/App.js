@@ -1,18 +1,24 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { Container, Alert } from 'react-bootstrap';
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import './App.css';
 
-import { BlockchainProvider } from './utils/BlockchainContext';
+import { BlockchainProvider, useBlockchain } from './utils/BlockchainContext';
 import { RoleProvider } from './utils/RoleContext';
+import { ParticipantProvider } from './utils/ParticipantContext';
 import Navigation from './components/Navigation';
 import Dashboard from './components/Dashboard';
 import CreateBatch from './components/CreateBatch';
 import BatchDetails from './components/BatchDetails';
 import BatchHistory from './components/BatchHistory';
+import TransferBatch from './components/TransferBatch';
+import BatchLineage from './components/BatchLineage';
 import AdminPanel from './components/AdminPanel';
+import VerifyBatch from './components/VerifyBatch';
+import ScanBatch from './components/ScanBatch';
 
 /**
  * Main App Component
@@ -24,10 +30,12 @@ function App() {
     <div className="App">
       <BlockchainProvider>
         <RoleProvider>
+          <ParticipantProvider>
           <Router>
             <Navigation />
             
             <main className="main-content">
+            <RoleConfigAlert />
             <Routes>
               {/* Main Dashboard */}
               <Route path="/" element={<Dashboard />} />
@@ -36,6 +44,12 @@ function App() {
               <Route path="/create-batch" element={<CreateBatch />} />
               <Route path="/batch/:id" element={<BatchDetails />} />
               <Route path="/batch/:id/history" element={<BatchHistory />} />
+              <Route path="/batch/:id/transfer" element={<TransferBatch />} />
+              <Route path="/batch/:id/lineage" element={<BatchLineage />} />
+              
+              {/* Public verification (no wallet required) */}
+              <Route path="/verify/:id" element={<VerifyBatch />} />
+              <Route path="/scan" element={<ScanBatch />} />
               
               {/* Administration */}
               <Route path="/admin" element={<AdminPanel />} />
@@ -59,12 +73,36 @@ function App() {
             theme="light"
           />
         </Router>
+          </ParticipantProvider>
       </RoleProvider>
       </BlockchainProvider>
     </div>
   );
 }
 
+/**
+ * Role Configuration Alert
+ *
+ * Shown when the deployed contract's role identifiers disagree with the
+ * frontend, which means role checks and grants would target the wrong roles
+ */
+const RoleConfigAlert = () => {
+  const { roleConfigError } = useBlockchain();
+
+  if (!roleConfigError) {
+    return null;
+  }
+
+  return (
+    <Container className="pt-3">
+      <Alert variant="danger" className="mb-0">
+        <Alert.Heading className="h6">Contract Configuration Error</Alert.Heading>
+        <small>{roleConfigError}</small>
+      </Alert>
+    </Container>
+  );
+};
+
 /**
  * 404 Not Found Component
  */
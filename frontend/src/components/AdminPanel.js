@@ -1,35 +1,55 @@
 // frontend/src/components/AdminPanel.js
 import React, { useState, useEffect, useCallback } from 'react';
-import { Container, Row, Col, Card, Table, Button, Badge, Alert, Form, Modal, Spinner } from 'react-bootstrap';
+import { Container, Row, Col, Card, Table, Button, Badge, Alert, Form, Modal, Spinner, Tabs, Tab } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
-import { useBlockchain } from '../utils/BlockchainContext';
+import { useBlockchain, useRoleEvents } from '../utils/BlockchainContext';
 import { useRole } from '../utils/RoleContext';
-import { grantRole, revokeRole, getAllBatches, getAdminInfo } from '../utils/blockchain-clean';
+import { useBatchPages, useBatchStats } from '../utils/useBatchPages';
+import { grantRole, revokeRole, getAdminInfo, setProcessorAllowlistEnabled, getTemperatureColor, getStatusText, getStatusBadgeClass } from '../utils/blockchain-clean';
+import TemperatureProfiles from './TemperatureProfiles';
+import Recalls from './Recalls';
+import OracleQuorum from './OracleQuorum';
+import RoleDirectory from './RoleDirectory';
+import ParticipantName from './ParticipantName';
+import Participants, { ParticipantFields, EMPTY_PARTICIPANT } from './Participants';
+import { useParticipants } from '../utils/ParticipantContext';
 import { toast } from 'react-toastify';
 
 /**
  * Admin Panel Component
  * 
- * Administrative interface for role management and system overview
+ * Administrative interface for role management and system overview, with
+ * product recalls on their own tab
  */
 const AdminPanel = () => {
   const navigate = useNavigate();
   const { contract, account } = useBlockchain();
-  const { canViewAdmin, roleLabel } = useRole();
+  const { canViewAdmin, roleLabel, isDemoMode } = useRole();
   
-  const [allBatches, setAllBatches] = useState([]);
+  const {
+    batches,
+    total,
+    hasMore,
+    loadingMore,
+    loadMore,
+    reload: reloadBatches
+  } = useBatchPages(contract);
+  const { stats, refresh: refreshStats } = useBatchStats(contract, account);
   const [loading, setLoading] = useState(true);
   const [showRoleModal, setShowRoleModal] = useState(false);
   const [roleAction, setRoleAction] = useState({ type: '', address: '', role: '' });
   const [isProcessing, setIsProcessing] = useState(false);
   const [adminInfo, setAdminInfo] = useState(null);
+  const [participant, setParticipant] = useState(EMPTY_PARTICIPANT);
+  const { reload: reloadParticipants } = useParticipants();
 
   // Role mappings
   const roles = {
     'ADMIN_ROLE': { name: 'Administrator', color: 'danger' },
     'PROCESSOR_ROLE': { name: 'Processor', color: 'primary' },
     'DISTRIBUTOR_ROLE': { name: 'Distributor', color: 'info' },
-    'RETAILER_ROLE': { name: 'Retailer', color: 'warning' }
+    'RETAILER_ROLE': { name: 'Retailer', color: 'warning' },
+    'ORACLE_ROLE': { name: 'Oracle', color: 'secondary' }
   };
 
   const loadAdminData = useCallback(async () => {
@@ -40,10 +60,6 @@ const AdminPanel = () => {
       const adminData = await getAdminInfo(contract);
       setAdminInfo(adminData);
       
-      // Load all batches for overview
-      const batches = await getAllBatches(contract);
-      setAllBatches(batches);
-      
     } catch (error) {
       console.error('Error loading admin data:', error);
       toast.error('Failed to load admin data');
@@ -58,13 +74,24 @@ const AdminPanel = () => {
     }
   }, [contract, canViewAdmin, loadAdminData]);
 
+  // Role grants and revocations by any admin change the admin status shown
+  useRoleEvents(() => {
+    if (contract && canViewAdmin()) {
+      loadAdminData();
+    }
+  });
+
   // Check admin access - render after hooks
   if (!canViewAdmin()) {
     return (
       <Container className="py-4">
         <Alert variant="warning">
           <h5>Access Restricted</h5>
-          <p>Your current role ({roleLabel}) cannot access the admin panel. Switch to Admin role.</p>
+          {isDemoMode ? (
+            <p>Your current demo role ({roleLabel}) cannot access the admin panel. Switch to Admin role.</p>
+          ) : (
+            <p>Your account ({roleLabel}) does not hold DEFAULT_ADMIN_ROLE on-chain.</p>
+          )}
           <Button variant="outline-primary" onClick={() => navigate('/')}>
             Back to Dashboard
           </Button>
@@ -84,7 +111,14 @@ const AdminPanel = () => {
       
       let result;
       if (roleAction.type === 'grant') {
-        result = await grantRole(contract, roleAction.role, roleAction.address);
+        const details = participant.organization.trim() ? participant : null;
+        result = await grantRole(contract, roleAction.role, roleAction.address, details);
+        if (details) {
+          if (result.participantError) {
+            toast.warning(`Role granted, but the participant was not registered: ${result.participantError}`);
+          }
+          reloadParticipants();
+        }
       } else {
         result = await revokeRole(contract, roleAction.role, roleAction.address);
       }
@@ -119,8 +153,23 @@ const AdminPanel = () => {
     }
   };
 
+  const handleAllowlistToggle = async (enabled) => {
+    try {
+      setIsProcessing(true);
+      await setProcessorAllowlistEnabled(contract, enabled);
+      toast.success(enabled ? 'Batch creation restricted to processors' : 'Batch creation opened to all accounts');
+      await loadAdminData();
+    } catch (error) {
+      console.error('Error updating processor allowlist:', error);
+      toast.error(error.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
   const openRoleModal = (type) => {
     setRoleAction({ type, address: '', role: '' });
+    setParticipant(EMPTY_PARTICIPANT);
     setShowRoleModal(true);
   };
 
@@ -128,33 +177,16 @@ const AdminPanel = () => {
     return new Date(Number(timestamp) * 1000).toLocaleDateString();
   };
 
-  const getStatusBadge = (status) => {
-    const statusMap = {
-      0: { variant: 'primary', text: 'Created' },
-      1: { variant: 'info', text: 'In Transit' },
-      2: { variant: 'warning', text: 'At Distributor' },
-      3: { variant: 'success', text: 'At Retailer' },
-      4: { variant: 'danger', text: 'Compromised' }
-    };
-    
-    const statusInfo = statusMap[status] || { variant: 'secondary', text: 'Unknown' };
-    return <Badge bg={statusInfo.variant}>{statusInfo.text}</Badge>;
-  };
+  const getStatusBadge = (status) => (
+    <Badge bg={getStatusBadgeClass(status)}>{getStatusText(status)}</Badge>
+  );
 
-  const getSystemStats = () => {
-    const stats = {
-      totalBatches: allBatches.length,
-      activeBatches: allBatches.filter(b => b.status !== 4).length,
-      compromisedBatches: allBatches.filter(b => b.status === 4).length,
-      recentBatches: allBatches.filter(b => 
-        (Date.now() / 1000) - Number(b.timestamp) < 86400 * 7
-      ).length
-    };
-    return stats;
+  const refreshAll = () => {
+    loadAdminData();
+    reloadBatches();
+    refreshStats();
   };
 
-  const stats = getSystemStats();
-
   if (loading) {
     return (
       <Container className="py-4 text-center">
@@ -205,7 +237,7 @@ const AdminPanel = () => {
         <Col md={3}>
           <Card className="text-center">
             <Card.Body>
-              <h3 className="text-primary">{stats.totalBatches}</h3>
+              <h3 className="text-primary">{total}</h3>
               <p className="mb-0">Total Batches</p>
             </Card.Body>
           </Card>
@@ -213,7 +245,7 @@ const AdminPanel = () => {
         <Col md={3}>
           <Card className="text-center">
             <Card.Body>
-              <h3 className="text-success">{stats.activeBatches}</h3>
+              <h3 className="text-success">{stats.loadedBatches - stats.compromisedBatches}</h3>
               <p className="mb-0">Active Batches</p>
             </Card.Body>
           </Card>
@@ -236,154 +268,207 @@ const AdminPanel = () => {
         </Col>
       </Row>
 
-      <Row>
-        <Col lg={8}>
-          {/* All Batches Overview */}
-          <Card className="mb-4">
-            <Card.Header className="d-flex justify-content-between align-items-center">
-              <h5 className="mb-0">System Batches Overview</h5>
-              <Badge bg="secondary">{allBatches.length} Total</Badge>
-            </Card.Header>
-            <Card.Body>
-              {allBatches.length === 0 ? (
-                <Alert variant="info">
-                  No batches in the system yet.
-                </Alert>
-              ) : (
-                <Table responsive striped hover>
-                  <thead>
-                    <tr>
-                      <th>Batch #</th>
-                      <th>Product</th>
-                      <th>Status</th>
-                      <th>Owner</th>
-                      <th>Created</th>
-                      <th>Temperature</th>
-                      <th>Actions</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {allBatches.slice(0, 10).map((batch) => (
-                      <tr key={batch.id}>
-                        <td><strong>#{batch.id}</strong></td>
-                        <td>{batch.productName}</td>
-                        <td>{getStatusBadge(batch.status)}</td>
-                        <td>
-                          <code className="small">
-                            {batch.currentOwner.slice(0, 6)}...{batch.currentOwner.slice(-4)}
-                          </code>
-                        </td>
-                        <td>{formatTimestamp(batch.timestamp)}</td>
-                        <td>
-                          <Badge bg={batch.temperature > -10 ? 'danger' : 'success'}>
-                            {batch.temperature}°C
-                          </Badge>
-                        </td>
-                        <td>
-                          <Button
-                            variant="outline-primary"
-                            size="sm"
-                            onClick={() => navigate(`/batch/${batch.id}`)}
-                          >
-                            View
-                          </Button>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </Table>
-              )}
+      <Tabs defaultActiveKey="overview" className="mb-4" mountOnEnter>
+        <Tab eventKey="overview" title="Overview">
+          <Row>
+            <Col lg={8}>
+              {/* All Batches Overview */}
+              <Card className="mb-4">
+                <Card.Header className="d-flex justify-content-between align-items-center">
+                  <h5 className="mb-0">System Batches Overview</h5>
+                  <Badge bg="secondary">{batches.length} of {total} Shown</Badge>
+                </Card.Header>
+                <Card.Body>
+                  {batches.length === 0 ? (
+                    <Alert variant="info">
+                      No batches in the system yet.
+                    </Alert>
+                  ) : (
+                    <Table responsive striped hover>
+                      <thead>
+                        <tr>
+                          <th>Batch #</th>
+                          <th>Product</th>
+                          <th>Status</th>
+                          <th>Owner</th>
+                          <th>Created</th>
+                          <th>Temperature</th>
+                          <th>Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {batches.map((batch) => (
+                          <tr key={batch.batchId}>
+                            <td><strong>#{batch.batchId}</strong></td>
+                            <td>{batch.productName || '-'}</td>
+                            <td>{getStatusBadge(batch.status)}</td>
+                            <td>
+                              <small><ParticipantName address={batch.currentOwner} /></small>
+                            </td>
+                            <td>{formatTimestamp(batch.creationTimestamp)}</td>
+                            <td>
+                              {batch.temperature === null ? '-' : (
+                                <Badge bg={getTemperatureColor(batch.temperature, batch.temperatureProfile)}>
+                                  {batch.temperature}°C
+                                </Badge>
+                              )}
+                            </td>
+                            <td>
+                              <Button
+                                variant="outline-primary"
+                                size="sm"
+                                onClick={() => navigate(`/batch/${batch.batchId}`)}
+                              >
+                                View
+                              </Button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  )}
               
-              {allBatches.length > 10 && (
-                <div className="text-center mt-3">
-                  <Alert variant="info">
-                    Showing first 10 batches. Use the dashboard search for specific batches.
-                  </Alert>
-                </div>
-              )}
-            </Card.Body>
-          </Card>
-        </Col>
+                  {hasMore && (
+                    <div className="text-center mt-3">
+                      <Button variant="outline-secondary" size="sm" onClick={loadMore} disabled={loadingMore}>
+                        {loadingMore ? 'Loading...' : 'Load More Batches'}
+                      </Button>
+                    </div>
+                  )}
+                </Card.Body>
+              </Card>
 
-        <Col lg={4}>
-          {/* Role Management */}
-          <Card className="mb-4">
-            <Card.Header>
-              <h5 className="mb-0">Role Management</h5>
-            </Card.Header>
-            <Card.Body>
-              {adminInfo && !adminInfo.currentUserIsAdmin && (
-                <Alert variant="info" className="mb-3">
-                  <small>Role management requires admin privileges. Please connect with the deployer account to manage roles.</small>
-                </Alert>
-              )}
-              <div className="d-grid gap-2">
-                <Button
-                  variant="success"
-                  onClick={() => openRoleModal('grant')}
-                  disabled={isProcessing || (adminInfo && !adminInfo.currentUserIsAdmin)}
-                >
-                  Grant Role
-                </Button>
-                <Button
-                  variant="danger"
-                  onClick={() => openRoleModal('revoke')}
-                  disabled={isProcessing || (adminInfo && !adminInfo.currentUserIsAdmin)}
-                >
-                  Revoke Role
-                </Button>
-              </div>
-
-              <hr />
-
-              <h6>Available Roles:</h6>
-              <div className="d-flex flex-column gap-2">
-                {Object.entries(roles).map(([roleKey, roleInfo]) => (
-                  <div key={roleKey} className="d-flex align-items-center">
-                    <Badge bg={roleInfo.color} className="me-2">
-                      {roleInfo.name}
-                    </Badge>
-                    <small className="text-muted">{roleKey}</small>
+              <TemperatureProfiles
+                contract={contract}
+                canManage={Boolean(adminInfo && adminInfo.currentUserIsAdmin)}
+              />
+            </Col>
+
+            <Col lg={4}>
+              {/* Role Management */}
+              <Card className="mb-4">
+                <Card.Header>
+                  <h5 className="mb-0">Role Management</h5>
+                </Card.Header>
+                <Card.Body>
+                  {adminInfo && !adminInfo.currentUserIsAdmin && (
+                    <Alert variant="info" className="mb-3">
+                      <small>Role management requires admin privileges. Please connect with the deployer account to manage roles.</small>
+                    </Alert>
+                  )}
+                  <div className="d-grid gap-2">
+                    <Button
+                      variant="success"
+                      onClick={() => openRoleModal('grant')}
+                      disabled={isProcessing || (adminInfo && !adminInfo.currentUserIsAdmin)}
+                    >
+                      Grant Role
+                    </Button>
+                    <Button
+                      variant="danger"
+                      onClick={() => openRoleModal('revoke')}
+                      disabled={isProcessing || (adminInfo && !adminInfo.currentUserIsAdmin)}
+                    >
+                      Revoke Role
+                    </Button>
                   </div>
-                ))}
-              </div>
-            </Card.Body>
-          </Card>
 
-          {/* System Information */}
-          <Card>
-            <Card.Header>
-              <h6 className="mb-0">System Information</h6>
-            </Card.Header>
-            <Card.Body>
-              <p className="mb-2">
-                <strong>Contract Address:</strong><br />
-                <code className="small">{contract?.address || 'Not available'}</code>
-              </p>
-              <p className="mb-2">
-                <strong>Your Address:</strong><br />
-                <code className="small">{account}</code>
-              </p>
-              <p className="mb-0">
-                <strong>Network:</strong> Local Development
-              </p>
+                  <hr />
+
+                  <Form.Check
+                    type="switch"
+                    id="processor-allowlist"
+                    label="Only processors can create batches"
+                    checked={Boolean(adminInfo && adminInfo.processorAllowlistEnabled)}
+                    onChange={(e) => handleAllowlistToggle(e.target.checked)}
+                    disabled={isProcessing || !adminInfo || !adminInfo.currentUserIsAdmin}
+                  />
+                  <Form.Text className="text-muted">
+                    When off, any account can create batches. Splitting and merging stay open to batch owners either way.
+                  </Form.Text>
+
+                  <hr />
+
+                  <h6>Available Roles:</h6>
+                  <div className="d-flex flex-column gap-2">
+                    {Object.entries(roles).map(([roleKey, roleInfo]) => (
+                      <div key={roleKey} className="d-flex align-items-center">
+                        <Badge bg={roleInfo.color} className="me-2">
+                          {roleInfo.name}
+                        </Badge>
+                        <small className="text-muted">{roleKey}</small>
+                      </div>
+                    ))}
+                  </div>
+                </Card.Body>
+              </Card>
+
+              {/* System Information */}
+              <Card>
+                <Card.Header>
+                  <h6 className="mb-0">System Information</h6>
+                </Card.Header>
+                <Card.Body>
+                  <p className="mb-2">
+                    <strong>Contract Address:</strong><br />
+                    <code className="small">{contract?.address || 'Not available'}</code>
+                  </p>
+                  <p className="mb-2">
+                    <strong>Your Address:</strong><br />
+                    <code className="small">{account}</code>
+                  </p>
+                  <p className="mb-0">
+                    <strong>Network:</strong> Local Development
+                  </p>
               
-              <hr />
+                  <hr />
               
-              <div className="text-center">
-                <Button
-                  variant="outline-info"
-                  size="sm"
-                  onClick={loadAdminData}
-                  disabled={loading}
-                >
-                  {loading ? 'Refreshing...' : 'Refresh Data'}
-                </Button>
-              </div>
-            </Card.Body>
-          </Card>
-        </Col>
-      </Row>
+                  <div className="text-center">
+                    <Button
+                      variant="outline-info"
+                      size="sm"
+                      onClick={refreshAll}
+                      disabled={loading}
+                    >
+                      {loading ? 'Refreshing...' : 'Refresh Data'}
+                    </Button>
+                  </div>
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+        </Tab>
+
+        <Tab eventKey="roles" title="Role Directory">
+          <RoleDirectory
+            contract={contract}
+            account={account}
+            roles={roles}
+            canManage={Boolean(adminInfo && adminInfo.currentUserIsAdmin)}
+          />
+        </Tab>
+
+        <Tab eventKey="participants" title="Participants">
+          <Participants
+            contract={contract}
+            canManage={Boolean(adminInfo && adminInfo.currentUserIsAdmin)}
+          />
+        </Tab>
+
+        <Tab eventKey="recalls" title="Recalls">
+          <Recalls
+            contract={contract}
+            canManage={Boolean(adminInfo && adminInfo.currentUserIsAdmin)}
+          />
+        </Tab>
+
+        <Tab eventKey="oracles" title="Oracle Quorum">
+          <OracleQuorum
+            contract={contract}
+            canManage={Boolean(adminInfo && adminInfo.currentUserIsAdmin)}
+          />
+        </Tab>
+      </Tabs>
 
       {/* Role Management Modal */}
       <Modal show={showRoleModal} onHide={() => setShowRoleModal(false)}>
@@ -423,6 +508,21 @@ const AdminPanel = () => {
                 ))}
               </Form.Select>
             </Form.Group>
+
+            {roleAction.type === 'grant' && (
+              <>
+                <hr />
+                <h6>Participant (optional)</h6>
+                <Form.Text className="text-muted d-block mb-2">
+                  Fill in an organization to register the holder in the participant registry in the same step
+                </Form.Text>
+                <ParticipantFields
+                  value={participant}
+                  onChange={setParticipant}
+                  disabled={isProcessing}
+                />
+              </>
+            )}
           </Form>
         </Modal.Body>
         <Modal.Footer>
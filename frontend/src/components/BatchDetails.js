@@ -2,9 +2,23 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Container, Row, Col, Card, Badge, Table, Button, Alert, Spinner } from 'react-bootstrap';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useBlockchain } from '../utils/BlockchainContext';
-import { useRole } from '../utils/RoleContext';
-import { getBatchDetails, updateTemperature } from '../utils/blockchain-clean';
+import { useBlockchain, useBatchEvents } from '../utils/BlockchainContext';
+import {
+  getBatchDetails,
+  getBatchRecall,
+  acknowledgeRecall,
+  getPendingTransfer,
+  updateTemperature,
+  getTemperatureColor,
+  formatTemperatureRange,
+  getStatusText,
+  getStatusBadgeClass,
+  isBatchClosed
+} from '../utils/blockchain-clean';
+import BatchQrLabel from './BatchQrLabel';
+import RepackBatch from './RepackBatch';
+import CloseBatch from './CloseBatch';
+import ParticipantName from './ParticipantName';
 import { toast } from 'react-toastify';
 
 /**
@@ -15,20 +29,28 @@ import { toast } from 'react-toastify';
 const BatchDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { contract, account } = useBlockchain();
-  const { isAdmin } = useRole();
+  const { contract, account, userRoles } = useBlockchain();
   
   const [batch, setBatch] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [newTemperature, setNewTemperature] = useState('');
+  const [readingLocation, setReadingLocation] = useState('');
+  const [readingNotes, setReadingNotes] = useState('');
   const [isUpdatingTemp, setIsUpdatingTemp] = useState(false);
+  const [showLabel, setShowLabel] = useState(false);
+  const [recall, setRecall] = useState(null);
+  const [isAcknowledging, setIsAcknowledging] = useState(false);
+  const [pendingTransfer, setPendingTransfer] = useState(null);
 
-  const loadBatchDetails = useCallback(async () => {
+  // Background reloads (live events) keep the current view instead of a spinner
+  const loadBatchDetails = useCallback(async ({ background = false } = {}) => {
     try {
-      setLoading(true);
+      if (!background) setLoading(true);
       const batchData = await getBatchDetails(contract, id);
       setBatch(batchData);
+      setRecall(await getBatchRecall(contract, id));
+      setPendingTransfer(await getPendingTransfer(contract, id));
     } catch (error) {
       console.error('Error loading batch details:', error);
       setError(error.message);
@@ -41,37 +63,39 @@ const BatchDetails = () => {
     loadBatchDetails();
   }, [loadBatchDetails]);
 
-  // Transfer functionality (for future use)
-  // const handleTransfer = async (newOwner, newRole) => {
-  //   try {
-  //     setIsTransferring(true);
-  //     const result = await transferBatch(contract, id, newOwner, newRole);
-      
-  //     if (result.success) {
-  //       toast.success('Batch transferred successfully!');
-  //       loadBatchDetails(); // Reload to show updated data
-  //     }
-  //   } catch (error) {
-  //     console.error('Error transferring batch:', error);
-  //     toast.error('Failed to transfer batch: ' + error.message);
-  //   } finally {
-  //     setIsTransferring(false);
-  //   }
-  // };
+  useBatchEvents(() => {
+    loadBatchDetails({ background: true });
+  }, id);
 
   const handleTemperatureUpdate = async () => {
-    if (!newTemperature || isNaN(parseFloat(newTemperature))) {
-      toast.error('Please enter a valid temperature');
+    const temperature = Number(newTemperature);
+    if (newTemperature === '' || !Number.isInteger(temperature)) {
+      toast.error('Please enter a whole-degree temperature');
+      return;
+    }
+
+    if (!readingLocation.trim()) {
+      toast.error('Please enter the location of the reading');
       return;
     }
 
     try {
       setIsUpdatingTemp(true);
-      const result = await updateTemperature(contract, id, parseFloat(newTemperature));
+      const result = await updateTemperature(contract, id, temperature, readingLocation, readingNotes);
       
       if (result.success) {
-        toast.success('Temperature updated successfully!');
+        const { temperatureProfile } = batch;
+        if (result.isCompromised) {
+          toast.error(`Temperature breach recorded: ${temperature}°C is outside ${formatTemperatureRange(temperatureProfile)} beyond the allowed excursion. Batch marked COMPROMISED.`);
+        } else if (result.excursion === 'STARTED') {
+          toast.warning(`Excursion started: ${temperature}°C is outside ${formatTemperatureRange(temperatureProfile)}. The batch is compromised if it stays out of range for over ${temperatureProfile.maxExcursionMinutes} min.`);
+        } else if (result.excursion === 'ENDED') {
+          toast.success(`Temperature back in range at ${temperature}°C. Excursion ended.`);
+        } else {
+          toast.success(`Temperature reading of ${temperature}°C recorded (${result.eventType || 'UPDATE'})`);
+        }
         setNewTemperature('');
+        setReadingNotes('');
         loadBatchDetails();
       }
     } catch (error) {
@@ -82,36 +106,43 @@ const BatchDetails = () => {
     }
   };
 
+  const handleAcknowledgeRecall = async () => {
+    try {
+      setIsAcknowledging(true);
+      await acknowledgeRecall(contract, id);
+      toast.success(`Recall notice for batch #${id} acknowledged`);
+      loadBatchDetails({ background: true });
+    } catch (error) {
+      console.error('Error acknowledging recall:', error);
+      toast.error(error.message);
+    } finally {
+      setIsAcknowledging(false);
+    }
+  };
+
   const formatTimestamp = (timestamp) => {
     return new Date(Number(timestamp) * 1000).toLocaleString();
   };
 
-  const getStatusBadge = (status) => {
-    const statusMap = {
-      0: { variant: 'primary', text: 'Created' },
-      1: { variant: 'info', text: 'In Transit' },
-      2: { variant: 'warning', text: 'At Distributor' },
-      3: { variant: 'success', text: 'At Retailer' },
-      4: { variant: 'danger', text: 'Compromised' }
-    };
-    
-    const statusInfo = statusMap[status] || { variant: 'secondary', text: 'Unknown' };
-    return <Badge bg={statusInfo.variant}>{statusInfo.text}</Badge>;
-  };
+  const getStatusBadge = (status) => (
+    <Badge bg={getStatusBadgeClass(status)}>{getStatusText(status)}</Badge>
+  );
 
-  const getTemperatureColor = (temp) => {
-    if (temp > -10) return 'danger';
-    if (temp > -15) return 'warning';
-    return 'success';
+  const canUserModify = () => {
+    return batch && account && batch.currentOwner &&
+      batch.currentOwner.toLowerCase() === account.toLowerCase();
   };
 
-  const canUserModify = () => {
-    return batch && account && batch.currentOwner && (
-      batch.currentOwner.toLowerCase() === account.toLowerCase() ||
-      isAdmin()
-    );
+  // Repacked and closed batches only remain for their history
+  const isActive = () => !batch.isRepacked && !isBatchClosed(batch.status);
+
+  // addTraceEvent accepts the current owner or any ORACLE_ROLE holder
+  const canRecordTemperature = () => {
+    return isActive() && (canUserModify() || (account && userRoles.isOracle));
   };
 
+  const hasOpenTransfer = pendingTransfer && !pendingTransfer.isExpired;
+
   if (loading) {
     return (
       <Container className="py-4 text-center">
@@ -155,11 +186,45 @@ const BatchDetails = () => {
     <Container className="py-4">
       <div className="d-flex justify-content-between align-items-center mb-4">
         <h2>Batch #{id}</h2>
-        <Button variant="outline-secondary" onClick={() => navigate('/')}>
-          Back to Dashboard
-        </Button>
+        <div>
+          <Button variant="outline-primary" className="me-2" onClick={() => setShowLabel(true)}>
+            QR Label
+          </Button>
+          <Button variant="outline-primary" className="me-2" onClick={() => navigate(`/batch/${id}/lineage`)}>
+            Lineage
+          </Button>
+          <Button variant="outline-secondary" onClick={() => navigate('/')}>
+            Back to Dashboard
+          </Button>
+        </div>
       </div>
 
+      <BatchQrLabel
+        show={showLabel}
+        onHide={() => setShowLabel(false)}
+        batchId={batch.batchId}
+        productName={batch.productName}
+      />
+
+      {recall && (
+        <Alert variant="danger" className="d-flex justify-content-between align-items-center">
+          <div>
+            <strong>Recall #{recall.recallId}:</strong> {recall.reason}
+            <div className="small">
+              Issued {formatTimestamp(recall.issuedAt)}.{' '}
+              {recall.acknowledgedAt
+                ? <>Acknowledged by <code>{recall.acknowledgedBy}</code> on {formatTimestamp(recall.acknowledgedAt)}.</>
+                : 'The current owner has not acknowledged the notice yet.'}
+            </div>
+          </div>
+          {!recall.acknowledgedAt && canUserModify() && (
+            <Button variant="danger" onClick={handleAcknowledgeRecall} disabled={isAcknowledging}>
+              {isAcknowledging ? 'Acknowledging...' : 'Acknowledge Recall'}
+            </Button>
+          )}
+        </Alert>
+      )}
+
       <Row>
         <Col lg={8}>
           {/* Basic Information */}
@@ -173,12 +238,18 @@ const BatchDetails = () => {
                   <p><strong>Product:</strong> {batch.productName}</p>
                   <p><strong>Status:</strong> {getStatusBadge(batch.status)}</p>
                   <p><strong>Created:</strong> {formatTimestamp(batch.timestamp)}</p>
+                  <p>
+                    <strong>Temperature Profile:</strong> {batch.temperatureProfile.name}
+                    <small className="text-muted ms-2">({formatTemperatureRange(batch.temperatureProfile)})</small>
+                  </p>
                 </Col>
                 <Col md={6}>
-                  <p><strong>Current Owner:</strong> <code>{batch.currentOwner}</code></p>
+                  <p><strong>Processor:</strong> <ParticipantName address={batch.processor} full /></p>
+                  <p><strong>Current Owner:</strong> <ParticipantName address={batch.currentOwner} full /></p>
+                  <p><strong>Quantity:</strong> {batch.quantity} {batch.unit}</p>
                   <p>
                     <strong>Temperature:</strong> 
-                    <Badge bg={getTemperatureColor(batch.temperature)} className="ms-2">
+                    <Badge bg={getTemperatureColor(batch.temperature, batch.temperatureProfile)} className="ms-2">
                       {batch.temperature}°C
                     </Badge>
                   </p>
@@ -186,6 +257,28 @@ const BatchDetails = () => {
                 </Col>
               </Row>
               
+              {batch.isRepacked && (
+                <Alert variant="secondary" className="mt-3 mb-0">
+                  <strong>Repacked.</strong> This batch was split or merged into new batches and takes no further readings or transfers.{' '}
+                  <Alert.Link onClick={() => navigate(`/batch/${id}/lineage`)}>See where its product went.</Alert.Link>
+                </Alert>
+              )}
+
+              {isBatchClosed(batch.status) && (
+                <Alert variant="secondary" className="mt-3 mb-0">
+                  <strong>Closed as {getStatusText(batch.status)}.</strong> This batch takes no further readings or transfers.{' '}
+                  <Alert.Link onClick={() => navigate(`/batch/${id}/history`)}>See its full history.</Alert.Link>
+                </Alert>
+              )}
+
+              {batch.excursionStartedAt && !batch.isCompromised && (
+                <Alert variant="warning" className="mt-3 mb-0">
+                  <strong>Temperature excursion in progress</strong> since {formatTimestamp(batch.excursionStartedAt)}.
+                  The batch is compromised if readings stay outside the safe range for over {batch.temperatureProfile.maxExcursionMinutes} min
+                  or go more than {batch.temperatureProfile.maxExcursionDegrees}°C outside it.
+                </Alert>
+              )}
+
               {batch.additionalDetails && (
                 <div className="mt-3">
                   <strong>Additional Details:</strong>
@@ -224,7 +317,7 @@ const BatchDetails = () => {
                           </Badge>
                         </td>
                         <td>
-                          <Badge bg={getTemperatureColor(transfer.temperature)}>
+                          <Badge bg={getTemperatureColor(transfer.temperature, batch.temperatureProfile)}>
                             {transfer.temperature}°C
                           </Badge>
                         </td>
@@ -243,12 +336,28 @@ const BatchDetails = () => {
 
         <Col lg={4}>
           {/* Temperature Update */}
-          {canUserModify() && (
+          {canRecordTemperature() && (
             <Card className="mb-4">
               <Card.Header>
                 <h6 className="mb-0">Update Temperature</h6>
               </Card.Header>
               <Card.Body>
+                <input
+                  type="text"
+                  className="form-control mb-2"
+                  placeholder="Location (e.g., Cold Room 3)"
+                  value={readingLocation}
+                  onChange={(e) => setReadingLocation(e.target.value)}
+                  disabled={isUpdatingTemp}
+                />
+                <input
+                  type="text"
+                  className="form-control mb-2"
+                  placeholder="Notes (optional)"
+                  value={readingNotes}
+                  onChange={(e) => setReadingNotes(e.target.value)}
+                  disabled={isUpdatingTemp}
+                />
                 <div className="input-group mb-3">
                   <input
                     type="number"
@@ -256,41 +365,49 @@ const BatchDetails = () => {
                     placeholder="Temperature (°C)"
                     value={newTemperature}
                     onChange={(e) => setNewTemperature(e.target.value)}
-                    step="0.1"
+                    step="1"
                     disabled={isUpdatingTemp}
                   />
                   <Button
                     variant="primary"
                     onClick={handleTemperatureUpdate}
-                    disabled={isUpdatingTemp || !newTemperature}
+                    disabled={isUpdatingTemp || !newTemperature || !readingLocation.trim()}
                   >
                     {isUpdatingTemp ? 'Updating...' : 'Update'}
                   </Button>
                 </div>
                 <small className="text-muted">
-                  Safe range: -18°C to -10°C
+                  Safe: {formatTemperatureRange(batch.temperatureProfile)} ({batch.temperatureProfile.name}).
+                  Excursions of up to {batch.temperatureProfile.maxExcursionMinutes} min and {batch.temperatureProfile.maxExcursionDegrees}°C
+                  out of range are tolerated; longer or larger ones mark the batch as compromised.
                 </small>
               </Card.Body>
             </Card>
           )}
 
           {/* Quick Transfer Actions */}
-          {canUserModify() && (
+          {canUserModify() && isActive() && (
             <Card className="mb-4">
               <Card.Header>
                 <h6 className="mb-0">Quick Transfer</h6>
               </Card.Header>
               <Card.Body>
+                {hasOpenTransfer && (
+                  <Alert variant="info" className="py-2">
+                    <small>
+                      Waiting for <ParticipantName address={pendingTransfer.to} /> to accept
+                      until {formatTimestamp(pendingTransfer.expiresAt)}.
+                    </small>
+                  </Alert>
+                )}
                 <div className="d-grid gap-2">
-                  {/* Transfer functionality temporarily disabled
                   <Button
                     variant="outline-info"
                     size="sm"
                     onClick={() => navigate(`/batch/${id}/transfer`)}
                   >
-                    Transfer to Next Stage
+                    {hasOpenTransfer ? 'Manage Pending Transfer' : 'Transfer to Next Stage'}
                   </Button>
-                  */}
                   <Button
                     variant="outline-secondary"
                     size="sm"
@@ -303,6 +420,21 @@ const BatchDetails = () => {
             </Card>
           )}
 
+          {/* The contract keeps batches whole, and open, while a transfer is pending */}
+          {canUserModify() && isActive() && !recall && !hasOpenTransfer && (
+            <RepackBatch contract={contract} batch={batch} />
+          )}
+
+          {!batch.isRepacked && !hasOpenTransfer && (
+            <CloseBatch
+              contract={contract}
+              batch={batch}
+              account={account}
+              userRoles={userRoles}
+              onClosed={() => loadBatchDetails({ background: true })}
+            />
+          )}
+
           {/* Batch Statistics */}
           <Card>
             <Card.Header>
@@ -315,7 +447,7 @@ const BatchDetails = () => {
                   <small className="text-muted">Transfers</small>
                 </div>
                 <div className="col-6">
-                  <h4 className={`text-${getTemperatureColor(batch.temperature)}`}>
+                  <h4 className={`text-${getTemperatureColor(batch.temperature, batch.temperatureProfile)}`}>
                     {batch.temperature}°C
                   </h4>
                   <small className="text-muted">Current Temp</small>
@@ -2,8 +2,10 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Container, Row, Col, Card, Badge, Alert, Spinner, Button } from 'react-bootstrap';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useBlockchain } from '../utils/BlockchainContext';
-import { getBatchHistory } from '../utils/blockchain-clean';
+import { useBlockchain, useBatchEvents } from '../utils/BlockchainContext';
+import { getBatchHistory, getTemperatureColor, formatTemperatureRange, getExcursionWindows } from '../utils/blockchain-clean';
+import { BATCH_STATUSES } from '../utils/config';
+import ParticipantName from './ParticipantName';
 
 /**
  * Batch History Component
@@ -20,9 +22,10 @@ const BatchHistory = () => {
   const [error, setError] = useState(null);
   const [batchInfo, setBatchInfo] = useState(null);
 
-  const loadBatchHistory = useCallback(async () => {
+  // Background reloads (live events) keep the current view instead of a spinner
+  const loadBatchHistory = useCallback(async ({ background = false } = {}) => {
     try {
-      setLoading(true);
+      if (!background) setLoading(true);
       const historyData = await getBatchHistory(contract, id);
       setHistory(historyData.events || []);
       setBatchInfo(historyData.batch);
@@ -38,19 +41,37 @@ const BatchHistory = () => {
     loadBatchHistory();
   }, [loadBatchHistory]);
 
+  useBatchEvents(() => {
+    loadBatchHistory({ background: true });
+  }, id);
+
   const formatTimestamp = (timestamp) => {
     return new Date(Number(timestamp) * 1000).toLocaleString();
   };
 
+  const formatDuration = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes} min ${seconds % 60} s` : `${seconds} s`;
+  };
+
   const getEventTypeColor = (eventType) => {
     const colorMap = {
-      'BatchCreated': 'success',
-      'BatchTransferred': 'primary',
-      'TemperatureUpdated': 'warning',
-      'StatusChanged': 'info',
-      'QualityCompromised': 'danger'
+      'CREATED': 'success',
+      'TRANSFER_PROPOSED': 'info',
+      'TRANSFER_CANCELLED': 'secondary',
+      'HANDOVER': 'primary',
+      'UPDATE': 'warning',
+      'ORACLE_UPDATE': 'info',
+      'COMPROMISED': 'danger',
+      'EXCURSION_STARTED': 'warning',
+      'EXCURSION_ENDED': 'secondary',
+      'SPLIT': 'dark',
+      'MERGED': 'dark',
+      'RECALLED': 'danger',
+      'RECALL_ACKNOWLEDGED': 'secondary'
     };
-    return colorMap[eventType] || 'secondary';
+    // SOLD, DISPOSED and RETURNED take the colour of the status they close the batch with
+    return colorMap[eventType] || BATCH_STATUSES.find(status => status.name === eventType)?.variant || 'secondary';
   };
 
   const getRoleColor = (role) => {
@@ -63,19 +84,24 @@ const BatchHistory = () => {
     return roleMap[role] || { color: 'secondary', text: 'Unknown' };
   };
 
-  const getTemperatureColor = (temp) => {
-    if (temp > -10) return 'danger';
-    if (temp > -15) return 'warning';
-    return 'success';
-  };
-
   const getEventIcon = (eventType) => {
     const iconMap = {
-      'BatchCreated': '🆕',
-      'BatchTransferred': '🔄',
-      'TemperatureUpdated': '🌡️',
-      'StatusChanged': '📊',
-      'QualityCompromised': '⚠️'
+      'CREATED': '🆕',
+      'TRANSFER_PROPOSED': '📤',
+      'TRANSFER_CANCELLED': '↩️',
+      'HANDOVER': '🔄',
+      'UPDATE': '🌡️',
+      'ORACLE_UPDATE': '📡',
+      'COMPROMISED': '⚠️',
+      'EXCURSION_STARTED': '🔥',
+      'EXCURSION_ENDED': '❄️',
+      'SPLIT': '✂️',
+      'MERGED': '🔗',
+      'RECALLED': '📢',
+      'RECALL_ACKNOWLEDGED': '✅',
+      'SOLD': '🛒',
+      'DISPOSED': '🗑️',
+      'RETURNED': '🔙'
     };
     return iconMap[eventType] || '📝';
   };
@@ -105,6 +131,8 @@ const BatchHistory = () => {
     );
   }
 
+  const excursions = batchInfo ? getExcursionWindows(history, batchInfo.temperatureProfile) : [];
+
   return (
     <Container className="py-4">
       <div className="d-flex justify-content-between align-items-center mb-4">
@@ -113,7 +141,8 @@ const BatchHistory = () => {
           {batchInfo && (
             <p className="text-muted mb-0">
               Product: {batchInfo.productName} | 
-              Created: {formatTimestamp(batchInfo.timestamp)}
+              Created: {formatTimestamp(batchInfo.timestamp)} | 
+              Safe range: {formatTemperatureRange(batchInfo.temperatureProfile)}
             </p>
           )}
         </div>
@@ -151,8 +180,8 @@ const BatchHistory = () => {
                 </Alert>
               ) : (
                 <div className="timeline">
-                  {history.map((event, index) => (
-                    <div key={index} className="timeline-item mb-4">
+                  {history.map((event) => (
+                    <div key={`${event.transactionHash}-${event.logIndex}`} className="timeline-item mb-4">
                       <Card className="border-start border-3" 
                             style={{ borderColor: `var(--bs-${getEventTypeColor(event.eventType)})` }}>
                         <Card.Body>
@@ -174,7 +203,7 @@ const BatchHistory = () => {
                                   {event.actor && (
                                     <p className="mb-1">
                                       <strong>Actor:</strong> 
-                                      <code className="ms-1">{event.actor}</code>
+                                      <span className="ms-1"><ParticipantName address={event.actor} full /></span>
                                     </p>
                                   )}
                                   
@@ -189,19 +218,74 @@ const BatchHistory = () => {
                                 </div>
                                 
                                 <div className="col-md-6">
-                                  {event.temperature !== undefined && (
+                                  {event.isTemperatureReading && (
                                     <p className="mb-1">
                                       <strong>Temperature:</strong> 
-                                      <Badge bg={getTemperatureColor(event.temperature)} className="ms-1">
+                                      <Badge bg={getTemperatureColor(event.temperature, batchInfo && batchInfo.temperatureProfile)} className="ms-1">
                                         {event.temperature}°C
                                       </Badge>
                                     </p>
                                   )}
                                   
-                                  {event.newOwner && (
+                                  {event.details.location && (
+                                    <p className="mb-1">
+                                      <strong>Location:</strong> {event.details.location}
+                                    </p>
+                                  )}
+                                  
+                                  {event.details.to && (
+                                    <p className="mb-1">
+                                      <strong>{event.eventType === 'HANDOVER' ? 'New Owner:' : 'Recipient:'}</strong>
+                                      <span className="ms-1"><ParticipantName address={event.details.to} full /></span>
+                                    </p>
+                                  )}
+                                  
+                                  {event.details.expiresAt && (
+                                    <p className="mb-1">
+                                      <strong>Accept By:</strong> {formatTimestamp(event.details.expiresAt)}
+                                    </p>
+                                  )}
+                                  
+                                  {event.details.childIds && (
+                                    <p className="mb-1">
+                                      <strong>Split Into:</strong>{' '}
+                                      {event.details.childIds.map((childId, index) => (
+                                        <Button
+                                          key={childId}
+                                          variant="link"
+                                          size="sm"
+                                          className="p-0 me-2"
+                                          onClick={() => navigate(`/batch/${childId}`)}
+                                        >
+                                          #{childId} ({event.details.quantities[index]})
+                                        </Button>
+                                      ))}
+                                    </p>
+                                  )}
+                                  
+                                  {event.details.mergedInto && (
+                                    <p className="mb-1">
+                                      <strong>Merged Into:</strong>{' '}
+                                      <Button
+                                        variant="link"
+                                        size="sm"
+                                        className="p-0"
+                                        onClick={() => navigate(`/batch/${event.details.mergedInto}`)}
+                                      >
+                                        #{event.details.mergedInto}
+                                      </Button>
+                                    </p>
+                                  )}
+                                  
+                                  {event.details.recallId && (
                                     <p className="mb-1">
-                                      <strong>New Owner:</strong>
-                                      <code className="ms-1">{event.newOwner}</code>
+                                      <strong>Recall:</strong> #{event.details.recallId}
+                                    </p>
+                                  )}
+                                  
+                                  {event.details.durationSeconds !== undefined && (
+                                    <p className="mb-1">
+                                      <strong>Excursion Length:</strong> {formatDuration(event.details.durationSeconds)}
                                     </p>
                                   )}
                                   
@@ -213,13 +297,27 @@ const BatchHistory = () => {
                                 </div>
                               </div>
                               
-                              {event.details && (
+                              {event.details.reason && (
+                                <div className="mt-2">
+                                  <small className="text-danger">
+                                    <strong>Reason:</strong> {event.details.reason}
+                                  </small>
+                                </div>
+                              )}
+                              
+                              {event.details.notes && (
                                 <div className="mt-2">
                                   <small className="text-muted">
-                                    <strong>Details:</strong> {event.details}
+                                    <strong>Details:</strong> {event.details.notes}
                                   </small>
                                 </div>
                               )}
+                              
+                              <div className="mt-1">
+                                <small className="text-muted">
+                                  Tx: <code>{event.transactionHash}</code>
+                                </small>
+                              </div>
                             </div>
                           </div>
                         </Card.Body>
@@ -246,7 +344,7 @@ const BatchHistory = () => {
                 </div>
                 <div className="col-6">
                   <h4 className="text-info">
-                    {history.filter(e => e.eventType === 'BatchTransferred').length}
+                    {history.filter(e => e.eventType === 'HANDOVER').length}
                   </h4>
                   <small className="text-muted">Transfers</small>
                 </div>
@@ -257,13 +355,13 @@ const BatchHistory = () => {
               <div className="row text-center">
                 <div className="col-6">
                   <h4 className="text-warning">
-                    {history.filter(e => e.eventType === 'TemperatureUpdated').length}
+                    {history.filter(e => e.isTemperatureReading).length}
                   </h4>
                   <small className="text-muted">Temp Updates</small>
                 </div>
                 <div className="col-6">
                   <h4 className="text-danger">
-                    {history.filter(e => e.eventType === 'QualityCompromised').length}
+                    {history.filter(e => e.eventType === 'COMPROMISED').length}
                   </h4>
                   <small className="text-muted">Alerts</small>
                 </div>
@@ -271,6 +369,35 @@ const BatchHistory = () => {
             </Card.Body>
           </Card>
 
+          {/* Excursion Windows */}
+          {excursions.length > 0 && (
+            <Card className="mb-4">
+              <Card.Header>
+                <h6 className="mb-0">Temperature Excursions</h6>
+                <small className="text-muted">
+                  Tolerated for {batchInfo.temperatureProfile.maxExcursionMinutes} min
+                  and {batchInfo.temperatureProfile.maxExcursionDegrees}°C outside the safe range
+                </small>
+              </Card.Header>
+              <Card.Body>
+                {excursions.map((excursion) => (
+                  <div key={excursion.startedAt} className="mb-2">
+                    <div className="d-flex justify-content-between">
+                      <small>{formatTimestamp(excursion.startedAt)}</small>
+                      <Badge bg={excursion.compromised ? 'danger' : excursion.endedAt ? 'secondary' : 'warning'}>
+                        {excursion.compromised ? 'Compromised' : excursion.endedAt ? 'Recovered' : 'Ongoing'}
+                      </Badge>
+                    </div>
+                    <small className="text-muted">
+                      {excursion.location} | Peak {excursion.peakTemperature}°C
+                      {excursion.endedAt && ` | ${formatDuration(excursion.durationSeconds)}`}
+                    </small>
+                  </div>
+                ))}
+              </Card.Body>
+            </Card>
+          )}
+
           {/* Event Types Legend */}
           <Card className="mb-4">
             <Card.Header>
@@ -294,9 +421,14 @@ const BatchHistory = () => {
                   <small className="text-muted">Temp monitoring</small>
                 </div>
                 <div className="d-flex align-items-center">
-                  <span className="me-2">📊</span>
-                  <Badge bg="info" className="me-2">Status</Badge>
-                  <small className="text-muted">Status updates</small>
+                  <span className="me-2">📡</span>
+                  <Badge bg="info" className="me-2">Oracle</Badge>
+                  <small className="text-muted">IoT sensor readings</small>
+                </div>
+                <div className="d-flex align-items-center">
+                  <span className="me-2">🔥</span>
+                  <Badge bg="warning" className="me-2">Excursion</Badge>
+                  <small className="text-muted">Out of safe range</small>
                 </div>
                 <div className="d-flex align-items-center">
                   <span className="me-2">⚠️</span>
@@ -0,0 +1,166 @@
+// frontend/src/components/BatchLineage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Card, Table, Badge, Alert, Spinner, Button } from 'react-bootstrap';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useBlockchain, useBatchEvents } from '../utils/BlockchainContext';
+import { getBatchLineage, getStatusText, getStatusBadgeClass, formatAddress } from '../utils/blockchain-clean';
+
+/**
+ * Batch Lineage Component
+ *
+ * Shows the batches a batch was repacked from and every batch that was
+ * split or merged out of it, however many repacks deep. Recalling a batch
+ * means recalling all of its descendants that still hold product.
+ */
+const BatchLineage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { contract } = useBlockchain();
+
+  const [lineage, setLineage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Background reloads (live events) keep the current view instead of a spinner
+  const loadLineage = useCallback(async ({ background = false } = {}) => {
+    try {
+      if (!background) setLoading(true);
+      setLineage(await getBatchLineage(contract, id));
+    } catch (error) {
+      console.error('Error loading batch lineage:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, id]);
+
+  useEffect(() => {
+    loadLineage();
+  }, [loadLineage]);
+
+  // Descendants change status and owner on their own, so follow every batch
+  // in the lineage rather than just this one
+  useBatchEvents((event) => {
+    const related = !lineage || event.batchId === id ||
+      [...lineage.ancestors, ...lineage.descendants].some(batch => batch.batchId === event.batchId);
+    if (related) {
+      loadLineage({ background: true });
+    }
+  });
+
+  const renderBatches = (batches, emptyText) => {
+    if (batches.length === 0) {
+      return <Alert variant="info" className="mb-0">{emptyText}</Alert>;
+    }
+
+    return (
+      <Table responsive striped size="sm" className="mb-0">
+        <thead>
+          <tr>
+            <th>Batch</th>
+            <th>Product</th>
+            <th>Quantity</th>
+            <th>Status</th>
+            <th>Owner</th>
+            <th>Repacks Away</th>
+          </tr>
+        </thead>
+        <tbody>
+          {batches.map(batch => (
+            <tr key={batch.batchId}>
+              <td>
+                <Button variant="link" size="sm" className="p-0" onClick={() => navigate(`/batch/${batch.batchId}`)}>
+                  #{batch.batchId}
+                </Button>
+              </td>
+              <td>{batch.productName}</td>
+              <td>{batch.quantity} {batch.unit}</td>
+              <td>
+                <Badge bg={getStatusBadgeClass(batch.status)}>{getStatusText(batch.status)}</Badge>
+                {batch.isRepacked && <Badge bg="dark" className="ms-1">Repacked</Badge>}
+              </td>
+              <td><code>{formatAddress(batch.currentOwner)}</code></td>
+              <td>{batch.depth}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    );
+  };
+
+  if (loading) {
+    return (
+      <Container className="py-4 text-center">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p className="mt-2">Loading batch lineage...</p>
+      </Container>
+    );
+  }
+
+  if (error) {
+    return (
+      <Container className="py-4">
+        <Alert variant="danger">
+          <h5>Error Loading Lineage</h5>
+          <p>{error}</p>
+          <Button variant="outline-primary" onClick={() => navigate(`/batch/${id}`)}>
+            Back to Batch Details
+          </Button>
+        </Alert>
+      </Container>
+    );
+  }
+
+  // Batches that still hold product: a repacked batch passed it all on
+  const affected = lineage.descendants.filter(batch => !batch.isRepacked);
+
+  return (
+    <Container className="py-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <h2>Batch #{id} Lineage</h2>
+          <p className="text-muted mb-0">
+            {lineage.descendants.length} descendant batches, {affected.length} still holding product
+          </p>
+        </div>
+        <div>
+          <Button variant="outline-secondary" className="me-2" onClick={() => navigate(`/batch/${id}`)}>
+            Batch Details
+          </Button>
+          <Button variant="outline-primary" onClick={() => navigate('/')}>
+            Dashboard
+          </Button>
+        </div>
+      </div>
+
+      {affected.length > 0 && (
+        <Alert variant="warning">
+          <strong>Recall scope:</strong> a recall of batch #{id} reaches batches #{affected.map(batch => batch.batchId).join(', #')}.
+        </Alert>
+      )}
+
+      <Card className="mb-4">
+        <Card.Header>
+          <h5 className="mb-0">Repacked From</h5>
+        </Card.Header>
+        <Card.Body>
+          {renderBatches(lineage.ancestors, 'This batch was created directly, not repacked from other batches.')}
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header>
+          <h5 className="mb-0">Descendants</h5>
+          <small className="text-muted">Every batch split or merged out of this one</small>
+        </Card.Header>
+        <Card.Body>
+          {renderBatches(lineage.descendants, 'This batch has not been split or merged.')}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default BatchLineage;
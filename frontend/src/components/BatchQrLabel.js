@@ -0,0 +1,123 @@
+// frontend/src/components/BatchQrLabel.js
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Spinner, Alert } from 'react-bootstrap';
+import { generateBatchQrDataUrl, getBatchLabelUrl } from '../utils/qr';
+import { formatAddress } from '../utils/blockchain-clean';
+import { APP_CONFIG, CONTRACT_ADDRESS, NETWORKS } from '../utils/config';
+import { toast } from 'react-toastify';
+
+/**
+ * Batch QR Label Component
+ *
+ * Shows the QR label for a batch and prints it on its own page, sized for a
+ * carton label. The QR code holds the public verification URL together with
+ * the chain ID and contract address.
+ */
+const BatchQrLabel = ({ show, onHide, batchId, productName }) => {
+  const [qrDataUrl, setQrDataUrl] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!show || !batchId) {
+      return;
+    }
+
+    let cancelled = false;
+    setQrDataUrl(null);
+    setError(null);
+
+    generateBatchQrDataUrl(batchId)
+      .then((dataUrl) => {
+        if (!cancelled) setQrDataUrl(dataUrl);
+      })
+      .catch((error) => {
+        console.error('Error generating QR label:', error);
+        if (!cancelled) setError(error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [show, batchId]);
+
+  const networkName = NETWORKS[APP_CONFIG.chainId] ? NETWORKS[APP_CONFIG.chainId].name : `Chain ${APP_CONFIG.chainId}`;
+
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank', 'width=420,height=560');
+    if (!printWindow) {
+      toast.error('Allow pop-ups for this site to print labels');
+      return;
+    }
+
+    const escape = (text) => String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+  <title>Batch #${escape(batchId)} Label</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0; }
+    .label { width: 80mm; padding: 4mm; text-align: center; border: 1px dashed #999; }
+    .label img { width: 60mm; height: 60mm; }
+    .label h1 { font-size: 14pt; margin: 2mm 0; }
+    .label p { font-size: 8pt; margin: 1mm 0; word-break: break-all; }
+    @media print { .label { border: none; } }
+  </style>
+</head>
+<body>
+  <div class="label">
+    <h1>FROST-CHAIN Batch #${escape(batchId)}</h1>
+    ${productName ? `<p><strong>${escape(productName)}</strong></p>` : ''}
+    <img src="${qrDataUrl}" alt="Batch QR code" />
+    <p>Scan to verify cold-chain history</p>
+    <p>${escape(networkName)} | ${escape(CONTRACT_ADDRESS)}</p>
+  </div>
+</body>
+</html>`);
+    printWindow.document.close();
+    printWindow.onload = () => {
+      printWindow.focus();
+      printWindow.print();
+    };
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>QR Label for Batch #{batchId}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body className="text-center">
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {!error && !qrDataUrl && (
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Generating...</span>
+          </Spinner>
+        )}
+
+        {qrDataUrl && (
+          <>
+            {productName && <h5>{productName}</h5>}
+            <img src={qrDataUrl} alt={`QR code for batch ${batchId}`} className="img-fluid mb-3" />
+            <p className="mb-1">
+              <small className="text-muted">{networkName} | Contract <code>{formatAddress(CONTRACT_ADDRESS)}</code></small>
+            </p>
+            <p className="mb-0">
+              <small className="text-muted text-break">{getBatchLabelUrl(batchId)}</small>
+            </p>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+        <Button variant="primary" onClick={handlePrint} disabled={!qrDataUrl}>
+          Print Label
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default BatchQrLabel;
@@ -0,0 +1,94 @@
+// frontend/src/components/CloseBatch.js
+import React, { useState } from 'react';
+import { Card, Form, Button } from 'react-bootstrap';
+import {
+  markBatchSold,
+  disposeBatch,
+  returnToProcessor,
+  isBatchClosed,
+  getStatusText
+} from '../utils/blockchain-clean';
+import { BATCH_STATUS } from '../utils/config';
+import { toast } from 'react-toastify';
+
+/**
+ * Close Batch Component
+ *
+ * Ends a batch's journey: retailers record the sale, distributors and
+ * retailers send it back to its processor, and the owner or an admin
+ * disposes of it. Only the actions the contract would accept from the
+ * connected account are offered; renders nothing when there are none.
+ */
+const CloseBatch = ({ contract, batch, account, userRoles, onClosed }) => {
+  const [notes, setNotes] = useState('');
+  const [isClosing, setIsClosing] = useState(false);
+
+  const isOwner = account && batch.currentOwner.toLowerCase() === account.toLowerCase();
+  const isOpen = !isBatchClosed(batch.status);
+
+  const canSell = isOwner && isOpen && userRoles.isRetailer && !batch.isCompromised;
+  const canReturn = isOwner && isOpen && (userRoles.isDistributor || userRoles.isRetailer) &&
+    batch.processor.toLowerCase() !== account.toLowerCase();
+  // Returned batches can still be disposed of by their processor
+  const canDispose = (isOwner || userRoles.isAdmin) && (isOpen || batch.status === BATCH_STATUS.RETURNED);
+
+  if (!canSell && !canReturn && !canDispose) {
+    return null;
+  }
+
+  const handleClose = async (close) => {
+    try {
+      setIsClosing(true);
+      const result = await close(contract, batch.batchId, notes);
+      toast.success(`Batch #${batch.batchId} closed as ${getStatusText(result.status)}`);
+      setNotes('');
+      if (onClosed) onClosed();
+    } catch (error) {
+      console.error('Error closing batch:', error);
+      toast.error(error.message);
+    } finally {
+      setIsClosing(false);
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h6 className="mb-0">Close Out Batch</h6>
+      </Card.Header>
+      <Card.Body>
+        <Form.Control
+          as="textarea"
+          rows={2}
+          className="mb-3"
+          placeholder={canDispose && !canSell ? 'Reason (required to dispose)' : 'Notes, or the reason for disposal'}
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          disabled={isClosing}
+        />
+        <div className="d-grid gap-2">
+          {canSell && (
+            <Button variant="outline-primary" size="sm" onClick={() => handleClose(markBatchSold)} disabled={isClosing}>
+              Mark as Sold
+            </Button>
+          )}
+          {canReturn && (
+            <Button variant="outline-secondary" size="sm" onClick={() => handleClose(returnToProcessor)} disabled={isClosing}>
+              Return to Processor
+            </Button>
+          )}
+          {canDispose && (
+            <Button variant="outline-danger" size="sm" onClick={() => handleClose(disposeBatch)} disabled={isClosing || !notes.trim()}>
+              Dispose of Batch
+            </Button>
+          )}
+        </div>
+        <Form.Text className="text-muted">
+          A closed batch takes no further readings, transfers or repacking. Returns go straight to the processor without an acceptance step.
+        </Form.Text>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default CloseBatch;
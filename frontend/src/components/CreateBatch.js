@@ -1,10 +1,12 @@
 // frontend/src/components/CreateBatch.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Form, Button, Alert } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { useBlockchain } from '../utils/BlockchainContext';
 import { useRole } from '../utils/RoleContext';
-import { createBatch as createBatchOnChain } from '../utils/blockchain-clean';
+import { createBatch as createBatchOnChain, getTemperatureProfiles, formatTemperatureRange } from '../utils/blockchain-clean';
+import { DEFAULT_TEMPERATURE_PROFILE_ID } from '../utils/config';
+import BatchQrLabel from './BatchQrLabel';
 import { toast } from 'react-toastify';
 
 /**
@@ -14,14 +16,44 @@ import { toast } from 'react-toastify';
  */
 const CreateBatch = () => {
   const { contract } = useBlockchain();
-  const { canCreateBatch, roleLabel } = useRole();
+  const { canCreateBatch, roleLabel, isDemoMode } = useRole();
   const navigate = useNavigate();
   
   const [formData, setFormData] = useState({
     productName: '',
-    additionalDetails: ''
+    additionalDetails: '',
+    profileId: String(DEFAULT_TEMPERATURE_PROFILE_ID),
+    quantity: '',
+    unit: 'cases'
   });
+  // Active temperature profiles offered in the picker
+  const [profiles, setProfiles] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Batch just created, shown with its label before moving on
+  const [createdBatch, setCreatedBatch] = useState(null);
+  const [showLabel, setShowLabel] = useState(false);
+
+  useEffect(() => {
+    if (!contract) {
+      return;
+    }
+
+    getTemperatureProfiles(contract)
+      .then(allProfiles => {
+        const activeProfiles = allProfiles.filter(profile => profile.active);
+        setProfiles(activeProfiles);
+        // Fall back to the first active profile if the default was retired
+        setFormData(prev => (
+          activeProfiles.length === 0 || activeProfiles.some(profile => profile.profileId === prev.profileId)
+            ? prev
+            : { ...prev, profileId: activeProfiles[0].profileId }
+        ));
+      })
+      .catch(error => {
+        console.error('Error loading temperature profiles:', error);
+        toast.error('Failed to load temperature profiles');
+      });
+  }, [contract]);
 
   // Check if user has permission
   if (!canCreateBatch()) {
@@ -29,7 +61,11 @@ const CreateBatch = () => {
       <Container className="py-4">
         <Alert variant="warning">
           <h5>Access Restricted</h5>
-          <p>Your current role ({roleLabel}) cannot create batches. Switch to Admin or Processor role.</p>
+          {isDemoMode ? (
+            <p>Your current demo role ({roleLabel}) cannot create batches. Switch to Admin or Processor role.</p>
+          ) : (
+            <p>Your account ({roleLabel}) does not hold PROCESSOR_ROLE on-chain. Ask an administrator to grant it.</p>
+          )}
         </Alert>
       </Container>
     );
@@ -51,18 +87,31 @@ const CreateBatch = () => {
       return;
     }
 
+    const quantity = Number(formData.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0 || !formData.unit.trim()) {
+      toast.error('Enter a positive whole quantity and a unit');
+      return;
+    }
+
     try {
       setIsSubmitting(true);
       
       const result = await createBatchOnChain(
         contract,
         formData.productName.trim(),
-        formData.additionalDetails.trim()
+        formData.additionalDetails.trim(),
+        formData.profileId,
+        quantity,
+        formData.unit.trim()
       );
       
-      if (result.success) {
+      if (result.success && result.batchId) {
         toast.success(`Batch #${result.batchId} created successfully!`);
-        navigate(`/batch/${result.batchId}`);
+        setCreatedBatch({ batchId: result.batchId, productName: formData.productName.trim() });
+        setShowLabel(true);
+      } else if (result.success) {
+        toast.success('Batch created successfully!');
+        navigate('/');
       } else {
         throw new Error('Failed to create batch');
       }
@@ -75,6 +124,47 @@ const CreateBatch = () => {
     }
   };
 
+  if (createdBatch) {
+    return (
+      <Container className="py-4">
+        <Row className="justify-content-center">
+          <Col lg={8}>
+            <Alert variant="success">
+              <h5>Batch #{createdBatch.batchId} Created</h5>
+              <p className="mb-0">
+                Print the QR label and attach it to the carton so it can be scanned along the supply chain.
+              </p>
+            </Alert>
+            <div className="d-flex justify-content-between">
+              <Button variant="outline-primary" onClick={() => setShowLabel(true)}>
+                Show QR Label
+              </Button>
+              <Button
+                variant="secondary"
+                onClick={() => {
+                  setCreatedBatch(null);
+                  setFormData(prev => ({ ...prev, productName: '', additionalDetails: '', quantity: '' }));
+                }}
+              >
+                Create Another Batch
+              </Button>
+              <Button variant="primary" onClick={() => navigate(`/batch/${createdBatch.batchId}`)}>
+                View Batch
+              </Button>
+            </div>
+          </Col>
+        </Row>
+
+        <BatchQrLabel
+          show={showLabel}
+          onHide={() => setShowLabel(false)}
+          batchId={createdBatch.batchId}
+          productName={createdBatch.productName}
+        />
+      </Container>
+    );
+  }
+
   return (
     <Container className="py-4">
       <Row className="justify-content-center">
@@ -133,6 +223,61 @@ const CreateBatch = () => {
                   </Col>
                 </Row>
 
+                <Row>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Quantity *</Form.Label>
+                      <Form.Control
+                        type="number"
+                        step="1"
+                        min="1"
+                        name="quantity"
+                        value={formData.quantity}
+                        onChange={handleInputChange}
+                        placeholder="e.g., 40"
+                        required
+                        disabled={isSubmitting}
+                      />
+                      <Form.Text className="text-muted">
+                        Split batches must add up to this amount
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Unit *</Form.Label>
+                      <Form.Control
+                        type="text"
+                        name="unit"
+                        value={formData.unit}
+                        onChange={handleInputChange}
+                        placeholder="e.g., cases, pallets, kg"
+                        required
+                        disabled={isSubmitting}
+                      />
+                    </Form.Group>
+                  </Col>
+                </Row>
+
+                <Form.Group className="mb-3">
+                  <Form.Label>Temperature Profile *</Form.Label>
+                  <Form.Select
+                    name="profileId"
+                    value={formData.profileId}
+                    onChange={handleInputChange}
+                    disabled={isSubmitting}
+                  >
+                    {profiles.map(profile => (
+                      <option key={profile.profileId} value={profile.profileId}>
+                        {profile.name} ({formatTemperatureRange(profile)})
+                      </option>
+                    ))}
+                  </Form.Select>
+                  <Form.Text className="text-muted">
+                    Every reading for this batch is checked against this range
+                  </Form.Text>
+                </Form.Group>
+
                 <Form.Group className="mb-3">
                   <Form.Label>Additional Details</Form.Label>
                   <Form.Control
@@ -153,7 +298,7 @@ const CreateBatch = () => {
                   <h6>What happens next?</h6>
                   <ul className="mb-0">
                     <li>A unique batch ID will be generated</li>
-                    <li>Initial temperature will be set to safe (-18°C)</li>
+                    <li>Temperature readings will be checked against the selected profile</li>
                     <li>You will be set as the initial owner</li>
                     <li>The batch can then be tracked through the supply chain</li>
                   </ul>
@@ -170,7 +315,7 @@ const CreateBatch = () => {
                   <Button 
                     variant="primary" 
                     type="submit"
-                    disabled={isSubmitting || !formData.productName.trim()}
+                    disabled={isSubmitting || !formData.productName.trim() || !formData.quantity || !formData.unit.trim()}
                   >
                     {isSubmitting ? 'Creating Batch...' : 'Create Batch'}
                   </Button>
@@ -1,122 +1,45 @@
 // frontend/src/components/Dashboard.js
-import React, { useState, useEffect, useCallback } from 'react';
-import { Container, Row, Col, Card, Badge, Button, Table, Alert } from 'react-bootstrap';
+import React from 'react';
+import { Container, Row, Col, Card, Badge, Button, Table, Alert, Spinner } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { FiPackage, FiThermometer, FiUsers, FiAlertTriangle } from 'react-icons/fi';
 import { useBlockchain } from '../utils/BlockchainContext';
-import { getAllBatches, getBatchInfo, formatAddress, formatTimestamp, getStatusText, getStatusBadgeClass } from '../utils/blockchain-clean';
+import { useBatchPages, useBatchStats } from '../utils/useBatchPages';
+import { formatAddress, formatTimestamp, getStatusText, getStatusBadgeClass } from '../utils/blockchain-clean';
 import LoadingSpinner from './LoadingSpinner';
-import { toast } from 'react-toastify';
+import IncomingTransfers from './IncomingTransfers';
 
 /**
  * Dashboard Component
  * 
  * Main dashboard showing:
  * - System statistics
+ * - Transfers waiting for the connected account to accept
  * - Recent batches
  * - Role-specific actions
  * - Quick access to key functions
+ *
+ * Batches are loaded a page at a time and statistics fill in progressively,
+ * so the page stays responsive with thousands of batches.
  */
 const Dashboard = () => {
   const { contract, userRoles, account } = useBlockchain();
-  const [stats, setStats] = useState({
-    totalBatches: 0,
-    compromisedBatches: 0,
-    userBatches: 0
-  });
-  const [recentBatches, setRecentBatches] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const {
+    batches: recentBatches,
+    total,
+    hasMore,
+    loading,
+    loadingMore,
+    error,
+    loadMore,
+    reload
+  } = useBatchPages(contract);
+  const { stats, refresh: refreshStats } = useBatchStats(contract, account);
 
-  const loadDashboardData = useCallback(async () => {
-    console.log('📊 [DASHBOARD] Starting dashboard data load...');
-    console.log('📄 [DASHBOARD] Contract available:', !!contract);
-    console.log('👤 [DASHBOARD] Account:', account);
-    
-    if (!contract) {
-      console.warn('⚠️ [DASHBOARD] No contract available, skipping data load');
-      return;
-    }
-    
-    if (!account) {
-      console.warn('⚠️ [DASHBOARD] No account available, skipping data load');
-      return;
-    }
-    
-    try {
-      setLoading(true);
-      console.log('⏳ [DASHBOARD] Loading state set to true');
-      
-      // Get all batches
-      console.log('📦 [DASHBOARD] Fetching all batches...');
-      const batches = await getAllBatches(contract);
-      console.log('✅ [DASHBOARD] Batches fetched:', batches.length, 'batches');
-      
-      // Calculate statistics
-      let compromisedCount = 0;
-      let userBatchCount = 0;
-      
-      console.log('🔍 [DASHBOARD] Processing batch details...');
-      const batchesWithDetails = await Promise.all(
-        batches.slice(0, 10).map(async (batch) => {
-          try {
-            console.log('📋 [DASHBOARD] Loading details for batch:', batch.batchId);
-            const batchInfo = await getBatchInfo(contract, batch.batchId);
-            
-            if (batchInfo.isCompromised) {
-              compromisedCount++;
-            }
-            
-            if (batchInfo.currentOwner.toLowerCase() === account.toLowerCase() ||
-                batchInfo.processor.toLowerCase() === account.toLowerCase()) {
-              userBatchCount++;
-            }
-            
-            return {
-              ...batch,
-              ...batchInfo
-            };
-          } catch (error) {
-            console.error(`❌ [DASHBOARD] Error loading batch ${batch.batchId}:`, error);
-            return batch;
-          }
-        })
-      );
-      
-      const finalStats = {
-        totalBatches: batches.length,
-        compromisedBatches: compromisedCount,
-        userBatches: userBatchCount
-      };
-      
-      console.log('📈 [DASHBOARD] Final statistics:', finalStats);
-      setStats(finalStats);
-      
-      console.log('📦 [DASHBOARD] Setting recent batches:', batchesWithDetails.length, 'items');
-      setRecentBatches(batchesWithDetails);
-      
-      console.log('✅ [DASHBOARD] Dashboard data loaded successfully');
-      
-    } catch (error) {
-      console.error('❌ [DASHBOARD] Error loading dashboard data:', error);
-      toast.error('Failed to load dashboard data');
-    } finally {
-      setLoading(false);
-      console.log('✅ [DASHBOARD] Loading state set to false');
-    }
-  }, [contract, account]);
-
-  useEffect(() => {
-    console.log('🔄 [DASHBOARD] useEffect triggered');
-    console.log('📄 [DASHBOARD] Contract state:', !!contract);
-    console.log('👤 [DASHBOARD] Account state:', account);
-    
-    if (contract) {
-      console.log('✅ [DASHBOARD] Contract available, calling loadDashboardData');
-      loadDashboardData();
-    } else {
-      console.log('⏳ [DASHBOARD] Waiting for contract...');
-    }
-  }, [contract, loadDashboardData]);
+  const loadDashboardData = () => {
+    reload();
+    refreshStats();
+  };
 
   if (loading) {
     return <LoadingSpinner message="Loading dashboard..." />;
@@ -140,7 +63,7 @@ const Dashboard = () => {
           <Card className="text-center h-100">
             <Card.Body>
               <FiPackage size={32} className="text-primary mb-2" />
-              <h3 className="mb-1">{stats.totalBatches}</h3>
+              <h3 className="mb-1">{total}</h3>
               <small className="text-muted">Total Batches</small>
             </Card.Body>
           </Card>
@@ -149,7 +72,7 @@ const Dashboard = () => {
           <Card className="text-center h-100">
             <Card.Body>
               <FiThermometer size={32} className="text-success mb-2" />
-              <h3 className="mb-1">{stats.totalBatches - stats.compromisedBatches}</h3>
+              <h3 className="mb-1">{stats.loadedBatches - stats.compromisedBatches}</h3>
               <small className="text-muted">Safe Batches</small>
             </Card.Body>
           </Card>
@@ -174,6 +97,21 @@ const Dashboard = () => {
         </Col>
       </Row>
 
+      {!stats.complete && stats.totalBatches > 0 && (
+        <Row className="mb-4">
+          <Col>
+            <small className="text-muted">
+              <Spinner animation="border" size="sm" className="me-2" />
+              Statistics cover {stats.loadedBatches} of {stats.totalBatches} batches so far...
+            </small>
+          </Col>
+        </Row>
+      )}
+
+      {error && (
+        <Alert variant="danger">Failed to load dashboard data: {error}</Alert>
+      )}
+
       {/* Quick Actions */}
       <Row className="mb-4">
         <Col>
@@ -212,13 +150,17 @@ const Dashboard = () => {
         </Col>
       </Row>
 
+      {account && (
+        <IncomingTransfers contract={contract} account={account} onAccepted={loadDashboardData} />
+      )}
+
       {/* Recent Batches */}
       <Row>
         <Col>
           <Card>
             <Card.Header className="d-flex justify-content-between align-items-center">
               <h5 className="mb-0">Recent Batches</h5>
-              <Badge bg="secondary">{recentBatches.length} shown</Badge>
+              <Badge bg="secondary">{recentBatches.length} of {total} shown</Badge>
             </Card.Header>
             <Card.Body>
               {recentBatches.length === 0 ? (
@@ -235,6 +177,7 @@ const Dashboard = () => {
                     <thead>
                       <tr>
                         <th>Batch ID</th>
+                        <th>Product</th>
                         <th>Status</th>
                         <th>Current Owner</th>
                         <th>Created</th>
@@ -250,13 +193,14 @@ const Dashboard = () => {
                               <Badge bg="danger" className="ms-2">COMPROMISED</Badge>
                             )}
                           </td>
+                          <td>{batch.productName || '-'}</td>
                           <td>
-                            <Badge className={getStatusBadgeClass(batch.status)}>
+                            <Badge bg={getStatusBadgeClass(batch.status)}>
                               {getStatusText(batch.status)}
                             </Badge>
                           </td>
-                          <td>{formatAddress(batch.currentOwner || batch.actor)}</td>
-                          <td>{formatTimestamp(batch.timestamp)}</td>
+                          <td>{formatAddress(batch.currentOwner)}</td>
+                          <td>{formatTimestamp(batch.creationTimestamp)}</td>
                           <td>
                             <Link to={`/batch/${batch.batchId}`}>
                               <Button variant="outline-primary" size="sm">
@@ -270,6 +214,14 @@ const Dashboard = () => {
                   </Table>
                 </div>
               )}
+              
+              {hasMore && (
+                <div className="text-center">
+                  <Button variant="outline-secondary" onClick={loadMore} disabled={loadingMore}>
+                    {loadingMore ? 'Loading...' : 'Load More Batches'}
+                  </Button>
+                </div>
+              )}
             </Card.Body>
           </Card>
         </Col>
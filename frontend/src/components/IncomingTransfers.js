@@ -0,0 +1,185 @@
+// frontend/src/components/IncomingTransfers.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Form, Row, Col } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { useBatchEvents } from '../utils/BlockchainContext';
+import {
+  getIncomingTransfers,
+  acceptTransfer,
+  formatAddress,
+  formatTimestamp,
+  getStatusText
+} from '../utils/blockchain-clean';
+import { toast } from 'react-toastify';
+
+const TRANSFER_EVENTS = ['TRANSFER_PROPOSED', 'TRANSFER_CANCELLED', 'HANDOVER'];
+
+/**
+ * Incoming Transfers Component
+ *
+ * Dashboard inbox of the batches other participants have proposed to hand
+ * to the connected account. Accepting takes custody and records the
+ * temperature and location on receipt. Renders nothing while the inbox is
+ * empty.
+ */
+const IncomingTransfers = ({ contract, account, onAccepted }) => {
+  const [transfers, setTransfers] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [receipt, setReceipt] = useState({ location: '', temperature: '', notes: '' });
+  const [isAccepting, setIsAccepting] = useState(false);
+
+  const loadTransfers = useCallback(async () => {
+    try {
+      setTransfers(await getIncomingTransfers(contract, account));
+    } catch (error) {
+      console.error('Error loading incoming transfers:', error);
+    }
+  }, [contract, account]);
+
+  useEffect(() => {
+    if (contract && account) {
+      loadTransfers();
+    }
+  }, [contract, account, loadTransfers]);
+
+  useBatchEvents((event) => {
+    if (TRANSFER_EVENTS.includes(event.eventType)) {
+      loadTransfers();
+    }
+  });
+
+  const handleReceiptChange = (e) => {
+    const { name, value } = e.target;
+    setReceipt(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAccept = async (e) => {
+    e.preventDefault();
+
+    const temperature = Number(receipt.temperature);
+    if (receipt.temperature === '' || !Number.isInteger(temperature)) {
+      toast.error('Enter the temperature on receipt in whole degrees Celsius');
+      return;
+    }
+
+    try {
+      setIsAccepting(true);
+      const result = await acceptTransfer(contract, selectedId, temperature, receipt.location, receipt.notes);
+
+      if (result.isCompromised) {
+        toast.error(`Batch #${selectedId} accepted, but the receiving temperature compromised it`);
+      } else {
+        toast.success(`Batch #${selectedId} accepted. Status: ${getStatusText(result.status)}`);
+      }
+      setSelectedId(null);
+      setReceipt({ location: '', temperature: '', notes: '' });
+      await loadTransfers();
+      if (onAccepted) onAccepted();
+    } catch (error) {
+      console.error('Error accepting transfer:', error);
+      toast.error(error.message);
+    } finally {
+      setIsAccepting(false);
+    }
+  };
+
+  if (transfers.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card className="mb-4 border-primary">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">Incoming Transfers</h5>
+        <Badge bg="primary">{transfers.length} waiting</Badge>
+      </Card.Header>
+      <Card.Body>
+        <Table responsive size="sm">
+          <thead>
+            <tr>
+              <th>Batch</th>
+              <th>Product</th>
+              <th>From</th>
+              <th>Notes</th>
+              <th>Accept By</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {transfers.map(transfer => (
+              <tr key={transfer.batchId} className={transfer.batchId === selectedId ? 'table-active' : undefined}>
+                <td>
+                  <Link to={`/batch/${transfer.batchId}`}>#{transfer.batchId}</Link>
+                  {transfer.isCompromised && <Badge bg="danger" className="ms-2">COMPROMISED</Badge>}
+                </td>
+                <td>{transfer.productName || '-'} <small className="text-muted">({transfer.quantity} {transfer.unit})</small></td>
+                <td><code>{formatAddress(transfer.from)}</code></td>
+                <td>{transfer.notes || '-'}</td>
+                <td>{formatTimestamp(transfer.expiresAt)}</td>
+                <td>
+                  <Button
+                    size="sm"
+                    variant={transfer.batchId === selectedId ? 'secondary' : 'outline-primary'}
+                    onClick={() => setSelectedId(transfer.batchId === selectedId ? null : transfer.batchId)}
+                    disabled={isAccepting}
+                  >
+                    {transfer.batchId === selectedId ? 'Close' : 'Accept'}
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+
+        {selectedId && (
+          <Form onSubmit={handleAccept}>
+            <h6>Receive Batch #{selectedId}</h6>
+            <Row className="g-2">
+              <Col md={4}>
+                <Form.Control
+                  type="text"
+                  name="location"
+                  placeholder="Receiving location *"
+                  value={receipt.location}
+                  onChange={handleReceiptChange}
+                  disabled={isAccepting}
+                />
+              </Col>
+              <Col md={2}>
+                <Form.Control
+                  type="number"
+                  step="1"
+                  name="temperature"
+                  placeholder="°C *"
+                  value={receipt.temperature}
+                  onChange={handleReceiptChange}
+                  disabled={isAccepting}
+                />
+              </Col>
+              <Col md={4}>
+                <Form.Control
+                  type="text"
+                  name="notes"
+                  placeholder="Notes (optional)"
+                  value={receipt.notes}
+                  onChange={handleReceiptChange}
+                  disabled={isAccepting}
+                />
+              </Col>
+              <Col md={2} className="d-grid">
+                <Button type="submit" variant="primary" disabled={isAccepting || !receipt.location.trim()}>
+                  {isAccepting ? 'Accepting...' : 'Confirm'}
+                </Button>
+              </Col>
+            </Row>
+            <Form.Text className="text-muted">
+              The reading is checked against the batch's temperature profile like any other.
+            </Form.Text>
+          </Form>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default IncomingTransfers;
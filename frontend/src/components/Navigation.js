@@ -3,17 +3,29 @@ import React from 'react';
 import { Navbar, Nav, Container, Badge, Button, Dropdown } from 'react-bootstrap';
 import { LinkContainer } from 'react-router-bootstrap';
 import { useBlockchain } from '../utils/BlockchainContext';
-import { useRole, FRONTEND_ROLES, ROLE_LABELS } from '../utils/RoleContext';
-import { formatAddress } from '../utils/blockchain-clean';
+import { useRole, ROLE_LABELS, PERMISSION_MODES } from '../utils/RoleContext';
+import { useParticipants } from '../utils/ParticipantContext';
 
 /**
  * Navigation Component
  * 
- * Simple role-based navigation with frontend role switching
+ * Role-based navigation driven by the account's on-chain roles, with the
+ * demo role switcher available as an explicit dev-mode toggle
  */
 const Navigation = () => {
   const { account, networkInfo, connectToWallet, disconnect, isLoading } = useBlockchain();
-  const { currentRole, switchRole, canCreateBatch, canViewAdmin, roleLabel } = useRole();
+  const {
+    currentRole,
+    heldRoles,
+    switchRole,
+    canCreateBatch,
+    canViewAdmin,
+    roleLabel,
+    isDemoMode,
+    isDemoAvailable,
+    setPermissionMode
+  } = useRole();
+  const { nameOf } = useParticipants();
 
   return (
     <Navbar bg="dark" variant="dark" expand="lg" sticky="top">
@@ -44,28 +56,61 @@ const Navigation = () => {
                     <Nav.Link>Admin Panel</Nav.Link>
                   </LinkContainer>
                 )}
+                
+                <LinkContainer to="/scan">
+                  <Nav.Link>Scan Label</Nav.Link>
+                </LinkContainer>
               </Nav>
               
               <Nav className="ms-auto">
-                <Dropdown className="me-3">
-                  <Dropdown.Toggle variant="info" size="sm">
-                    Role: {roleLabel}
-                  </Dropdown.Toggle>
-                  <Dropdown.Menu>
-                    {Object.entries(ROLE_LABELS).map(([roleKey, label]) => (
-                      <Dropdown.Item 
-                        key={roleKey}
-                        active={currentRole === roleKey}
-                        onClick={() => switchRole(roleKey)}
-                      >
-                        {label}
+                {isDemoMode ? (
+                  <Dropdown className="me-3">
+                    <Dropdown.Toggle variant="warning" size="sm">
+                      Demo Role: {roleLabel}
+                    </Dropdown.Toggle>
+                    <Dropdown.Menu>
+                      {Object.entries(ROLE_LABELS).map(([roleKey, label]) => (
+                        <Dropdown.Item 
+                          key={roleKey}
+                          active={currentRole === roleKey}
+                          onClick={() => switchRole(roleKey)}
+                        >
+                          {label}
+                        </Dropdown.Item>
+                      ))}
+                      <Dropdown.Divider />
+                      <Dropdown.Item onClick={() => setPermissionMode(PERMISSION_MODES.ONCHAIN)}>
+                        Use on-chain roles
                       </Dropdown.Item>
-                    ))}
-                  </Dropdown.Menu>
-                </Dropdown>
+                    </Dropdown.Menu>
+                  </Dropdown>
+                ) : (
+                  <Dropdown className="me-3">
+                    <Dropdown.Toggle variant="info" size="sm">
+                      Roles: {roleLabel}
+                    </Dropdown.Toggle>
+                    <Dropdown.Menu>
+                      <Dropdown.Header>On-chain roles for this account</Dropdown.Header>
+                      {heldRoles.length === 0 && (
+                        <Dropdown.ItemText className="text-muted">No roles granted</Dropdown.ItemText>
+                      )}
+                      {heldRoles.map((role) => (
+                        <Dropdown.ItemText key={role}>{ROLE_LABELS[role]}</Dropdown.ItemText>
+                      ))}
+                      {isDemoAvailable && (
+                        <>
+                          <Dropdown.Divider />
+                          <Dropdown.Item onClick={() => setPermissionMode(PERMISSION_MODES.DEMO)}>
+                            Enable demo role switcher
+                          </Dropdown.Item>
+                        </>
+                      )}
+                    </Dropdown.Menu>
+                  </Dropdown>
+                )}
                 
-                <Navbar.Text className="me-3">
-                  {formatAddress(account)}
+                <Navbar.Text className="me-3" title={account}>
+                  {nameOf(account)}
                 </Navbar.Text>
                 
                 {networkInfo && (
@@ -82,15 +127,23 @@ const Navigation = () => {
               </Nav>
             </>
           ) : (
-            <Nav className="ms-auto">
-              <Button 
-                variant="primary" 
-                onClick={connectToWallet}
-                disabled={isLoading}
-              >
-                {isLoading ? 'Connecting...' : 'Connect Wallet'}
-              </Button>
-            </Nav>
+            <>
+              <Nav className="me-auto">
+                <LinkContainer to="/scan">
+                  <Nav.Link>Scan Label</Nav.Link>
+                </LinkContainer>
+              </Nav>
+              
+              <Nav className="ms-auto">
+                <Button 
+                  variant="primary" 
+                  onClick={connectToWallet}
+                  disabled={isLoading}
+                >
+                  {isLoading ? 'Connecting...' : 'Connect Wallet'}
+                </Button>
+              </Nav>
+            </>
           )}
         </Navbar.Collapse>
       </Container>
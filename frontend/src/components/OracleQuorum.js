@@ -0,0 +1,302 @@
+// frontend/src/components/OracleQuorum.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Form, Row, Col, Alert } from 'react-bootstrap';
+import {
+  getOracleAgreement,
+  getRoleDirectory,
+  setBatchQuorum,
+  clearBatchQuorum,
+  validateQuorum,
+  formatTimestamp
+} from '../utils/blockchain-clean';
+import ParticipantName from './ParticipantName';
+import { toast } from 'react-toastify';
+
+const DEFAULT_WINDOW_MINUTES = 15;
+
+const agreementVariant = (agreement) => {
+  if (agreement === null) return 'secondary';
+  if (agreement >= 0.9) return 'success';
+  if (agreement >= 0.6) return 'warning';
+  return 'danger';
+};
+
+/**
+ * OracleQuorum Component
+ *
+ * Looks up a batch's oracle quorum and how often each oracle reporting on it
+ * agrees with the others. Admins can assign the ORACLE_ROLE holders that must
+ * agree before an oracle breach compromises the batch, or clear the quorum.
+ */
+const OracleQuorum = ({ contract, canManage }) => {
+  const [batchId, setBatchId] = useState('');
+  const [loadedBatchId, setLoadedBatchId] = useState(null);
+  const [report, setReport] = useState(null);
+  const [oracleAccounts, setOracleAccounts] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [threshold, setThreshold] = useState(2);
+  const [windowMinutes, setWindowMinutes] = useState(DEFAULT_WINDOW_MINUTES);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  useEffect(() => {
+    if (!contract || !canManage) return;
+    getRoleDirectory(contract)
+      .then(members => setOracleAccounts(members.filter(member => member.roleKey === 'ORACLE_ROLE').map(member => member.account)))
+      .catch(error => console.error('Error loading oracles:', error));
+  }, [contract, canManage]);
+
+  const loadBatch = useCallback(async (id) => {
+    try {
+      setIsLoading(true);
+      const result = await getOracleAgreement(contract, id);
+      setReport(result);
+      setLoadedBatchId(id);
+      if (result.quorum.threshold > 0) {
+        setSelected(result.quorum.oracles);
+        setThreshold(result.quorum.threshold);
+        setWindowMinutes(Math.round(result.quorum.window / 60));
+      } else {
+        setSelected([]);
+        setThreshold(2);
+        setWindowMinutes(DEFAULT_WINDOW_MINUTES);
+      }
+    } catch (error) {
+      console.error('Error loading oracle quorum:', error);
+      toast.error(error.message);
+      setReport(null);
+      setLoadedBatchId(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [contract]);
+
+  const handleLookup = (e) => {
+    e.preventDefault();
+    if (batchId) {
+      loadBatch(batchId);
+    }
+  };
+
+  const toggleOracle = (account) => {
+    setSelected(prev => (
+      prev.includes(account) ? prev.filter(oracle => oracle !== account) : [...prev, account]
+    ));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const quorum = { oracles: selected, threshold: Number(threshold), windowMinutes: Number(windowMinutes) };
+    const validationError = validateQuorum(quorum);
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      await setBatchQuorum(contract, loadedBatchId, quorum);
+      toast.success(`Batch #${loadedBatchId} now needs ${quorum.threshold} of ${quorum.oracles.length} oracles to agree`);
+      await loadBatch(loadedBatchId);
+    } catch (error) {
+      console.error('Error setting oracle quorum:', error);
+      toast.error(error.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      setIsProcessing(true);
+      await clearBatchQuorum(contract, loadedBatchId);
+      toast.success(`Batch #${loadedBatchId} no longer needs an oracle quorum`);
+      await loadBatch(loadedBatchId);
+    } catch (error) {
+      console.error('Error clearing oracle quorum:', error);
+      toast.error(error.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const quorum = report && report.quorum;
+  // Assigned oracles that lost ORACLE_ROLE still need to be listed
+  const candidates = [...new Set([...oracleAccounts, ...selected])];
+
+  return (
+    <>
+      <Card className="mb-4">
+        <Card.Header>
+          <h5 className="mb-0">Batch Oracles</h5>
+        </Card.Header>
+        <Card.Body>
+          <Form onSubmit={handleLookup}>
+            <Row className="g-2">
+              <Col md={4}>
+                <Form.Control
+                  type="number"
+                  min="1"
+                  placeholder="Batch ID"
+                  value={batchId}
+                  onChange={(e) => setBatchId(e.target.value)}
+                  disabled={isLoading}
+                />
+              </Col>
+              <Col md="auto">
+                <Button type="submit" variant="primary" disabled={isLoading || !batchId}>
+                  {isLoading ? 'Loading...' : 'Load Batch'}
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+
+          {quorum && !quorum.available && (
+            <Alert variant="warning" className="mt-3 mb-0">
+              No oracle quorum contract is set on Traceability, so any single oracle can compromise a batch.
+            </Alert>
+          )}
+
+          {quorum && quorum.available && (
+            <p className="mt-3 mb-0">
+              {quorum.threshold > 0 ? (
+                <>
+                  Batch #{loadedBatchId} is compromised by oracles only when{' '}
+                  <strong>{quorum.threshold} of {quorum.oracles.length}</strong> report a breach within{' '}
+                  <strong>{Math.round(quorum.window / 60)} minutes</strong>.{' '}
+                  <small className="text-muted">
+                    Set by <ParticipantName address={quorum.updatedBy} /> on {formatTimestamp(quorum.updatedAt)}
+                  </small>
+                </>
+              ) : (
+                <>Batch #{loadedBatchId} has no quorum: any oracle's breach can compromise it.</>
+              )}
+            </p>
+          )}
+        </Card.Body>
+      </Card>
+
+      {canManage && quorum && quorum.available && (
+        <Card className="mb-4">
+          <Card.Header>
+            <h5 className="mb-0">Assign Oracles to Batch #{loadedBatchId}</h5>
+          </Card.Header>
+          <Card.Body>
+            <Form onSubmit={handleSave}>
+              {candidates.length === 0 ? (
+                <p className="text-muted">No accounts hold ORACLE_ROLE yet.</p>
+              ) : (
+                <Form.Group className="mb-3">
+                  <Form.Label>Oracles</Form.Label>
+                  {candidates.map(account => (
+                    <Form.Check
+                      key={account}
+                      type="checkbox"
+                      id={`quorum-oracle-${account}`}
+                      label={<ParticipantName address={account} />}
+                      checked={selected.includes(account)}
+                      onChange={() => toggleOracle(account)}
+                      disabled={isProcessing}
+                    />
+                  ))}
+                </Form.Group>
+              )}
+              <Row className="g-2">
+                <Col md={4}>
+                  <Form.Group>
+                    <Form.Label>Threshold</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="1"
+                      max={Math.max(selected.length, 1)}
+                      value={threshold}
+                      onChange={(e) => setThreshold(e.target.value)}
+                      disabled={isProcessing}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group>
+                    <Form.Label>Window (minutes)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="1"
+                      value={windowMinutes}
+                      onChange={(e) => setWindowMinutes(e.target.value)}
+                      disabled={isProcessing}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Button type="submit" variant="primary" className="mt-3 me-2" disabled={isProcessing || selected.length === 0}>
+                {isProcessing ? 'Saving...' : 'Save Quorum'}
+              </Button>
+              {quorum.threshold > 0 && (
+                <Button variant="outline-danger" className="mt-3" onClick={handleClear} disabled={isProcessing}>
+                  Clear Quorum
+                </Button>
+              )}
+            </Form>
+          </Card.Body>
+        </Card>
+      )}
+
+      {report && (
+        <Card>
+          <Card.Header>
+            <h5 className="mb-0">Oracle Agreement</h5>
+          </Card.Header>
+          <Card.Body>
+            {report.oracles.length === 0 ? (
+              <p className="text-muted text-center mb-0">No oracles have reported on this batch yet.</p>
+            ) : (
+              <>
+                <Table responsive hover size="sm">
+                  <thead>
+                    <tr>
+                      <th>Oracle</th>
+                      <th>Readings</th>
+                      <th>Out of Range</th>
+                      <th>Agreement</th>
+                      <th>Confirmed</th>
+                      <th>Disagreements</th>
+                      <th>Last Reading</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.oracles.map(oracle => (
+                      <tr key={oracle.oracle}>
+                        <td>
+                          <ParticipantName address={oracle.oracle} />
+                          {oracle.assigned && <Badge bg="info" className="ms-2">Quorum</Badge>}
+                        </td>
+                        <td>{oracle.readingCount}</td>
+                        <td>{oracle.breaches}</td>
+                        <td>
+                          <Badge bg={agreementVariant(oracle.agreement)}>
+                            {oracle.agreement === null ? 'n/a' : `${Math.round(oracle.agreement * 100)}%`}
+                          </Badge>
+                          {oracle.comparisons > 0 && <small className="text-muted ms-1">({oracle.agreements}/{oracle.comparisons})</small>}
+                        </td>
+                        <td>{oracle.confirmed}</td>
+                        <td>{oracle.disagreements > 0 ? <Badge bg="warning" text="dark">{oracle.disagreements}</Badge> : 0}</td>
+                        <td><small>{oracle.lastReadingAt ? formatTimestamp(oracle.lastReadingAt) : '-'}</small></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+                <small className="text-muted">
+                  Each reading is compared with the nearest reading of every other oracle within {Math.round(report.window / 60)} minutes;
+                  they agree when both are in range or both are out of range.
+                </small>
+              </>
+            )}
+          </Card.Body>
+        </Card>
+      )}
+    </>
+  );
+};
+
+export default OracleQuorum;
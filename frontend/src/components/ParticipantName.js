@@ -0,0 +1,31 @@
+// frontend/src/components/ParticipantName.js
+import React from 'react';
+import { useParticipants } from '../utils/ParticipantContext';
+import { formatAddress } from '../utils/blockchain-clean';
+
+/**
+ * Participant Name Component
+ *
+ * Shows an address as the organization registered for it, with the address,
+ * country and license in the tooltip. Unregistered addresses are shown
+ * shortened, or in full with `full`.
+ */
+const ParticipantName = ({ address, full = false }) => {
+  const { getParticipant, nameOf } = useParticipants();
+  const participant = getParticipant(address);
+
+  if (!participant) {
+    return <code title={address}>{full ? address : formatAddress(address)}</code>;
+  }
+
+  const tooltip = [
+    address,
+    participant.country && `Country: ${participant.country}`,
+    participant.licenseNumber && `License: ${participant.licenseNumber}`,
+    participant.contact && `Contact: ${participant.contact}`
+  ].filter(Boolean).join('\n');
+
+  return <span title={tooltip}>{nameOf(address)}</span>;
+};
+
+export default ParticipantName;
@@ -0,0 +1,211 @@
+// frontend/src/components/Participants.js
+import React, { useState } from 'react';
+import { Card, Table, Button, Form, Row, Col } from 'react-bootstrap';
+import { useParticipants } from '../utils/ParticipantContext';
+import {
+  registerParticipant,
+  removeParticipant,
+  validateParticipant,
+  formatAddress,
+  formatTimestamp
+} from '../utils/blockchain-clean';
+import { toast } from 'react-toastify';
+
+export const EMPTY_PARTICIPANT = { organization: '', facility: '', country: '', licenseNumber: '', contact: '' };
+
+/**
+ * Inputs for a participant's registry entry, shared with the grant role form
+ */
+export const ParticipantFields = ({ value, onChange, disabled }) => {
+  const handleChange = (e) => {
+    const { name, value: fieldValue } = e.target;
+    onChange({ ...value, [name]: fieldValue });
+  };
+
+  return (
+    <>
+      <Row>
+        <Col md={6}>
+          <Form.Group className="mb-2">
+            <Form.Label>Organization</Form.Label>
+            <Form.Control name="organization" value={value.organization} onChange={handleChange} disabled={disabled} placeholder="e.g., Nordic Cold Storage AB" />
+          </Form.Group>
+        </Col>
+        <Col md={6}>
+          <Form.Group className="mb-2">
+            <Form.Label>Facility</Form.Label>
+            <Form.Control name="facility" value={value.facility} onChange={handleChange} disabled={disabled} placeholder="e.g., Gothenburg Depot" />
+          </Form.Group>
+        </Col>
+      </Row>
+      <Row>
+        <Col md={3}>
+          <Form.Group className="mb-2">
+            <Form.Label>Country</Form.Label>
+            <Form.Control name="country" value={value.country} onChange={handleChange} disabled={disabled} placeholder="SE" maxLength={2} />
+          </Form.Group>
+        </Col>
+        <Col md={4}>
+          <Form.Group className="mb-2">
+            <Form.Label>License Number</Form.Label>
+            <Form.Control name="licenseNumber" value={value.licenseNumber} onChange={handleChange} disabled={disabled} />
+          </Form.Group>
+        </Col>
+        <Col md={5}>
+          <Form.Group className="mb-2">
+            <Form.Label>Contact</Form.Label>
+            <Form.Control name="contact" value={value.contact} onChange={handleChange} disabled={disabled} placeholder="Email or phone" />
+          </Form.Group>
+        </Col>
+      </Row>
+    </>
+  );
+};
+
+/**
+ * Participants Component
+ *
+ * Lists the organizations registered in the participant registry and lets
+ * admins register, edit and remove entries. Names registered here replace
+ * bare addresses throughout the app.
+ */
+const Participants = ({ contract, canManage }) => {
+  const { participants, reload } = useParticipants();
+  const [account, setAccount] = useState('');
+  const [details, setDetails] = useState(EMPTY_PARTICIPANT);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  const entries = Object.values(participants).sort((a, b) => a.organization.localeCompare(b.organization));
+
+  const handleEdit = (participant) => {
+    setAccount(participant.account);
+    setDetails({
+      organization: participant.organization,
+      facility: participant.facility,
+      country: participant.country,
+      licenseNumber: participant.licenseNumber,
+      contact: participant.contact
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = validateParticipant(account, details);
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      await registerParticipant(contract, account, details);
+      toast.success(`${details.organization.trim()} registered for ${formatAddress(account)}`);
+      setAccount('');
+      setDetails(EMPTY_PARTICIPANT);
+      await reload();
+    } catch (error) {
+      console.error('Error registering participant:', error);
+      toast.error(error.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleRemove = async (participant) => {
+    try {
+      setIsProcessing(true);
+      await removeParticipant(contract, participant.account);
+      toast.success(`${participant.organization} removed from the registry`);
+      await reload();
+    } catch (error) {
+      console.error('Error removing participant:', error);
+      toast.error(error.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <>
+      {canManage && (
+        <Card className="mb-4">
+          <Card.Header>
+            <h5 className="mb-0">Register Participant</h5>
+          </Card.Header>
+          <Card.Body>
+            <Form onSubmit={handleSubmit}>
+              <Form.Group className="mb-2">
+                <Form.Label>Address</Form.Label>
+                <Form.Control
+                  value={account}
+                  onChange={(e) => setAccount(e.target.value.trim())}
+                  disabled={isProcessing}
+                  placeholder="0x..."
+                />
+              </Form.Group>
+              <ParticipantFields value={details} onChange={setDetails} disabled={isProcessing} />
+              <Button type="submit" variant="primary" className="mt-2" disabled={isProcessing || !account || !details.organization.trim()}>
+                {isProcessing ? 'Saving...' : 'Save Participant'}
+              </Button>
+              <Form.Text className="text-muted ms-3">
+                Saving an address that is already registered replaces its entry
+              </Form.Text>
+            </Form>
+          </Card.Body>
+        </Card>
+      )}
+
+      <Card>
+        <Card.Header>
+          <h5 className="mb-0">Participant Registry</h5>
+        </Card.Header>
+        <Card.Body>
+          {entries.length === 0 ? (
+            <p className="text-muted text-center mb-0">No participants registered yet.</p>
+          ) : (
+            <Table responsive hover size="sm">
+              <thead>
+                <tr>
+                  <th>Organization</th>
+                  <th>Facility</th>
+                  <th>Country</th>
+                  <th>License</th>
+                  <th>Contact</th>
+                  <th>Address</th>
+                  <th>Updated</th>
+                  {canManage && <th></th>}
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(participant => (
+                  <tr key={participant.account}>
+                    <td>{participant.organization}</td>
+                    <td>{participant.facility || '-'}</td>
+                    <td>{participant.country || '-'}</td>
+                    <td>{participant.licenseNumber || '-'}</td>
+                    <td>{participant.contact || '-'}</td>
+                    <td><code title={participant.account}>{formatAddress(participant.account)}</code></td>
+                    <td><small>{formatTimestamp(participant.updatedAt)}</small></td>
+                    {canManage && (
+                      <td className="text-end text-nowrap">
+                        <Button variant="outline-secondary" size="sm" className="me-1" onClick={() => handleEdit(participant)} disabled={isProcessing}>
+                          Edit
+                        </Button>
+                        <Button variant="outline-danger" size="sm" onClick={() => handleRemove(participant)} disabled={isProcessing}>
+                          Remove
+                        </Button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </>
+  );
+};
+
+export default Participants;
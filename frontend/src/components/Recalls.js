@@ -0,0 +1,303 @@
+// frontend/src/components/Recalls.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Form, Row, Col, Alert, ProgressBar } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import {
+  findRecallCandidates,
+  executeRecall,
+  getRecalls,
+  formatAddress,
+  formatTimestamp,
+  getStatusText,
+  getStatusBadgeClass
+} from '../utils/blockchain-clean';
+import { toast } from 'react-toastify';
+
+const EMPTY_CRITERIA = { productName: '', processor: '', createdFrom: '', createdTo: '', includeDescendants: true };
+
+// <input type="date"> values are read as UTC days; the end date is inclusive
+const toTimestamp = (date, endOfDay = false) => (
+  date ? Math.floor(Date.parse(date) / 1000) + (endOfDay ? 86399 : 0) : null
+);
+
+/**
+ * Recalls Component
+ *
+ * Lets admins select batches by product, processor or creation date, preview
+ * every batch a recall would flag (including batches repacked from them) and
+ * issue the recall in chunks. Lists past recalls with how many owners have
+ * acknowledged the notice.
+ */
+const Recalls = ({ contract, canManage }) => {
+  const navigate = useNavigate();
+
+  const [recalls, setRecalls] = useState([]);
+  const [criteria, setCriteria] = useState(EMPTY_CRITERIA);
+  const [reason, setReason] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  const loadRecalls = useCallback(async () => {
+    try {
+      setRecalls(await getRecalls(contract));
+    } catch (error) {
+      console.error('Error loading recalls:', error);
+      toast.error('Failed to load recalls');
+    }
+  }, [contract]);
+
+  useEffect(() => {
+    if (contract) {
+      loadRecalls();
+    }
+  }, [contract, loadRecalls]);
+
+  const handleCriteriaChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setCriteria(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+    // A changed selection needs a fresh preview
+    setPreview(null);
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsProcessing(true);
+      setPreview(await findRecallCandidates(contract, {
+        productName: criteria.productName.trim(),
+        processor: criteria.processor.trim(),
+        createdFrom: toTimestamp(criteria.createdFrom),
+        createdTo: toTimestamp(criteria.createdTo, true),
+        includeDescendants: criteria.includeDescendants
+      }));
+    } catch (error) {
+      console.error('Error previewing recall:', error);
+      toast.error(error.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleExecute = async () => {
+    try {
+      setIsProcessing(true);
+      setProgress({ done: 0, total: preview.batchIds.length });
+      const result = await executeRecall(
+        contract,
+        { reason, criteria: preview.criteria },
+        preview.batchIds,
+        { onProgress: setProgress }
+      );
+
+      toast.success(`Recall #${result.recallId} flagged ${result.flagged} batches`);
+      setPreview(null);
+      setReason('');
+      setCriteria(EMPTY_CRITERIA);
+      await loadRecalls();
+    } catch (error) {
+      console.error('Error executing recall:', error);
+      toast.error(error.message);
+      // Batches flagged before the failure stay recalled
+      await loadRecalls();
+    } finally {
+      setIsProcessing(false);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <>
+      {canManage ? (
+        <Card className="mb-4">
+          <Card.Header>
+            <h5 className="mb-0">Issue Recall</h5>
+          </Card.Header>
+          <Card.Body>
+            <Form onSubmit={handlePreview}>
+              <Row className="g-2">
+                <Col md={6}>
+                  <Form.Control
+                    type="text"
+                    name="productName"
+                    placeholder="Product name (e.g., Frozen Peas)"
+                    value={criteria.productName}
+                    onChange={handleCriteriaChange}
+                    disabled={isProcessing}
+                  />
+                </Col>
+                <Col md={6}>
+                  <Form.Control
+                    type="text"
+                    name="processor"
+                    placeholder="Processor address (0x...)"
+                    value={criteria.processor}
+                    onChange={handleCriteriaChange}
+                    disabled={isProcessing}
+                  />
+                </Col>
+                <Col md={4}>
+                  <Form.Control
+                    type="date"
+                    name="createdFrom"
+                    value={criteria.createdFrom}
+                    onChange={handleCriteriaChange}
+                    disabled={isProcessing}
+                  />
+                  <Form.Text className="text-muted">Created from (UTC)</Form.Text>
+                </Col>
+                <Col md={4}>
+                  <Form.Control
+                    type="date"
+                    name="createdTo"
+                    value={criteria.createdTo}
+                    onChange={handleCriteriaChange}
+                    disabled={isProcessing}
+                  />
+                  <Form.Text className="text-muted">Created until (UTC)</Form.Text>
+                </Col>
+                <Col md={4} className="d-grid align-self-start">
+                  <Button type="submit" variant="outline-primary" disabled={isProcessing}>
+                    Preview Affected Batches
+                  </Button>
+                </Col>
+              </Row>
+              <Form.Check
+                type="checkbox"
+                className="mt-2"
+                name="includeDescendants"
+                label="Include every batch split or merged out of a matching batch"
+                checked={criteria.includeDescendants}
+                onChange={handleCriteriaChange}
+                disabled={isProcessing}
+              />
+            </Form>
+
+            {preview && (
+              <div className="mt-4">
+                <h6>
+                  {preview.batches.length} batches match
+                  <small className="text-muted ms-2">({preview.criteria})</small>
+                </h6>
+                {preview.batches.length > 0 && (
+                  <Table responsive size="sm" className="mb-3">
+                    <thead>
+                      <tr>
+                        <th>Batch</th>
+                        <th>Product</th>
+                        <th>Processor</th>
+                        <th>Created</th>
+                        <th>Owner</th>
+                        <th>Status</th>
+                        <th>Matched</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.batches.map(batch => (
+                        <tr key={batch.batchId} className={batch.recallId ? 'text-muted' : undefined}>
+                          <td>
+                            <Button variant="link" size="sm" className="p-0" onClick={() => navigate(`/batch/${batch.batchId}`)}>
+                              #{batch.batchId}
+                            </Button>
+                          </td>
+                          <td>{batch.productName}</td>
+                          <td><code>{formatAddress(batch.processor)}</code></td>
+                          <td>{formatTimestamp(batch.creationTimestamp)}</td>
+                          <td><code>{formatAddress(batch.currentOwner)}</code></td>
+                          <td>
+                            <Badge bg={getStatusBadgeClass(batch.status)}>{getStatusText(batch.status)}</Badge>
+                            {batch.recallId && <Badge bg="dark" className="ms-1">Recall #{batch.recallId}</Badge>}
+                          </td>
+                          <td>{batch.matchedBy === 'lineage' ? 'Repacked from a match' : 'Criteria'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                )}
+
+                {preview.batchIds.length > 0 ? (
+                  <Row className="g-2">
+                    <Col md={8}>
+                      <Form.Control
+                        type="text"
+                        placeholder="Recall reason (e.g., Listeria found at Plant 2)"
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        disabled={isProcessing}
+                      />
+                    </Col>
+                    <Col md={4} className="d-grid">
+                      <Button variant="danger" onClick={handleExecute} disabled={isProcessing || !reason.trim()}>
+                        Recall {preview.batchIds.length} Batches
+                      </Button>
+                    </Col>
+                  </Row>
+                ) : (
+                  <Alert variant="info" className="mb-0">No batches left to recall for these criteria.</Alert>
+                )}
+
+                {progress && (
+                  <ProgressBar
+                    className="mt-3"
+                    now={(progress.done / progress.total) * 100}
+                    label={`${progress.done} / ${progress.total}`}
+                  />
+                )}
+              </div>
+            )}
+          </Card.Body>
+        </Card>
+      ) : (
+        <Alert variant="info">
+          <small>Issuing recalls requires admin privileges.</small>
+        </Alert>
+      )}
+
+      <Card className="mb-4">
+        <Card.Header>
+          <h5 className="mb-0">Recalls</h5>
+        </Card.Header>
+        <Card.Body>
+          {recalls.length === 0 ? (
+            <Alert variant="info" className="mb-0">No recalls have been issued.</Alert>
+          ) : (
+            <Table responsive size="sm" className="mb-0">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Reason</th>
+                  <th>Criteria</th>
+                  <th>Issued</th>
+                  <th>Acknowledged</th>
+                </tr>
+              </thead>
+              <tbody>
+                {recalls.map(recall => (
+                  <tr key={recall.recallId}>
+                    <td>{recall.recallId}</td>
+                    <td>{recall.reason}</td>
+                    <td><small className="text-muted">{recall.criteria || '-'}</small></td>
+                    <td>{formatTimestamp(recall.issuedAt)}</td>
+                    <td style={{ minWidth: '8rem' }}>
+                      <ProgressBar
+                        variant={recall.acknowledgedCount === recall.batchCount ? 'success' : 'warning'}
+                        now={recall.batchCount ? (recall.acknowledgedCount / recall.batchCount) * 100 : 0}
+                        label={`${recall.acknowledgedCount} / ${recall.batchCount}`}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </>
+  );
+};
+
+export default Recalls;
@@ -0,0 +1,142 @@
+// frontend/src/components/RepackBatch.js
+import React, { useState } from 'react';
+import { Card, Form, Button } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { splitBatch, mergeBatches } from '../utils/blockchain-clean';
+import { toast } from 'react-toastify';
+
+// "10, 30" -> [10, 30]; blanks are dropped, anything else is kept for validation
+const parseList = (value) => value
+  .split(',')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(Number);
+
+/**
+ * Repack Batch Component
+ *
+ * Lets the owner of a batch split it into smaller batches or merge it with
+ * other batches they own. The original batch is frozen afterwards; its
+ * readings and custody continue on the new batches.
+ */
+const RepackBatch = ({ contract, batch }) => {
+  const navigate = useNavigate();
+
+  const [productName, setProductName] = useState(batch.productName || '');
+  const [quantities, setQuantities] = useState('');
+  const [otherBatchIds, setOtherBatchIds] = useState('');
+  const [notes, setNotes] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  const splitQuantities = parseList(quantities);
+  const splitTotal = splitQuantities.reduce((sum, quantity) => sum + (Number.isFinite(quantity) ? quantity : 0), 0);
+
+  const handleSplit = async () => {
+    if (splitTotal !== batch.quantity) {
+      toast.error(`Quantities add up to ${splitTotal} ${batch.unit}, but the batch holds ${batch.quantity}`);
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      const result = await splitBatch(contract, batch.batchId, productName, splitQuantities, notes);
+      toast.success(`Batch #${batch.batchId} split into #${result.childIds.join(', #')}`);
+      navigate(`/batch/${batch.batchId}/lineage`);
+    } catch (error) {
+      console.error('Error splitting batch:', error);
+      toast.error(error.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    const batchIds = [Number(batch.batchId), ...parseList(otherBatchIds)];
+    if (batchIds.some(batchId => !Number.isInteger(batchId) || batchId <= 0)) {
+      toast.error('Enter batch IDs as whole numbers separated by commas');
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      const result = await mergeBatches(contract, batchIds, productName, notes);
+      toast.success(`Batches #${batchIds.join(', #')} merged into #${result.batchId}`);
+      navigate(`/batch/${result.batchId}`);
+    } catch (error) {
+      console.error('Error merging batches:', error);
+      toast.error(error.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h6 className="mb-0">Repack Batch</h6>
+      </Card.Header>
+      <Card.Body>
+        <Form.Control
+          type="text"
+          className="mb-2"
+          placeholder="Product name of the new batches"
+          value={productName}
+          onChange={(e) => setProductName(e.target.value)}
+          disabled={isProcessing}
+        />
+        <Form.Control
+          type="text"
+          className="mb-3"
+          placeholder="Notes (optional)"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          disabled={isProcessing}
+        />
+
+        <Form.Label className="small mb-1">Split into quantities ({batch.unit})</Form.Label>
+        <div className="input-group mb-1">
+          <Form.Control
+            type="text"
+            placeholder={`e.g., ${Math.floor(batch.quantity / 2) || 1}, ${Math.ceil(batch.quantity / 2)}`}
+            value={quantities}
+            onChange={(e) => setQuantities(e.target.value)}
+            disabled={isProcessing}
+          />
+          <Button
+            variant="outline-primary"
+            onClick={handleSplit}
+            disabled={isProcessing || splitQuantities.length < 2 || !productName.trim()}
+          >
+            Split
+          </Button>
+        </div>
+        <Form.Text className={`d-block mb-3 ${splitTotal === batch.quantity ? 'text-success' : 'text-muted'}`}>
+          {splitTotal} of {batch.quantity} {batch.unit} allocated
+        </Form.Text>
+
+        <Form.Label className="small mb-1">Merge with batches you own</Form.Label>
+        <div className="input-group mb-1">
+          <Form.Control
+            type="text"
+            placeholder="Batch IDs, e.g., 12, 15"
+            value={otherBatchIds}
+            onChange={(e) => setOtherBatchIds(e.target.value)}
+            disabled={isProcessing}
+          />
+          <Button
+            variant="outline-primary"
+            onClick={handleMerge}
+            disabled={isProcessing || !otherBatchIds.trim() || !productName.trim()}
+          >
+            Merge
+          </Button>
+        </div>
+        <Form.Text className="text-muted">
+          Merged batches must share a unit and temperature profile. If any of them is compromised, so is the merged batch.
+        </Form.Text>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default RepackBatch;
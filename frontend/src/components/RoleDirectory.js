@@ -0,0 +1,181 @@
+// frontend/src/components/RoleDirectory.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Form, Row, Col, Spinner } from 'react-bootstrap';
+import { useRoleEvents } from '../utils/BlockchainContext';
+import { useParticipants } from '../utils/ParticipantContext';
+import { getRoleDirectory, revokeRole, formatAddress, formatTimestamp } from '../utils/blockchain-clean';
+import ParticipantName from './ParticipantName';
+import { toast } from 'react-toastify';
+
+// One row per membership, for the quarterly audit export
+const toCsv = (members) => [
+  'role,account,grantedAt,grantedBy,transactionHash',
+  ...members.map(m => [
+    m.roleKey,
+    m.account,
+    new Date(m.grantedAt * 1000).toISOString(),
+    m.grantedBy,
+    m.transactionHash
+  ].join(','))
+].join('\n');
+
+/**
+ * Role Directory Component
+ *
+ * Lists every account holding a role, with when and by whom it was granted,
+ * rebuilt from the contract's role events. Admins can filter by role or
+ * address, revoke a membership in one click and export the list as CSV.
+ */
+const RoleDirectory = ({ contract, account, roles, canManage }) => {
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [roleFilter, setRoleFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [revoking, setRevoking] = useState(null);
+  const { nameOf } = useParticipants();
+
+  const loadDirectory = useCallback(async () => {
+    try {
+      setMembers(await getRoleDirectory(contract));
+    } catch (error) {
+      console.error('Error loading role directory:', error);
+      toast.error('Failed to load role directory');
+    } finally {
+      setLoading(false);
+    }
+  }, [contract]);
+
+  useEffect(() => {
+    if (contract) {
+      loadDirectory();
+    }
+  }, [contract, loadDirectory]);
+
+  // Grants and revocations from any admin, including the Role Management card
+  useRoleEvents(() => {
+    if (contract) {
+      loadDirectory();
+    }
+  });
+
+  const handleRevoke = async (member) => {
+    const key = `${member.roleKey}:${member.account}`;
+    try {
+      setRevoking(key);
+      await revokeRole(contract, member.roleKey, member.account);
+      toast.success(`${roles[member.roleKey].name} role revoked from ${formatAddress(member.account)}`);
+      await loadDirectory();
+    } catch (error) {
+      console.error('Error revoking role:', error);
+      toast.error(error.message);
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([toCsv(filtered)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `role-directory-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const query = search.trim().toLowerCase();
+  const filtered = members.filter(member =>
+    (!roleFilter || member.roleKey === roleFilter) &&
+    (!query || [member.account, member.grantedBy, nameOf(member.account)].some(text => text.toLowerCase().includes(query)))
+  );
+
+  const isSelf = (address) => account && address.toLowerCase() === account.toLowerCase();
+
+  return (
+    <Card>
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">Role Directory</h5>
+        <Button variant="outline-secondary" size="sm" onClick={handleExport} disabled={filtered.length === 0}>
+          Export CSV
+        </Button>
+      </Card.Header>
+      <Card.Body>
+        <Row className="mb-3">
+          <Col md={4}>
+            <Form.Select value={roleFilter} onChange={(e) => setRoleFilter(e.target.value)}>
+              <option value="">All roles</option>
+              {Object.entries(roles).map(([roleKey, roleInfo]) => (
+                <option key={roleKey} value={roleKey}>{roleInfo.name}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col md={8}>
+            <Form.Control
+              type="text"
+              placeholder="Filter by holder organization or address, or granting admin address"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </Col>
+        </Row>
+
+        {loading ? (
+          <div className="text-center py-3">
+            <Spinner animation="border" size="sm" /> Loading role holders...
+          </div>
+        ) : filtered.length === 0 ? (
+          <p className="text-muted text-center mb-0">No role holders match the filter.</p>
+        ) : (
+          <Table responsive hover size="sm">
+            <thead>
+              <tr>
+                <th>Role</th>
+                <th>Holder</th>
+                <th>Granted</th>
+                <th>Granted By</th>
+                {canManage && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map(member => {
+                const key = `${member.roleKey}:${member.account}`;
+                return (
+                  <tr key={key}>
+                    <td>
+                      <Badge bg={roles[member.roleKey].color}>{roles[member.roleKey].name}</Badge>
+                    </td>
+                    <td>
+                      <ParticipantName address={member.account} />
+                      {isSelf(member.account) && <Badge bg="light" text="dark" className="ms-1">You</Badge>}
+                    </td>
+                    <td><small>{formatTimestamp(member.grantedAt)}</small></td>
+                    <td><ParticipantName address={member.grantedBy} /></td>
+                    {canManage && (
+                      <td className="text-end">
+                        {/* Admins step down through Role Management, not by a stray click here */}
+                        {!(member.roleKey === 'ADMIN_ROLE' && isSelf(member.account)) && (
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handleRevoke(member)}
+                            disabled={revoking !== null}
+                          >
+                            {revoking === key ? 'Revoking...' : 'Revoke'}
+                          </Button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+        )}
+        <small className="text-muted">
+          {filtered.length} of {members.length} memberships shown
+        </small>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default RoleDirectory;
@@ -0,0 +1,173 @@
+// frontend/src/components/ScanBatch.js
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Container, Row, Col, Card, Form, Button, Alert } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { useBlockchain } from '../utils/BlockchainContext';
+import { decodeQrFromFile, decodeQrFromImageData, parseBatchLabel } from '../utils/qr';
+
+/**
+ * Scan Batch Component
+ *
+ * Reads a batch QR label from an uploaded photo or the device camera,
+ * checks it was issued for this app's chain and contract, and opens the
+ * batch. Connected users go to the batch details; visitors without a
+ * wallet go to the public verification page.
+ */
+const ScanBatch = () => {
+  const navigate = useNavigate();
+  const { account } = useBlockchain();
+
+  const [error, setError] = useState(null);
+  const [isCameraOn, setIsCameraOn] = useState(false);
+  const [isDecodingFile, setIsDecodingFile] = useState(false);
+
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const streamRef = useRef(null);
+  const frameRef = useRef(null);
+
+  const stopCamera = useCallback(() => {
+    cancelAnimationFrame(frameRef.current);
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    setIsCameraOn(false);
+  }, []);
+
+  // Release the camera when leaving the page
+  useEffect(() => stopCamera, [stopCamera]);
+
+  const openLabel = useCallback((text) => {
+    try {
+      const { batchId } = parseBatchLabel(text);
+      navigate(account ? `/batch/${batchId}` : `/verify/${batchId}`);
+    } catch (error) {
+      setError(error.message);
+    }
+  }, [account, navigate]);
+
+  const scanFrame = useCallback(() => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+
+    if (video && canvas && video.readyState === video.HAVE_ENOUGH_DATA) {
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+      const text = decodeQrFromImageData(context.getImageData(0, 0, canvas.width, canvas.height));
+      if (text) {
+        stopCamera();
+        openLabel(text);
+        return;
+      }
+    }
+
+    frameRef.current = requestAnimationFrame(scanFrame);
+  }, [stopCamera, openLabel]);
+
+  const startCamera = async () => {
+    setError(null);
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      setError('Camera access is not supported in this browser. Upload a photo of the label instead.');
+      return;
+    }
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setIsCameraOn(true);
+      frameRef.current = requestAnimationFrame(scanFrame);
+    } catch (error) {
+      console.error('Error starting camera:', error);
+      stopCamera();
+      setError(`Could not start the camera: ${error.message}`);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    setError(null);
+    try {
+      setIsDecodingFile(true);
+      openLabel(await decodeQrFromFile(file));
+    } catch (error) {
+      console.error('Error decoding QR image:', error);
+      setError(error.message);
+    } finally {
+      setIsDecodingFile(false);
+    }
+  };
+
+  return (
+    <Container className="py-4">
+      <Row className="justify-content-center">
+        <Col lg={8}>
+          <Card>
+            <Card.Header>
+              <h3 className="mb-0">Scan Batch Label</h3>
+              <small className="text-muted">
+                Scan the QR code on a carton to open its batch
+              </small>
+            </Card.Header>
+            <Card.Body>
+              {error && (
+                <Alert variant="danger" dismissible onClose={() => setError(null)}>
+                  {error}
+                </Alert>
+              )}
+
+              <div className="text-center mb-3">
+                <video
+                  ref={videoRef}
+                  className={isCameraOn ? 'w-100 rounded border' : 'd-none'}
+                  muted
+                  playsInline
+                />
+                <canvas ref={canvasRef} className="d-none" />
+              </div>
+
+              <div className="d-flex flex-wrap gap-2 justify-content-center mb-3">
+                {isCameraOn ? (
+                  <Button variant="outline-secondary" onClick={stopCamera}>
+                    Stop Camera
+                  </Button>
+                ) : (
+                  <Button variant="primary" onClick={startCamera}>
+                    Scan with Camera
+                  </Button>
+                )}
+              </div>
+
+              <Form.Group>
+                <Form.Label>Or upload a photo of the label</Form.Label>
+                <Form.Control
+                  type="file"
+                  accept="image/*"
+                  capture="environment"
+                  onChange={handleFileChange}
+                  disabled={isDecodingFile}
+                />
+                <Form.Text className="text-muted">
+                  {isDecodingFile ? 'Reading label...' : 'Labels from a different network or contract are rejected'}
+                </Form.Text>
+              </Form.Group>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default ScanBatch;
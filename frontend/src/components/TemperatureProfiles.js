@@ -0,0 +1,216 @@
+// frontend/src/components/TemperatureProfiles.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Form, Row, Col, Alert } from 'react-bootstrap';
+import {
+  getTemperatureProfiles,
+  registerTemperatureProfile,
+  setTemperatureProfileActive,
+  formatTemperatureRange
+} from '../utils/blockchain-clean';
+import { toast } from 'react-toastify';
+
+const EMPTY_PROFILE = { name: '', minTemperature: '', maxTemperature: '', maxExcursionMinutes: '0', maxExcursionDegrees: '0' };
+
+/**
+ * Temperature Profiles Component
+ *
+ * Lists the contract's temperature profiles and lets admins register new
+ * ones or retire old ones. Retired profiles stay attached to their existing
+ * batches; they only disappear from the CreateBatch picker.
+ */
+const TemperatureProfiles = ({ contract, canManage }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_PROFILE);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      setProfiles(await getTemperatureProfiles(contract));
+    } catch (error) {
+      console.error('Error loading temperature profiles:', error);
+      toast.error('Failed to load temperature profiles');
+    }
+  }, [contract]);
+
+  useEffect(() => {
+    if (contract) {
+      loadProfiles();
+    }
+  }, [contract, loadProfiles]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsProcessing(true);
+      const result = await registerTemperatureProfile(contract, {
+        name: formData.name,
+        minTemperature: Number(formData.minTemperature),
+        maxTemperature: Number(formData.maxTemperature),
+        maxExcursionMinutes: Number(formData.maxExcursionMinutes),
+        maxExcursionDegrees: Number(formData.maxExcursionDegrees)
+      });
+
+      toast.success(`Temperature profile #${result.profileId} registered`);
+      setFormData(EMPTY_PROFILE);
+      await loadProfiles();
+    } catch (error) {
+      console.error('Error registering temperature profile:', error);
+      toast.error(error.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleToggleActive = async (profile) => {
+    try {
+      setIsProcessing(true);
+      await setTemperatureProfileActive(contract, profile.profileId, !profile.active);
+      toast.success(`${profile.name} ${profile.active ? 'retired' : 'enabled'}`);
+      await loadProfiles();
+    } catch (error) {
+      console.error('Error updating temperature profile:', error);
+      toast.error(error.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h5 className="mb-0">Temperature Profiles</h5>
+      </Card.Header>
+      <Card.Body>
+        <Table responsive size="sm">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Name</th>
+              <th>Safe Range</th>
+              <th>Excursion Limit</th>
+              <th>Status</th>
+              {canManage && <th></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {profiles.map((profile) => (
+              <tr key={profile.profileId}>
+                <td>{profile.profileId}</td>
+                <td>{profile.name}</td>
+                <td>{formatTemperatureRange(profile)}</td>
+                <td>{profile.maxExcursionMinutes} min / {profile.maxExcursionDegrees}°C</td>
+                <td>
+                  <Badge bg={profile.active ? 'success' : 'secondary'}>
+                    {profile.active ? 'Active' : 'Retired'}
+                  </Badge>
+                </td>
+                {canManage && (
+                  <td>
+                    <Button
+                      variant={profile.active ? 'outline-danger' : 'outline-success'}
+                      size="sm"
+                      onClick={() => handleToggleActive(profile)}
+                      disabled={isProcessing}
+                    >
+                      {profile.active ? 'Retire' : 'Enable'}
+                    </Button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+
+        {canManage ? (
+          <Form onSubmit={handleRegister}>
+            <h6>Register Profile</h6>
+            <Row className="g-2">
+              <Col md={6}>
+                <Form.Control
+                  type="text"
+                  name="name"
+                  placeholder="Name (e.g., Ice Cream)"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  disabled={isProcessing}
+                />
+              </Col>
+              <Col md={3}>
+                <Form.Control
+                  type="number"
+                  step="1"
+                  name="minTemperature"
+                  placeholder="Min °C"
+                  value={formData.minTemperature}
+                  onChange={handleInputChange}
+                  disabled={isProcessing}
+                />
+              </Col>
+              <Col md={3}>
+                <Form.Control
+                  type="number"
+                  step="1"
+                  name="maxTemperature"
+                  placeholder="Max °C"
+                  value={formData.maxTemperature}
+                  onChange={handleInputChange}
+                  disabled={isProcessing}
+                />
+              </Col>
+              <Col md={4}>
+                <Form.Control
+                  type="number"
+                  step="1"
+                  min="0"
+                  name="maxExcursionMinutes"
+                  placeholder="Excursion minutes"
+                  value={formData.maxExcursionMinutes}
+                  onChange={handleInputChange}
+                  disabled={isProcessing}
+                />
+                <Form.Text className="text-muted">Minutes out of range</Form.Text>
+              </Col>
+              <Col md={4}>
+                <Form.Control
+                  type="number"
+                  step="1"
+                  min="0"
+                  name="maxExcursionDegrees"
+                  placeholder="Excursion °C"
+                  value={formData.maxExcursionDegrees}
+                  onChange={handleInputChange}
+                  disabled={isProcessing}
+                />
+                <Form.Text className="text-muted">Degrees past the range</Form.Text>
+              </Col>
+              <Col md={4} className="d-grid align-self-start">
+                <Button
+                  type="submit"
+                  variant="primary"
+                  disabled={isProcessing || !formData.name.trim() || formData.minTemperature === '' || formData.maxTemperature === ''}
+                >
+                  Register
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        ) : (
+          <Alert variant="info" className="mb-0">
+            <small>Registering and retiring profiles requires admin privileges.</small>
+          </Alert>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default TemperatureProfiles;
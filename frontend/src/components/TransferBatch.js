@@ -0,0 +1,317 @@
+// frontend/src/components/TransferBatch.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Form, Button, Alert, Badge, Spinner } from 'react-bootstrap';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { useBlockchain } from '../utils/BlockchainContext';
+import {
+  getBatchDetails,
+  getPendingTransfer,
+  previewTransfer,
+  proposeTransfer,
+  cancelTransfer,
+  validateTransferRecipient,
+  formatTimestamp,
+  getStatusText,
+  getStatusBadgeClass
+} from '../utils/blockchain-clean';
+import { toast } from 'react-toastify';
+
+/**
+ * Transfer Batch Component
+ *
+ * Proposes handing custody of a batch to the next participant, who takes it
+ * over by accepting from their Dashboard. The recipient's on-chain role is
+ * looked up before signing so the user can see which status the contract
+ * will assign. A proposal that is still open can be cancelled here.
+ */
+const TransferBatch = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { contract, account } = useBlockchain();
+
+  const [batch, setBatch] = useState(null);
+  const [pendingTransfer, setPendingTransfer] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [recipient, setRecipient] = useState('');
+  const [notes, setNotes] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [recipientError, setRecipientError] = useState(null);
+  const [isCheckingRecipient, setIsCheckingRecipient] = useState(false);
+  const [isTransferring, setIsTransferring] = useState(false);
+
+  const loadBatch = useCallback(async () => {
+    try {
+      setLoading(true);
+      const batchData = await getBatchDetails(contract, id);
+      setBatch(batchData);
+      setPendingTransfer(await getPendingTransfer(contract, id));
+    } catch (error) {
+      console.error('Error loading batch for transfer:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, id]);
+
+  useEffect(() => {
+    loadBatch();
+  }, [loadBatch]);
+
+  // Look up the recipient's roles whenever a complete address is entered
+  useEffect(() => {
+    setPreview(null);
+    setRecipientError(null);
+
+    if (!batch || !ethers.isAddress(recipient)) {
+      return;
+    }
+
+    const validationError = validateTransferRecipient(batch, account, recipient);
+    if (validationError) {
+      setRecipientError(validationError);
+      return;
+    }
+
+    let cancelled = false;
+    setIsCheckingRecipient(true);
+
+    previewTransfer(contract, batch, account, recipient)
+      .then((result) => {
+        if (!cancelled) setPreview(result);
+      })
+      .catch((error) => {
+        if (!cancelled) setRecipientError(error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsCheckingRecipient(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, batch, account, recipient]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = validateTransferRecipient(batch, account, recipient);
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    try {
+      setIsTransferring(true);
+      const result = await proposeTransfer(contract, id, recipient, notes);
+
+      if (result.success) {
+        toast.success(`Transfer of batch #${id} proposed. The recipient has until ${formatTimestamp(result.expiresAt)} to accept it.`);
+        navigate(`/batch/${id}`);
+      }
+    } catch (error) {
+      console.error('Error proposing transfer:', error);
+      toast.error(error.message);
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      setIsTransferring(true);
+      await cancelTransfer(contract, id);
+      toast.success(`Transfer of batch #${id} cancelled`);
+      setPendingTransfer(null);
+    } catch (error) {
+      console.error('Error cancelling transfer:', error);
+      toast.error(error.message);
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const renderStatusBadge = (status) => (
+    <Badge bg={getStatusBadgeClass(status)}>{getStatusText(status)}</Badge>
+  );
+
+  if (loading) {
+    return (
+      <Container className="py-4 text-center">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p className="mt-2">Loading batch...</p>
+      </Container>
+    );
+  }
+
+  if (error || !batch) {
+    return (
+      <Container className="py-4">
+        <Alert variant="danger">
+          <h5>Error Loading Batch</h5>
+          <p>{error || `Batch #${id} could not be found.`}</p>
+          <Button variant="outline-primary" onClick={() => navigate('/')}>
+            Back to Dashboard
+          </Button>
+        </Alert>
+      </Container>
+    );
+  }
+
+  const isOwner = account && batch.currentOwner.toLowerCase() === account.toLowerCase();
+  // An expired proposal is simply replaced by the next one
+  const hasOpenTransfer = pendingTransfer && !pendingTransfer.isExpired;
+
+  return (
+    <Container className="py-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>Transfer Batch #{id}</h2>
+        <Button variant="outline-secondary" onClick={() => navigate(`/batch/${id}`)}>
+          Back to Batch Details
+        </Button>
+      </div>
+
+      {!isOwner && (
+        <Alert variant="warning">
+          <h5>Not the Current Owner</h5>
+          <p className="mb-0">
+            Only the current owner (<code>{batch.currentOwner}</code>) can transfer this batch.
+          </p>
+        </Alert>
+      )}
+
+      {hasOpenTransfer && (
+        <Alert variant="info" className="d-flex justify-content-between align-items-center">
+          <div>
+            <h5>Transfer Pending</h5>
+            <p className="mb-0">
+              Waiting for <code>{pendingTransfer.to}</code> to accept, until {formatTimestamp(pendingTransfer.expiresAt)}.
+              Cancel it to propose a different recipient.
+            </p>
+          </div>
+          {isOwner && (
+            <Button variant="outline-danger" onClick={handleCancel} disabled={isTransferring}>
+              Cancel Transfer
+            </Button>
+          )}
+        </Alert>
+      )}
+
+      <Row>
+        <Col lg={8}>
+          <Card>
+            <Card.Header>
+              <h5 className="mb-0">Recipient</h5>
+            </Card.Header>
+            <Card.Body>
+              <Form onSubmit={handleSubmit}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Recipient Address *</Form.Label>
+                  <Form.Control
+                    type="text"
+                    placeholder="0x..."
+                    value={recipient}
+                    onChange={(e) => setRecipient(e.target.value.trim())}
+                    isInvalid={!!recipientError}
+                    disabled={!isOwner || hasOpenTransfer || isTransferring}
+                  />
+                  <Form.Control.Feedback type="invalid">
+                    {recipientError}
+                  </Form.Control.Feedback>
+                  <Form.Text className="text-muted">
+                    The recipient accepts the transfer from their Dashboard; their role determines the batch status
+                  </Form.Text>
+                </Form.Group>
+
+                <Form.Group className="mb-3">
+                  <Form.Label>Handover Notes</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={2}
+                    placeholder="e.g., Loaded onto reefer truck TRK-204"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    disabled={!isOwner || hasOpenTransfer || isTransferring}
+                  />
+                </Form.Group>
+
+                <div className="d-flex justify-content-between">
+                  <Button
+                    variant="secondary"
+                    onClick={() => navigate(`/batch/${id}`)}
+                    disabled={isTransferring}
+                  >
+                    Cancel
+                  </Button>
+                  <Button
+                    variant="primary"
+                    type="submit"
+                    disabled={!isOwner || hasOpenTransfer || !preview || isCheckingRecipient || isTransferring}
+                  >
+                    {isTransferring ? 'Proposing...' : 'Propose Transfer'}
+                  </Button>
+                </div>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col lg={4}>
+          <Card>
+            <Card.Header>
+              <h6 className="mb-0">Transfer Preview</h6>
+            </Card.Header>
+            <Card.Body>
+              <p>
+                <strong>Current Status:</strong> {renderStatusBadge(batch.status)}
+              </p>
+
+              {isCheckingRecipient && (
+                <div className="text-center">
+                  <Spinner animation="border" size="sm" /> Checking recipient roles...
+                </div>
+              )}
+
+              {!isCheckingRecipient && !preview && (
+                <small className="text-muted">
+                  Enter a recipient address to see the resulting status.
+                </small>
+              )}
+
+              {preview && (
+                <>
+                  <p>
+                    <strong>Recipient Roles:</strong>{' '}
+                    {preview.isDistributor && <Badge bg="info" className="me-1">Distributor</Badge>}
+                    {preview.isRetailer && <Badge bg="warning" className="me-1">Retailer</Badge>}
+                    {!preview.isDistributor && !preview.isRetailer && (
+                      <Badge bg="secondary">No distribution role</Badge>
+                    )}
+                  </p>
+                  <p>
+                    <strong>Status After Acceptance:</strong> {renderStatusBadge(preview.nextStatus)}
+                  </p>
+                  {!preview.statusChanges && (
+                    <Alert variant="info" className="mb-0">
+                      <small>The recipient holds neither DISTRIBUTOR_ROLE nor RETAILER_ROLE, so the status stays unchanged.</small>
+                    </Alert>
+                  )}
+                  {batch.isCompromised && (
+                    <Alert variant="danger" className="mt-2 mb-0">
+                      <small>This batch is compromised. The compromise flag remains set after transfer.</small>
+                    </Alert>
+                  )}
+                </>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default TransferBatch;
@@ -0,0 +1,242 @@
+// frontend/src/components/VerifyBatch.js
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Container, Row, Col, Card, Badge, Table, Alert, Spinner, Button, ListGroup } from 'react-bootstrap';
+import { useParams, useSearchParams } from 'react-router-dom';
+import {
+  createReadOnlyContract,
+  getBatchVerification,
+  formatAddress,
+  formatTimestamp,
+  getStatusText,
+  getStatusBadgeClass,
+  formatTemperatureRange
+} from '../utils/blockchain-clean';
+import { APP_CONFIG, CONTRACT_ADDRESS, NETWORKS } from '../utils/config';
+
+const networkName = NETWORKS[APP_CONFIG.chainId] ? NETWORKS[APP_CONFIG.chainId].name : `chain ${APP_CONFIG.chainId}`;
+
+/**
+ * Public Batch Verification Component
+ *
+ * Read-only view for shoppers and inspectors. Reads the chain through the
+ * RPC endpoint in NETWORKS rather than the wallet, so it works with no
+ * wallet installed and never asks to connect one.
+ */
+const VerifyBatch = () => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+
+  // Scanned labels carry the chain and contract they were issued for
+  const labelChainId = searchParams.get('chainId');
+  const labelContract = searchParams.get('contract');
+  const isForeignLabel = (labelChainId !== null && Number(labelChainId) !== APP_CONFIG.chainId) ||
+    (labelContract !== null && labelContract.toLowerCase() !== CONTRACT_ADDRESS.toLowerCase());
+
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const readContract = useMemo(() => {
+    try {
+      return createReadOnlyContract(APP_CONFIG.chainId);
+    } catch (error) {
+      console.error('Error creating read-only contract:', error);
+      return null;
+    }
+  }, []);
+
+  const loadVerification = useCallback(async () => {
+    if (!readContract) {
+      setError(`No RPC endpoint is configured for chain ${APP_CONFIG.chainId}.`);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setVerification(await getBatchVerification(readContract, id));
+    } catch (error) {
+      console.error('Error verifying batch:', error);
+      setError(error.message.includes('Batch not found') || error.message.includes('Batch does not exist')
+        ? `Batch #${id} does not exist on ${networkName}.`
+        : 'The blockchain network could not be reached. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [readContract, id]);
+
+  useEffect(() => {
+    loadVerification();
+  }, [loadVerification]);
+
+  if (isForeignLabel) {
+    return (
+      <Container className="py-4">
+        <Alert variant="warning">
+          <h5>Label From Another Deployment</h5>
+          <p className="mb-0">
+            This label was issued for chain {labelChainId || 'unknown'} and contract {labelContract || 'unknown'},
+            but this site verifies batches on {networkName} at {CONTRACT_ADDRESS}.
+          </p>
+        </Alert>
+      </Container>
+    );
+  }
+
+  if (loading) {
+    return (
+      <Container className="py-4 text-center">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p className="mt-2">Verifying batch #{id} on the blockchain...</p>
+      </Container>
+    );
+  }
+
+  if (error) {
+    return (
+      <Container className="py-4">
+        <Alert variant="danger">
+          <h5>Verification Unavailable</h5>
+          <p>{error}</p>
+          <Button variant="outline-primary" onClick={loadVerification}>
+            Try Again
+          </Button>
+        </Alert>
+      </Container>
+    );
+  }
+
+  const { batch, custody, readings, compromise } = verification;
+  const breaches = readings.filter(reading => reading.isBreach).length;
+
+  return (
+    <Container className="py-4">
+      <div className="mb-4">
+        <h2>{batch.productName || `Batch #${batch.batchId}`}</h2>
+        <p className="text-muted mb-0">
+          Batch #{batch.batchId} | Produced {formatTimestamp(batch.creationTimestamp)} | Verified on {networkName}
+        </p>
+      </div>
+
+      {batch.isCompromised ? (
+        <Alert variant="danger">
+          <h4 className="mb-1">⚠️ Cold Chain Broken</h4>
+          <p className="mb-0">
+            This batch was flagged as compromised and should not be sold or consumed.
+          </p>
+          {compromise && (
+            <small>
+              Reason: {compromise.reason || 'Not recorded'} ({formatTimestamp(compromise.timestamp)})
+            </small>
+          )}
+        </Alert>
+      ) : (
+        <Alert variant="success">
+          <h4 className="mb-1">✅ Cold Chain Intact</h4>
+          <p className="mb-0">
+            Every recorded reading for this batch stayed within {formatTemperatureRange(batch.temperatureProfile)} ({batch.temperatureProfile.name}).
+          </p>
+        </Alert>
+      )}
+
+      <Row className="mb-4">
+        <Col md={4}>
+          <Card className="text-center h-100">
+            <Card.Body>
+              <Card.Title>Status</Card.Title>
+              <Badge bg={getStatusBadgeClass(batch.status)} className="fs-6">
+                {getStatusText(batch.status)}
+              </Badge>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={4}>
+          <Card className="text-center h-100">
+            <Card.Body>
+              <Card.Title>Custodians</Card.Title>
+              <h3>{custody.length}</h3>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={4}>
+          <Card className="text-center h-100">
+            <Card.Body>
+              <Card.Title>Temperature Readings</Card.Title>
+              <h3>{readings.length}</h3>
+              {breaches > 0 && <Badge bg="danger">{breaches} outside range</Badge>}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <Row>
+        <Col lg={5} className="mb-4">
+          <Card>
+            <Card.Header>
+              <h5 className="mb-0">Custody Chain</h5>
+            </Card.Header>
+            <ListGroup variant="flush">
+              {custody.map((step, index) => (
+                <ListGroup.Item key={`${step.transactionHash}-${index}`}>
+                  <div className="d-flex justify-content-between">
+                    <strong>{index === 0 ? 'Processor' : `Handover ${index}`}</strong>
+                    <small className="text-muted">{formatTimestamp(step.since)}</small>
+                  </div>
+                  <code title={step.owner}>{formatAddress(step.owner)}</code>
+                  {step.notes && <div><small className="text-muted">{step.notes}</small></div>}
+                </ListGroup.Item>
+              ))}
+            </ListGroup>
+          </Card>
+        </Col>
+
+        <Col lg={7} className="mb-4">
+          <Card>
+            <Card.Header>
+              <h5 className="mb-0">Temperature Timeline</h5>
+            </Card.Header>
+            <Card.Body>
+              {readings.length === 0 ? (
+                <p className="text-muted mb-0">No temperature readings have been recorded for this batch.</p>
+              ) : (
+                <Table responsive size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      <th>Location</th>
+                      <th>Temperature</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {readings.map((reading, index) => (
+                      <tr key={`${reading.transactionHash}-${index}`} className={reading.isBreach ? 'table-danger' : ''}>
+                        <td>{formatTimestamp(reading.timestamp)}</td>
+                        <td>{reading.location || '-'}</td>
+                        <td>
+                          <Badge bg={reading.isBreach ? 'danger' : 'success'}>
+                            {reading.temperature}°C
+                          </Badge>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <p className="text-muted text-center">
+        <small>
+          Data read directly from the FROST-CHAIN contract; no wallet or account is needed to verify a batch.
+        </small>
+      </p>
+    </Container>
+  );
+};
+
+export default VerifyBatch;
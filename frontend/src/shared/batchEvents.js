@@ -0,0 +1,182 @@
+// frontend/src/shared/batchEvents.js
+/**
+ * Batch event decoding shared by the frontend and the event indexer
+ *
+ * Holds the contract's enum tables and the decoders that turn a typed batch
+ * event or a legacy BatchEventLog into the fields of a timeline entry, so
+ * the views and the indexer cannot disagree on what an event means.
+ */
+import { parseEventDetails } from './eventDetails.js';
+
+// Batch statuses in Traceability.BatchStatus order, with the label and badge
+// colour every view uses. SOLD, DISPOSED and RETURNED close the batch
+export const BATCH_STATUSES = [
+  { name: 'CREATED', label: 'Processing', variant: 'warning' },
+  { name: 'IN_TRANSIT', label: 'In Transit', variant: 'info' },
+  { name: 'DELIVERED', label: 'Delivered', variant: 'success' },
+  { name: 'COMPROMISED', label: 'Compromised', variant: 'danger' },
+  { name: 'SOLD', label: 'Sold', variant: 'primary' },
+  { name: 'DISPOSED', label: 'Disposed', variant: 'dark' },
+  { name: 'RETURNED', label: 'Returned', variant: 'secondary' }
+];
+
+// Status values by name, e.g. BATCH_STATUS.IN_TRANSIT === 1
+export const BATCH_STATUS = Object.fromEntries(BATCH_STATUSES.map((status, value) => [status.name, value]));
+
+// Mirrors Traceability.CompromiseKind and Traceability.ExcursionPhase
+export const COMPROMISE_KINDS = ['TEMPERATURE_BREACH', 'EMERGENCY', 'RECALL'];
+export const EXCURSION_PHASES = ['STARTED', 'ENDED'];
+
+/**
+ * Decode a legacy BatchEventLog into the fields of a timeline entry
+ */
+export const decodeLegacyBatchEvent = (args) => {
+  const eventType = args.eventType;
+  const details = parseEventDetails(args.details);
+
+  return {
+    actor: args.actor,
+    eventType,
+    details,
+    temperature: Number(args.temperature),
+    // CREATED and HANDOVER carry the profile's maximum as a placeholder, the
+    // emergency path carries 0 and EXCURSION_* repeat the reading logged next
+    // to them, so only these are real sensor readings
+    isTemperatureReading: eventType === 'UPDATE' ||
+      eventType === 'ORACLE_UPDATE' ||
+      (eventType === 'COMPROMISED' && !details.raw.startsWith('EMERGENCY'))
+  };
+};
+
+/**
+ * Decode a typed batch event into the fields of a timeline entry
+ *
+ * Entries keep the BatchEventLog eventType names so views read both kinds of
+ * deployment the same way. Only TraceRecorded and OracleReading are sensor
+ * readings; a temperature-breach Compromised follows the reading it flags.
+ */
+export const decodeTypedBatchEvent = (eventName, args) => {
+  switch (eventName) {
+    case 'BatchCreated':
+      return {
+        actor: args.processor,
+        eventType: 'CREATED',
+        details: { productName: args.productName, notes: args.details, profileId: args.profileId.toString() },
+        temperature: null,
+        isTemperatureReading: false
+      };
+    case 'TraceRecorded':
+      return {
+        actor: args.actor,
+        eventType: 'UPDATE',
+        details: { location: args.location, notes: args.notes },
+        temperature: Number(args.temperature),
+        isTemperatureReading: true
+      };
+    case 'OracleReading':
+      return {
+        actor: args.oracle,
+        eventType: 'ORACLE_UPDATE',
+        details: { location: args.location },
+        temperature: Number(args.temperature),
+        isTemperatureReading: true
+      };
+    case 'TransferProposed':
+      return {
+        actor: args.from,
+        eventType: 'TRANSFER_PROPOSED',
+        details: { from: args.from, to: args.to, expiresAt: Number(args.expiresAt), notes: args.notes },
+        temperature: null,
+        isTemperatureReading: false
+      };
+    case 'TransferCancelled':
+      return {
+        actor: args.from,
+        eventType: 'TRANSFER_CANCELLED',
+        details: { from: args.from, to: args.to },
+        temperature: null,
+        isTemperatureReading: false
+      };
+    case 'Handover':
+      return {
+        actor: args.from,
+        eventType: 'HANDOVER',
+        details: { from: args.from, to: args.to, notes: args.notes, status: Number(args.status) },
+        temperature: null,
+        isTemperatureReading: false
+      };
+    case 'BatchClosed': {
+      // The terminal status names the event: SOLD, DISPOSED or RETURNED
+      const status = Number(args.status);
+      return {
+        actor: args.actor,
+        eventType: BATCH_STATUSES[status].name,
+        details: status === BATCH_STATUS.DISPOSED
+          ? { status, reason: args.notes }
+          : { status, notes: args.notes },
+        temperature: null,
+        isTemperatureReading: false
+      };
+    }
+    case 'Compromised': {
+      const kind = COMPROMISE_KINDS[Number(args.kind)];
+      return {
+        actor: args.actor,
+        eventType: 'COMPROMISED',
+        details: { kind, reason: kind === 'TEMPERATURE_BREACH' ? 'Temperature breach' : args.reason },
+        temperature: kind === 'TEMPERATURE_BREACH' ? Number(args.temperature) : null,
+        isTemperatureReading: false
+      };
+    }
+    case 'TemperatureExcursion': {
+      const phase = EXCURSION_PHASES[Number(args.phase)];
+      return {
+        actor: args.actor,
+        eventType: `EXCURSION_${phase}`,
+        details: phase === 'ENDED'
+          ? { location: args.location, durationSeconds: Number(args.durationSeconds) }
+          : { location: args.location },
+        temperature: Number(args.temperature),
+        isTemperatureReading: false
+      };
+    }
+    case 'BatchSplit':
+      return {
+        actor: args.actor,
+        eventType: 'SPLIT',
+        details: {
+          childIds: args.childIds.map(id => id.toString()),
+          quantities: args.quantities.map(Number),
+          notes: args.notes
+        },
+        temperature: null,
+        isTemperatureReading: false
+      };
+    case 'BatchMerged':
+      return {
+        actor: args.actor,
+        eventType: 'MERGED',
+        details: { mergedInto: args.mergedInto.toString(), notes: args.notes },
+        temperature: null,
+        isTemperatureReading: false
+      };
+    case 'BatchRecalled':
+      return {
+        actor: args.owner,
+        eventType: 'RECALLED',
+        details: { recallId: args.recallId.toString() },
+        temperature: null,
+        isTemperatureReading: false
+      };
+    case 'RecallAcknowledged':
+      return {
+        actor: args.owner,
+        eventType: 'RECALL_ACKNOWLEDGED',
+        details: { recallId: args.recallId.toString() },
+        temperature: null,
+        isTemperatureReading: false
+      };
+    default:
+      throw new Error(`Unknown batch event ${eventName}`);
+  }
+};
@@ -0,0 +1,72 @@
+// frontend/src/shared/eventDetails.js
+/**
+ * Legacy event details parsing shared by the frontend and the event indexer
+ */
+import { getAddress } from 'ethers';
+
+/**
+ * Split "head | rest" on the first separator the contract inserts
+ */
+const splitDetails = (text) => {
+  const index = text.indexOf(' | ');
+  return index === -1 ? [text, ''] : [text.slice(0, index), text.slice(index + 3)];
+};
+
+const toChecksumAddress = (address) => {
+  try {
+    return getAddress(address);
+  } catch {
+    return address;
+  }
+};
+
+/**
+ * Parse the abi.encodePacked details string of a legacy BatchEventLog into fields
+ *
+ * Formats produced by Traceability.sol before the typed batch events:
+ * - CREATED:       "Product: <name> | <additional details>"
+ * - UPDATE:        "Location: <location> | <notes>"
+ * - HANDOVER:      "Transferred from <0x..> to <0x..> | <notes>"
+ * - COMPROMISED:   "TEMPERATURE BREACH at <location> | Temp: <t>C | <notes>"
+ *                  "EMERGENCY COMPROMISE | Reason: <reason>"
+ *                  "Oracle reading at <location>"
+ * - ORACLE_UPDATE: "Oracle reading at <location>"
+ * - EXCURSION_STARTED: "Excursion started at <location>"
+ * - EXCURSION_ENDED:   "Excursion ended at <location> | Duration: <seconds>s"
+ */
+export const parseEventDetails = (details) => {
+  const raw = details || '';
+  const parsed = { raw };
+  let match;
+
+  if ((match = raw.match(/^Product: ([\s\S]*)$/))) {
+    const [productName, additionalDetails] = splitDetails(match[1]);
+    parsed.productName = productName;
+    parsed.notes = additionalDetails;
+  } else if ((match = raw.match(/^Location: ([\s\S]*)$/))) {
+    const [location, notes] = splitDetails(match[1]);
+    parsed.location = location;
+    parsed.notes = notes;
+  } else if ((match = raw.match(/^Transferred from (0x[0-9a-fA-F]{40}) to (0x[0-9a-fA-F]{40})(?: \| ([\s\S]*))?$/))) {
+    parsed.from = toChecksumAddress(match[1]);
+    parsed.to = toChecksumAddress(match[2]);
+    parsed.notes = match[3] || '';
+  } else if ((match = raw.match(/^TEMPERATURE BREACH at ([\s\S]*?) \| Temp: (-?\d+)C(?: \| ([\s\S]*))?$/))) {
+    parsed.location = match[1];
+    parsed.notes = match[3] || '';
+    parsed.reason = 'Temperature breach';
+  } else if ((match = raw.match(/^EMERGENCY COMPROMISE \| Reason: ([\s\S]*)$/))) {
+    parsed.reason = match[1];
+  } else if ((match = raw.match(/^Oracle reading at ([\s\S]*)$/))) {
+    parsed.location = match[1];
+  } else if ((match = raw.match(/^Excursion started at ([\s\S]*)$/))) {
+    parsed.location = match[1];
+  } else if ((match = raw.match(/^Excursion ended at ([\s\S]*) \| Duration: (\d+)s$/))) {
+    parsed.location = match[1];
+    parsed.durationSeconds = Number(match[2]);
+  } else {
+    parsed.notes = raw;
+  }
+
+  return parsed;
+};
@@ -0,0 +1,50 @@
+// frontend/src/shared/lineage.js
+/**
+ * Batch lineage helpers shared by the frontend and the Node scripts
+ *
+ * Plain ES modules with no browser or React dependencies; the scripts load
+ * them with import().
+ */
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Follow one direction of the parent/child links breadth-first from a set of
+ * batches, returning every batch reached (excluding the start) with its
+ * depth. Merges make the links a DAG, so each batch is listed once at its
+ * shortest depth.
+ */
+export const walkBatchLinks = async (startIds, getLinks, concurrency) => {
+  const depths = new Map(startIds.map(id => [id.toString(), 0]));
+  let frontier = [...depths.keys()];
+
+  for (let depth = 1; frontier.length > 0; depth++) {
+    const linked = await mapWithConcurrency(frontier, concurrency, getLinks);
+    const next = [...new Set(linked.flat().map(id => id.toString()))]
+      .filter(id => !depths.has(id));
+    for (const id of next) {
+      depths.set(id, depth);
+    }
+    frontier = next;
+  }
+
+  return [...depths]
+    .filter(([, depth]) => depth > 0)
+    .map(([id, depth]) => ({ batchId: id, depth }));
+};
@@ -0,0 +1,70 @@
+// frontend/src/shared/recall.js
+/**
+ * Recall candidate selection shared by the Recalls view and scripts/recall.js
+ */
+import { mapWithConcurrency, walkBatchLinks } from './lineage.js';
+
+/**
+ * Describe recall criteria as the text stored on-chain with the recall
+ */
+export const describeRecallCriteria = ({ productName, processor, createdFrom, createdTo, includeDescendants = true }) => {
+  const toDate = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+  const parts = [];
+  if (productName) parts.push(`product=${productName.trim()}`);
+  if (processor) parts.push(`processor=${processor}`);
+  if (createdFrom || createdTo) {
+    parts.push(`created=${createdFrom ? toDate(createdFrom) : '*'}..${createdTo ? toDate(createdTo) : '*'}`);
+  }
+  if (includeDescendants) parts.push('with descendants');
+  return parts.join('; ');
+};
+
+/**
+ * Select the batches a recall would flag
+ *
+ * `created` maps every batch ID to its BatchCreated args, so descendants get
+ * their product names too. Batches are matched on those args: product name
+ * (case insensitive), processor and creation time (unix seconds, inclusive)
+ * must all match the criteria given. With `includeDescendants` every batch
+ * split or merged out of a match is added as well, since it holds the same
+ * product. Each batch comes back with its struct and current recall ID.
+ */
+export const selectRecallCandidates = async (contract, created, criteria, { concurrency }) => {
+  const { productName, processor, createdFrom, createdTo, includeDescendants = true } = criteria;
+
+  const wantedName = productName ? productName.trim().toLowerCase() : null;
+  const matchedIds = [...created.values()]
+    .filter(args =>
+      (!wantedName || args.productName.trim().toLowerCase() === wantedName) &&
+      (!processor || args.processor.toLowerCase() === processor.toLowerCase()) &&
+      (!createdFrom || Number(args.timestamp) >= createdFrom) &&
+      (!createdTo || Number(args.timestamp) <= createdTo))
+    .map(args => args.batchId.toString());
+
+  const descendants = includeDescendants && matchedIds.length > 0
+    ? await walkBatchLinks(matchedIds, id => contract.getChildBatchIds(id), concurrency)
+    : [];
+
+  const entries = [
+    ...matchedIds.map(batchId => ({ batchId, matchedBy: 'criteria' })),
+    ...descendants.map(({ batchId }) => ({ batchId, matchedBy: 'lineage' }))
+  ].sort((a, b) => Number(a.batchId) - Number(b.batchId));
+
+  const [structs, recalls] = await Promise.all([
+    mapWithConcurrency(entries, concurrency, entry => contract.getBatchInfo(entry.batchId)),
+    mapWithConcurrency(entries, concurrency, entry => contract.getBatchRecall(entry.batchId))
+  ]);
+
+  const batches = entries.map((entry, index) => {
+    const args = created.get(entry.batchId);
+    return {
+      batchId: entry.batchId,
+      batchInfo: structs[index],
+      productName: args ? args.productName : undefined,
+      matchedBy: entry.matchedBy,
+      recallId: recalls[index].recallId.toString() === '0' ? null : recalls[index].recallId.toString()
+    };
+  });
+
+  return { matched: matchedIds.length, descendants: descendants.length, batches };
+};
@@ -1,7 +1,15 @@
 // frontend/src/utils/BlockchainContext.js
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { toast } from 'react-toastify';
-import { connectWallet, createContract, getUserRoles } from './blockchain-clean';
+import {
+  connectWallet,
+  createContract,
+  getUserRoles,
+  resolveRoles,
+  describeRoleMismatches,
+  watchContractEvents
+} from './blockchain-clean';
+import { BATCH_STATUS } from './config';
 
 /**
  * Blockchain Context for FROST-CHAIN Frontend
@@ -18,6 +26,40 @@ export const useBlockchain = () => {
   return context;
 };
 
+/**
+ * Call `handler` for every new batch event, or only those of `batchId`
+ *
+ * The latest handler is always used, so it does not need to be memoised.
+ */
+export const useBatchEvents = (handler, batchId = null) => {
+  const { subscribeToBatchEvents } = useBlockchain();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    return subscribeToBatchEvents((event) => handlerRef.current(event), batchId);
+  }, [subscribeToBatchEvents, batchId]);
+};
+
+/**
+ * Call `handler` for every new RoleGranted or RoleRevoked event
+ */
+export const useRoleEvents = (handler) => {
+  const { subscribeToRoleEvents } = useBlockchain();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    return subscribeToRoleEvents((event) => handlerRef.current(event));
+  }, [subscribeToRoleEvents]);
+};
+
 export const BlockchainProvider = ({ children }) => {
   const [account, setAccount] = useState('');
   const [provider, setProvider] = useState(null);
@@ -28,10 +70,13 @@ export const BlockchainProvider = ({ children }) => {
     isProcessor: false,
     isDistributor: false,
     isRetailer: false,
+    isOracle: false,
     hasAnyRole: false
   });
+  const [rolesLoaded, setRolesLoaded] = useState(false);
   const [isConnected, setIsConnected] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [roleConfigError, setRoleConfigError] = useState(null);
 
   // Check if wallet is already connected on page load
   useEffect(() => {
@@ -99,11 +144,45 @@ export const BlockchainProvider = ({ children }) => {
         isProcessor: false,
         isDistributor: false,
         isRetailer: false,
+        isOracle: false,
         hasAnyRole: false
       });
+    } finally {
+      setRolesLoaded(true);
     }
   }, [contract, account]);
 
+  // Verify the deployed contract's role identifiers match the frontend's
+  useEffect(() => {
+    if (!contract) {
+      setRoleConfigError(null);
+      return;
+    }
+
+    let cancelled = false;
+    resolveRoles(contract)
+      .then(({ mismatches }) => {
+        if (cancelled) return;
+        if (mismatches.length > 0) {
+          const message = 'Deployed contract role identifiers do not match the frontend: ' +
+            describeRoleMismatches(mismatches);
+          setRoleConfigError(message);
+          toast.error(message);
+        } else {
+          setRoleConfigError(null);
+        }
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setRoleConfigError(error.message);
+        toast.error(error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contract]);
+
   // Update user roles when account changes
   useEffect(() => {
     if (contract && account) {
@@ -111,6 +190,88 @@ export const BlockchainProvider = ({ children }) => {
     }
   }, [contract, account, loadUserRoles]);
 
+  // Live event subscribers registered through useBatchEvents / useRoleEvents
+  const batchSubscribers = useRef(new Set());
+  const roleSubscribers = useRef(new Set());
+
+  const subscribeToBatchEvents = useCallback((handler, batchId = null) => {
+    const subscriber = { handler, batchId: batchId === null ? null : batchId.toString() };
+    batchSubscribers.current.add(subscriber);
+    return () => {
+      batchSubscribers.current.delete(subscriber);
+    };
+  }, []);
+
+  const subscribeToRoleEvents = useCallback((handler) => {
+    roleSubscribers.current.add(handler);
+    return () => {
+      roleSubscribers.current.delete(handler);
+    };
+  }, []);
+
+  // Watch the contract and fan events out to subscribers
+  useEffect(() => {
+    if (!contract) {
+      return;
+    }
+
+    const notifyIfOwnedBatchCompromised = async (event) => {
+      try {
+        const batchInfo = await contract.getBatchInfo(event.batchId);
+        if (batchInfo.currentOwner.toLowerCase() === account.toLowerCase()) {
+          const reason = event.details.reason || 'Batch compromised';
+          toast.error(`Batch #${event.batchId} you own was marked COMPROMISED: ${reason}`, { autoClose: false });
+        }
+      } catch (error) {
+        console.error('❌ [CONTEXT] Failed to check owner of compromised batch:', error);
+      }
+    };
+
+    const handleBatchEvent = (event) => {
+      console.log('📡 [CONTEXT] Batch event:', event.eventType, 'for batch', event.batchId);
+      for (const subscriber of batchSubscribers.current) {
+        if (subscriber.batchId === null || subscriber.batchId === event.batchId) {
+          subscriber.handler(event);
+        }
+      }
+      // The actor already sees the result of their own transaction; recalls
+      // get their own notice below
+      if (event.eventType === 'COMPROMISED' && event.details.kind !== 'RECALL' &&
+        account && event.actor.toLowerCase() !== account.toLowerCase()) {
+        notifyIfOwnedBatchCompromised(event);
+      }
+      // BatchRecalled names the owner at the time of the recall
+      if (event.eventType === 'RECALLED' && account && event.actor.toLowerCase() === account.toLowerCase()) {
+        toast.error(`Batch #${event.batchId} you own was recalled (recall #${event.details.recallId}). Open it to acknowledge the notice.`, { autoClose: false });
+      }
+      if (event.eventType === 'TRANSFER_PROPOSED' && account && event.details.to.toLowerCase() === account.toLowerCase()) {
+        toast.info(`Batch #${event.batchId} is being transferred to you. Accept it from Incoming Transfers on the Dashboard.`);
+      }
+      // Returns hand custody back to the processor without an acceptance step
+      if (event.eventType === 'HANDOVER' && event.details.status === BATCH_STATUS.RETURNED &&
+        account && event.details.to.toLowerCase() === account.toLowerCase()) {
+        toast.warning(`Batch #${event.batchId} was returned to you${event.details.notes ? `: ${event.details.notes}` : ''}`);
+      }
+    };
+
+    const handleRoleEvent = (event) => {
+      console.log('📡 [CONTEXT] Role event:', event.type, 'for', event.account);
+      for (const handler of roleSubscribers.current) {
+        handler(event);
+      }
+      // Refresh roles live when an admin grants or revokes a role for this account
+      if (account && event.account.toLowerCase() === account.toLowerCase()) {
+        console.log('🔑 [CONTEXT] Role change detected for account, reloading roles');
+        loadUserRoles();
+      }
+    };
+
+    return watchContractEvents(contract, {
+      onBatchEvent: handleBatchEvent,
+      onRoleEvent: handleRoleEvent
+    });
+  }, [contract, account, loadUserRoles]);
+
   const connectToWallet = async () => {
     console.log('🚀 [CONTEXT] Starting wallet connection process...');
     try {
@@ -170,8 +331,10 @@ export const BlockchainProvider = ({ children }) => {
       isProcessor: false,
       isDistributor: false,
       isRetailer: false,
+      isOracle: false,
       hasAnyRole: false
     });
+    setRolesLoaded(false);
     setIsConnected(false);
     toast.info('Wallet disconnected');
   };
@@ -183,13 +346,17 @@ export const BlockchainProvider = ({ children }) => {
     signer,
     contract,
     userRoles,
+    rolesLoaded,
     isConnected,
     isLoading,
+    roleConfigError,
     
     // Functions
     connectToWallet,
     disconnect,
-    loadUserRoles
+    loadUserRoles,
+    subscribeToBatchEvents,
+    subscribeToRoleEvents
   };
 
   return (
@@ -0,0 +1,69 @@
+// Organization names for addresses, loaded from the ParticipantRegistry contract
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useBlockchain } from './BlockchainContext';
+import { getParticipants, formatParticipant } from './blockchain-clean';
+
+const ParticipantContext = createContext();
+
+/**
+ * Participant Provider
+ *
+ * Loads the participant registry once per contract and shares it, so every
+ * view can show an address as its organization. Call `reload` after
+ * registering or removing a participant.
+ */
+export const ParticipantProvider = ({ children }) => {
+  const { contract } = useBlockchain();
+  const [participants, setParticipants] = useState({});
+
+  const reload = useCallback(async () => {
+    if (!contract) {
+      setParticipants({});
+      return;
+    }
+    try {
+      setParticipants(await getParticipants(contract));
+    } catch (error) {
+      // Unnamed addresses are still usable, so this is not worth a toast
+      console.warn('⚠️ [PARTICIPANTS] Showing plain addresses:', error.message);
+      setParticipants({});
+    }
+  }, [contract]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const getParticipant = useCallback(
+    (address) => (address && participants[address.toLowerCase()]) || null,
+    [participants]
+  );
+
+  const nameOf = useCallback(
+    (address) => formatParticipant(participants, address),
+    [participants]
+  );
+
+  const value = {
+    participants,
+    getParticipant,
+    nameOf,
+    reload
+  };
+
+  return (
+    <ParticipantContext.Provider value={value}>
+      {children}
+    </ParticipantContext.Provider>
+  );
+};
+
+export const useParticipants = () => {
+  const context = useContext(ParticipantContext);
+  if (!context) {
+    throw new Error('useParticipants must be used within a ParticipantProvider');
+  }
+  return context;
+};
+
+export default ParticipantContext;
@@ -1,50 +1,111 @@
-// Frontend-only role management
+// UI permissions derived from on-chain AccessControl, with an optional demo role switcher
 import React, { createContext, useContext, useState } from 'react';
+import { useBlockchain } from './BlockchainContext';
+import { APP_CONFIG } from './config';
 
 const RoleContext = createContext();
 
-// Available roles for the prototype
+// Available roles, one per AccessControl role on the contract
 export const FRONTEND_ROLES = {
   ADMIN: 'admin',
-  PROCESSOR: 'processor', 
+  PROCESSOR: 'processor',
   DISTRIBUTOR: 'distributor',
-  RETAILER: 'retailer'
+  RETAILER: 'retailer',
+  ORACLE: 'oracle'
 };
 
 export const ROLE_LABELS = {
   [FRONTEND_ROLES.ADMIN]: 'Admin',
   [FRONTEND_ROLES.PROCESSOR]: 'Processor',
-  [FRONTEND_ROLES.DISTRIBUTOR]: 'Distributor', 
-  [FRONTEND_ROLES.RETAILER]: 'Retailer'
+  [FRONTEND_ROLES.DISTRIBUTOR]: 'Distributor',
+  [FRONTEND_ROLES.RETAILER]: 'Retailer',
+  [FRONTEND_ROLES.ORACLE]: 'Oracle'
 };
 
 export const ROLE_DESCRIPTIONS = {
   [FRONTEND_ROLES.ADMIN]: 'Full system access, can manage roles and view all data',
   [FRONTEND_ROLES.PROCESSOR]: 'Can create batches and add trace events',
   [FRONTEND_ROLES.DISTRIBUTOR]: 'Can transfer ownership and add distribution events',
-  [FRONTEND_ROLES.RETAILER]: 'Can view batch history and mark as delivered'
+  [FRONTEND_ROLES.RETAILER]: 'Can view batch history and mark as delivered',
+  [FRONTEND_ROLES.ORACLE]: 'Can submit sensor readings for any batch'
 };
 
+// userRoles flag from BlockchainContext backing each frontend role
+const ROLE_FLAGS = {
+  [FRONTEND_ROLES.ADMIN]: 'isAdmin',
+  [FRONTEND_ROLES.PROCESSOR]: 'isProcessor',
+  [FRONTEND_ROLES.DISTRIBUTOR]: 'isDistributor',
+  [FRONTEND_ROLES.RETAILER]: 'isRetailer',
+  [FRONTEND_ROLES.ORACLE]: 'isOracle'
+};
+
+export const PERMISSION_MODES = {
+  ONCHAIN: 'onchain',
+  DEMO: 'demo'
+};
+
+const PERMISSION_MODE_STORAGE_KEY = 'frostchain.permissionMode';
+
+const getInitialMode = () => {
+  if (APP_CONFIG.demoRoleSwitcher && window.localStorage.getItem(PERMISSION_MODE_STORAGE_KEY) === PERMISSION_MODES.DEMO) {
+    return PERMISSION_MODES.DEMO;
+  }
+  return PERMISSION_MODES.ONCHAIN;
+};
+
+/**
+ * Role Provider
+ *
+ * By default permissions come from the connected account's on-chain roles
+ * (hasRole for all five roles, kept live by BlockchainContext). The demo
+ * role switcher is only available when REACT_APP_DEMO_ROLE_SWITCHER=true and
+ * must be turned on explicitly; it never grants anything on-chain.
+ */
 export const RoleProvider = ({ children }) => {
-  const [currentRole, setCurrentRole] = useState(FRONTEND_ROLES.ADMIN);
+  const { userRoles } = useBlockchain();
+  const [permissionMode, setPermissionModeState] = useState(getInitialMode);
+  const [demoRole, setDemoRole] = useState(FRONTEND_ROLES.ADMIN);
+
+  const isDemoMode = permissionMode === PERMISSION_MODES.DEMO;
+
+  const heldRoles = Object.values(FRONTEND_ROLES).filter(role => userRoles[ROLE_FLAGS[role]]);
+
+  const setPermissionMode = (mode) => {
+    if (mode === PERMISSION_MODES.DEMO && !APP_CONFIG.demoRoleSwitcher) {
+      console.warn('⚠️ [ROLE] Demo role switcher is disabled (set REACT_APP_DEMO_ROLE_SWITCHER=true)');
+      return;
+    }
+    console.log(`🔄 [ROLE] Permission mode: ${mode}`);
+    window.localStorage.setItem(PERMISSION_MODE_STORAGE_KEY, mode);
+    setPermissionModeState(mode);
+  };
 
   const switchRole = (newRole) => {
-    console.log(`🔄 [ROLE] Switching from ${currentRole} to ${newRole}`);
-    setCurrentRole(newRole);
+    if (!isDemoMode) {
+      console.warn('⚠️ [ROLE] Roles can only be switched in demo mode');
+      return;
+    }
+    console.log(`🔄 [ROLE] Switching demo role from ${demoRole} to ${newRole}`);
+    setDemoRole(newRole);
   };
 
   const hasPermission = (requiredRole) => {
-    // Admin can do everything
-    if (currentRole === FRONTEND_ROLES.ADMIN) {
-      return true;
+    if (isDemoMode) {
+      // Admin can do everything in the demo
+      if (demoRole === FRONTEND_ROLES.ADMIN) {
+        return true;
+      }
+
+      // Otherwise, exact role match required
+      return demoRole === requiredRole;
     }
-    
-    // Otherwise, exact role match required
-    return currentRole === requiredRole;
+
+    // On-chain the admin role does not imply the others, so neither does the UI
+    return heldRoles.includes(requiredRole);
   };
 
   const canCreateBatch = () => {
-    return hasPermission(FRONTEND_ROLES.PROCESSOR) || hasPermission(FRONTEND_ROLES.ADMIN);
+    return hasPermission(FRONTEND_ROLES.PROCESSOR);
   };
 
   const canManageRoles = () => {
@@ -55,15 +116,28 @@ export const RoleProvider = ({ children }) => {
     return hasPermission(FRONTEND_ROLES.ADMIN);
   };
 
+  const currentRole = isDemoMode ? demoRole : (heldRoles[0] || null);
+  const roleLabel = isDemoMode
+    ? ROLE_LABELS[demoRole]
+    : (heldRoles.map(role => ROLE_LABELS[role]).join(', ') || 'No Role');
+  const roleDescription = isDemoMode
+    ? ROLE_DESCRIPTIONS[demoRole]
+    : (heldRoles.map(role => ROLE_DESCRIPTIONS[role]).join('. ') || 'This account holds no supply chain role');
+
   const value = {
     currentRole,
+    heldRoles,
+    permissionMode,
+    isDemoMode,
+    isDemoAvailable: APP_CONFIG.demoRoleSwitcher,
+    setPermissionMode,
     switchRole,
     hasPermission,
     canCreateBatch,
     canManageRoles,
     canViewAdmin,
-    roleLabel: ROLE_LABELS[currentRole],
-    roleDescription: ROLE_DESCRIPTIONS[currentRole]
+    roleLabel,
+    roleDescription
   };
 
   return (
@@ -1,28 +1,98 @@
 // frontend/src/utils/blockchain.js
 import { ethers } from 'ethers';
-import { CONTRACT_ABI as COMPLETE_ABI } from './config.js';
+import {
+  CONTRACT_ABI as COMPLETE_ABI,
+  LEGACY_EVENTS_ABI,
+  ROLES as EXPECTED_ROLES,
+  APP_CONFIG,
+  NETWORKS,
+  DEFAULT_TEMPERATURE_PROFILE_ID,
+  BATCH_STATUSES,
+  BATCH_STATUS,
+  PARTICIPANT_REGISTRY_ADDRESS,
+  PARTICIPANT_REGISTRY_ABI,
+  ORACLE_QUORUM_ABI
+} from './config.js';
+import { mapWithConcurrency, walkBatchLinks } from '../shared/lineage.js';
+import { describeRecallCriteria, selectRecallCandidates } from '../shared/recall.js';
+import { decodeLegacyBatchEvent, decodeTypedBatchEvent } from '../shared/batchEvents.js';
 
 console.log('🔧 [BLOCKCHAIN] Loading clean blockchain module...');
 
 // Contract configuration
 export const CONTRACT_ADDRESS = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
 
-// Use complete ABI from config.js for full functionality
-export const CONTRACT_ABI = COMPLETE_ABI;
+// Use complete ABI from config.js for full functionality, plus the legacy
+// BatchEventLog so older deployments stay readable
+export const CONTRACT_ABI = [...COMPLETE_ABI, ...LEGACY_EVENTS_ABI];
 
-// Role constants
+// Events that make up a batch's timeline; each indexes batchId first
+const BATCH_EVENT_NAMES = [
+  'BatchCreated',
+  'TraceRecorded',
+  'OracleReading',
+  'TransferProposed',
+  'TransferCancelled',
+  'Handover',
+  'BatchClosed',
+  'Compromised',
+  'TemperatureExcursion',
+  'BatchSplit',
+  'BatchMerged',
+  'BatchRecalled',
+  'RecallAcknowledged',
+  'BatchEventLog'
+];
+
+// Role constants expected by the frontend (ADMIN_ROLE is DEFAULT_ADMIN_ROLE)
 export const ROLES = {
-  ADMIN_ROLE: "0x0000000000000000000000000000000000000000000000000000000000000000",
-  PROCESSOR_ROLE: ethers.id("PROCESSOR_ROLE"),
-  DISTRIBUTOR_ROLE: ethers.id("DISTRIBUTOR_ROLE"),
-  RETAILER_ROLE: ethers.id("RETAILER_ROLE"),
-  ORACLE_ROLE: ethers.id("ORACLE_ROLE")
+  ADMIN_ROLE: EXPECTED_ROLES.DEFAULT_ADMIN_ROLE,
+  PROCESSOR_ROLE: EXPECTED_ROLES.PROCESSOR_ROLE,
+  DISTRIBUTOR_ROLE: EXPECTED_ROLES.DISTRIBUTOR_ROLE,
+  RETAILER_ROLE: EXPECTED_ROLES.RETAILER_ROLE,
+  ORACLE_ROLE: EXPECTED_ROLES.ORACLE_ROLE
+};
+
+// Public getter on the contract for each role key
+const ROLE_GETTERS = {
+  ADMIN_ROLE: 'DEFAULT_ADMIN_ROLE',
+  PROCESSOR_ROLE: 'PROCESSOR_ROLE',
+  DISTRIBUTOR_ROLE: 'DISTRIBUTOR_ROLE',
+  RETAILER_ROLE: 'RETAILER_ROLE',
+  ORACLE_ROLE: 'ORACLE_ROLE'
 };
 
+// Resolved role identifiers, keyed by lowercase contract address
+const resolvedRolesCache = new Map();
+
 // Provider and contract instance
 let provider;
 let contract;
 
+/**
+ * Decode the batch events in a transaction receipt, in log order
+ */
+const decodeReceiptBatchEvents = (contract, receipt) => {
+  return receipt.logs
+    .map(log => {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        return parsed && BATCH_EVENT_NAMES.includes(parsed.name)
+          ? decodeBatchEvent({
+            eventName: parsed.name,
+            args: parsed.args,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            index: log.index
+          })
+          : null;
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
 /**
  * Initialize blockchain connection
  */
@@ -137,13 +207,36 @@ export const createContract = (provider, signer = null) => {
   }
 };
 
+/**
+ * Create a read-only contract instance that needs no wallet
+ *
+ * Connects straight to the RPC endpoint configured for the chain in
+ * NETWORKS, so public pages work for visitors without MetaMask.
+ */
+export const createReadOnlyContract = (chainId = APP_CONFIG.chainId) => {
+  const network = NETWORKS[chainId];
+  if (!network) {
+    throw new Error(`No RPC endpoint configured for chain ${chainId}`);
+  }
+  
+  console.log('📄 [CONTRACT] Creating read-only contract on', network.name);
+  const readProvider = new ethers.JsonRpcProvider(network.rpcUrl, chainId, { staticNetwork: true });
+  return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, readProvider);
+};
+
 /**
  * Create a new batch on the blockchain
+ *
+ * The batch is checked against the given temperature profile for its whole
+ * life; see getTemperatureProfiles for the choices. `quantity` is a whole
+ * number of `unit`s (cases, pallets, kg) that later splits must add up to.
  */
-export const createBatch = async (contract, productName, details) => {
+export const createBatch = async (contract, productName, details, profileId = DEFAULT_TEMPERATURE_PROFILE_ID, quantity, unit) => {
   console.log('🏭 [CREATE] Creating batch on blockchain...');
   console.log('📦 [CREATE] Product:', productName);
   console.log('📝 [CREATE] Details:', details);
+  console.log('🌡️ [CREATE] Temperature profile:', profileId);
+  console.log('⚖️ [CREATE] Quantity:', quantity, unit);
   
   try {
     if (!contract) {
@@ -154,8 +247,17 @@ export const createBatch = async (contract, productName, details) => {
       throw new Error('Product name and details are required');
     }
     
-    console.log('⏳ [CREATE] Calling contract.createBatch...');
-    const tx = await contract.createBatch(productName, details);
+    if (!Number.isInteger(quantity) || quantity <= 0 || !unit || !unit.trim()) {
+      throw new Error('A positive whole quantity and a unit are required');
+    }
+    
+    // Fail before the wallet prompt rather than on an AccessControl revert
+    if (!(await canCreateBatches(contract, await contract.runner.getAddress()))) {
+      throw new Error('Only PROCESSOR_ROLE holders can create batches. Ask an administrator to grant the role.');
+    }
+    
+    console.log('⏳ [CREATE] Calling contract.createBatchWithProfile...');
+    const tx = await contract.createBatchWithProfile(productName, details, profileId, quantity, unit.trim());
     
     console.log('📝 [CREATE] Transaction sent:', tx.hash);
     console.log('⏳ [CREATE] Waiting for confirmation...');
@@ -164,18 +266,10 @@ export const createBatch = async (contract, productName, details) => {
     console.log('✅ [CREATE] Transaction confirmed in block:', receipt.blockNumber);
     
     // Get the batch ID from the events
-    const event = receipt.logs.find(log => {
-      try {
-        const parsed = contract.interface.parseLog(log);
-        return parsed && parsed.name === 'BatchEventLog';
-      } catch {
-        return false;
-      }
-    });
+    const event = decodeReceiptBatchEvents(contract, receipt).find(e => e.eventType === 'CREATED');
     
     if (event) {
-      const parsedEvent = contract.interface.parseLog(event);
-      const batchId = parsedEvent.args.batchId.toString();
+      const batchId = event.batchId;
       console.log('🆔 [CREATE] New batch ID:', batchId);
       
       return {
@@ -200,92 +294,529 @@ export const createBatch = async (contract, productName, details) => {
 };
 
 /**
- * Get all batches from the blockchain
+ * Whether `account` may create batches: any account while the contract's
+ * processor allowlist is switched off, otherwise only PROCESSOR_ROLE holders
  */
-export const getAllBatches = async (contract) => {
-  console.log('📦 [BATCHES] Getting all batches from blockchain...');
+export const canCreateBatches = async (contract, account) => {
+  if (!(await contract.processorAllowlistEnabled())) {
+    return true;
+  }
+  
+  const { roles } = await resolveRoles(contract);
+  return contract.hasRole(roles.PROCESSOR_ROLE, account);
+};
+
+const getContractProvider = (contract) => contract.runner.provider || contract.runner;
+
+/**
+ * Query contract events in fixed-size block ranges
+ *
+ * Public RPC endpoints cap the block span of eth_getLogs, and a single
+ * request over the whole chain stalls on large deployments.
+ */
+export const queryEventsInChunks = async (contract, filter, options = {}) => {
+  const {
+    fromBlock = 0,
+    toBlock,
+    chunkSize = APP_CONFIG.eventBlockChunkSize
+  } = options;
+  
+  const lastBlock = toBlock ?? await getContractProvider(contract).getBlockNumber();
+  const events = [];
+  
+  for (let start = fromBlock; start <= lastBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, lastBlock);
+    const chunk = await contract.queryFilter(filter, start, end);
+    events.push(...chunk);
+  }
+  
+  return events;
+};
+
+/**
+ * Get the total number of batches created on the contract
+ */
+export const getBatchCount = async (contract) => {
+  if (!contract) {
+    throw new Error('Contract instance required');
+  }
+  return Number(await contract.getBatchCount());
+};
+
+/**
+ * Convert a TemperatureProfile struct into a plain object
+ */
+const toTemperatureProfile = (profileId, profile) => ({
+  profileId: profileId.toString(),
+  name: profile.name,
+  minTemperature: Number(profile.minTemperature),
+  maxTemperature: Number(profile.maxTemperature),
+  maxExcursionMinutes: Number(profile.maxExcursionMinutes),
+  maxExcursionDegrees: Number(profile.maxExcursionDegrees),
+  active: profile.active
+});
+
+/**
+ * Get one temperature profile by ID
+ */
+export const getTemperatureProfile = async (contract, profileId) => {
+  if (!contract) {
+    throw new Error('Contract instance required');
+  }
+  return toTemperatureProfile(profileId, await contract.getTemperatureProfile(profileId));
+};
+
+/**
+ * Get every registered temperature profile, including retired ones
+ *
+ * Profile IDs are sequential from 1 to getTemperatureProfileCount(); filter
+ * on `active` for the profiles new batches may use.
+ */
+export const getTemperatureProfiles = async (contract, options = {}) => {
+  const { concurrency = APP_CONFIG.batchFetchConcurrency } = options;
+  console.log('🌡️ [PROFILES] Loading temperature profiles...');
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const count = Number(await contract.getTemperatureProfileCount());
+    const profileIds = Array.from({ length: count }, (_, index) => index + 1);
+    const profiles = await mapWithConcurrency(profileIds, concurrency, id => getTemperatureProfile(contract, id));
+    
+    console.log('✅ [PROFILES] Loaded', profiles.length, 'temperature profiles');
+    return profiles;
+    
+  } catch (error) {
+    console.error('❌ [PROFILES] Error loading temperature profiles:', error);
+    throw new Error(`Failed to get temperature profiles: ${error.message}`);
+  }
+};
+
+/**
+ * Whether a reading is outside a profile's safe range, mirroring the contract
+ *
+ * An out-of-range reading starts or extends an excursion; it only compromises
+ * the batch once the excursion passes the profile's duration or peak limit.
+ */
+export const isTemperatureBreach = (profile, temperature) => {
+  return temperature < profile.minTemperature || temperature > profile.maxTemperature;
+};
+
+/**
+ * Bootstrap color for a reading: danger outside the profile's range, warning
+ * within APP_CONFIG.temperatureWarningMargin of either end, success otherwise
+ */
+export const getTemperatureColor = (temperature, profile) => {
+  if (temperature === null || temperature === undefined || !profile) {
+    return 'secondary';
+  }
+  if (isTemperatureBreach(profile, temperature)) {
+    return 'danger';
+  }
+  const margin = APP_CONFIG.temperatureWarningMargin;
+  if (temperature > profile.maxTemperature - margin || temperature < profile.minTemperature + margin) {
+    return 'warning';
+  }
+  return 'success';
+};
+
+/**
+ * Human-readable safe range of a profile, e.g. "0°C to 4°C"
+ */
+export const formatTemperatureRange = (profile) => {
+  return profile ? `${profile.minTemperature}°C to ${profile.maxTemperature}°C` : 'unknown range';
+};
+
+/**
+ * Register a temperature profile (admin only)
+ *
+ * With maxExcursionMinutes and maxExcursionDegrees both 0, any out-of-range
+ * reading compromises the batch.
+ */
+export const registerTemperatureProfile = async (contract, { name, minTemperature, maxTemperature, maxExcursionMinutes = 0, maxExcursionDegrees = 0 }) => {
+  console.log('🌡️ [PROFILES] Registering temperature profile:', name);
   
   try {
     if (!contract) {
       throw new Error('Contract instance required');
     }
     
-    // Query all BatchEventLog events to get batch IDs
-    console.log('🔍 [BATCHES] Querying BatchEventLog events...');
-    const events = await contract.queryFilter('BatchEventLog');
+    if (!name || !name.trim()) {
+      throw new Error('Profile name is required');
+    }
     
-    console.log('📋 [BATCHES] Found', events.length, 'events');
+    if (![minTemperature, maxTemperature, maxExcursionMinutes, maxExcursionDegrees].every(Number.isInteger)) {
+      throw new Error('Temperatures and excursion limits must be whole numbers');
+    }
     
-    // Extract unique batch IDs
-    const batchIds = [...new Set(events.map(event => event.args.batchId.toString()))];
+    if (maxExcursionMinutes < 0 || maxExcursionDegrees < 0) {
+      throw new Error('Excursion limits cannot be negative');
+    }
     
-    // Get detailed info for each batch
-    const batches = [];
-    for (const batchId of batchIds) {
-      try {
-        const batchInfo = await contract.getBatchInfo(batchId);
-        
-        const batchData = {
-          batchId: batchInfo.batchId.toString(),
-          creationTimestamp: Number(batchInfo.creationTimestamp),
-          processor: batchInfo.processor,
-          isCompromised: batchInfo.isCompromised,
-          status: Number(batchInfo.status),
-          currentOwner: batchInfo.currentOwner,
-          
-          // Get events for this batch
-          events: events
-            .filter(e => e.args.batchId.toString() === batchId)
-            .map(e => ({
-              eventType: e.args.eventType,
-              details: e.args.details,
-              temperature: Number(e.args.temperature),
-              timestamp: Number(e.args.timestamp),
-              actor: e.args.actor
-            }))
-            .sort((a, b) => b.timestamp - a.timestamp) // Most recent first
-        };
-        
-        // Add latest event info
-        if (batchData.events.length > 0) {
-          batchData.latestEvent = batchData.events[0];
+    if (minTemperature >= maxTemperature) {
+      throw new Error('Minimum temperature must be below maximum');
+    }
+    
+    const tx = await contract.registerTemperatureProfile(
+      name.trim(),
+      minTemperature,
+      maxTemperature,
+      maxExcursionMinutes,
+      maxExcursionDegrees
+    );
+    console.log('📝 [PROFILES] Transaction sent:', tx.hash);
+    const receipt = await tx.wait();
+    
+    const event = receipt.logs
+      .map(log => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
         }
-        
-        batches.push(batchData);
-      } catch (error) {
-        console.warn(`⚠️ [BATCHES] Error getting info for batch ${batchId}:`, error);
+      })
+      .find(parsed => parsed && parsed.name === 'TemperatureProfileRegistered');
+    
+    const profileId = event ? event.args.profileId.toString() : null;
+    console.log('✅ [PROFILES] Registered profile ID:', profileId);
+    
+    return {
+      success: true,
+      profileId,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [PROFILES] Error registering temperature profile:', error);
+    throw new Error(`Failed to register temperature profile: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Enable or retire a temperature profile for new batches (admin only)
+ */
+export const setTemperatureProfileActive = async (contract, profileId, active) => {
+  console.log('🌡️ [PROFILES]', active ? 'Enabling' : 'Retiring', 'temperature profile:', profileId);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const tx = await contract.setTemperatureProfileActive(profileId, active);
+    const receipt = await tx.wait();
+    console.log('✅ [PROFILES] Profile', profileId, 'active:', active);
+    
+    return {
+      success: true,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [PROFILES] Error updating temperature profile:', error);
+    throw new Error(`Failed to update temperature profile: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Switch the processor allowlist for batch creation on or off (admin only)
+ *
+ * While it is off any account can create batches; repacking is unaffected.
+ */
+export const setProcessorAllowlistEnabled = async (contract, enabled) => {
+  console.log('🏭 [ALLOWLIST]', enabled ? 'Restricting' : 'Opening', 'batch creation');
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const tx = await contract.setProcessorAllowlistEnabled(enabled);
+    const receipt = await tx.wait();
+    console.log('✅ [ALLOWLIST] Processor allowlist enabled:', enabled);
+    
+    return {
+      success: true,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [ALLOWLIST] Error updating processor allowlist:', error);
+    throw new Error(`Failed to update processor allowlist: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Build the batch object used by list views from the struct, its events and
+ * its temperature profile
+ */
+const toBatchSummary = (batchInfo, batchEvents, temperatureProfile) => {
+  const summary = {
+    batchId: batchInfo.batchId.toString(),
+    creationTimestamp: Number(batchInfo.creationTimestamp),
+    processor: batchInfo.processor,
+    isCompromised: batchInfo.isCompromised,
+    status: Number(batchInfo.status),
+    currentOwner: batchInfo.currentOwner,
+    profileId: batchInfo.profileId.toString(),
+    temperatureProfile,
+    excursionStartedAt: Number(batchInfo.excursionStartedAt) || null,
+    quantity: Number(batchInfo.quantity),
+    unit: batchInfo.unit,
+    isRepacked: batchInfo.isRepacked
+  };
+  
+  if (batchEvents) {
+    // Most recent first
+    const events = [...batchEvents]
+      .sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+    const creation = events.find(e => e.eventType === 'CREATED');
+    const latestReading = events.find(e => e.isTemperatureReading);
+    
+    summary.events = events;
+    summary.latestEvent = events[0];
+    summary.productName = creation ? creation.details.productName : undefined;
+    summary.temperature = latestReading ? latestReading.temperature : null;
+  }
+  
+  return summary;
+};
+
+/**
+ * Fetch a JSON endpoint of the event indexer (scripts/indexer)
+ */
+const fetchIndexer = async (path) => {
+  const response = await fetch(`${APP_CONFIG.indexerUrl.replace(/\/$/, '')}${path}`);
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Indexer responded with ${response.status}`);
+  }
+  return body;
+};
+
+/**
+ * Get the decoded batch events of a set of batches, unordered
+ *
+ * When APP_CONFIG.indexerUrl is set the indexer supplies everything up to the
+ * last block it has indexed and only the remaining blocks are queried from
+ * the node. If the indexer is unreachable or follows a different contract,
+ * the whole range is queried from the node instead.
+ */
+export const getBatchEvents = async (contract, batchIds) => {
+  let indexedEvents = [];
+  let fromBlock = 0;
+  
+  if (APP_CONFIG.indexerUrl) {
+    try {
+      const ids = batchIds.map(id => id.toString()).join(',');
+      const result = await fetchIndexer(`/events?batchIds=${ids}`);
+      const address = await contract.getAddress();
+      
+      if (result.contractAddress.toLowerCase() !== address.toLowerCase()) {
+        throw new Error(`indexer follows ${result.contractAddress}, not ${address}`);
       }
+      
+      indexedEvents = result.events;
+      fromBlock = result.lastBlock === null ? 0 : result.lastBlock + 1;
+      console.log('🗂️ [INDEXER] Loaded', indexedEvents.length, 'events up to block', result.lastBlock);
+    } catch (error) {
+      console.warn('⚠️ [INDEXER] Falling back to node queries:', error.message);
+    }
+  }
+  
+  // Any batch event (topic 0) of any of the batches (topic 1)
+  const [, batchIdTopics] = await contract.filters.BatchCreated(batchIds).getTopicFilter();
+  const logs = await queryEventsInChunks(contract, [BATCH_EVENT_NAMES, batchIdTopics], { fromBlock });
+  return [...indexedEvents, ...logs.map(decodeBatchEvent)];
+};
+
+/**
+ * Get one page of batches, newest first
+ *
+ * Batch IDs are sequential from 1 to getBatchCount(), so a page is the range
+ * of IDs below `cursor`. Structs are fetched in parallel with a concurrency
+ * cap and, when `includeEvents` is set, the page's batch events are
+ * loaded through getBatchEvents (indexer, or one topic filter in block-range
+ * chunks). Each distinct temperature profile on the page is fetched once.
+ *
+ * @returns {{ batches: Object[], total: number, nextCursor: number|null, hasMore: boolean }}
+ */
+export const getBatchPage = async (contract, options = {}) => {
+  const {
+    cursor = null,
+    pageSize = APP_CONFIG.batchPageSize,
+    concurrency = APP_CONFIG.batchFetchConcurrency,
+    includeEvents = true,
+    total: knownTotal
+  } = options;
+  
+  console.log('📦 [BATCHES] Loading page starting at cursor:', cursor ?? 'latest');
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const total = knownTotal ?? await getBatchCount(contract);
+    const start = cursor ?? total;
+    const end = Math.max(start - pageSize + 1, 1);
+    
+    const batchIds = [];
+    for (let id = start; id >= end; id--) {
+      batchIds.push(id);
+    }
+    
+    if (batchIds.length === 0) {
+      return { batches: [], total, nextCursor: null, hasMore: false };
     }
     
-    console.log('✅ [BATCHES] Retrieved', batches.length, 'batches');
-    return batches;
+    const [structs, events] = await Promise.all([
+      mapWithConcurrency(batchIds, concurrency, id => contract.getBatchInfo(id)),
+      includeEvents ? getBatchEvents(contract, batchIds) : Promise.resolve(null)
+    ]);
+    
+    const profileIds = [...new Set(structs.map(batchInfo => batchInfo.profileId.toString()))];
+    const profiles = await mapWithConcurrency(profileIds, concurrency, id => getTemperatureProfile(contract, id));
+    const profilesById = new Map(profiles.map(profile => [profile.profileId, profile]));
+    
+    const batches = structs.map(batchInfo => {
+      const batchId = batchInfo.batchId.toString();
+      const batchEvents = events ? events.filter(event => event.batchId === batchId) : null;
+      return toBatchSummary(batchInfo, batchEvents, profilesById.get(batchInfo.profileId.toString()));
+    });
+    
+    const nextCursor = end > 1 ? end - 1 : null;
+    console.log('✅ [BATCHES] Loaded', batches.length, 'batches of', total);
+    
+    return { batches, total, nextCursor, hasMore: nextCursor !== null };
     
   } catch (error) {
-    console.error('❌ [BATCHES] Error getting batches:', error);
+    console.error('❌ [BATCHES] Error loading batch page:', error);
     throw new Error(`Failed to get batches: ${error.message}`);
   }
 };
 
 /**
- * Get user roles for the connected account
+ * Get all batches from the blockchain
+ *
+ * Walks every page; prefer getBatchPage for anything rendered incrementally.
+ */
+export const getAllBatches = async (contract, options = {}) => {
+  console.log('📦 [BATCHES] Getting all batches from blockchain...');
+  
+  const batches = [];
+  let cursor = null;
+  let total;
+  
+  do {
+    const page = await getBatchPage(contract, { ...options, cursor, total });
+    batches.push(...page.batches);
+    total = page.total;
+    cursor = page.nextCursor;
+  } while (cursor !== null);
+  
+  console.log('✅ [BATCHES] Retrieved', batches.length, 'batches');
+  return batches;
+};
+
+/**
+ * Read the role identifiers from the deployed contract's public getters
+ *
+ * Results are cached per contract address. Each on-chain value is checked
+ * against the keccak256 value the frontend expects, and all five values must
+ * be distinct; any disagreement is reported in `mismatches` so the UI can
+ * warn that the configured address or ABI does not match the deployment.
+ */
+export const resolveRoles = async (contract) => {
+  if (!contract) {
+    throw new Error('Contract instance required');
+  }
+  
+  const address = (await contract.getAddress()).toLowerCase();
+  if (!resolvedRolesCache.has(address)) {
+    const resolution = (async () => {
+      console.log('🔑 [ROLES] Resolving role identifiers from contract:', address);
+      
+      const entries = await Promise.all(
+        Object.entries(ROLE_GETTERS).map(async ([roleKey, getter]) => [roleKey, await contract[getter]()])
+      );
+      const roles = Object.fromEntries(entries);
+      
+      const mismatches = Object.keys(roles)
+        .filter(roleKey => roles[roleKey].toLowerCase() !== ROLES[roleKey].toLowerCase())
+        .map(roleKey => ({ role: roleKey, expected: ROLES[roleKey], actual: roles[roleKey] }));
+      
+      const seen = new Map();
+      for (const [roleKey, roleId] of Object.entries(roles)) {
+        if (seen.has(roleId)) {
+          mismatches.push({ role: roleKey, expected: ROLES[roleKey], actual: roleId, duplicateOf: seen.get(roleId) });
+        }
+        seen.set(roleId, roleKey);
+      }
+      
+      if (mismatches.length > 0) {
+        console.error('❌ [ROLES] Contract role identifiers disagree with frontend:', mismatches);
+      } else {
+        console.log('✅ [ROLES] Role identifiers verified against contract');
+      }
+      
+      return { roles, mismatches };
+    })();
+    
+    resolvedRolesCache.set(address, resolution);
+    // Do not cache failed lookups so a later call can retry
+    resolution.catch(() => resolvedRolesCache.delete(address));
+  }
+  
+  try {
+    return await resolvedRolesCache.get(address);
+  } catch (error) {
+    throw new Error(`Could not read role identifiers from contract at ${address}: ${error.message}`);
+  }
+};
+
+/**
+ * Describe a role resolution mismatch for display to the user
+ */
+export const describeRoleMismatches = (mismatches) => {
+  return mismatches
+    .map(m => m.duplicateOf
+      ? `${m.role} has the same identifier as ${m.duplicateOf}`
+      : `${m.role} is ${m.actual} on-chain but the frontend expects ${m.expected}`)
+    .join('; ');
+};
+
+/**
+ * Get the on-chain identifier for a role key such as 'PROCESSOR_ROLE'
+ */
+const getRoleId = async (contract, roleKey) => {
+  if (!ROLE_GETTERS[roleKey]) {
+    throw new Error('Invalid role key: ' + roleKey);
+  }
+  
+  const { roles } = await resolveRoles(contract);
+  return roles[roleKey];
+};
+
+/**
+ * Get user roles for the connected account from on-chain AccessControl
  */
 export const getUserRoles = async (contract, account) => {
-  console.log('👥 [ROLES] Simplified role check - all users have access');
-  console.log('👤 [ROLES] Account:', account);
-  
-  // In simplified mode, all users have all permissions for testing
-  const roles = {
-    isAdmin: true,
-    isProcessor: true,
-    isDistributor: true,
-    isRetailer: true
-  };
+  console.log('👥 [ROLES] Reading on-chain roles for account:', account);
   
-  console.log('✅ [ROLES] Simplified roles (UI controls permissions):');
+  const roles = await getAllUserRoles(contract, account);
+  
+  console.log('✅ [ROLES] On-chain roles:');
   console.log('   👑 Admin:', roles.isAdmin);
   console.log('   🏭 Processor:', roles.isProcessor);
   console.log('   🚚 Distributor:', roles.isDistributor);
   console.log('   🏪 Retailer:', roles.isRetailer);
+  console.log('   📡 Oracle:', roles.isOracle);
   
   return roles;
 };
@@ -334,44 +865,278 @@ export const checkContractMethods = (contract) => {
   console.log('🔍 [DEBUG] Available contract methods:');
   console.log('   - createBatch:', typeof contract.createBatch === 'function');
   console.log('   - getBatchInfo:', typeof contract.getBatchInfo === 'function');
-  console.log('   - batches:', typeof contract.batches === 'function');
   console.log('   - hasRole:', typeof contract.hasRole === 'function');
   
   return {
     hasCreateBatch: typeof contract.createBatch === 'function',
     hasGetBatchInfo: typeof contract.getBatchInfo === 'function',
-    hasBatches: typeof contract.batches === 'function',
     hasHasRole: typeof contract.hasRole === 'function'
   };
 };
 
-// Placeholder functions (to be implemented)
-export const getBatchHistory = async () => {
-  console.log('📚 [HISTORY] Get batch history (placeholder)');
-  return [];
-};
+/**
+ * Decode a batch event query result into a typed timeline entry
+ *
+ * Accepts the typed events and the legacy BatchEventLog alike.
+ */
+const decodeBatchEvent = (event) => ({
+  batchId: event.args.batchId.toString(),
+  blockNumber: event.blockNumber,
+  transactionHash: event.transactionHash,
+  logIndex: event.index,
+  timestamp: Number(event.args.timestamp),
+  ...(event.eventName === 'BatchEventLog'
+    ? decodeLegacyBatchEvent(event.args)
+    : decodeTypedBatchEvent(event.eventName, event.args))
+});
 
-export const getBatchDetails = async (contract, batchId) => {
-  console.log('📋 [DETAILS] Getting batch details for batch ID:', batchId);
+/**
+ * Get the full on-chain history of a batch
+ *
+ * Replays the batch events filtered on the indexed batchId (via the event
+ * indexer when configured) and returns the current batch state together
+ * with the decoded events in chain order.
+ */
+export const getBatchHistory = async (contract, batchId) => {
+  console.log('📚 [HISTORY] Getting history for batch ID:', batchId);
   
   if (!contract || batchId === undefined || batchId === null) {
     throw new Error('Contract and batch ID are required');
   }
-
+  
   try {
-    // Debug: Check if method exists
-    const methods = checkContractMethods(contract);
-    if (!methods.hasGetBatchInfo) {
-      throw new Error('getBatchInfo method not available on contract');
-    }
+    const [batchDetails, batchEvents] = await Promise.all([
+      getBatchDetails(contract, batchId),
+      getBatchEvents(contract, [batchId])
+    ]);
     
-    // Get basic batch info
-    const batchInfo = await contract.getBatchInfo(batchId);
-    console.log('📋 [DETAILS] Raw batch info:', batchInfo);
+    console.log('📋 [HISTORY] Found', batchEvents.length, 'events');
     
-    // Check if batch exists (batchId should be > 0 for existing batches)
-    if (!batchInfo || batchInfo.batchId.toString() === '0') {
-      throw new Error('Batch not found');
+    const events = batchEvents
+      .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+    
+    const creation = events.find(e => e.eventType === 'CREATED');
+    const batch = {
+      ...batchDetails,
+      productName: creation ? creation.details.productName : undefined,
+      additionalDetails: creation ? creation.details.notes : undefined,
+      timestamp: batchDetails.creationTimestamp
+    };
+    
+    console.log('✅ [HISTORY] Decoded history for batch', batch.batchId);
+    return { batch, events };
+    
+  } catch (error) {
+    console.error('❌ [HISTORY] Error getting batch history:', error);
+    throw new Error(`Failed to get batch history: ${error.message}`);
+  }
+};
+
+/**
+ * Pair EXCURSION_STARTED and EXCURSION_ENDED events into excursion windows
+ *
+ * `peakTemperature` is the reading furthest outside the profile's range and
+ * `endedAt` is null while the excursion is still open.
+ *
+ * @param {Object[]} events Decoded batch events in chain order
+ * @param {Object} profile The batch's temperature profile
+ * @returns {{ startedAt: number, endedAt: number|null, durationSeconds: number|null, location: string, peakTemperature: number, compromised: boolean }[]}
+ */
+export const getExcursionWindows = (events, profile) => {
+  const deviation = (temperature) => Math.max(temperature - profile.maxTemperature, profile.minTemperature - temperature);
+  const windows = [];
+  let open = null;
+  
+  for (const event of events) {
+    if (event.eventType === 'EXCURSION_STARTED') {
+      open = {
+        startedAt: event.timestamp,
+        endedAt: null,
+        durationSeconds: null,
+        location: event.details.location || '',
+        peakTemperature: event.temperature,
+        compromised: false
+      };
+      windows.push(open);
+    } else if (!open) {
+      continue;
+    } else if (event.eventType === 'EXCURSION_ENDED') {
+      open.endedAt = event.timestamp;
+      open.durationSeconds = event.details.durationSeconds ?? event.timestamp - open.startedAt;
+      open = null;
+    } else {
+      if (event.eventType === 'COMPROMISED') {
+        open.compromised = true;
+      }
+      if (event.isTemperatureReading && deviation(event.temperature) > deviation(open.peakTemperature)) {
+        open.peakTemperature = event.temperature;
+      }
+    }
+  }
+  
+  return windows;
+};
+
+/**
+ * Get what a consumer needs to verify a batch
+ *
+ * Builds on getBatchHistory: the custody chain is the batch's first owner
+ * followed by every handover recipient, the temperature timeline holds only
+ * real sensor readings, each flagged against the batch's temperature profile,
+ * and `compromise` describes the first COMPROMISED event, if any.
+ *
+ * The first owner is whoever created the batch: its processor, or for a split
+ * or merged batch the owner who repacked it. BatchCreated names the processor
+ * in both cases, so the owner is read from the first handover's sender, or
+ * from the batch itself while it has not been handed over.
+ */
+export const getBatchVerification = async (contract, batchId) => {
+  console.log('🔎 [VERIFY] Verifying batch:', batchId);
+  
+  const { batch, events } = await getBatchHistory(contract, batchId);
+  
+  const handovers = events.filter(e => e.eventType === 'HANDOVER' && e.details.to);
+  const firstOwner = handovers.length > 0 ? handovers[0].details.from : batch.currentOwner;
+  const custody = events
+    .filter(e => e.eventType === 'CREATED' || (e.eventType === 'HANDOVER' && e.details.to))
+    .map(e => ({
+      owner: e.eventType === 'CREATED' ? firstOwner : e.details.to,
+      since: e.timestamp,
+      notes: e.details.notes || '',
+      transactionHash: e.transactionHash
+    }));
+  
+  const readings = events
+    .filter(e => e.isTemperatureReading)
+    .map(e => ({
+      timestamp: e.timestamp,
+      temperature: e.temperature,
+      location: e.details.location || '',
+      reportedBy: e.actor,
+      isBreach: isTemperatureBreach(batch.temperatureProfile, e.temperature),
+      transactionHash: e.transactionHash
+    }));
+  
+  const compromiseEvent = events.find(e => e.eventType === 'COMPROMISED');
+  const compromise = compromiseEvent
+    ? { reason: compromiseEvent.details.reason, timestamp: compromiseEvent.timestamp, reportedBy: compromiseEvent.actor }
+    : null;
+  
+  console.log('✅ [VERIFY] Batch', batch.batchId, 'has', custody.length, 'custodians and', readings.length, 'readings');
+  return { batch, custody, readings, compromise, events };
+};
+
+/**
+ * Convert a RoleGranted/RoleRevoked log into a plain role event
+ */
+const decodeRoleEvent = (event) => ({
+  type: event.eventName,
+  role: event.args.role,
+  account: event.args.account,
+  sender: event.args.sender,
+  blockNumber: event.blockNumber,
+  transactionHash: event.transactionHash
+});
+
+/**
+ * Watch batch and role events as they are mined
+ *
+ * WebSocket providers push logs through contract.on. Every other provider
+ * (MetaMask, plain HTTP JSON-RPC) is polled every `pollingInterval` ms for
+ * the contract's logs since the last block seen. Batch events are delivered
+ * in the same shape as getBatchHistory entries.
+ *
+ * @returns {() => void} Stops watching
+ */
+export const watchContractEvents = (contract, { onBatchEvent, onRoleEvent }, options = {}) => {
+  const { pollingInterval = APP_CONFIG.pollingInterval } = options;
+  const provider = getContractProvider(contract);
+  
+  if (provider instanceof ethers.WebSocketProvider) {
+    console.log('📡 [EVENTS] Subscribing to contract events over WebSocket');
+    
+    // Contract listeners receive the decoded args followed by the event payload
+    const handleBatchEvent = (...args) => onBatchEvent(decodeBatchEvent(args[args.length - 1].log));
+    const handleRoleEvent = (...args) => onRoleEvent(decodeRoleEvent(args[args.length - 1].log));
+    
+    BATCH_EVENT_NAMES.forEach(name => contract.on(name, handleBatchEvent));
+    contract.on('RoleGranted', handleRoleEvent);
+    contract.on('RoleRevoked', handleRoleEvent);
+    
+    return () => {
+      BATCH_EVENT_NAMES.forEach(name => contract.off(name, handleBatchEvent));
+      contract.off('RoleGranted', handleRoleEvent);
+      contract.off('RoleRevoked', handleRoleEvent);
+    };
+  }
+  
+  console.log('📡 [EVENTS] Polling contract events every', pollingInterval, 'ms');
+  
+  let stopped = false;
+  let timer = null;
+  let lastBlock = null;
+  
+  const poll = async () => {
+    try {
+      const head = await provider.getBlockNumber();
+      
+      if (lastBlock === null || head < lastBlock) {
+        // Start from the current head; a lower head means the local node was reset
+        lastBlock = head;
+      } else if (head > lastBlock) {
+        const logs = await queryEventsInChunks(contract, '*', { fromBlock: lastBlock + 1, toBlock: head });
+        lastBlock = head;
+        
+        for (const log of logs) {
+          if (stopped) break;
+          if (BATCH_EVENT_NAMES.includes(log.eventName)) {
+            onBatchEvent(decodeBatchEvent(log));
+          } else if (log.eventName === 'RoleGranted' || log.eventName === 'RoleRevoked') {
+            onRoleEvent(decodeRoleEvent(log));
+          }
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ [EVENTS] Polling for contract events failed:', error.message);
+    }
+    
+    if (!stopped) {
+      timer = setTimeout(poll, pollingInterval);
+    }
+  };
+  
+  poll();
+  
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+export const getBatchDetails = async (contract, batchId) => {
+  console.log('📋 [DETAILS] Getting batch details for batch ID:', batchId);
+  
+  if (!contract || batchId === undefined || batchId === null) {
+    throw new Error('Contract and batch ID are required');
+  }
+
+  try {
+    // Debug: Check if method exists
+    const methods = checkContractMethods(contract);
+    if (!methods.hasGetBatchInfo) {
+      throw new Error('getBatchInfo method not available on contract');
+    }
+    
+    // Get basic batch info
+    const [batchInfo, profile] = await Promise.all([
+      contract.getBatchInfo(batchId),
+      contract.getBatchTemperatureProfile(batchId)
+    ]);
+    console.log('📋 [DETAILS] Raw batch info:', batchInfo);
+    
+    // Check if batch exists (batchId should be > 0 for existing batches)
+    if (!batchInfo || batchInfo.batchId.toString() === '0') {
+      throw new Error('Batch not found');
     }
     
     // Parse the batch data
@@ -382,29 +1147,805 @@ export const getBatchDetails = async (contract, batchId) => {
       isCompromised: batchInfo.isCompromised,
       status: Number(batchInfo.status),
       currentOwner: batchInfo.currentOwner,
+      profileId: batchInfo.profileId.toString(),
+      temperatureProfile: toTemperatureProfile(batchInfo.profileId, profile),
+      excursionStartedAt: Number(batchInfo.excursionStartedAt) || null,
+      quantity: Number(batchInfo.quantity),
+      unit: batchInfo.unit,
+      isRepacked: batchInfo.isRepacked,
       
       // Add formatted dates
       creationDate: new Date(Number(batchInfo.creationTimestamp) * 1000),
       
       // Add status labels
-      statusLabel: ['Processing', 'InTransit', 'Delivered', 'Compromised'][Number(batchInfo.status)] || 'Unknown'
+      statusLabel: getStatusText(Number(batchInfo.status))
+    };
+
+    console.log('✅ [DETAILS] Processed batch details:', batch);
+    return batch;
+    
+  } catch (error) {
+    console.error('❌ [DETAILS] Error getting batch details:', error);
+    throw new Error(`Failed to get batch details: ${error.message}`);
+  }
+};
+
+/**
+ * Record a temperature reading for a batch via addTraceEvent
+ *
+ * The contract stores whole degrees Celsius and decides on-chain whether the
+ * reading compromises the batch, and whether it starts or ends a temperature
+ * excursion; the emitted events are read back from the receipt so the caller
+ * can tell the user what happened. `eventType` is COMPROMISED for a breach
+ * and UPDATE otherwise.
+ */
+export const updateTemperature = async (contract, batchId, temperature, location, notes = '') => {
+  console.log('🌡️ [TEMP] Recording temperature for batch:', batchId);
+  console.log('🌡️ [TEMP] Reading:', temperature, '°C at', location);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    if (batchId === undefined || batchId === null) {
+      throw new Error('Batch ID is required');
+    }
+    
+    if (!Number.isInteger(temperature)) {
+      throw new Error('Temperature must be a whole number of degrees Celsius');
+    }
+    
+    if (!location || !location.trim()) {
+      throw new Error('Location is required');
+    }
+    
+    console.log('⏳ [TEMP] Calling contract.addTraceEvent...');
+    const tx = await contract.addTraceEvent(batchId, location.trim(), temperature, notes.trim());
+    
+    console.log('📝 [TEMP] Transaction sent:', tx.hash);
+    const receipt = await tx.wait();
+    console.log('✅ [TEMP] Transaction confirmed in block:', receipt.blockNumber);
+    
+    // Legacy deployments log a breach as the reading's own event, newer ones
+    // log the reading followed by a Compromised event
+    const eventTypes = decodeReceiptBatchEvents(contract, receipt).map(event => event.eventType);
+    const eventType = eventTypes.includes('COMPROMISED') ? 'COMPROMISED'
+      : eventTypes.find(type => !type.startsWith('EXCURSION_')) || null;
+    const excursion = eventTypes.includes('EXCURSION_STARTED') ? 'STARTED'
+      : eventTypes.includes('EXCURSION_ENDED') ? 'ENDED'
+      : null;
+    
+    if (!eventType) {
+      console.warn('⚠️ [TEMP] Reading recorded but no batch event found');
+    } else {
+      console.log('📋 [TEMP] Contract recorded event:', eventType, excursion ? `(excursion ${excursion.toLowerCase()})` : '');
+    }
+    
+    return {
+      success: true,
+      eventType,
+      excursion,
+      isCompromised: eventType === 'COMPROMISED',
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [TEMP] Error recording temperature:', error);
+    throw new Error(`Failed to update temperature: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Validate a transfer recipient locally, mirroring the contract's require checks
+ *
+ * @returns {string|null} The revert reason the contract would give, or null
+ */
+export const validateTransferRecipient = (batch, fromAccount, newOwner) => {
+  if (!newOwner || !ethers.isAddress(newOwner)) {
+    return 'Recipient must be a valid Ethereum address';
+  }
+  
+  if (newOwner.toLowerCase() === ethers.ZeroAddress) {
+    return 'New owner cannot be the zero address';
+  }
+  
+  if (fromAccount && newOwner.toLowerCase() === fromAccount.toLowerCase()) {
+    return 'Cannot transfer to yourself';
+  }
+  
+  if (batch && fromAccount && batch.currentOwner.toLowerCase() !== fromAccount.toLowerCase()) {
+    return 'Only the current owner can transfer';
+  }
+  
+  if (batch && isBatchClosed(batch.status)) {
+    return 'Batch is closed';
+  }
+  
+  return null;
+};
+
+/**
+ * Preview the status change a transfer will make once the recipient accepts it
+ *
+ * The contract moves the batch to IN_TRANSIT for a DISTRIBUTOR_ROLE holder,
+ * to DELIVERED for a RETAILER_ROLE holder, and otherwise leaves it unchanged.
+ */
+export const previewTransfer = async (contract, batch, fromAccount, newOwner) => {
+  console.log('🔎 [TRANSFER] Previewing transfer of batch', batch?.batchId, 'to:', newOwner);
+  
+  if (!contract || !batch) {
+    throw new Error('Contract and batch are required');
+  }
+  
+  const validationError = validateTransferRecipient(batch, fromAccount, newOwner);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+  
+  const { roles } = await resolveRoles(contract);
+  const [isDistributor, isRetailer] = await Promise.all([
+    contract.hasRole(roles.DISTRIBUTOR_ROLE, newOwner),
+    contract.hasRole(roles.RETAILER_ROLE, newOwner)
+  ]);
+  
+  let nextStatus = batch.status;
+  if (isDistributor) {
+    nextStatus = BATCH_STATUS.IN_TRANSIT;
+  } else if (isRetailer) {
+    nextStatus = BATCH_STATUS.DELIVERED;
+  }
+  
+  const preview = {
+    newOwner: ethers.getAddress(newOwner),
+    isDistributor,
+    isRetailer,
+    currentStatus: batch.status,
+    nextStatus,
+    statusChanges: nextStatus !== batch.status
+  };
+  
+  console.log('✅ [TRANSFER] Transfer preview:', preview);
+  return preview;
+};
+
+/**
+ * Propose handing a batch to a new owner via proposeTransfer
+ *
+ * Custody stays with the sender until the recipient accepts, which they must
+ * do within the contract's TRANSFER_ACCEPTANCE_PERIOD.
+ */
+export const proposeTransfer = async (contract, batchId, newOwner, notes = '') => {
+  console.log('🚚 [TRANSFER] Proposing transfer of batch', batchId, 'to:', newOwner);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    if (batchId === undefined || batchId === null) {
+      throw new Error('Batch ID is required');
+    }
+    
+    const sender = await contract.runner.getAddress();
+    const validationError = validateTransferRecipient(null, sender, newOwner);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+    
+    console.log('⏳ [TRANSFER] Calling contract.proposeTransfer...');
+    const tx = await contract.proposeTransfer(batchId, newOwner, notes.trim());
+    
+    console.log('📝 [TRANSFER] Transaction sent:', tx.hash);
+    const receipt = await tx.wait();
+    console.log('✅ [TRANSFER] Transaction confirmed in block:', receipt.blockNumber);
+    
+    const pending = await contract.getPendingTransfer(batchId);
+    
+    return {
+      success: true,
+      recipient: pending.to,
+      expiresAt: Number(pending.expiresAt),
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [TRANSFER] Error proposing transfer:', error);
+    throw new Error(`Failed to propose transfer: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Accept a transfer proposed to you via acceptTransfer
+ *
+ * The receiving reading is checked like any other, so it can start an
+ * excursion or compromise the batch; `eventType` and `isCompromised` report
+ * what the contract recorded, as for updateTemperature.
+ */
+export const acceptTransfer = async (contract, batchId, temperature, location, notes = '') => {
+  console.log('📥 [TRANSFER] Accepting transfer of batch', batchId, 'at', location, 'with', temperature, '°C');
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    if (!Number.isInteger(temperature)) {
+      throw new Error('Temperature must be a whole number of degrees Celsius');
+    }
+    
+    if (!location || !location.trim()) {
+      throw new Error('Location is required');
+    }
+    
+    console.log('⏳ [TRANSFER] Calling contract.acceptTransfer...');
+    const tx = await contract.acceptTransfer(batchId, location.trim(), temperature, notes.trim());
+    
+    console.log('📝 [TRANSFER] Transaction sent:', tx.hash);
+    const receipt = await tx.wait();
+    console.log('✅ [TRANSFER] Transaction confirmed in block:', receipt.blockNumber);
+    
+    const eventTypes = decodeReceiptBatchEvents(contract, receipt).map(event => event.eventType);
+    const batchInfo = await contract.getBatchInfo(batchId);
+    
+    return {
+      success: true,
+      status: Number(batchInfo.status),
+      isCompromised: eventTypes.includes('COMPROMISED'),
+      excursionStarted: eventTypes.includes('EXCURSION_STARTED'),
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [TRANSFER] Error accepting transfer:', error);
+    throw new Error(`Failed to accept transfer: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Withdraw a transfer you proposed via cancelTransfer
+ */
+export const cancelTransfer = async (contract, batchId) => {
+  console.log('↩️ [TRANSFER] Cancelling transfer of batch:', batchId);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    console.log('⏳ [TRANSFER] Calling contract.cancelTransfer...');
+    const tx = await contract.cancelTransfer(batchId);
+    const receipt = await tx.wait();
+    console.log('✅ [TRANSFER] Cancelled in block:', receipt.blockNumber);
+    
+    return {
+      success: true,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [TRANSFER] Error cancelling transfer:', error);
+    throw new Error(`Failed to cancel transfer: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Latest block timestamp; expiry is judged by chain time, not the local clock
+ */
+const getChainTime = async (contract) => {
+  const block = await getContractProvider(contract).getBlock('latest');
+  return block.timestamp;
+};
+
+const toPendingTransfer = (pending, now) => (
+  pending.to === ethers.ZeroAddress ? null : {
+    to: pending.to,
+    proposedAt: Number(pending.proposedAt),
+    expiresAt: Number(pending.expiresAt),
+    notes: pending.notes,
+    isExpired: Number(pending.expiresAt) < now
+  }
+);
+
+/**
+ * Get the transfer proposed for a batch, or null if there is none
+ *
+ * An expired proposal is returned with `isExpired` set: the recipient can no
+ * longer accept it, but the owner may still cancel or replace it.
+ */
+export const getPendingTransfer = async (contract, batchId) => {
+  const [pending, now] = await Promise.all([
+    contract.getPendingTransfer(batchId),
+    getChainTime(contract)
+  ]);
+  return toPendingTransfer(pending, now);
+};
+
+/**
+ * Get the transfers waiting for `account` to accept, soonest deadline first
+ *
+ * Candidates come from the indexer when APP_CONFIG.indexerUrl is set, else
+ * from TransferProposed events filtered on the recipient topic. Each is then
+ * checked against getPendingTransfer, so cancelled, accepted, replaced and
+ * expired proposals drop out.
+ */
+export const getIncomingTransfers = async (contract, account, options = {}) => {
+  const { concurrency = APP_CONFIG.batchFetchConcurrency } = options;
+  console.log('📥 [TRANSFER] Loading incoming transfers for:', account);
+  
+  try {
+    if (!contract || !account) {
+      throw new Error('Contract and account are required');
+    }
+    
+    let batchIds = null;
+    if (APP_CONFIG.indexerUrl) {
+      try {
+        const batches = await fetchIndexer(`/owners/${account}/incoming`);
+        batchIds = batches.map(batch => batch.batchId);
+      } catch (error) {
+        console.warn('⚠️ [INDEXER] Falling back to node queries:', error.message);
+      }
+    }
+    if (!batchIds) {
+      const logs = await queryEventsInChunks(contract, contract.filters.TransferProposed(null, null, account));
+      batchIds = [...new Set(logs.map(log => log.args.batchId.toString()))];
+    }
+    
+    const now = await getChainTime(contract);
+    const pendings = await mapWithConcurrency(batchIds, concurrency, id => contract.getPendingTransfer(id));
+    const live = batchIds
+      .map((batchId, index) => ({ batchId, pending: toPendingTransfer(pendings[index], now) }))
+      .filter(({ pending }) => pending && !pending.isExpired && pending.to.toLowerCase() === account.toLowerCase());
+    
+    if (live.length === 0) {
+      return [];
+    }
+    
+    const ids = live.map(({ batchId }) => batchId);
+    const [structs, events] = await Promise.all([
+      mapWithConcurrency(ids, concurrency, id => contract.getBatchInfo(id)),
+      getBatchEvents(contract, ids)
+    ]);
+    
+    const transfers = live.map(({ batchId, pending }, index) => ({
+      ...toBatchSummary(structs[index], events.filter(event => event.batchId === batchId)),
+      from: structs[index].currentOwner,
+      ...pending
+    }));
+    transfers.sort((a, b) => a.expiresAt - b.expiresAt);
+    
+    console.log('✅ [TRANSFER] Found', transfers.length, 'incoming transfers');
+    return transfers;
+    
+  } catch (error) {
+    console.error('❌ [TRANSFER] Error loading incoming transfers:', error);
+    throw new Error(`Failed to get incoming transfers: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Split a batch into child batches via splitBatch
+ *
+ * `quantities` must add up to the parent's quantity. The children keep the
+ * parent's unit, temperature profile, status and compromise flag, and the
+ * parent accepts no further readings or transfers.
+ */
+export const splitBatch = async (contract, batchId, productName, quantities, notes = '') => {
+  console.log('✂️ [REPACK] Splitting batch', batchId, 'into:', quantities);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    if (!productName || !productName.trim()) {
+      throw new Error('Product name is required');
+    }
+    
+    if (quantities.length < 2 || quantities.some(quantity => !Number.isInteger(quantity) || quantity <= 0)) {
+      throw new Error('At least two positive whole quantities are required');
+    }
+    
+    console.log('⏳ [REPACK] Calling contract.splitBatch...');
+    const tx = await contract.splitBatch(batchId, productName.trim(), quantities, notes.trim());
+    
+    console.log('📝 [REPACK] Transaction sent:', tx.hash);
+    const receipt = await tx.wait();
+    console.log('✅ [REPACK] Transaction confirmed in block:', receipt.blockNumber);
+    
+    const event = decodeReceiptBatchEvents(contract, receipt).find(e => e.eventType === 'SPLIT');
+    
+    return {
+      success: true,
+      childIds: event ? event.details.childIds : [],
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
     };
+    
+  } catch (error) {
+    console.error('❌ [REPACK] Error splitting batch:', error);
+    throw new Error(`Failed to split batch: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Merge batches into one new batch via mergeBatches
+ *
+ * All batches must be owned by the caller and share a unit and temperature
+ * profile. The new batch is compromised if any of them was.
+ */
+export const mergeBatches = async (contract, batchIds, productName, notes = '') => {
+  console.log('🔗 [REPACK] Merging batches:', batchIds);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    if (!productName || !productName.trim()) {
+      throw new Error('Product name is required');
+    }
+    
+    if (new Set(batchIds.map(String)).size !== batchIds.length || batchIds.length < 2) {
+      throw new Error('At least two different batches are required');
+    }
+    
+    console.log('⏳ [REPACK] Calling contract.mergeBatches...');
+    const tx = await contract.mergeBatches(batchIds, productName.trim(), notes.trim());
+    
+    console.log('📝 [REPACK] Transaction sent:', tx.hash);
+    const receipt = await tx.wait();
+    console.log('✅ [REPACK] Transaction confirmed in block:', receipt.blockNumber);
+    
+    const event = decodeReceiptBatchEvents(contract, receipt).find(e => e.eventType === 'CREATED');
+    
+    return {
+      success: true,
+      batchId: event ? event.batchId : null,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [REPACK] Error merging batches:', error);
+    throw new Error(`Failed to merge batches: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Walk the parent/child links of a batch in both directions
+ *
+ * Returns the batch's ancestors and every descendant, each with its depth
+ * from the starting batch, so a recall of one batch can reach all product
+ * that was repacked out of it.
+ */
+export const getBatchLineage = async (contract, batchId, options = {}) => {
+  const { concurrency = APP_CONFIG.batchFetchConcurrency } = options;
+  console.log('🌳 [LINEAGE] Walking lineage of batch:', batchId);
+  
+  if (!contract || batchId === undefined || batchId === null) {
+    throw new Error('Contract and batch ID are required');
+  }
+  
+  try {
+    const [ancestors, descendants] = await Promise.all([
+      walkBatchLinks([batchId], id => contract.getParentBatchIds(id), concurrency),
+      walkBatchLinks([batchId], id => contract.getChildBatchIds(id), concurrency)
+    ]);
+    
+    // One event query covers both directions; product names live in BatchCreated
+    const entries = [...ancestors, ...descendants];
+    const [structs, events] = await Promise.all([
+      mapWithConcurrency(entries, concurrency, entry => contract.getBatchInfo(entry.batchId)),
+      entries.length > 0 ? getBatchEvents(contract, entries.map(entry => entry.batchId)) : []
+    ]);
+    const summaries = entries.map((entry, index) => ({
+      ...toBatchSummary(structs[index], events.filter(event => event.batchId === entry.batchId)),
+      depth: entry.depth
+    }));
+    
+    const lineage = {
+      batchId: batchId.toString(),
+      ancestors: summaries.slice(0, ancestors.length),
+      descendants: summaries.slice(ancestors.length)
+    };
+    
+    console.log('✅ [LINEAGE] Found', lineage.ancestors.length, 'ancestors and', lineage.descendants.length, 'descendants');
+    return lineage;
+    
+  } catch (error) {
+    console.error('❌ [LINEAGE] Error walking batch lineage:', error);
+    throw new Error(`Failed to get batch lineage: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Preview the batches a recall would flag
+ *
+ * Batches are matched on their BatchCreated event and followed through
+ * their descendants as described at selectRecallCandidates in
+ * shared/recall.js. Batches already under a recall are listed with their recallId and left out
+ * of `batchIds`.
+ */
+export const findRecallCandidates = async (contract, criteria, options = {}) => {
+  const { productName, processor, createdFrom, createdTo } = criteria;
+  const { concurrency = APP_CONFIG.batchFetchConcurrency } = options;
+  console.log('📢 [RECALL] Finding batches for:', describeRecallCriteria(criteria));
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    if (!productName && !processor && !createdFrom && !createdTo) {
+      throw new Error('Give at least a product name, processor or creation date');
+    }
+    
+    if (processor && !ethers.isAddress(processor)) {
+      throw new Error('Processor must be a valid address');
+    }
+    
+    // Every BatchCreated, so descendants get their product names too
+    const logs = await queryEventsInChunks(contract, contract.filters.BatchCreated());
+    const created = new Map(logs.map(log => [log.args.batchId.toString(), log.args]));
+    const selection = await selectRecallCandidates(contract, created, criteria, { concurrency });
+    
+    const batches = selection.batches.map(({ batchInfo, ...batch }) => ({
+      ...toBatchSummary(batchInfo),
+      ...batch
+    }));
+    
+    const batchIds = batches.filter(batch => batch.recallId === null).map(batch => batch.batchId);
+    console.log('✅ [RECALL] Matched', selection.matched, 'batches and', selection.descendants, 'descendants;', batchIds.length, 'not yet recalled');
+    
+    return { criteria: describeRecallCriteria(criteria), batches, batchIds };
+    
+  } catch (error) {
+    console.error('❌ [RECALL] Error finding recall candidates:', error);
+    throw new Error(`Failed to preview recall: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Issue a recall and flag its batches via issueRecall and recallBatches
+ *
+ * Batches are sent in chunks of `chunkSize` (at most the contract's
+ * MAX_RECALL_BATCHES) so each transaction stays well under the block gas
+ * limit; `onProgress` is called after every chunk. Pass `recallId` to add
+ * batches to an existing recall, e.g. to finish one that was interrupted.
+ */
+export const executeRecall = async (contract, { reason, criteria, recallId = null }, batchIds, options = {}) => {
+  const { chunkSize = APP_CONFIG.recallChunkSize, onProgress } = options;
+  console.log('📢 [RECALL] Recalling', batchIds.length, 'batches:', reason);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    if (batchIds.length === 0) {
+      throw new Error('No batches to recall');
+    }
+    
+    let activeRecallId = recallId;
+    const transactionHashes = [];
+    
+    if (activeRecallId === null) {
+      if (!reason || !reason.trim()) {
+        throw new Error('A recall reason is required');
+      }
+      
+      console.log('⏳ [RECALL] Calling contract.issueRecall...');
+      const tx = await contract.issueRecall(reason.trim(), criteria || '');
+      const receipt = await tx.wait();
+      transactionHashes.push(tx.hash);
+      
+      const event = receipt.logs
+        .map(log => {
+          try {
+            return contract.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find(parsed => parsed && parsed.name === 'RecallIssued');
+      activeRecallId = event.args.recallId.toString();
+      console.log('🆔 [RECALL] New recall ID:', activeRecallId);
+    }
+    
+    let flagged = 0;
+    for (let start = 0; start < batchIds.length; start += chunkSize) {
+      const chunk = batchIds.slice(start, start + chunkSize);
+      console.log('⏳ [RECALL] Flagging batches', start + 1, 'to', start + chunk.length, 'of', batchIds.length);
+      
+      const tx = await contract.recallBatches(activeRecallId, chunk);
+      const receipt = await tx.wait();
+      transactionHashes.push(tx.hash);
+      flagged += decodeReceiptBatchEvents(contract, receipt).filter(e => e.eventType === 'RECALLED').length;
+      
+      if (onProgress) {
+        onProgress({ recallId: activeRecallId, done: start + chunk.length, total: batchIds.length });
+      }
+    }
+    
+    console.log('✅ [RECALL] Recall', activeRecallId, 'flagged', flagged, 'batches');
+    return { success: true, recallId: activeRecallId, flagged, transactionHashes };
+    
+  } catch (error) {
+    console.error('❌ [RECALL] Error executing recall:', error);
+    throw new Error(`Failed to execute recall: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Get every recall, newest first
+ */
+export const getRecalls = async (contract, options = {}) => {
+  const { concurrency = APP_CONFIG.batchFetchConcurrency } = options;
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const count = Number(await contract.getRecallCount());
+    const recallIds = Array.from({ length: count }, (_, index) => count - index);
+    const recalls = await mapWithConcurrency(recallIds, concurrency, id => contract.getRecall(id));
+    
+    return recalls.map(recall => ({
+      recallId: recall.recallId.toString(),
+      initiator: recall.initiator,
+      issuedAt: Number(recall.issuedAt),
+      batchCount: Number(recall.batchCount),
+      acknowledgedCount: Number(recall.acknowledgedCount),
+      reason: recall.reason,
+      criteria: recall.criteria
+    }));
+    
+  } catch (error) {
+    console.error('❌ [RECALL] Error loading recalls:', error);
+    throw new Error(`Failed to get recalls: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Get the recall a batch belongs to, or null if it is not recalled
+ */
+export const getBatchRecall = async (contract, batchId) => {
+  const batchRecall = await contract.getBatchRecall(batchId);
+  if (batchRecall.recallId.toString() === '0') {
+    return null;
+  }
+  
+  const recall = await contract.getRecall(batchRecall.recallId);
+  return {
+    recallId: batchRecall.recallId.toString(),
+    reason: recall.reason,
+    issuedAt: Number(recall.issuedAt),
+    acknowledgedBy: Number(batchRecall.acknowledgedAt) ? batchRecall.acknowledgedBy : null,
+    acknowledgedAt: Number(batchRecall.acknowledgedAt) || null
+  };
+};
+
+/**
+ * Acknowledge the recall notice of a batch you own via acknowledgeRecall
+ */
+export const acknowledgeRecall = async (contract, batchId) => {
+  console.log('📢 [RECALL] Acknowledging recall of batch:', batchId);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    console.log('⏳ [RECALL] Calling contract.acknowledgeRecall...');
+    const tx = await contract.acknowledgeRecall(batchId);
+    const receipt = await tx.wait();
+    console.log('✅ [RECALL] Acknowledged in block:', receipt.blockNumber);
+    
+    return {
+      success: true,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [RECALL] Error acknowledging recall:', error);
+    throw new Error(`Failed to acknowledge recall: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Send a closing transaction and read the status from the BatchClosed event it emits
+ *
+ * @param {string} statusName The terminal status the transaction sets, e.g. 'SOLD'
+ */
+const closeBatch = async (contract, batchId, statusName, send) => {
+  if (!contract) {
+    throw new Error('Contract instance required');
+  }
+  
+  const tx = await send();
+  console.log('📝 [LIFECYCLE] Transaction sent:', tx.hash);
+  const receipt = await tx.wait();
+  console.log('✅ [LIFECYCLE] Batch', batchId, statusName, 'in block:', receipt.blockNumber);
+  
+  const event = decodeReceiptBatchEvents(contract, receipt).find(e => e.eventType === statusName);
+  
+  return {
+    success: true,
+    status: event ? event.details.status : BATCH_STATUS[statusName],
+    transactionHash: tx.hash,
+    blockNumber: receipt.blockNumber
+  };
+};
 
-    console.log('✅ [DETAILS] Processed batch details:', batch);
-    return batch;
+/**
+ * Record the sale of a batch to consumers via markBatchSold
+ *
+ * Only a RETAILER_ROLE holder owning the batch can sell it, and not once it
+ * is compromised.
+ */
+export const markBatchSold = async (contract, batchId, notes = '') => {
+  console.log('🛒 [LIFECYCLE] Marking batch sold:', batchId);
+  
+  try {
+    return await closeBatch(contract, batchId, 'SOLD', () => contract.markBatchSold(batchId, notes.trim()));
+  } catch (error) {
+    console.error('❌ [LIFECYCLE] Error marking batch sold:', error);
+    throw new Error(`Failed to mark batch sold: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Record the destruction of a batch via disposeBatch
+ *
+ * The owner or an admin can dispose of an open batch, or of one returned to
+ * its processor. A reason is required.
+ */
+export const disposeBatch = async (contract, batchId, reason) => {
+  console.log('🗑️ [LIFECYCLE] Disposing of batch:', batchId);
+  
+  try {
+    if (!reason || !reason.trim()) {
+      throw new Error('Disposal reason cannot be empty');
+    }
     
+    return await closeBatch(contract, batchId, 'DISPOSED', () => contract.disposeBatch(batchId, reason.trim()));
   } catch (error) {
-    console.error('❌ [DETAILS] Error getting batch details:', error);
-    throw new Error(`Failed to get batch details: ${error.message}`);
+    console.error('❌ [LIFECYCLE] Error disposing of batch:', error);
+    throw new Error(`Failed to dispose of batch: ${error.reason || error.message}`);
   }
 };
 
-export const updateTemperature = async () => {
-  console.log('🌡️ [TEMP] Update temperature (placeholder)');
-  throw new Error('Update temperature not implemented yet');
+/**
+ * Send a batch back to the processor that created it via returnToProcessor
+ *
+ * Custody passes to the processor at once, without an acceptance step; the
+ * processor can then only dispose of the batch.
+ */
+export const returnToProcessor = async (contract, batchId, notes = '') => {
+  console.log('↩️ [LIFECYCLE] Returning batch to its processor:', batchId);
+  
+  try {
+    return await closeBatch(contract, batchId, 'RETURNED', () => contract.returnToProcessor(batchId, notes.trim()));
+  } catch (error) {
+    console.error('❌ [LIFECYCLE] Error returning batch:', error);
+    throw new Error(`Failed to return batch: ${error.reason || error.message}`);
+  }
 };
 
-export const grantRole = async (contract, roleKey, userAddress) => {
+/**
+ * Grant a role, registering the holder's organization in the same step when
+ * `participant` details are given (two transactions: the grant, then the
+ * registry entry)
+ */
+export const grantRole = async (contract, roleKey, userAddress, participant = null) => {
   console.log('👑 [ROLE] Granting role:', roleKey, 'to:', userAddress);
   
   if (!contract) {
@@ -421,35 +1962,21 @@ export const grantRole = async (contract, roleKey, userAddress) => {
     const signer = await provider.getSigner();
     const currentAccount = await signer.getAddress();
     
-    const hasAdminRole = await contract.hasRole(ROLES.ADMIN_ROLE, currentAccount);
+    const hasAdminRole = await contract.hasRole(await getRoleId(contract, 'ADMIN_ROLE'), currentAccount);
     console.log('👑 [ROLE] Current account has admin role:', hasAdminRole);
     
     if (!hasAdminRole) {
       throw new Error(`Current account (${currentAccount}) does not have admin privileges. Please connect with the deployer account: 0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266`);
     }
     
-    // Convert role key to proper role hash
-    let roleHash;
-    switch (roleKey) {
-      case 'ADMIN_ROLE':
-        roleHash = ROLES.ADMIN_ROLE;
-        break;
-      case 'PROCESSOR_ROLE':
-        roleHash = ROLES.PROCESSOR_ROLE;
-        break;
-      case 'DISTRIBUTOR_ROLE':
-        roleHash = ROLES.DISTRIBUTOR_ROLE;
-        break;
-      case 'RETAILER_ROLE':
-        roleHash = ROLES.RETAILER_ROLE;
-        break;
-      case 'ORACLE_ROLE':
-        roleHash = ROLES.ORACLE_ROLE;
-        break;
-      default:
-        throw new Error('Invalid role key: ' + roleKey);
+    // Catch bad registry details before the grant goes out
+    const participantValidation = participant && validateParticipant(userAddress, participant);
+    if (participantValidation) {
+      throw new Error(participantValidation);
     }
     
+    const roleHash = await getRoleId(contract, roleKey);
+    
     console.log('👑 [ROLE] Role hash:', roleHash);
     
     // Check if user already has the role
@@ -466,10 +1993,21 @@ export const grantRole = async (contract, roleKey, userAddress) => {
     const receipt = await tx.wait();
     console.log('✅ [ROLE] Role granted successfully. Gas used:', receipt.gasUsed.toString());
     
+    // The role stays granted if registering fails; the entry can be added later
+    let participantError = null;
+    if (participant) {
+      try {
+        await registerParticipant(contract, userAddress, participant);
+      } catch (error) {
+        participantError = error.message;
+      }
+    }
+    
     return {
       success: true,
       transactionHash: tx.hash,
-      gasUsed: receipt.gasUsed.toString()
+      gasUsed: receipt.gasUsed.toString(),
+      participantError
     };
   } catch (error) {
     console.error('❌ [ROLE] Failed to grant role:', error);
@@ -489,27 +2027,7 @@ export const revokeRole = async (contract, roleKey, userAddress) => {
   }
   
   try {
-    // Convert role key to proper role hash
-    let roleHash;
-    switch (roleKey) {
-      case 'ADMIN_ROLE':
-        roleHash = ROLES.ADMIN_ROLE;
-        break;
-      case 'PROCESSOR_ROLE':
-        roleHash = ROLES.PROCESSOR_ROLE;
-        break;
-      case 'DISTRIBUTOR_ROLE':
-        roleHash = ROLES.DISTRIBUTOR_ROLE;
-        break;
-      case 'RETAILER_ROLE':
-        roleHash = ROLES.RETAILER_ROLE;
-        break;
-      case 'ORACLE_ROLE':
-        roleHash = ROLES.ORACLE_ROLE;
-        break;
-      default:
-        throw new Error('Invalid role key: ' + roleKey);
-    }
+    const roleHash = await getRoleId(contract, roleKey);
     
     console.log('🚫 [ROLE] Role hash:', roleHash);
     
@@ -538,6 +2056,497 @@ export const revokeRole = async (contract, roleKey, userAddress) => {
   }
 };
 
+/**
+ * List every current role holder with when and by whom the role was granted
+ *
+ * Membership is rebuilt by replaying RoleGranted/RoleRevoked logs in chain
+ * order. When APP_CONFIG.indexerUrl is set the indexer's role projection
+ * covers everything up to its last indexed block and only later logs are
+ * read from the node. Members are ordered by role, then by grant time.
+ *
+ * @returns {Promise<Array<{ roleKey: string, role: string, account: string, grantedBy: string, grantedAt: number, blockNumber: number, transactionHash: string }>>}
+ */
+export const getRoleDirectory = async (contract, options = {}) => {
+  const { concurrency = APP_CONFIG.batchFetchConcurrency } = options;
+  console.log('📇 [ROLE] Building role directory...');
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const { roles } = await resolveRoles(contract);
+    const roleKeys = Object.keys(ROLE_GETTERS);
+    const roleKeyOf = (roleId) => roleKeys.find(roleKey => roles[roleKey].toLowerCase() === roleId.toLowerCase());
+    
+    // Keyed by role key and lowercase account
+    const members = new Map();
+    let fromBlock = 0;
+    
+    if (APP_CONFIG.indexerUrl) {
+      try {
+        const status = await fetchIndexer('/status');
+        const address = await contract.getAddress();
+        if (status.contractAddress.toLowerCase() !== address.toLowerCase()) {
+          throw new Error(`indexer follows ${status.contractAddress}, not ${address}`);
+        }
+        
+        // The indexer names roles after the contract's getters
+        const indexed = await fetchIndexer('/roles');
+        for (const roleKey of roleKeys) {
+          for (const member of indexed[ROLE_GETTERS[roleKey]] || []) {
+            members.set(`${roleKey}:${member.account.toLowerCase()}`, { roleKey, role: roles[roleKey], ...member });
+          }
+        }
+        fromBlock = status.lastBlock === null ? 0 : status.lastBlock + 1;
+        console.log('🗂️ [INDEXER] Loaded', members.size, 'role members up to block', status.lastBlock);
+      } catch (error) {
+        console.warn('⚠️ [INDEXER] Falling back to node queries:', error.message);
+        members.clear();
+        fromBlock = 0;
+      }
+    }
+    
+    const logs = await queryEventsInChunks(contract, [['RoleGranted', 'RoleRevoked']], { fromBlock });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    
+    for (const log of logs) {
+      const roleKey = roleKeyOf(log.args.role);
+      if (!roleKey) continue;
+      
+      const key = `${roleKey}:${log.args.account.toLowerCase()}`;
+      if (log.eventName === 'RoleRevoked') {
+        members.delete(key);
+      } else {
+        members.set(key, {
+          roleKey,
+          role: roles[roleKey],
+          account: log.args.account,
+          grantedBy: log.args.sender,
+          grantedAt: null,
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash
+        });
+      }
+    }
+    
+    // Role events carry no timestamp; fetch each grant block once
+    const directory = [...members.values()];
+    const blockNumbers = [...new Set(directory.filter(m => m.grantedAt === null).map(m => m.blockNumber))];
+    const provider = getContractProvider(contract);
+    const blocks = await mapWithConcurrency(blockNumbers, concurrency, blockNumber => provider.getBlock(blockNumber));
+    const timestamps = new Map(blocks.map(block => [block.number, block.timestamp]));
+    directory.forEach(member => {
+      if (member.grantedAt === null) member.grantedAt = timestamps.get(member.blockNumber);
+    });
+    
+    directory.sort((a, b) => roleKeys.indexOf(a.roleKey) - roleKeys.indexOf(b.roleKey) || a.blockNumber - b.blockNumber);
+    
+    console.log('✅ [ROLE] Role directory lists', directory.length, 'memberships');
+    return directory;
+    
+  } catch (error) {
+    console.error('❌ [ROLE] Error building role directory:', error);
+    throw new Error(`Failed to get role directory: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * ParticipantRegistry instance sharing the Traceability contract's signer or provider
+ */
+const getParticipantRegistry = (contract) => (
+  new ethers.Contract(PARTICIPANT_REGISTRY_ADDRESS, PARTICIPANT_REGISTRY_ABI, contract.runner)
+);
+
+/**
+ * Load every registered participant, keyed by lowercase address
+ *
+ * Returns an empty registry, with a warning, when no ParticipantRegistry is
+ * deployed at the configured address or it belongs to another Traceability
+ * deployment, so addresses are simply shown unnamed.
+ */
+export const getParticipants = async (contract, options = {}) => {
+  const { concurrency = APP_CONFIG.batchFetchConcurrency } = options;
+  console.log('🏢 [PARTICIPANTS] Loading participant registry...');
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const code = await getContractProvider(contract).getCode(PARTICIPANT_REGISTRY_ADDRESS);
+    if (code === '0x') {
+      console.warn('⚠️ [PARTICIPANTS] No participant registry at', PARTICIPANT_REGISTRY_ADDRESS);
+      return {};
+    }
+    
+    const registry = getParticipantRegistry(contract);
+    const [traceability, address] = await Promise.all([registry.traceability(), contract.getAddress()]);
+    if (traceability.toLowerCase() !== address.toLowerCase()) {
+      console.warn('⚠️ [PARTICIPANTS] Registry belongs to', traceability, 'not', address);
+      return {};
+    }
+    
+    const accounts = await registry.getParticipantAccounts();
+    const entries = await mapWithConcurrency(accounts, concurrency, account => registry.getParticipant(account));
+    
+    const participants = {};
+    accounts.forEach((account, index) => {
+      const entry = entries[index];
+      participants[account.toLowerCase()] = {
+        account,
+        organization: entry.organization,
+        facility: entry.facility,
+        country: entry.country,
+        licenseNumber: entry.licenseNumber,
+        contact: entry.contact,
+        updatedBy: entry.updatedBy,
+        updatedAt: Number(entry.updatedAt)
+      };
+    });
+    
+    console.log('✅ [PARTICIPANTS] Loaded', accounts.length, 'participants');
+    return participants;
+    
+  } catch (error) {
+    console.error('❌ [PARTICIPANTS] Error loading participants:', error);
+    throw new Error(`Failed to get participants: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Check participant details before sending them to the registry
+ * @returns {string|null} Error message, or null if the details are valid
+ */
+export const validateParticipant = (account, details) => {
+  if (!ethers.isAddress(account)) {
+    return 'Valid participant address is required';
+  }
+  if (!details.organization || !details.organization.trim()) {
+    return 'Organization name is required';
+  }
+  const country = (details.country || '').trim();
+  if (country && !/^[A-Za-z]{2}$/.test(country)) {
+    return 'Country must be a two-letter ISO code, e.g. SE';
+  }
+  return null;
+};
+
+/**
+ * Register or update the organization behind an address (admin only)
+ *
+ * `details` holds organization (required), facility, country (ISO 3166-1
+ * alpha-2), licenseNumber and contact.
+ */
+export const registerParticipant = async (contract, account, details) => {
+  console.log('🏢 [PARTICIPANTS] Registering participant:', account, details.organization);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const validationError = validateParticipant(account, details);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+    
+    const tx = await getParticipantRegistry(contract).registerParticipant(
+      account,
+      details.organization.trim(),
+      (details.facility || '').trim(),
+      (details.country || '').trim().toUpperCase(),
+      (details.licenseNumber || '').trim(),
+      (details.contact || '').trim()
+    );
+    const receipt = await tx.wait();
+    console.log('✅ [PARTICIPANTS] Participant registered in block:', receipt.blockNumber);
+    
+    return {
+      success: true,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [PARTICIPANTS] Error registering participant:', error);
+    throw new Error(`Failed to register participant: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Remove the registry entry of an address (admin only)
+ */
+export const removeParticipant = async (contract, account) => {
+  console.log('🏢 [PARTICIPANTS] Removing participant:', account);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const tx = await getParticipantRegistry(contract).removeParticipant(account);
+    const receipt = await tx.wait();
+    console.log('✅ [PARTICIPANTS] Participant removed in block:', receipt.blockNumber);
+    
+    return {
+      success: true,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [PARTICIPANTS] Error removing participant:', error);
+    throw new Error(`Failed to remove participant: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Display name for an address: its organization, and facility when set,
+ * or the shortened address when it is not registered
+ */
+export const formatParticipant = (participants, address) => {
+  const participant = address && participants && participants[address.toLowerCase()];
+  if (!participant) return formatAddress(address);
+  return participant.facility ? `${participant.organization} (${participant.facility})` : participant.organization;
+};
+
+/**
+ * OracleQuorum the Traceability contract confirms oracle breaches with, or
+ * null when every oracle can compromise batches on its own
+ */
+const getOracleQuorum = async (contract) => {
+  const address = await contract.oracleQuorum();
+  if (address === ethers.ZeroAddress) {
+    return null;
+  }
+  return new ethers.Contract(address, ORACLE_QUORUM_ABI, contract.runner);
+};
+
+/**
+ * Get the oracles a batch needs to agree on a breach
+ *
+ * `available` is false when no quorum contract is set on Traceability;
+ * `threshold` is 0 when the batch has no quorum of its own.
+ */
+export const getBatchQuorum = async (contract, batchId) => {
+  if (!contract) {
+    throw new Error('Contract instance required');
+  }
+  
+  const quorum = await getOracleQuorum(contract);
+  if (!quorum) {
+    return { available: false, oracles: [], threshold: 0, window: 0, updatedBy: null, updatedAt: 0 };
+  }
+  
+  const entry = await quorum.getQuorum(batchId);
+  return {
+    available: true,
+    oracles: [...entry.oracles],
+    threshold: Number(entry.threshold),
+    window: Number(entry.window),
+    updatedBy: Number(entry.threshold) > 0 ? entry.updatedBy : null,
+    updatedAt: Number(entry.updatedAt)
+  };
+};
+
+/**
+ * Check a quorum before sending it to the contract
+ * @returns {string|null} Error message, or null if the quorum is valid
+ */
+export const validateQuorum = ({ oracles, threshold, windowMinutes }) => {
+  if (oracles.length === 0) {
+    return 'At least one oracle is required';
+  }
+  if (oracles.some(oracle => !ethers.isAddress(oracle))) {
+    return 'Every oracle must be a valid address';
+  }
+  if (new Set(oracles.map(oracle => oracle.toLowerCase())).size !== oracles.length) {
+    return 'Each oracle can only be assigned once';
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > oracles.length) {
+    return `Threshold must be between 1 and ${oracles.length}`;
+  }
+  if (!Number.isInteger(windowMinutes) || windowMinutes < 1) {
+    return 'Window must be at least one minute';
+  }
+  return null;
+};
+
+/**
+ * Require `threshold` of `oracles` to report a breach within `windowMinutes`
+ * of one another before a batch is compromised (admin only)
+ */
+export const setBatchQuorum = async (contract, batchId, { oracles, threshold, windowMinutes }) => {
+  console.log('🛰️ [QUORUM] Setting quorum for batch', batchId, `${threshold} of`, oracles);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const validationError = validateQuorum({ oracles, threshold, windowMinutes });
+    if (validationError) {
+      throw new Error(validationError);
+    }
+    
+    const quorum = await getOracleQuorum(contract);
+    if (!quorum) {
+      throw new Error('No oracle quorum contract is set on Traceability');
+    }
+    
+    const tx = await quorum.setQuorum(batchId, oracles, threshold, windowMinutes * 60);
+    const receipt = await tx.wait();
+    console.log('✅ [QUORUM] Quorum set in block:', receipt.blockNumber);
+    
+    return {
+      success: true,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [QUORUM] Error setting quorum:', error);
+    throw new Error(`Failed to set quorum: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Let any single oracle compromise the batch again (admin only)
+ */
+export const clearBatchQuorum = async (contract, batchId) => {
+  console.log('🛰️ [QUORUM] Clearing quorum for batch', batchId);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const quorum = await getOracleQuorum(contract);
+    if (!quorum) {
+      throw new Error('No oracle quorum contract is set on Traceability');
+    }
+    
+    const tx = await quorum.clearQuorum(batchId);
+    const receipt = await tx.wait();
+    console.log('✅ [QUORUM] Quorum cleared in block:', receipt.blockNumber);
+    
+    return {
+      success: true,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    };
+    
+  } catch (error) {
+    console.error('❌ [QUORUM] Error clearing quorum:', error);
+    throw new Error(`Failed to clear quorum: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * How often each oracle reporting on a batch agrees with the others
+ *
+ * Every reading is compared with the nearest reading of each other oracle
+ * within the window (the batch's quorum window, or
+ * APP_CONFIG.oracleAgreementWindow without one); they agree when both are in
+ * range or both are out of range of the batch's profile. `agreement` is the
+ * share of those comparisons that agreed, null when there was nothing to
+ * compare. Breach confirmations and disagreements come from the quorum
+ * contract's events.
+ */
+export const getOracleAgreement = async (contract, batchId) => {
+  console.log('🛰️ [QUORUM] Computing oracle agreement for batch', batchId);
+  
+  try {
+    if (!contract) {
+      throw new Error('Contract instance required');
+    }
+    
+    const [batchQuorum, rawProfile, readingLogs] = await Promise.all([
+      getBatchQuorum(contract, batchId),
+      contract.getBatchTemperatureProfile(batchId),
+      queryEventsInChunks(contract, contract.filters.OracleReading(batchId))
+    ]);
+    const profile = toTemperatureProfile(0, rawProfile);
+    const window = batchQuorum.threshold > 0 ? batchQuorum.window : APP_CONFIG.oracleAgreementWindow;
+    
+    // Readings per oracle, keyed by lowercase address
+    const stats = {};
+    const entryFor = (oracle) => {
+      const key = oracle.toLowerCase();
+      if (!stats[key]) {
+        stats[key] = {
+          oracle,
+          assigned: false,
+          readings: [],
+          breaches: 0,
+          comparisons: 0,
+          agreements: 0,
+          confirmed: 0,
+          disagreements: 0,
+          lastReadingAt: 0
+        };
+      }
+      return stats[key];
+    };
+    
+    batchQuorum.oracles.forEach(oracle => {
+      entryFor(oracle).assigned = true;
+    });
+    readingLogs.forEach(log => {
+      const entry = entryFor(log.args.oracle);
+      const timestamp = Number(log.args.timestamp);
+      const breach = isTemperatureBreach(profile, Number(log.args.temperature));
+      entry.readings.push({ timestamp, breach });
+      entry.breaches += breach ? 1 : 0;
+      entry.lastReadingAt = Math.max(entry.lastReadingAt, timestamp);
+    });
+    
+    const entries = Object.values(stats);
+    entries.forEach(entry => {
+      entry.readings.forEach(reading => {
+        entries.forEach(other => {
+          if (other === entry) return;
+          let nearest = null;
+          other.readings.forEach(candidate => {
+            const distance = Math.abs(candidate.timestamp - reading.timestamp);
+            if (distance <= window && (!nearest || distance < nearest.distance)) {
+              nearest = { distance, breach: candidate.breach };
+            }
+          });
+          if (nearest) {
+            entry.comparisons++;
+            entry.agreements += nearest.breach === reading.breach ? 1 : 0;
+          }
+        });
+      });
+    });
+    
+    const quorum = batchQuorum.available ? await getOracleQuorum(contract) : null;
+    if (quorum) {
+      const [confirmedLogs, disagreementLogs] = await Promise.all([
+        queryEventsInChunks(quorum, quorum.filters.BreachConfirmed(batchId)),
+        queryEventsInChunks(quorum, quorum.filters.OracleDisagreement(batchId))
+      ]);
+      confirmedLogs.forEach(log => { entryFor(log.args.oracle).confirmed++; });
+      disagreementLogs.forEach(log => { entryFor(log.args.oracle).disagreements++; });
+    }
+    
+    const oracles = Object.values(stats).map(({ readings, ...entry }) => ({
+      ...entry,
+      readingCount: readings.length,
+      agreement: entry.comparisons > 0 ? entry.agreements / entry.comparisons : null
+    }));
+    
+    console.log('✅ [QUORUM] Agreement computed for', oracles.length, 'oracles');
+    return { quorum: batchQuorum, window, oracles };
+    
+  } catch (error) {
+    console.error('❌ [QUORUM] Error computing oracle agreement:', error);
+    throw new Error(`Failed to get oracle agreement: ${error.reason || error.message}`);
+  }
+};
+
 // Utility functions for Dashboard
 export const getBatchInfo = async (contract, batchId) => {
   // This is the same as getBatchDetails but with a different name for compatibility
@@ -558,27 +2567,16 @@ export const formatTimestamp = (timestamp) => {
 };
 
 export const getStatusText = (status) => {
-  const statusMap = {
-    0: 'Processing',
-    1: 'In Transit', 
-    2: 'Delivered',
-    3: 'Compromised'
-  };
-  
-  return statusMap[status] || 'Unknown';
+  return BATCH_STATUSES[status]?.label || 'Unknown';
 };
 
 export const getStatusBadgeClass = (status) => {
-  const classMap = {
-    0: 'warning',     // Processing - yellow
-    1: 'info',        // In Transit - blue  
-    2: 'success',     // Delivered - green
-    3: 'danger'       // Compromised - red
-  };
-  
-  return classMap[status] || 'secondary';
+  return BATCH_STATUSES[status]?.variant || 'secondary';
 };
 
+// Sold, disposed and returned batches take no further readings, transfers or repacking
+export const isBatchClosed = (status) => status >= BATCH_STATUS.SOLD;
+
 // Additional role management functions
 export const checkUserRole = async (contract, roleKey, userAddress) => {
   console.log('🔍 [ROLE] Checking if user has role:', roleKey, 'for:', userAddress);
@@ -588,26 +2586,7 @@ export const checkUserRole = async (contract, roleKey, userAddress) => {
   }
   
   try {
-    let roleHash;
-    switch (roleKey) {
-      case 'ADMIN_ROLE':
-        roleHash = ROLES.ADMIN_ROLE;
-        break;
-      case 'PROCESSOR_ROLE':
-        roleHash = ROLES.PROCESSOR_ROLE;
-        break;
-      case 'DISTRIBUTOR_ROLE':
-        roleHash = ROLES.DISTRIBUTOR_ROLE;
-        break;
-      case 'RETAILER_ROLE':
-        roleHash = ROLES.RETAILER_ROLE;
-        break;
-      case 'ORACLE_ROLE':
-        roleHash = ROLES.ORACLE_ROLE;
-        break;
-      default:
-        return false;
-    }
+    const roleHash = await getRoleId(contract, roleKey);
     
     const hasRole = await contract.hasRole(roleHash, userAddress);
     console.log('🔍 [ROLE] User has role:', hasRole);
@@ -633,12 +2612,13 @@ export const getAllUserRoles = async (contract, userAddress) => {
   }
   
   try {
+    const { roles: roleIds } = await resolveRoles(contract);
     const [isAdmin, isProcessor, isDistributor, isRetailer, isOracle] = await Promise.all([
-      contract.hasRole(ROLES.ADMIN_ROLE, userAddress),
-      contract.hasRole(ROLES.PROCESSOR_ROLE, userAddress),
-      contract.hasRole(ROLES.DISTRIBUTOR_ROLE, userAddress),
-      contract.hasRole(ROLES.RETAILER_ROLE, userAddress),
-      contract.hasRole(ROLES.ORACLE_ROLE, userAddress)
+      contract.hasRole(roleIds.ADMIN_ROLE, userAddress),
+      contract.hasRole(roleIds.PROCESSOR_ROLE, userAddress),
+      contract.hasRole(roleIds.DISTRIBUTOR_ROLE, userAddress),
+      contract.hasRole(roleIds.RETAILER_ROLE, userAddress),
+      contract.hasRole(roleIds.ORACLE_ROLE, userAddress)
     ]);
     
     const roles = {
@@ -679,7 +2659,8 @@ export const getAdminInfo = async (contract) => {
     const currentAccount = await signer.getAddress();
     
     // Check if current user is admin
-    const currentUserIsAdmin = await contract.hasRole(ROLES.ADMIN_ROLE, currentAccount);
+    const adminRole = await getRoleId(contract, 'ADMIN_ROLE');
+    const currentUserIsAdmin = await contract.hasRole(adminRole, currentAccount);
     
     // The deployer is typically the first admin (from deployment file)
     const deployerAddress = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
@@ -688,7 +2669,8 @@ export const getAdminInfo = async (contract) => {
       deployer: deployerAddress,
       currentUser: currentAccount,
       currentUserIsAdmin,
-      deployerIsAdmin: await contract.hasRole(ROLES.ADMIN_ROLE, deployerAddress)
+      deployerIsAdmin: await contract.hasRole(adminRole, deployerAddress),
+      processorAllowlistEnabled: await contract.processorAllowlistEnabled()
     };
   } catch (error) {
     console.error('❌ [ADMIN] Error getting admin info:', error);
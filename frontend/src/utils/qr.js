@@ -0,0 +1,117 @@
+// frontend/src/utils/qr.js
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
+import { CONTRACT_ADDRESS, APP_CONFIG } from './config';
+
+/**
+ * QR labels for physical cartons
+ *
+ * A label encodes the public verification URL of a batch with the chain ID
+ * and contract address as query parameters, e.g.
+ *   https://app.example/verify/42?chainId=31337&contract=0xe7f1...
+ * so any phone camera opens the verification page, while the in-app scanner
+ * can check that the label belongs to the configured deployment.
+ */
+
+/**
+ * Build the verification URL encoded in a batch label
+ */
+export const getBatchLabelUrl = (batchId, { chainId = APP_CONFIG.chainId, contractAddress = CONTRACT_ADDRESS } = {}) => {
+  const url = new URL(`/verify/${batchId}`, window.location.origin);
+  url.searchParams.set('chainId', String(chainId));
+  url.searchParams.set('contract', contractAddress);
+  return url.toString();
+};
+
+/**
+ * Render a batch label QR code as a PNG data URL
+ */
+export const generateBatchQrDataUrl = async (batchId, options = {}) => {
+  console.log('🏷️ [QR] Generating label for batch:', batchId);
+  return QRCode.toDataURL(getBatchLabelUrl(batchId, options), {
+    errorCorrectionLevel: 'M',
+    margin: 2,
+    width: 256
+  });
+};
+
+/**
+ * Parse the text of a scanned label into its batch, chain and contract
+ *
+ * Throws when the text is not a FROST-CHAIN label, or when the label was
+ * issued for a different chain or contract than this app is configured for.
+ */
+export const parseBatchLabel = (text) => {
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    throw new Error('This QR code is not a FROST-CHAIN batch label');
+  }
+
+  const match = url.pathname.match(/\/verify\/(\d+)\/?$/);
+  if (!match) {
+    throw new Error('This QR code is not a FROST-CHAIN batch label');
+  }
+
+  const label = {
+    batchId: match[1],
+    chainId: Number(url.searchParams.get('chainId')),
+    contractAddress: url.searchParams.get('contract') || ''
+  };
+
+  if (label.chainId !== APP_CONFIG.chainId) {
+    throw new Error(`Label is for chain ${label.chainId || 'unknown'}, but this app uses chain ${APP_CONFIG.chainId}`);
+  }
+
+  if (label.contractAddress.toLowerCase() !== CONTRACT_ADDRESS.toLowerCase()) {
+    throw new Error(`Label is for contract ${label.contractAddress || 'unknown'}, not ${CONTRACT_ADDRESS}`);
+  }
+
+  return label;
+};
+
+/**
+ * Decode the first QR code in a frame, or return null if there is none
+ *
+ * @param {ImageData} imageData Pixels from a canvas (camera frame or uploaded image)
+ */
+export const decodeQrFromImageData = (imageData) => {
+  const code = jsQR(imageData.data, imageData.width, imageData.height, {
+    inversionAttempts: 'attemptBoth'
+  });
+  return code ? code.data : null;
+};
+
+/**
+ * Decode a QR code from an uploaded image file
+ */
+export const decodeQrFromFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const objectUrl = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+      const context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0);
+      URL.revokeObjectURL(objectUrl);
+
+      const text = decodeQrFromImageData(context.getImageData(0, 0, canvas.width, canvas.height));
+      if (text) {
+        resolve(text);
+      } else {
+        reject(new Error('No QR code found in the image'));
+      }
+    };
+
+    image.onerror = () => {
+      URL.revokeObjectURL(objectUrl);
+      reject(new Error('The selected file could not be read as an image'));
+    };
+
+    image.src = objectUrl;
+  });
+};
@@ -0,0 +1,286 @@
+// frontend/src/utils/useBatchPages.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getBatchPage, getBatchCount } from './blockchain-clean';
+import { useBatchEvents } from './BlockchainContext';
+import { APP_CONFIG } from './config';
+
+const byNewest = (a, b) => Number(b.batchId) - Number(a.batchId);
+
+/**
+ * Paginated batch list, newest first
+ *
+ * Loads the first page when the contract is available and appends further
+ * pages on loadMore(). Results from a superseded reload are discarded.
+ * Batches touched by live contract events are re-read in place, and newly
+ * created batches are prepended.
+ */
+export const useBatchPages = (contract, { pageSize = APP_CONFIG.batchPageSize } = {}) => {
+  const [batches, setBatches] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const generation = useRef(0);
+
+  const reload = useCallback(async () => {
+    if (!contract) {
+      return;
+    }
+
+    const current = ++generation.current;
+    try {
+      setLoading(true);
+      setError(null);
+      const page = await getBatchPage(contract, { pageSize });
+      if (current !== generation.current) return;
+
+      setBatches(page.batches);
+      setTotal(page.total);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      if (current !== generation.current) return;
+      console.error('❌ [PAGES] Error loading batches:', error);
+      setError(error.message);
+    } finally {
+      if (current === generation.current) setLoading(false);
+    }
+  }, [contract, pageSize]);
+
+  const loadMore = useCallback(async () => {
+    if (!contract || nextCursor === null || loadingMore) {
+      return;
+    }
+
+    const current = generation.current;
+    try {
+      setLoadingMore(true);
+      const page = await getBatchPage(contract, { cursor: nextCursor, pageSize, total });
+      if (current !== generation.current) return;
+
+      setBatches(prev => [...prev, ...page.batches]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('❌ [PAGES] Error loading more batches:', error);
+      setError(error.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [contract, nextCursor, pageSize, total, loadingMore]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Batch IDs touched by live events, re-read together on the next tick
+  const batchesRef = useRef(batches);
+  const pendingIds = useRef(new Set());
+  const flushTimer = useRef(null);
+
+  useEffect(() => {
+    batchesRef.current = batches;
+  }, [batches]);
+
+  const refreshPending = useCallback(async () => {
+    flushTimer.current = null;
+    const current = generation.current;
+    const shown = new Set(batchesRef.current.map(batch => batch.batchId));
+    const newestShown = batchesRef.current.length > 0 ? Number(batchesRef.current[0].batchId) : 0;
+
+    // Only batches already listed, or created since the list was loaded
+    const ids = [...pendingIds.current].filter(id => shown.has(id) || Number(id) > newestShown);
+    pendingIds.current.clear();
+    if (ids.length === 0) {
+      return;
+    }
+
+    try {
+      const latestTotal = await getBatchCount(contract);
+      const updated = await Promise.all(ids.map(async (id) => {
+        const page = await getBatchPage(contract, { cursor: Number(id), pageSize: 1, total: latestTotal });
+        return page.batches[0];
+      }));
+      if (current !== generation.current) return;
+
+      setTotal(latestTotal);
+      setBatches(prev => {
+        const byId = new Map(updated.map(batch => [batch.batchId, batch]));
+        const listed = new Set(prev.map(batch => batch.batchId));
+        const created = updated.filter(batch => !listed.has(batch.batchId)).sort(byNewest);
+        return [...created, ...prev.map(batch => byId.get(batch.batchId) || batch)];
+      });
+    } catch (error) {
+      console.error('❌ [PAGES] Error applying live batch update:', error);
+    }
+  }, [contract]);
+
+  useBatchEvents((event) => {
+    pendingIds.current.add(event.batchId);
+    if (flushTimer.current === null) {
+      flushTimer.current = setTimeout(refreshPending, 0);
+    }
+  });
+
+  useEffect(() => {
+    return () => clearTimeout(flushTimer.current);
+  }, []);
+
+  return {
+    batches,
+    total,
+    hasMore: nextCursor !== null,
+    loading,
+    loadingMore,
+    error,
+    loadMore,
+    reload
+  };
+};
+
+/**
+ * Aggregate statistics over every batch, accumulated page by page
+ *
+ * Only batch structs are read (no event queries), and the counts are
+ * published after each page so the UI can render them progressively. A
+ * summary of each batch is kept so live events (creation, repacking,
+ * handover, compromise) update the counts from their payload without
+ * re-reading any batch.
+ */
+export const useBatchStats = (contract, account, { pageSize = 50 } = {}) => {
+  const [stats, setStats] = useState({
+    totalBatches: 0,
+    loadedBatches: 0,
+    compromisedBatches: 0,
+    userBatches: 0,
+    recentBatches: 0,
+    complete: false
+  });
+  const generation = useRef(0);
+  // batchId -> { processor, owner, isCompromised, createdAt }, lowercase addresses
+  const summaries = useRef(new Map());
+  const totalRef = useRef(0);
+  const completeRef = useRef(false);
+  const accountRef = useRef(account);
+
+  const publish = useCallback(() => {
+    const weekAgo = Date.now() / 1000 - 86400 * 7;
+    const me = accountRef.current ? accountRef.current.toLowerCase() : null;
+    const totals = { loadedBatches: 0, compromisedBatches: 0, userBatches: 0, recentBatches: 0 };
+
+    for (const batch of summaries.current.values()) {
+      totals.loadedBatches++;
+      if (batch.isCompromised) totals.compromisedBatches++;
+      if (batch.createdAt > weekAgo) totals.recentBatches++;
+      if (me && (batch.owner === me || batch.processor === me)) totals.userBatches++;
+    }
+
+    setStats({ totalBatches: totalRef.current, ...totals, complete: completeRef.current });
+  }, []);
+
+  // Switching accounts only changes which batches count as the user's
+  useEffect(() => {
+    accountRef.current = account;
+    publish();
+  }, [account, publish]);
+
+  const refresh = useCallback(async () => {
+    if (!contract) {
+      return;
+    }
+
+    const current = ++generation.current;
+    summaries.current = new Map();
+    completeRef.current = false;
+    let cursor = null;
+    let total;
+
+    try {
+      do {
+        const page = await getBatchPage(contract, { cursor, pageSize, total, includeEvents: false });
+        if (current !== generation.current) return;
+
+        for (const batch of page.batches) {
+          summaries.current.set(batch.batchId, {
+            processor: batch.processor.toLowerCase(),
+            owner: batch.currentOwner.toLowerCase(),
+            isCompromised: batch.isCompromised,
+            createdAt: batch.creationTimestamp
+          });
+        }
+
+        total = page.total;
+        cursor = page.nextCursor;
+        totalRef.current = Math.max(totalRef.current, total);
+        completeRef.current = cursor === null;
+        publish();
+      } while (cursor !== null);
+    } catch (error) {
+      console.error('❌ [PAGES] Error computing batch statistics:', error);
+    }
+  }, [contract, pageSize, publish]);
+
+  // Abandons an in-flight walk when the inputs change or on unmount
+  const cancel = useCallback(() => {
+    generation.current++;
+  }, []);
+
+  useEffect(() => {
+    totalRef.current = 0;
+    refresh();
+    return cancel;
+  }, [refresh, cancel]);
+
+  const publishTimer = useRef(null);
+
+  useBatchEvents((event) => {
+    const batches = summaries.current;
+    const batch = batches.get(event.batchId);
+    const actor = event.actor.toLowerCase();
+
+    switch (event.eventType) {
+      case 'CREATED':
+        // Repacked batches are owned by whoever split or merged them; SPLIT and MERGED follow
+        batches.set(event.batchId, { processor: actor, owner: actor, isCompromised: false, createdAt: event.timestamp });
+        totalRef.current = Math.max(totalRef.current, Number(event.batchId));
+        break;
+      case 'SPLIT':
+        for (const childId of event.details.childIds) {
+          const child = batches.get(childId);
+          if (child) {
+            child.owner = actor;
+            child.isCompromised = child.isCompromised || Boolean(batch && batch.isCompromised);
+          }
+        }
+        break;
+      case 'MERGED': {
+        const merged = batches.get(event.details.mergedInto);
+        if (merged) {
+          merged.owner = actor;
+          merged.isCompromised = merged.isCompromised || Boolean(batch && batch.isCompromised);
+        }
+        break;
+      }
+      case 'HANDOVER':
+        if (batch && event.details.to) batch.owner = event.details.to.toLowerCase();
+        break;
+      case 'COMPROMISED':
+        if (batch) batch.isCompromised = true;
+        break;
+      default:
+        return;
+    }
+
+    if (publishTimer.current === null) {
+      publishTimer.current = setTimeout(() => {
+        publishTimer.current = null;
+        publish();
+      }, 0);
+    }
+  });
+
+  useEffect(() => {
+    return () => clearTimeout(publishTimer.current);
+  }, []);
+
+  return { stats, refresh };
+};
@@ -5,6 +5,9 @@
  * This script deploys the Traceability smart contract to the specified network.
  * It includes:
  * - Contract deployment with proper verification
+ * - ParticipantRegistry deployment, managed by Traceability's admins
+ * - OracleQuorum deployment, wired into Traceability for multi-oracle batches
+ * - SensorAttestations deployment, granted ORACLE_ROLE to forward signed sensor readings
  * - Initial role setup for Rich Products (deployer)
  * - Gas estimation and deployment cost calculation
  * - Contract verification setup
@@ -74,6 +77,44 @@ async function main() {
     }
     console.log("✅ Contract bytecode verified at address");
     
+    console.log("\n--- Deploying Participant Registry ---");
+    
+    const ParticipantRegistry = await ethers.getContractFactory("ParticipantRegistry");
+    const registry = await ParticipantRegistry.deploy(contractAddress);
+    await registry.waitForDeployment();
+    const registryAddress = await registry.getAddress();
+    
+    if ((await registry.traceability()) !== contractAddress) {
+        throw new Error("❌ Participant registry does not point at the Traceability contract");
+    }
+    console.log("✅ ParticipantRegistry deployed to:", registryAddress);
+    
+    console.log("\n--- Deploying Oracle Quorum ---");
+    
+    const OracleQuorum = await ethers.getContractFactory("OracleQuorum");
+    const oracleQuorum = await OracleQuorum.deploy(contractAddress);
+    await oracleQuorum.waitForDeployment();
+    const oracleQuorumAddress = await oracleQuorum.getAddress();
+    
+    await (await traceability.setOracleQuorum(oracleQuorumAddress)).wait();
+    if ((await traceability.oracleQuorum()) !== oracleQuorumAddress) {
+        throw new Error("❌ Traceability is not wired to the oracle quorum");
+    }
+    console.log("✅ OracleQuorum deployed to:", oracleQuorumAddress);
+    
+    console.log("\n--- Deploying Sensor Attestations ---");
+    
+    const SensorAttestations = await ethers.getContractFactory("SensorAttestations");
+    const sensorAttestations = await SensorAttestations.deploy(contractAddress);
+    await sensorAttestations.waitForDeployment();
+    const sensorAttestationsAddress = await sensorAttestations.getAddress();
+    
+    await (await traceability.grantRole(await traceability.ORACLE_ROLE(), sensorAttestationsAddress)).wait();
+    if (!(await traceability.hasRole(await traceability.ORACLE_ROLE(), sensorAttestationsAddress))) {
+        throw new Error("❌ SensorAttestations does not hold ORACLE_ROLE");
+    }
+    console.log("✅ SensorAttestations deployed to:", sensorAttestationsAddress);
+    
     // Verify initial roles
     const DEFAULT_ADMIN_ROLE = "0x0000000000000000000000000000000000000000000000000000000000000000";
     const PROCESSOR_ROLE = ethers.keccak256(ethers.toUtf8Bytes("PROCESSOR_ROLE"));
@@ -95,6 +136,9 @@ async function main() {
     
     console.log("\n--- Deployment Summary ---");
     console.log("Contract Address:", contractAddress);
+    console.log("Participant Registry Address:", registryAddress);
+    console.log("Oracle Quorum Address:", oracleQuorumAddress);
+    console.log("Sensor Attestations Address:", sensorAttestationsAddress);
     console.log("Deployer Address:", deployer.address);
     console.log("Network:", hre.network.name);
     console.log("Block Number:", await ethers.provider.getBlockNumber());
@@ -103,19 +147,25 @@ async function main() {
     if (hre.network.name === "localhost" || hre.network.name === "hardhat") {
         console.log("\n📝 Local Network Deployment:");
         console.log("- Contract is ready for local testing");
-        console.log("- Use this address in your frontend configuration");
+        console.log("- Use these addresses in your frontend configuration");
         console.log("- No verification needed for local deployment");
     } else {
         console.log("\n📝 Public Network Deployment:");
         console.log("- Verify contract on Etherscan using:");
         console.log(`  npx hardhat verify --network ${hre.network.name} ${contractAddress}`);
-        console.log("- Update frontend configuration with new contract address");
+        console.log(`  npx hardhat verify --network ${hre.network.name} ${registryAddress} ${contractAddress}`);
+        console.log(`  npx hardhat verify --network ${hre.network.name} ${oracleQuorumAddress} ${contractAddress}`);
+        console.log(`  npx hardhat verify --network ${hre.network.name} ${sensorAttestationsAddress} ${contractAddress}`);
+        console.log("- Update frontend configuration with the new contract addresses");
         console.log("- Remember to grant roles to appropriate supply chain participants");
     }
     
     // Save deployment info
     const deploymentInfo = {
         contractAddress: contractAddress,
+        participantRegistryAddress: registryAddress,
+        oracleQuorumAddress: oracleQuorumAddress,
+        sensorAttestationsAddress: sensorAttestationsAddress,
         deployer: deployer.address,
         network: hre.network.name,
         blockNumber: await ethers.provider.getBlockNumber(),
@@ -142,6 +192,9 @@ async function main() {
     return {
         contract: traceability,
         address: contractAddress,
+        participantRegistryAddress: registryAddress,
+        oracleQuorumAddress: oracleQuorumAddress,
+        sensorAttestationsAddress: sensorAttestationsAddress,
         deployer: deployer.address
     };
 }
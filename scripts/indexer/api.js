@@ -0,0 +1,208 @@
+// scripts/indexer/api.js
+/**
+ * FROST-CHAIN Indexer - HTTP Query API
+ *
+ * Read-only JSON endpoints over the indexer's projections:
+ * - GET /status                      Sync progress
+ * - GET /batches                     Batches, newest first (?offset, ?limit, ?owner, ?compromised)
+ * - GET /batches/:id                 One batch with its events
+ * - GET /batches/:id/events          Events of one batch, in chain order
+ * - GET /events                      Events with the last indexed block (?batchIds=1,2,3, ?type, ?actor, ?fromBlock)
+ * - GET /owners/:address/batches     Batches currently owned by an address
+ * - GET /owners/:address/incoming    Batches with a transfer proposed to an address, expired ones included
+ * - GET /roles                       Current members of every role
+ * - GET /roles/:address              Roles currently held by an address
+ * - GET /compromised                 Batches flagged as compromised
+ */
+
+const http = require("http");
+const { ROLE_NAMES } = require("./decode");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+const newestFirst = (a, b) => Number(b.batchId) - Number(a.batchId);
+
+const parseLimit = (params) => {
+    const offset = Number(params.get("offset") || 0);
+    const limit = Number(params.get("limit") || DEFAULT_LIMIT);
+    if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1) {
+        throw new HttpError(400, "offset must be a non-negative integer and limit a positive integer");
+    }
+    return { offset, limit: Math.min(limit, MAX_LIMIT) };
+};
+
+const requireAddress = (address) => {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        throw new HttpError(400, `Invalid address: ${address}`);
+    }
+    return address;
+};
+
+function listBatches(indexer, params) {
+    const { offset, limit } = parseLimit(params);
+    const owner = params.get("owner");
+    const compromised = params.get("compromised");
+
+    let batches = [...indexer.projections.batches.values()];
+    if (owner) {
+        requireAddress(owner);
+        batches = batches.filter(batch => sameAddress(batch.currentOwner, owner));
+    }
+    if (compromised !== null) {
+        batches = batches.filter(batch => batch.isCompromised === (compromised === "true"));
+    }
+    batches.sort(newestFirst);
+
+    return {
+        batches: batches.slice(offset, offset + limit),
+        total: batches.length,
+        offset,
+        limit
+    };
+}
+
+function getBatch(indexer, batchId) {
+    const batch = indexer.projections.batches.get(batchId);
+    if (!batch) {
+        throw new HttpError(404, `Batch ${batchId} is not indexed`);
+    }
+    return batch;
+}
+
+function listEvents(indexer, params) {
+    const batchIds = params.get("batchIds");
+    const type = params.get("type");
+    const actor = params.get("actor");
+    const fromBlock = Number(params.get("fromBlock") || 0);
+
+    const wanted = batchIds ? new Set(batchIds.split(",").map(id => id.trim())) : null;
+    const events = indexer.projections.events.filter(event =>
+        (!wanted || wanted.has(event.batchId)) &&
+        (!type || event.eventType === type) &&
+        (!actor || sameAddress(event.actor, actor)) &&
+        event.blockNumber >= fromBlock
+    );
+
+    // Lets clients fetch whatever the indexer has not reached yet from the node
+    const { contractAddress, lastBlock } = indexer.status();
+    return { contractAddress, lastBlock, events };
+}
+
+function listRoles(indexer) {
+    const roles = {};
+    for (const [role, members] of indexer.projections.roles) {
+        roles[ROLE_NAMES[role] || role] = [...members.values()];
+    }
+    return roles;
+}
+
+function rolesOf(indexer, address) {
+    requireAddress(address);
+    const held = [];
+    for (const [role, members] of indexer.projections.roles) {
+        if (members.has(address.toLowerCase())) {
+            held.push(ROLE_NAMES[role] || role);
+        }
+    }
+    return { address, roles: held };
+}
+
+/**
+ * Resolve a request path to its response body
+ */
+function route(indexer, pathname, params) {
+    const parts = pathname.split("/").filter(Boolean);
+
+    if (parts.length === 1 && parts[0] === "status") {
+        return indexer.status();
+    }
+    if (parts[0] === "batches") {
+        if (parts.length === 1) {
+            return listBatches(indexer, params);
+        }
+        const batch = getBatch(indexer, parts[1]);
+        if (parts.length === 2) {
+            return { ...batch, events: indexer.projections.events.filter(event => event.batchId === batch.batchId) };
+        }
+        if (parts.length === 3 && parts[2] === "events") {
+            return indexer.projections.events.filter(event => event.batchId === batch.batchId);
+        }
+    }
+    if (parts.length === 1 && parts[0] === "events") {
+        return listEvents(indexer, params);
+    }
+    if (parts.length === 3 && parts[0] === "owners" && parts[2] === "batches") {
+        requireAddress(parts[1]);
+        return [...indexer.projections.batches.values()]
+            .filter(batch => sameAddress(batch.currentOwner, parts[1]))
+            .sort(newestFirst);
+    }
+    if (parts.length === 3 && parts[0] === "owners" && parts[2] === "incoming") {
+        requireAddress(parts[1]);
+        return [...indexer.projections.batches.values()]
+            .filter(batch => batch.pendingTransfer && sameAddress(batch.pendingTransfer.to, parts[1]))
+            .sort(newestFirst);
+    }
+    if (parts[0] === "roles") {
+        if (parts.length === 1) {
+            return listRoles(indexer);
+        }
+        if (parts.length === 2) {
+            return rolesOf(indexer, parts[1]);
+        }
+    }
+    if (parts.length === 1 && parts[0] === "compromised") {
+        return [...indexer.projections.batches.values()]
+            .filter(batch => batch.isCompromised)
+            .sort(newestFirst);
+    }
+
+    throw new HttpError(404, `Unknown endpoint: ${pathname}`);
+}
+
+/**
+ * Create (but do not start) the HTTP server for an indexer
+ */
+function createApiServer(indexer) {
+    return http.createServer((req, res) => {
+        const send = (statusCode, body) => {
+            res.writeHead(statusCode, {
+                "Content-Type": "application/json",
+                "Access-Control-Allow-Origin": "*"
+            });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method === "OPTIONS") {
+            res.writeHead(204, {
+                "Access-Control-Allow-Origin": "*",
+                "Access-Control-Allow-Methods": "GET, OPTIONS"
+            });
+            res.end();
+            return;
+        }
+        if (req.method !== "GET") {
+            send(405, { error: "Only GET is supported" });
+            return;
+        }
+
+        try {
+            const url = new URL(req.url, "http://localhost");
+            send(200, route(indexer, url.pathname, url.searchParams));
+        } catch (error) {
+            send(error.statusCode || 500, { error: error.message });
+        }
+    });
+}
+
+module.exports = { createApiServer };
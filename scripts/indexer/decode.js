@@ -0,0 +1,111 @@
+// scripts/indexer/decode.js
+/**
+ * FROST-CHAIN Indexer - Log Decoding
+ *
+ * Decodes raw contract logs into the records the indexer stores. Typed batch
+ * events and the legacy BatchEventLog of older deployments decode to the same
+ * record shape, using the frontend's own decoders from
+ * frontend/src/shared/batchEvents.js, so records match what the frontend shows.
+ */
+
+const { ethers } = require("ethers");
+
+const INDEXER_ABI = [
+    "event BatchCreated(uint256 indexed batchId, address indexed processor, uint256 indexed profileId, uint256 timestamp, string productName, string details)",
+    "event TraceRecorded(uint256 indexed batchId, address indexed actor, bytes32 indexed locationHash, uint256 timestamp, string location, int256 temperature, string notes)",
+    "event OracleReading(uint256 indexed batchId, address indexed oracle, bytes32 indexed locationHash, uint256 timestamp, string location, int256 temperature)",
+    "event TransferProposed(uint256 indexed batchId, address indexed from, address indexed to, uint256 timestamp, uint256 expiresAt, string notes)",
+    "event TransferCancelled(uint256 indexed batchId, address indexed from, address indexed to, uint256 timestamp)",
+    "event Handover(uint256 indexed batchId, address indexed from, address indexed to, uint256 timestamp, uint8 status, string notes)",
+    "event BatchClosed(uint256 indexed batchId, address indexed actor, uint8 indexed status, uint256 timestamp, string notes)",
+    "event Compromised(uint256 indexed batchId, address indexed actor, uint8 indexed kind, uint256 timestamp, int256 temperature, string reason)",
+    "event TemperatureExcursion(uint256 indexed batchId, address indexed actor, uint8 indexed phase, uint256 timestamp, string location, int256 temperature, uint256 durationSeconds)",
+    "event BatchSplit(uint256 indexed batchId, address indexed actor, uint256 timestamp, uint256[] childIds, uint256[] quantities, string notes)",
+    "event BatchMerged(uint256 indexed batchId, address indexed actor, uint256 indexed mergedInto, uint256 timestamp, string notes)",
+    "event BatchRecalled(uint256 indexed batchId, uint256 indexed recallId, address indexed owner, uint256 timestamp)",
+    "event RecallAcknowledged(uint256 indexed batchId, uint256 indexed recallId, address indexed owner, uint256 timestamp)",
+    "event BatchEventLog(uint256 indexed batchId, address indexed actor, uint256 timestamp, string eventType, string details, int256 temperature)",
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)"
+];
+
+// Log kinds that belong to a batch's timeline
+const BATCH_EVENT_NAMES = [
+    "BatchCreated",
+    "TraceRecorded",
+    "OracleReading",
+    "TransferProposed",
+    "TransferCancelled",
+    "Handover",
+    "BatchClosed",
+    "Compromised",
+    "TemperatureExcursion",
+    "BatchSplit",
+    "BatchMerged",
+    "BatchRecalled",
+    "RecallAcknowledged",
+    "BatchEventLog"
+];
+
+const ROLE_NAMES = {
+    [ethers.ZeroHash]: "DEFAULT_ADMIN_ROLE",
+    [ethers.id("PROCESSOR_ROLE")]: "PROCESSOR_ROLE",
+    [ethers.id("DISTRIBUTOR_ROLE")]: "DISTRIBUTOR_ROLE",
+    [ethers.id("RETAILER_ROLE")]: "RETAILER_ROLE",
+    [ethers.id("ORACLE_ROLE")]: "ORACLE_ROLE"
+};
+
+const contractInterface = new ethers.Interface(INDEXER_ABI);
+
+// The batch event decoders are shared with the frontend as an ES module
+const loadBatchEvents = () => import("../../frontend/src/shared/batchEvents.js");
+
+/**
+ * Decode a raw log into a storable record, or null if it is not one we index
+ */
+async function decodeLog(log) {
+    let parsed;
+    try {
+        parsed = contractInterface.parseLog({ topics: log.topics, data: log.data });
+    } catch {
+        return null;
+    }
+    if (!parsed) {
+        return null;
+    }
+
+    const base = {
+        kind: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index
+    };
+
+    if (BATCH_EVENT_NAMES.includes(parsed.name)) {
+        const { decodeLegacyBatchEvent, decodeTypedBatchEvent } = await loadBatchEvents();
+        return {
+            ...base,
+            batchId: parsed.args.batchId.toString(),
+            timestamp: Number(parsed.args.timestamp),
+            ...(parsed.name === "BatchEventLog"
+                ? decodeLegacyBatchEvent(parsed.args)
+                : decodeTypedBatchEvent(parsed.name, parsed.args))
+        };
+    }
+
+    return {
+        ...base,
+        role: parsed.args.role,
+        roleName: ROLE_NAMES[parsed.args.role] || null,
+        account: parsed.args.account,
+        sender: parsed.args.sender
+    };
+}
+
+module.exports = {
+    INDEXER_ABI,
+    BATCH_EVENT_NAMES,
+    ROLE_NAMES,
+    decodeLog
+};
@@ -0,0 +1,106 @@
+// scripts/indexer/index.js
+/**
+ * FROST-CHAIN Event Indexer
+ *
+ * Follows a JSON-RPC node, indexes the batch events (typed, or the legacy
+ * BatchEventLog of older deployments), RoleGranted and RoleRevoked into a
+ * local JSON file and serves them over a small HTTP API, so the frontend
+ * does not have to replay the whole log history with queryFilter.
+ * Usage: npm run indexer (or node scripts/indexer/index.js)
+ *
+ * Environment variables:
+ * - INDEXER_RPC_URL: JSON-RPC endpoint to follow (default http://127.0.0.1:8545)
+ * - INDEXER_NETWORK: Deployment file to read defaults from (default localhost)
+ * - CONTRACT_ADDRESS: Contract to index (default from deployments/<network>-deployment.json)
+ * - INDEXER_START_BLOCK: First block to scan (default the deployment block, else 0)
+ * - INDEXER_DB: Index file (default indexer-data/<network>-index.json)
+ * - INDEXER_PORT: HTTP API port (default 4000)
+ * - INDEXER_POLL_INTERVAL: Milliseconds between syncs (default 2000)
+ * - INDEXER_CONFIRMATIONS: Blocks to stay behind the head (default 0)
+ * - INDEXER_REORG_DEPTH: Recent blocks re-checked for reorgs (default 12)
+ * - INDEXER_CHUNK_SIZE: Blocks per eth_getLogs request (default 2000)
+ */
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { JsonStore } = require("./store");
+const { Indexer } = require("./indexer");
+const { createApiServer } = require("./api");
+const { loadDeployment } = require("../lib/deployment");
+
+const intFromEnv = (name, fallback) => {
+    const value = process.env[name];
+    if (value === undefined || value === "") {
+        return fallback;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+    }
+    return parsed;
+};
+
+async function main() {
+    console.log("\n=== FROST-CHAIN EVENT INDEXER ===\n");
+
+    const network = process.env.INDEXER_NETWORK || "localhost";
+    const deployment = loadDeployment(network);
+    const rpcUrl = process.env.INDEXER_RPC_URL || "http://127.0.0.1:8545";
+    const contractAddress = process.env.CONTRACT_ADDRESS || (deployment && deployment.contractAddress);
+
+    if (!contractAddress) {
+        console.error("❌ No contract address. Set CONTRACT_ADDRESS or deploy with scripts/deploy.js first.");
+        process.exit(1);
+    }
+    if (!ethers.isAddress(contractAddress)) {
+        console.error("❌ Invalid contract address:", contractAddress);
+        process.exit(1);
+    }
+
+    const dbPath = process.env.INDEXER_DB ||
+        path.join(__dirname, "..", "..", "indexer-data", `${network}-index.json`);
+    const port = intFromEnv("INDEXER_PORT", 4000);
+    const pollInterval = intFromEnv("INDEXER_POLL_INTERVAL", 2000);
+
+    console.log("RPC URL:", rpcUrl);
+    console.log("Contract Address:", contractAddress);
+    console.log("Index File:", dbPath);
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const store = new JsonStore(dbPath).load();
+    const indexer = await new Indexer({
+        provider,
+        contractAddress,
+        store,
+        startBlock: intFromEnv("INDEXER_START_BLOCK", deployment ? deployment.blockNumber : 0),
+        confirmations: intFromEnv("INDEXER_CONFIRMATIONS", 0),
+        reorgDepth: intFromEnv("INDEXER_REORG_DEPTH", 12),
+        chunkSize: intFromEnv("INDEXER_CHUNK_SIZE", 2000)
+    }).init();
+
+    console.log("Chain ID:", indexer.status().chainId);
+    console.log("Resuming after block:", store.lastBlock === null ? "(empty index)" : store.lastBlock);
+
+    const server = createApiServer(indexer);
+    server.listen(port, () => {
+        console.log(`\n✅ Query API listening on http://127.0.0.1:${port}`);
+        console.log(`   Point the frontend at it with REACT_APP_INDEXER_URL=http://127.0.0.1:${port}\n`);
+    });
+
+    indexer.start(pollInterval);
+
+    const shutdown = () => {
+        console.log("\n🛑 Stopping indexer...");
+        indexer.stop();
+        server.close();
+        provider.destroy();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+    console.error("❌ Indexer failed to start:", error);
+    process.exit(1);
+});
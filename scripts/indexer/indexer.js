@@ -0,0 +1,190 @@
+// scripts/indexer/indexer.js
+/**
+ * FROST-CHAIN Indexer - Chain Follower
+ *
+ * Follows a JSON-RPC node and indexes the Traceability contract's logs into
+ * a JsonStore. Each sync:
+ * 1. Re-checks the hashes of the most recently indexed blocks and rolls the
+ *    index back to the fork point if any of them changed (chain reorg or a
+ *    restarted local node)
+ * 2. Scans new blocks in fixed-size ranges with eth_getLogs
+ * 3. Records the hashes of the newest blocks for the next reorg check
+ */
+
+const { BATCH_EVENT_NAMES, decodeLog } = require("./decode");
+const { buildProjections } = require("./projections");
+
+class Indexer {
+    /**
+     * @param {object} options
+     * @param {import("ethers").Provider} options.provider JSON-RPC provider to follow
+     * @param {string} options.contractAddress Traceability contract address
+     * @param {import("./store").JsonStore} options.store Where indexed logs are kept
+     * @param {number} [options.startBlock=0] First block to scan on an empty index
+     * @param {number} [options.confirmations=0] Blocks to stay behind the head
+     * @param {number} [options.reorgDepth=12] How many recent block hashes are re-checked
+     * @param {number} [options.chunkSize=2000] Blocks per eth_getLogs request
+     */
+    constructor({ provider, contractAddress, store, startBlock = 0, confirmations = 0, reorgDepth = 12, chunkSize = 2000 }) {
+        this.provider = provider;
+        this.contractAddress = contractAddress;
+        this.store = store;
+        this.startBlock = startBlock;
+        this.confirmations = confirmations;
+        this.reorgDepth = reorgDepth;
+        this.chunkSize = chunkSize;
+        this.head = null;
+        // Built from the store by init()
+        this.projections = { batches: new Map(), events: [], roles: new Map() };
+        this.timer = null;
+        this.syncing = null;
+    }
+
+    async init() {
+        const network = await this.provider.getNetwork();
+        this.store.bind(Number(network.chainId), this.contractAddress);
+        this.projections = await buildProjections(this.store.logs);
+        return this;
+    }
+
+    /**
+     * Find the lowest recently indexed block whose hash no longer matches
+     */
+    async findForkPoint() {
+        const known = Object.keys(this.store.blockHashes).map(Number).sort((a, b) => b - a);
+        let forkPoint = null;
+
+        for (const blockNumber of known) {
+            const block = await this.provider.getBlock(blockNumber);
+            if (block && block.hash === this.store.blockHashes[blockNumber]) {
+                break;
+            }
+            forkPoint = blockNumber;
+        }
+
+        if (forkPoint !== null && forkPoint === known[known.length - 1]) {
+            console.warn(`⚠️  Reorg reaches past the ${this.reorgDepth} re-checked blocks; older entries may be stale`);
+        }
+        return forkPoint;
+    }
+
+    /**
+     * Fetch the block timestamp for role events, which do not carry one
+     */
+    async addRoleTimestamps(records) {
+        const timestamps = new Map();
+        for (const record of records) {
+            if (BATCH_EVENT_NAMES.includes(record.kind)) {
+                continue;
+            }
+            if (!timestamps.has(record.blockNumber)) {
+                const block = await this.provider.getBlock(record.blockNumber);
+                timestamps.set(record.blockNumber, block.timestamp);
+            }
+            record.timestamp = timestamps.get(record.blockNumber);
+        }
+    }
+
+    /**
+     * Run one sync pass; concurrent calls share the pass already in flight
+     * @returns {Promise<{rolledBackTo: number|null, indexed: number, lastBlock: number|null}>}
+     */
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this._sync().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    async _sync() {
+        let rolledBackTo = null;
+        let indexed = 0;
+
+        const forkPoint = await this.findForkPoint();
+        if (forkPoint !== null) {
+            console.log(`🔀 Reorg detected, rolling back to block ${forkPoint - 1}`);
+            this.store.rollback(forkPoint);
+            rolledBackTo = forkPoint - 1;
+        }
+
+        const previousLastBlock = this.store.lastBlock;
+        this.head = await this.provider.getBlockNumber();
+        const target = this.head - this.confirmations;
+        let fromBlock = this.store.lastBlock === null ? this.startBlock : this.store.lastBlock + 1;
+
+        while (fromBlock <= target) {
+            const toBlock = Math.min(fromBlock + this.chunkSize - 1, target);
+            const logs = await this.provider.getLogs({
+                address: this.contractAddress,
+                fromBlock,
+                toBlock
+            });
+
+            const records = (await Promise.all(logs.map(decodeLog))).filter(Boolean);
+            await this.addRoleTimestamps(records);
+
+            // Hashes of the newest blocks in range, for the next reorg check
+            const blockHashes = {};
+            const firstRecent = Math.max(fromBlock, toBlock - this.reorgDepth + 1);
+            for (let blockNumber = firstRecent; blockNumber <= toBlock; blockNumber++) {
+                const block = await this.provider.getBlock(blockNumber);
+                blockHashes[blockNumber] = block.hash;
+            }
+
+            this.store.append(records, toBlock, blockHashes, this.reorgDepth);
+            indexed += records.length;
+            fromBlock = toBlock + 1;
+        }
+
+        if (rolledBackTo !== null || indexed > 0) {
+            this.projections = await buildProjections(this.store.logs);
+        }
+        if (rolledBackTo !== null || this.store.lastBlock !== previousLastBlock) {
+            this.store.save();
+        }
+
+        return { rolledBackTo, indexed, lastBlock: this.store.lastBlock };
+    }
+
+    /**
+     * Keep syncing every `interval` milliseconds until stop() is called
+     */
+    start(interval) {
+        const tick = async () => {
+            try {
+                const result = await this.sync();
+                if (result.indexed > 0) {
+                    console.log(`📥 Indexed ${result.indexed} logs up to block ${result.lastBlock}`);
+                }
+            } catch (error) {
+                console.error("❌ Sync failed:", error.message);
+            }
+            if (this.timer !== null) {
+                this.timer = setTimeout(tick, interval);
+            }
+        };
+        this.timer = setTimeout(tick, 0);
+    }
+
+    stop() {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    status() {
+        return {
+            chainId: this.store.state.chainId,
+            contractAddress: this.contractAddress,
+            lastBlock: this.store.lastBlock,
+            head: this.head,
+            batches: this.projections.batches.size,
+            events: this.projections.events.length
+        };
+    }
+}
+
+module.exports = { Indexer };
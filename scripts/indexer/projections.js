@@ -0,0 +1,226 @@
+// scripts/indexer/projections.js
+/**
+ * FROST-CHAIN Indexer - Projections
+ *
+ * Replays the stored logs in chain order to derive the views served by the
+ * API: batches (owner, status, compromise flag, recall, latest reading) and current
+ * role membership. Typed Handover events carry the new status; for legacy
+ * ones, role events are replayed alongside batch events so each handover sees
+ * the recipient's roles as they were at that point, which is what the
+ * contract used to pick the new status.
+ *
+ * Batches made by splitBatch and mergeBatches log BatchCreated before the
+ * BatchSplit or BatchMerged that links them to their parents, so the state
+ * they inherit (status, compromise, open excursion) is applied when the link
+ * is replayed, the same way the contract's _inheritState does.
+ */
+
+const { ethers } = require("ethers");
+
+// The status table is shared with the frontend as an ES module
+const loadBatchEvents = () => import("../../frontend/src/shared/batchEvents.js");
+
+// Sold, disposed and returned batches keep their status for good
+const isClosed = (batch, STATUS) => batch.status >= STATUS.SOLD;
+
+const DISTRIBUTOR_ROLE = ethers.id("DISTRIBUTOR_ROLE");
+const RETAILER_ROLE = ethers.id("RETAILER_ROLE");
+
+const compareLogs = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+const newBatch = (batchId, STATUS) => ({
+    batchId,
+    productName: null,
+    processor: null,
+    currentOwner: null,
+    creationTimestamp: null,
+    status: STATUS.CREATED,
+    isCompromised: false,
+    temperature: null,
+    excursionStartedAt: null,
+    isRepacked: false,
+    parentBatchIds: [],
+    childBatchIds: [],
+    recallId: null,
+    recallAcknowledgedAt: null,
+    pendingTransfer: null,
+    latestEvent: null,
+    eventCount: 0
+});
+
+/**
+ * Link a repacked batch to its parent and copy over the parent's cold-chain
+ * state, mirroring Traceability._inheritState and _linkBatches
+ */
+function inheritFromParent(child, parent, STATUS) {
+    if (parent.isCompromised) {
+        child.isCompromised = true;
+        child.status = STATUS.COMPROMISED;
+    }
+    if (parent.excursionStartedAt !== null &&
+        (child.excursionStartedAt === null || parent.excursionStartedAt < child.excursionStartedAt)) {
+        child.excursionStartedAt = parent.excursionStartedAt;
+    }
+    parent.isRepacked = true;
+    parent.childBatchIds.push(child.batchId);
+    child.parentBatchIds.push(parent.batchId);
+}
+
+/**
+ * Strip storage-only fields from a batch event record
+ */
+function toEvent(log) {
+    return {
+        batchId: log.batchId,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        actor: log.actor,
+        timestamp: log.timestamp,
+        eventType: log.eventType,
+        details: log.details,
+        temperature: log.temperature,
+        isTemperatureReading: log.isTemperatureReading
+    };
+}
+
+/**
+ * Build all projections from the stored logs
+ */
+async function buildProjections(logs) {
+    // Status values by name, e.g. STATUS.IN_TRANSIT === 1
+    const { BATCH_STATUS: STATUS } = await loadBatchEvents();
+    const batches = new Map();
+    const events = [];
+    const roles = new Map();
+
+    const hasRole = (role, account) => {
+        const members = roles.get(role);
+        return Boolean(members && members.has(account.toLowerCase()));
+    };
+
+    for (const log of [...logs].sort(compareLogs)) {
+        if (log.kind === "RoleGranted") {
+            if (!roles.has(log.role)) {
+                roles.set(log.role, new Map());
+            }
+            roles.get(log.role).set(log.account.toLowerCase(), {
+                account: log.account,
+                grantedBy: log.sender,
+                grantedAt: log.timestamp,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash
+            });
+            continue;
+        }
+
+        if (log.kind === "RoleRevoked") {
+            const members = roles.get(log.role);
+            if (members) {
+                members.delete(log.account.toLowerCase());
+            }
+            continue;
+        }
+
+        const event = toEvent(log);
+        events.push(event);
+
+        // A batch first seen via a non-CREATED event predates the indexed range
+        const getBatch = (batchId) => {
+            if (!batches.has(batchId)) {
+                batches.set(batchId, newBatch(batchId, STATUS));
+            }
+            return batches.get(batchId);
+        };
+        const batch = getBatch(log.batchId);
+
+        batch.eventCount++;
+        batch.latestEvent = event;
+        if (event.isTemperatureReading) {
+            batch.temperature = event.temperature;
+        }
+
+        switch (event.eventType) {
+            case "CREATED":
+                batch.productName = event.details.productName || null;
+                batch.processor = event.actor;
+                batch.currentOwner = event.actor;
+                batch.creationTimestamp = event.timestamp;
+                batch.status = STATUS.CREATED;
+                break;
+            case "TRANSFER_PROPOSED":
+                batch.pendingTransfer = { to: event.details.to, expiresAt: event.details.expiresAt };
+                break;
+            case "TRANSFER_CANCELLED":
+                batch.pendingTransfer = null;
+                break;
+            case "HANDOVER":
+                batch.pendingTransfer = null;
+                if (event.details.to) {
+                    batch.currentOwner = event.details.to;
+                    if (event.details.status !== undefined) {
+                        // Typed Handover events carry the status the contract picked
+                        batch.status = event.details.status;
+                    } else if (hasRole(DISTRIBUTOR_ROLE, event.details.to)) {
+                        batch.status = STATUS.IN_TRANSIT;
+                    } else if (hasRole(RETAILER_ROLE, event.details.to)) {
+                        batch.status = STATUS.DELIVERED;
+                    }
+                }
+                break;
+            case "COMPROMISED":
+                if (!isClosed(batch, STATUS)) {
+                    batch.status = STATUS.COMPROMISED;
+                }
+                batch.isCompromised = true;
+                break;
+            case "SOLD":
+            case "DISPOSED":
+            case "RETURNED":
+                // A return's Handover has already moved custody to the processor
+                batch.status = STATUS[event.eventType];
+                batch.pendingTransfer = null;
+                break;
+            case "EXCURSION_STARTED":
+                batch.excursionStartedAt = event.timestamp;
+                break;
+            case "EXCURSION_ENDED":
+                batch.excursionStartedAt = null;
+                break;
+            case "RECALLED":
+                batch.recallId = event.details.recallId;
+                break;
+            case "RECALL_ACKNOWLEDGED":
+                batch.recallAcknowledgedAt = event.timestamp;
+                break;
+            case "SPLIT":
+                event.details.childIds.forEach(childId => {
+                    const child = getBatch(childId);
+                    // BatchCreated names the processor, but the splitter owns the children
+                    child.currentOwner = event.actor;
+                    child.status = batch.status;
+                    inheritFromParent(child, batch, STATUS);
+                });
+                break;
+            case "MERGED": {
+                const merged = getBatch(event.details.mergedInto);
+                // BatchCreated names the processor, but the merger owns the new batch
+                merged.currentOwner = event.actor;
+                if (merged.parentBatchIds.length === 0) {
+                    // The merged batch starts out with the first batch's status
+                    merged.status = batch.status;
+                }
+                inheritFromParent(merged, batch, STATUS);
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    return { batches, events, roles };
+}
+
+module.exports = {
+    buildProjections
+};
@@ -0,0 +1,117 @@
+// scripts/indexer/store.js
+/**
+ * FROST-CHAIN Indexer - JSON File Store
+ *
+ * Persists decoded logs and the hashes of recently indexed blocks to a single
+ * JSON file. Writes go to a temporary file first and are renamed into place
+ * so a crash never leaves a half-written index behind.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+
+class JsonStore {
+    /**
+     * @param {string|null} filePath Where to persist; null keeps the store in memory only
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.state = JsonStore.emptyState();
+    }
+
+    static emptyState() {
+        return {
+            version: STORE_VERSION,
+            chainId: null,
+            contractAddress: null,
+            lastBlock: null,
+            blockHashes: {},
+            logs: []
+        };
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) {
+            return this;
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        if (data.version !== STORE_VERSION) {
+            console.warn(`⚠️  Index file version ${data.version} is not supported, starting a fresh index`);
+            return this;
+        }
+
+        this.state = data;
+        return this;
+    }
+
+    save() {
+        if (!this.filePath) {
+            return;
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.state));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Discard the index if it was built for a different chain or contract
+     */
+    bind(chainId, contractAddress) {
+        const address = contractAddress.toLowerCase();
+        if (this.state.chainId !== null &&
+            (this.state.chainId !== chainId || this.state.contractAddress !== address)) {
+            console.warn("⚠️  Index was built for a different chain or contract, starting a fresh index");
+            this.state = JsonStore.emptyState();
+        }
+        this.state.chainId = chainId;
+        this.state.contractAddress = address;
+    }
+
+    get lastBlock() {
+        return this.state.lastBlock;
+    }
+
+    get logs() {
+        return this.state.logs;
+    }
+
+    get blockHashes() {
+        return this.state.blockHashes;
+    }
+
+    /**
+     * Append the logs of a scanned block range and record its block hashes
+     */
+    append(logs, toBlock, blockHashes, reorgDepth) {
+        this.state.logs.push(...logs);
+        Object.assign(this.state.blockHashes, blockHashes);
+        this.state.lastBlock = toBlock;
+
+        // Only the most recent blocks can still be reorganised
+        for (const blockNumber of Object.keys(this.state.blockHashes)) {
+            if (Number(blockNumber) <= toBlock - reorgDepth) {
+                delete this.state.blockHashes[blockNumber];
+            }
+        }
+    }
+
+    /**
+     * Drop everything indexed from `blockNumber` onwards
+     */
+    rollback(blockNumber) {
+        this.state.logs = this.state.logs.filter(log => log.blockNumber < blockNumber);
+        for (const known of Object.keys(this.state.blockHashes)) {
+            if (Number(known) >= blockNumber) {
+                delete this.state.blockHashes[known];
+            }
+        }
+        this.state.lastBlock = blockNumber - 1;
+    }
+}
+
+module.exports = { JsonStore };
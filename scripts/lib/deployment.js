@@ -0,0 +1,26 @@
+// scripts/lib/deployment.js
+/**
+ * FROST-CHAIN Script Helpers - Deployment Files
+ *
+ * scripts/deploy.js records each network's contract addresses and deployment
+ * block in deployments/<network>-deployment.json; the services and scripts
+ * read their defaults from it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * Read a network's deployment file, or null if it has not been deployed to
+ */
+function loadDeployment(network) {
+    const deploymentPath = path.join(DEPLOYMENTS_DIR, `${network}-deployment.json`);
+    if (!fs.existsSync(deploymentPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+}
+
+module.exports = { loadDeployment };
@@ -0,0 +1,118 @@
+// scripts/oracle/api.js
+/**
+ * FROST-CHAIN Oracle Bridge - HTTP Ingest API
+ *
+ * Endpoints for gateways pushing sensor readings:
+ * - POST /readings   One reading, an array of readings or {"readings": [...]}
+ *                    Each reading: {batchId, temperature, location, timestamp}
+ * - GET  /status     Buffer and submission counters
+ *
+ * Readings are signed with the oracle's key, so every request must carry the
+ * bridge's shared secret in the X-Oracle-Key header. No CORS headers are
+ * sent: gateways are not browsers, and a web page must not be able to post.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const API_KEY_HEADER = "x-oracle-key";
+
+// Generous for a burst of readings, small enough to refuse abuse
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            reject(new HttpError(413, "Request body is too large"));
+            req.destroy();
+        }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+});
+
+const parseReadings = (body) => {
+    let payload;
+    try {
+        payload = JSON.parse(body);
+    } catch (error) {
+        throw new HttpError(400, "Request body must be JSON");
+    }
+    if (Array.isArray(payload)) {
+        return payload;
+    }
+    if (payload && Array.isArray(payload.readings)) {
+        return payload.readings;
+    }
+    if (payload && typeof payload === "object") {
+        return [payload];
+    }
+    throw new HttpError(400, "Expected a reading, an array of readings or {\"readings\": [...]}");
+};
+
+// Compare in constant time so the key cannot be guessed byte by byte
+const keyMatches = (given, expected) => {
+    const a = crypto.createHash("sha256").update(String(given || "")).digest();
+    const b = crypto.createHash("sha256").update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Create (but do not start) the HTTP server for an oracle bridge
+ * @param {OracleBridge} bridge
+ * @param {object} options
+ * @param {string} options.apiKey Shared secret gateways send in the X-Oracle-Key header
+ */
+function createIngestServer(bridge, { apiKey } = {}) {
+    if (!apiKey) {
+        throw new Error("The ingest API needs an API key");
+    }
+
+    return http.createServer(async (req, res) => {
+        const send = (statusCode, body) => {
+            res.writeHead(statusCode, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+
+        try {
+            if (!keyMatches(req.headers[API_KEY_HEADER], apiKey)) {
+                throw new HttpError(401, "Missing or wrong X-Oracle-Key header");
+            }
+
+            const { pathname } = new URL(req.url, "http://localhost");
+
+            if (pathname === "/status") {
+                if (req.method !== "GET") {
+                    throw new HttpError(405, "Only GET is supported on /status");
+                }
+                send(200, bridge.status());
+                return;
+            }
+            if (pathname === "/readings") {
+                if (req.method !== "POST") {
+                    throw new HttpError(405, "Only POST is supported on /readings");
+                }
+                const { accepted, rejected } = bridge.ingest(parseReadings(await readBody(req)));
+                // 202: buffered, not yet on chain
+                send(202, { accepted, rejected, pending: bridge.buffer.size() });
+                return;
+            }
+
+            throw new HttpError(404, `Unknown endpoint: ${pathname}`);
+        } catch (error) {
+            send(error.statusCode || 500, { error: error.message });
+        }
+    });
+}
+
+module.exports = { createIngestServer };
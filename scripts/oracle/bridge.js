@@ -0,0 +1,396 @@
+// scripts/oracle/bridge.js
+/**
+ * FROST-CHAIN Oracle Bridge - Submitter
+ *
+ * Drains the reading buffer into submitOracleReadings transactions signed
+ * with an ORACLE_ROLE key. Each flush:
+ * 1. Drops the readings the contract would skip: timestamped before the
+ *    batch was created, too far in the future, or before the batch's last
+ *    accepted oracle reading
+ * 2. Takes up to maxReadingsPerTx of a batch's oldest readings and halves
+ *    the chunk until its gas estimate fits maxGasPerTx
+ * 3. Sends it, retrying sends that fail before reaching the node with a
+ *    backoff; nonce errors reset the signer's NonceManager so the retry
+ *    picks up the node's nonce
+ * 4. Removes the readings from the buffer once the transaction is mined
+ * A transaction that was sent but not confirmed (a timeout or a dropped
+ * connection) is never sent again: the contract accepts equal timestamps,
+ * so the readings would be recorded twice. The next flush looks up its
+ * receipt, and resends only once its nonce went to another transaction.
+ * Batches the contract refuses for good (closed, repacked, unknown) have
+ * their readings dropped instead of being retried forever. Rejections and
+ * retries are logged through the logger option, and kept for status().
+ */
+
+const { ReadingBuffer } = require("./buffer");
+
+const ORACLE_ABI = [
+    "function submitOracleReadings(uint256 batchId, int256[] readings, string[] locations, uint256[] timestamps)",
+    "function ORACLE_ROLE() view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function getBatchInfo(uint256 batchId) view returns (tuple(uint256 batchId, uint64 creationTimestamp, address processor, bool isCompromised, uint8 status, uint16 profileId, address currentOwner, uint64 excursionStartedAt, bool isRepacked, uint256 quantity, string unit))",
+    "function lastOracleReadingAt(uint256 batchId) view returns (uint256)",
+    "function ORACLE_CLOCK_TOLERANCE() view returns (uint256)",
+    "event OracleReading(uint256 indexed batchId, address indexed oracle, bytes32 indexed locationHash, uint256 timestamp, string location, int256 temperature)",
+    "event OracleReadingRejected(uint256 indexed batchId, address indexed oracle, uint8 indexed reason, uint256 timestamp, string location, int256 temperature)"
+];
+
+// Traceability.ReadingRejection, indexed by value
+const REJECTION_REASONS = [
+    null,
+    "before the batch was created",
+    "too far in the future",
+    "older than the batch's last accepted reading"
+];
+
+// How many rejected readings status() lists
+const RECENT_REJECTIONS = 20;
+
+// Revert reasons no retry will fix
+const PERMANENT_REVERTS = ["Batch does not exist", "Batch has been repacked", "Batch is closed"];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const permanentReason = (error) => (
+    PERMANENT_REVERTS.find(reason => error.reason === reason || String(error.message).includes(reason)) || null
+);
+
+const isNonceError = (error) => error.code === "NONCE_EXPIRED" || /nonce/i.test(String(error.message));
+
+/**
+ * Apply submitOracleReadings' timestamp checks to readings in timestamp order
+ * @param {Array<{timestamp: number}>} readings
+ * @param {object} chain
+ * @param {number} chain.creationTimestamp The batch's creation time
+ * @param {number} chain.lastAcceptedAt The batch's last accepted oracle reading, 0 if none
+ * @param {number} chain.now Time the next block is expected at
+ * @param {number} chain.tolerance ORACLE_CLOCK_TOLERANCE
+ * @returns {{valid: object[], rejected: Array<{reading: object, reason: string}>}}
+ */
+function checkReadings(readings, { creationTimestamp, lastAcceptedAt, now, tolerance }) {
+    const valid = [];
+    const rejected = [];
+    let last = lastAcceptedAt;
+
+    for (const reading of readings) {
+        let reason = 0;
+        if (reading.timestamp < creationTimestamp) {
+            reason = 1;
+        } else if (reading.timestamp > now + tolerance) {
+            reason = 2;
+        } else if (reading.timestamp < last) {
+            reason = 3;
+        }
+
+        if (reason) {
+            rejected.push({ reading, reason: REJECTION_REASONS[reason] });
+        } else {
+            valid.push(reading);
+            last = reading.timestamp;
+        }
+    }
+    return { valid, rejected };
+}
+
+class OracleBridge {
+    /**
+     * @param {object} options
+     * @param {import("ethers").Contract} options.contract Traceability contract connected to a NonceManager-wrapped ORACLE_ROLE signer
+     * @param {ReadingBuffer} [options.buffer] Where readings wait for submission
+     * @param {number} [options.maxReadingsPerTx=25] Most readings per transaction
+     * @param {bigint} [options.maxGasPerTx=2000000n] Gas estimate a chunk must fit
+     * @param {number} [options.maxRetries=3] Extra attempts for a failed send
+     * @param {number} [options.retryDelay=1000] Milliseconds before the first retry, growing linearly
+     * @param {number} [options.confirmTimeout=120000] Milliseconds to wait for a sent transaction to be mined
+     * @param {{log: Function, warn: Function, error: Function}} [options.logger=console] Where progress, rejections and failures are written
+     */
+    constructor({ contract, buffer = new ReadingBuffer(), maxReadingsPerTx = 25, maxGasPerTx = 2000000n, maxRetries = 3, retryDelay = 1000, confirmTimeout = 120000, logger = console }) {
+        this.contract = contract;
+        this.buffer = buffer;
+        this.maxReadingsPerTx = maxReadingsPerTx;
+        this.maxGasPerTx = BigInt(maxGasPerTx);
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.confirmTimeout = confirmTimeout;
+        this.logger = logger;
+        this.timer = null;
+        this.flushing = null;
+        this.totals = { transactions: 0, submitted: 0, dropped: 0, rejected: 0, failures: 0 };
+        this.recentRejections = [];
+        this.lastError = null;
+        // batchId -> { tx, chunk } sent but not yet known to be mined
+        this.unconfirmed = new Map();
+    }
+
+    /**
+     * Check the signer holds ORACLE_ROLE before accepting readings
+     */
+    async init() {
+        this.oracleAddress = await this.contract.runner.getAddress();
+        const oracleRole = await this.contract.ORACLE_ROLE();
+        if (!(await this.contract.hasRole(oracleRole, this.oracleAddress))) {
+            throw new Error(`${this.oracleAddress} does not hold ORACLE_ROLE on ${await this.contract.getAddress()}`);
+        }
+        this.clockTolerance = Number(await this.contract.ORACLE_CLOCK_TOLERANCE());
+        return this;
+    }
+
+    /**
+     * Buffer raw readings ({batchId, temperature, location, timestamp})
+     */
+    ingest(readings) {
+        return this.buffer.add(readings);
+    }
+
+    /**
+     * Submit everything buffered; concurrent calls share the flush in flight
+     * @returns {Promise<{transactions: number, submitted: number, dropped: number, rejected: number}>}
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this._flush().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async _flush() {
+        const result = { transactions: 0, submitted: 0, dropped: 0, rejected: 0 };
+
+        for (const batchId of this.buffer.batchIds()) {
+            try {
+                await this.flushBatch(batchId, result);
+            } catch (error) {
+                // Keep the readings; the next flush tries again
+                this.totals.failures++;
+                this.lastError = error.shortMessage || error.message;
+                this.logger.error(`❌ Submitting readings for batch ${batchId} failed:`, this.lastError);
+            }
+        }
+
+        this.totals.transactions += result.transactions;
+        this.totals.submitted += result.submitted;
+        this.totals.dropped += result.dropped;
+        this.totals.rejected += result.rejected;
+        return result;
+    }
+
+    /**
+     * Remove and report the pending readings of a batch the contract would skip
+     */
+    async prevalidate(batchId) {
+        const provider = this.contract.runner.provider;
+        const [batch, lastAcceptedAt, latest] = await Promise.all([
+            this.contract.getBatchInfo(batchId),
+            this.contract.lastOracleReadingAt(batchId),
+            provider.getBlock("latest")
+        ]);
+
+        const { rejected } = checkReadings(this.buffer.peek(batchId, Infinity), {
+            creationTimestamp: Number(batch.creationTimestamp),
+            lastAcceptedAt: Number(lastAcceptedAt),
+            // An idle dev chain's last block can be far behind the next one
+            now: Math.max(latest.timestamp, Math.floor(Date.now() / 1000)),
+            tolerance: this.clockTolerance
+        });
+        if (rejected.length > 0) {
+            this.buffer.remove(batchId, rejected.map(({ reading }) => reading));
+            this.recordRejections(batchId, rejected);
+        }
+        return rejected.length;
+    }
+
+    recordRejections(batchId, rejected) {
+        for (const { reading, reason } of rejected) {
+            this.logger.warn(`⚠️  Batch ${batchId}: skipping reading at ${reading.timestamp} (${reading.location}), ${reason}`);
+            this.recentRejections.push({ ...reading, batchId: String(batchId), reason });
+        }
+        this.recentRejections = this.recentRejections.slice(-RECENT_REJECTIONS);
+    }
+
+    /**
+     * Drop a batch's readings if the error is one no retry will fix
+     * @returns {boolean} Whether the readings were dropped
+     */
+    dropIfPermanent(batchId, error, result) {
+        const reason = permanentReason(error);
+        if (!reason) {
+            return false;
+        }
+        const dropped = this.buffer.discard(batchId, reason);
+        result.dropped += dropped.length;
+        this.logger.warn(`⚠️  Dropped ${dropped.length} readings for batch ${batchId}: ${reason}`);
+        return true;
+    }
+
+    /**
+     * Settle a batch's transaction whose confirmation was lost
+     * @returns {boolean} Whether the batch's readings can be sent again
+     */
+    async settleUnconfirmed(batchId, result) {
+        const { tx, chunk } = this.unconfirmed.get(batchId);
+        const provider = this.contract.runner.provider;
+        const receipt = await provider.getTransactionReceipt(tx.hash);
+
+        if (receipt) {
+            this.unconfirmed.delete(batchId);
+            if (receipt.status === 1) {
+                this.recordSubmission(batchId, chunk, receipt, result);
+            }
+            return true;
+        }
+        if (await provider.getTransactionCount(this.oracleAddress, "latest") > tx.nonce) {
+            // Its nonce was used by another transaction, so it will never be mined
+            this.unconfirmed.delete(batchId);
+            return true;
+        }
+        this.logger.warn(`⚠️  Batch ${batchId}: transaction ${tx.hash} is still pending, not sending more readings`);
+        return false;
+    }
+
+    recordSubmission(batchId, chunk, receipt, result) {
+        this.buffer.ack(batchId, chunk);
+        result.transactions++;
+        result.submitted += chunk.length;
+
+        // Another oracle may have got in first with later readings
+        const skipped = receipt.logs
+            .map(log => this.contract.interface.parseLog(log))
+            .filter(log => log && log.name === "OracleReadingRejected")
+            .map(log => ({
+                reading: { temperature: Number(log.args.temperature), location: log.args.location, timestamp: Number(log.args.timestamp) },
+                reason: REJECTION_REASONS[Number(log.args.reason)]
+            }));
+        if (skipped.length > 0) {
+            result.rejected += skipped.length;
+            this.recordRejections(batchId, skipped);
+        }
+    }
+
+    async flushBatch(batchId, result) {
+        if (this.unconfirmed.has(batchId) && !(await this.settleUnconfirmed(batchId, result))) {
+            return;
+        }
+
+        try {
+            result.rejected += await this.prevalidate(batchId);
+        } catch (error) {
+            if (this.dropIfPermanent(batchId, error, result)) {
+                return;
+            }
+            throw error;
+        }
+
+        while (this.buffer.peek(batchId, 1).length > 0) {
+            let chunk = this.buffer.peek(batchId, this.maxReadingsPerTx);
+            let gasLimit;
+
+            for (;;) {
+                try {
+                    gasLimit = await this.contract.submitOracleReadings.estimateGas(...OracleBridge.toArgs(batchId, chunk));
+                } catch (error) {
+                    if (this.dropIfPermanent(batchId, error, result)) {
+                        return;
+                    }
+                    throw error;
+                }
+                if (gasLimit <= this.maxGasPerTx || chunk.length === 1) {
+                    break;
+                }
+                chunk = chunk.slice(0, Math.ceil(chunk.length / 2));
+            }
+
+            const tx = await this.send(OracleBridge.toArgs(batchId, chunk), gasLimit);
+            this.unconfirmed.set(batchId, { tx, chunk });
+            let receipt;
+            try {
+                receipt = await tx.wait(1, this.confirmTimeout);
+            } catch (error) {
+                if (!error.receipt) {
+                    // Not known to be mined: settleUnconfirmed decides on the next flush
+                    throw error;
+                }
+                // Mined but reverted, so nothing was recorded and the readings can go again
+                this.unconfirmed.delete(batchId);
+                if (this.dropIfPermanent(batchId, error, result)) {
+                    return;
+                }
+                throw error;
+            }
+            this.unconfirmed.delete(batchId);
+            this.recordSubmission(batchId, chunk, receipt, result);
+        }
+    }
+
+    /**
+     * Broadcast one submitOracleReadings transaction, retrying sends the node did not take
+     */
+    async send(args, gasLimit) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.contract.submitOracleReadings(...args, { gasLimit });
+            } catch (error) {
+                if (attempt >= this.maxRetries || permanentReason(error)) {
+                    throw error;
+                }
+                if (isNonceError(error) && typeof this.contract.runner.reset === "function") {
+                    // Another sender used the key; re-read the nonce from the node
+                    this.contract.runner.reset();
+                }
+                this.logger.warn(`⚠️  Send failed (${error.shortMessage || error.message}), retry ${attempt + 1}/${this.maxRetries}`);
+                await sleep(this.retryDelay * (attempt + 1));
+            }
+        }
+    }
+
+    static toArgs(batchId, chunk) {
+        return [
+            batchId,
+            chunk.map(reading => reading.temperature),
+            chunk.map(reading => reading.location),
+            chunk.map(reading => reading.timestamp)
+        ];
+    }
+
+    /**
+     * Flush every `interval` milliseconds until stop() is called
+     */
+    start(interval) {
+        const tick = async () => {
+            try {
+                const result = await this.flush();
+                if (result.transactions > 0) {
+                    this.logger.log(`📡 Submitted ${result.submitted} readings in ${result.transactions} transactions`);
+                }
+            } catch (error) {
+                this.logger.error("❌ Flush failed:", error.message);
+            }
+            if (this.timer !== null) {
+                this.timer = setTimeout(tick, interval);
+            }
+        };
+        this.timer = setTimeout(tick, 0);
+    }
+
+    stop() {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    status() {
+        return {
+            oracle: this.oracleAddress || null,
+            pending: this.buffer.size(),
+            pendingBatches: this.buffer.batchIds().length,
+            buffer: { ...this.buffer.stats },
+            ...this.totals,
+            recentRejections: this.recentRejections,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = { OracleBridge, ORACLE_ABI, checkReadings };
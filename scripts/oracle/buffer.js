@@ -0,0 +1,184 @@
+// scripts/oracle/buffer.js
+/**
+ * FROST-CHAIN Oracle Bridge - Reading Buffer
+ *
+ * Holds sensor readings per batch until they are submitted. Readings are
+ * kept in timestamp order, repeats of the same batch, location and
+ * timestamp are dropped, and so is anything older than the newest reading
+ * already submitted for the batch, since the contract times excursions by
+ * the order readings arrive in.
+ */
+
+class ReadingBuffer {
+    constructor() {
+        // batchId -> readings in timestamp order
+        this.pending = new Map();
+        // batchId -> Set of dedupe keys of pending readings
+        this.keys = new Map();
+        // batchId -> { timestamp, keys } of the newest submitted readings
+        this.lastSubmitted = new Map();
+        // Batches the contract no longer takes readings for
+        this.rejectedBatches = new Map();
+        this.stats = { accepted: 0, duplicates: 0, stale: 0, invalid: 0 };
+    }
+
+    /**
+     * Check and convert a raw reading; temperatures are rounded to whole degrees
+     * @returns {{batchId: string, temperature: number, location: string, timestamp: number}}
+     */
+    static normalize(raw) {
+        const batchId = String(raw.batchId ?? "").trim();
+        if (!/^[1-9]\d*$/.test(batchId)) {
+            throw new Error(`Invalid batch ID: ${raw.batchId}`);
+        }
+
+        const temperature = Number(raw.temperature);
+        if (raw.temperature === "" || raw.temperature === null || !Number.isFinite(temperature)) {
+            throw new Error(`Invalid temperature for batch ${batchId}: ${raw.temperature}`);
+        }
+
+        const location = String(raw.location ?? "").trim();
+        if (!location) {
+            throw new Error(`Missing location for batch ${batchId}`);
+        }
+
+        // Unix seconds, or anything Date.parse understands (e.g. ISO 8601)
+        const timestamp = /^\d+$/.test(String(raw.timestamp).trim())
+            ? Number(raw.timestamp)
+            : Math.floor(Date.parse(raw.timestamp) / 1000);
+        if (!Number.isSafeInteger(timestamp) || timestamp <= 0) {
+            throw new Error(`Invalid timestamp for batch ${batchId}: ${raw.timestamp}`);
+        }
+
+        return { batchId, temperature: Math.round(temperature), location, timestamp };
+    }
+
+    /**
+     * Add readings; invalid, duplicate and stale ones are counted and skipped
+     * @returns {{accepted: number, rejected: Array<{reading: object, reason: string}>}}
+     */
+    add(rawReadings) {
+        let accepted = 0;
+        const rejected = [];
+
+        for (const raw of rawReadings) {
+            let reading;
+            try {
+                reading = ReadingBuffer.normalize(raw);
+            } catch (error) {
+                this.stats.invalid++;
+                rejected.push({ reading: raw, reason: error.message });
+                continue;
+            }
+
+            const { batchId } = reading;
+            if (this.rejectedBatches.has(batchId)) {
+                this.stats.invalid++;
+                rejected.push({ reading: raw, reason: this.rejectedBatches.get(batchId) });
+                continue;
+            }
+
+            const key = `${reading.timestamp}|${reading.location}`;
+            if (!this.pending.has(batchId)) {
+                this.pending.set(batchId, []);
+                this.keys.set(batchId, new Set());
+            }
+
+            const last = this.lastSubmitted.get(batchId);
+            if (this.keys.get(batchId).has(key) || (last && last.keys.has(key))) {
+                this.stats.duplicates++;
+                rejected.push({ reading: raw, reason: "duplicate" });
+                continue;
+            }
+            if (last && reading.timestamp < last.timestamp) {
+                this.stats.stale++;
+                rejected.push({ reading: raw, reason: "older than a submitted reading" });
+                continue;
+            }
+
+            // Insert after every reading with the same or an earlier timestamp
+            const queue = this.pending.get(batchId);
+            let index = queue.length;
+            while (index > 0 && queue[index - 1].timestamp > reading.timestamp) {
+                index--;
+            }
+            queue.splice(index, 0, reading);
+            this.keys.get(batchId).add(key);
+            this.stats.accepted++;
+            accepted++;
+        }
+
+        return { accepted, rejected };
+    }
+
+    /**
+     * Batch IDs with pending readings
+     */
+    batchIds() {
+        return [...this.pending.keys()].filter(batchId => this.pending.get(batchId).length > 0);
+    }
+
+    /**
+     * The oldest `count` pending readings of a batch, left in the buffer
+     */
+    peek(batchId, count) {
+        return (this.pending.get(batchId) || []).slice(0, count);
+    }
+
+    /**
+     * Remove readings of a batch (from peek) once they are on chain
+     */
+    ack(batchId, submitted) {
+        const done = new Set(submitted);
+        const queue = this.pending.get(batchId) || [];
+        this.pending.set(batchId, queue.filter(reading => !done.has(reading)));
+        for (const reading of submitted) {
+            this.keys.get(batchId).delete(`${reading.timestamp}|${reading.location}`);
+        }
+        if (submitted.length > 0) {
+            // Keep the keys at the newest timestamp so resent copies are still caught
+            const timestamp = submitted[submitted.length - 1].timestamp;
+            const previous = this.lastSubmitted.get(batchId);
+            const keys = previous && previous.timestamp === timestamp ? previous.keys : new Set();
+            submitted
+                .filter(reading => reading.timestamp === timestamp)
+                .forEach(reading => keys.add(`${reading.timestamp}|${reading.location}`));
+            this.lastSubmitted.set(batchId, { timestamp, keys });
+        }
+        return submitted;
+    }
+
+    /**
+     * Remove particular pending readings of a batch, e.g. ones the contract would skip
+     */
+    remove(batchId, readings) {
+        const unwanted = new Set(readings);
+        const queue = this.pending.get(batchId) || [];
+        this.pending.set(batchId, queue.filter(reading => !unwanted.has(reading)));
+        for (const reading of readings) {
+            this.keys.get(batchId).delete(`${reading.timestamp}|${reading.location}`);
+        }
+    }
+
+    /**
+     * Drop every pending and future reading of a batch the contract refuses,
+     * e.g. because it is closed or repacked
+     */
+    discard(batchId, reason) {
+        const dropped = this.pending.get(batchId) || [];
+        this.pending.delete(batchId);
+        this.keys.delete(batchId);
+        this.rejectedBatches.set(batchId, reason);
+        return dropped;
+    }
+
+    size() {
+        let total = 0;
+        for (const queue of this.pending.values()) {
+            total += queue.length;
+        }
+        return total;
+    }
+}
+
+module.exports = { ReadingBuffer };
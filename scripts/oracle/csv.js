@@ -0,0 +1,102 @@
+// scripts/oracle/csv.js
+/**
+ * FROST-CHAIN Oracle Bridge - CSV Replay
+ *
+ * Reads logged sensor readings so they can be replayed through the bridge.
+ * Expected header (columns in any order, extra columns ignored):
+ *   batchId,timestamp,temperature,location
+ * Timestamps are unix seconds or ISO 8601. Fields containing commas can be
+ * double-quoted.
+ */
+
+const fs = require("fs");
+const { ReadingBuffer } = require("./buffer");
+
+const REQUIRED_COLUMNS = ["batchId", "timestamp", "temperature", "location"];
+
+const splitLine = (line) => {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === "\"" && line[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === "\"") {
+            quoted = true;
+        } else if (char === ",") {
+            fields.push(field.trim());
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+};
+
+/**
+ * Parse CSV text into raw readings (validation is left to the buffer)
+ * @returns {Array<{batchId: string, timestamp: string, temperature: string, location: string}>}
+ */
+function parseReadingsCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith("#"));
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const header = splitLine(lines[0]);
+    const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`CSV header is missing column(s): ${missing.join(", ")}`);
+    }
+
+    return lines.slice(1).map(line => {
+        const fields = splitLine(line);
+        const reading = {};
+        REQUIRED_COLUMNS.forEach(column => {
+            reading[column] = fields[header.indexOf(column)];
+        });
+        return reading;
+    });
+}
+
+function readReadingsCsv(filePath) {
+    return parseReadingsCsv(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Shift a recording so its newest reading lands at `now`, keeping the gaps
+ * between readings. Lets an old log be replayed against a fresh chain.
+ * Readings with unparseable timestamps are left for the buffer to reject.
+ */
+function shiftToNow(readings, now = Math.floor(Date.now() / 1000)) {
+    const toSeconds = (reading) => {
+        try {
+            return ReadingBuffer.normalize(reading).timestamp;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const timestamps = readings.map(toSeconds);
+    const valid = timestamps.filter(timestamp => timestamp !== null);
+    if (valid.length === 0) {
+        return readings;
+    }
+    const offset = now - Math.max(...valid);
+
+    return readings.map((reading, i) => (
+        timestamps[i] === null ? reading : { ...reading, timestamp: timestamps[i] + offset }
+    ));
+}
+
+module.exports = { parseReadingsCsv, readReadingsCsv, shiftToNow };
@@ -0,0 +1,74 @@
+// scripts/oracle/feed.js
+/**
+ * FROST-CHAIN Oracle Bridge - Simulated Sensor Feed
+ *
+ * Stands in for real gateways during local development: every tick, each
+ * simulated batch reports one reading from a random walk around its base
+ * temperature, with the occasional short spike (a door left open).
+ */
+
+const DEFAULT_LOCATIONS = ["Cold Store A", "Loading Dock", "Reefer Truck 7", "Distribution Center"];
+
+class SimulatedFeed {
+    /**
+     * @param {object} options
+     * @param {string[]} options.batchIds Batches to report readings for
+     * @param {(readings: object[]) => void} options.onReadings Receives each tick's readings
+     * @param {number} [options.baseTemperature=-18] Temperature the walk drifts around
+     * @param {number} [options.spikeChance=0.05] Chance per reading of a +8..+15 degree spike
+     * @param {string[]} [options.locations] Locations a batch moves through, one per `readingsPerLocation`
+     * @param {number} [options.readingsPerLocation=10]
+     * @param {() => number} [options.random=Math.random]
+     */
+    constructor({
+        batchIds,
+        onReadings,
+        baseTemperature = -18,
+        spikeChance = 0.05,
+        locations = DEFAULT_LOCATIONS,
+        readingsPerLocation = 10,
+        random = Math.random
+    }) {
+        this.onReadings = onReadings;
+        this.baseTemperature = baseTemperature;
+        this.spikeChance = spikeChance;
+        this.locations = locations;
+        this.readingsPerLocation = readingsPerLocation;
+        this.random = random;
+        this.timer = null;
+        this.sensors = batchIds.map(batchId => ({ batchId: String(batchId), temperature: baseTemperature, count: 0 }));
+    }
+
+    /**
+     * One reading per batch, timestamped `now` (unix seconds)
+     */
+    tick(now = Math.floor(Date.now() / 1000)) {
+        const readings = this.sensors.map(sensor => {
+            // Drift by up to a degree, pulled back towards the base
+            sensor.temperature += (this.random() - 0.5) * 2 + (this.baseTemperature - sensor.temperature) * 0.2;
+            const spike = this.random() < this.spikeChance ? 8 + this.random() * 7 : 0;
+            const location = this.locations[Math.floor(sensor.count / this.readingsPerLocation) % this.locations.length];
+            sensor.count++;
+
+            return {
+                batchId: sensor.batchId,
+                temperature: Math.round(sensor.temperature + spike),
+                location,
+                timestamp: now
+            };
+        });
+        this.onReadings(readings);
+        return readings;
+    }
+
+    start(interval) {
+        this.timer = setInterval(() => this.tick(), interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = { SimulatedFeed };
@@ -0,0 +1,161 @@
+// scripts/oracle/index.js
+/**
+ * FROST-CHAIN IoT Oracle Bridge
+ *
+ * Takes sensor readings from gateways over HTTP, from a replayed CSV log or
+ * from a simulated feed, buffers them per batch (deduplicated, in timestamp
+ * order) and submits them with submitOracleReadings in gas-bounded chunks,
+ * signed with an ORACLE_ROLE key.
+ * Usage: npm run oracle (or node scripts/oracle/index.js)
+ *
+ * Environment variables:
+ * - ORACLE_RPC_URL: JSON-RPC endpoint (default http://127.0.0.1:8545)
+ * - ORACLE_NETWORK: Deployment file to read defaults from (default localhost)
+ * - CONTRACT_ADDRESS: Traceability contract (default from deployments/<network>-deployment.json)
+ * - ORACLE_PRIVATE_KEY: Key of an ORACLE_ROLE holder
+ * - ORACLE_ACCOUNT_INDEX: Without a key, sign with this unlocked node account (local Hardhat node only)
+ * - ORACLE_HOST: Interface the HTTP ingest API listens on (default 127.0.0.1; 0.0.0.0 for every interface)
+ * - ORACLE_PORT: HTTP ingest port (default 4100)
+ * - ORACLE_API_KEY: Shared secret gateways send in the X-Oracle-Key header (default a new random key, printed)
+ * - ORACLE_FLUSH_INTERVAL: Milliseconds between submissions (default 15000)
+ * - ORACLE_MAX_READINGS_PER_TX: Readings per transaction (default 25)
+ * - ORACLE_MAX_GAS_PER_TX: Gas estimate a transaction must fit (default 2000000)
+ * - ORACLE_MAX_RETRIES: Retries of a failed transaction (default 3)
+ * - ORACLE_REPLAY: CSV file to load on startup (e.g. scripts/oracle/sample-readings.csv)
+ * - ORACLE_REPLAY_SHIFT: "false" keeps the CSV timestamps instead of moving the log up to now
+ * - ORACLE_SIMULATE_BATCHES: Comma-separated batch IDs to feed simulated readings for
+ * - ORACLE_SIMULATE_INTERVAL: Milliseconds between simulated readings (default 5000)
+ */
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { OracleBridge, ORACLE_ABI } = require("./bridge");
+const { createIngestServer } = require("./api");
+const { readReadingsCsv, shiftToNow } = require("./csv");
+const { SimulatedFeed } = require("./feed");
+const { loadDeployment } = require("../lib/deployment");
+
+const intFromEnv = (name, fallback) => {
+    const value = process.env[name];
+    if (value === undefined || value === "") {
+        return fallback;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+    }
+    return parsed;
+};
+
+async function createSigner(provider) {
+    if (process.env.ORACLE_PRIVATE_KEY) {
+        return new ethers.Wallet(process.env.ORACLE_PRIVATE_KEY, provider);
+    }
+    if (process.env.ORACLE_ACCOUNT_INDEX !== undefined) {
+        return provider.getSigner(intFromEnv("ORACLE_ACCOUNT_INDEX", 0));
+    }
+    throw new Error("Set ORACLE_PRIVATE_KEY, or ORACLE_ACCOUNT_INDEX when running against a local Hardhat node");
+}
+
+const logIngest = (source, { accepted, rejected }) => {
+    console.log(`📥 ${source}: ${accepted} readings buffered, ${rejected.length} rejected`);
+    rejected.slice(0, 5).forEach(({ reading, reason }) => {
+        console.log(`   - ${reason}: ${JSON.stringify(reading)}`);
+    });
+};
+
+async function main() {
+    console.log("\n=== FROST-CHAIN IOT ORACLE BRIDGE ===\n");
+
+    const network = process.env.ORACLE_NETWORK || "localhost";
+    const deployment = loadDeployment(network);
+    const rpcUrl = process.env.ORACLE_RPC_URL || "http://127.0.0.1:8545";
+    const contractAddress = process.env.CONTRACT_ADDRESS || (deployment && deployment.contractAddress);
+
+    if (!contractAddress) {
+        console.error("❌ No contract address. Set CONTRACT_ADDRESS or deploy with scripts/deploy.js first.");
+        process.exit(1);
+    }
+    if (!ethers.isAddress(contractAddress)) {
+        console.error("❌ Invalid contract address:", contractAddress);
+        process.exit(1);
+    }
+
+    const host = process.env.ORACLE_HOST || "127.0.0.1";
+    const port = intFromEnv("ORACLE_PORT", 4100);
+    const apiKey = process.env.ORACLE_API_KEY || crypto.randomBytes(24).toString("hex");
+    const flushInterval = intFromEnv("ORACLE_FLUSH_INTERVAL", 15000);
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    // The NonceManager hands out nonces locally so chunks can go out back to back
+    const signer = new ethers.NonceManager(await createSigner(provider));
+    const contract = new ethers.Contract(contractAddress, ORACLE_ABI, signer);
+
+    const bridge = await new OracleBridge({
+        contract,
+        maxReadingsPerTx: intFromEnv("ORACLE_MAX_READINGS_PER_TX", 25),
+        maxGasPerTx: intFromEnv("ORACLE_MAX_GAS_PER_TX", 2000000),
+        maxRetries: intFromEnv("ORACLE_MAX_RETRIES", 3)
+    }).init();
+
+    console.log("RPC URL:", rpcUrl);
+    console.log("Contract Address:", contractAddress);
+    console.log("Oracle Account:", bridge.oracleAddress);
+
+    if (process.env.ORACLE_REPLAY) {
+        let readings = readReadingsCsv(process.env.ORACLE_REPLAY);
+        if (process.env.ORACLE_REPLAY_SHIFT !== "false") {
+            readings = shiftToNow(readings);
+        }
+        logIngest(`Replay of ${process.env.ORACLE_REPLAY}`, bridge.ingest(readings));
+    }
+
+    let feed = null;
+    if (process.env.ORACLE_SIMULATE_BATCHES) {
+        const batchIds = process.env.ORACLE_SIMULATE_BATCHES.split(",").map(id => id.trim()).filter(Boolean);
+        feed = new SimulatedFeed({
+            batchIds,
+            onReadings: (readings) => {
+                const { rejected } = bridge.ingest(readings);
+                rejected.forEach(({ reading, reason }) => console.warn(`⚠️  Simulated reading for batch ${reading.batchId} rejected: ${reason}`));
+            }
+        });
+        feed.start(intFromEnv("ORACLE_SIMULATE_INTERVAL", 5000));
+        console.log("Simulating sensors for batches:", batchIds.join(", "));
+    }
+
+    const server = createIngestServer(bridge, { apiKey });
+    server.listen(port, host, () => {
+        console.log(`\n✅ Ingest API listening on http://${host}:${port}`);
+        console.log(`   POST readings to http://${host}:${port}/readings, flushing every ${flushInterval} ms`);
+        if (!process.env.ORACLE_API_KEY) {
+            console.log("🔑 New API key (set ORACLE_API_KEY to reuse it):", apiKey);
+        }
+        console.log("   Send it in the X-Oracle-Key header of every request\n");
+    });
+
+    bridge.start(flushInterval);
+
+    const shutdown = async () => {
+        console.log("\n🛑 Stopping oracle bridge...");
+        if (feed) {
+            feed.stop();
+        }
+        bridge.stop();
+        server.close();
+        // Submit what is already buffered rather than losing it
+        await bridge.flush();
+        if (bridge.buffer.size() > 0) {
+            console.warn(`⚠️  ${bridge.buffer.size()} readings were not submitted`);
+        }
+        provider.destroy();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+    console.error("❌ Oracle bridge failed to start:", error);
+    process.exit(1);
+});
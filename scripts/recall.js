@@ -0,0 +1,232 @@
+// scripts/recall.js
+/**
+ * FROST-CHAIN Product Recall Script
+ *
+ * Selects batches by product name, processor and/or creation date, lists
+ * every batch the recall would flag (including batches split or merged out
+ * of a match) and, once confirmed, issues the recall and flags the batches
+ * in chunks that stay under the block gas limit.
+ * Usage: npx hardhat run scripts/recall.js --network localhost
+ *
+ * Without RECALL_EXECUTE=true the script only previews the affected batches.
+ *
+ * Environment variables:
+ * - CONTRACT_ADDRESS: The deployed contract address (default from deployments/<network>-deployment.json)
+ * - RECALL_PRODUCT: Product name to match (case insensitive)
+ * - RECALL_PROCESSOR: Address of the processor that created the batches
+ * - RECALL_FROM / RECALL_TO: Creation date range, YYYY-MM-DD in UTC (inclusive)
+ * - RECALL_DESCENDANTS: Set to "false" to leave out repacked descendants (default true)
+ * - RECALL_REASON: Reason recorded on-chain (required to execute)
+ * - RECALL_EXECUTE: Set to "true" to send the transactions
+ * - RECALL_CHUNK_SIZE: Batches per recallBatches transaction (default 50, contract maximum 100)
+ * - RECALL_ID: Add the batches to this existing recall instead of issuing a new one
+ */
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDeployment } = require("./lib/deployment");
+
+// Blocks per queryFilter request when collecting BatchCreated events
+const LOG_CHUNK_SIZE = 2000;
+
+// Batch and recall lookups in flight at once
+const FETCH_CONCURRENCY = 8;
+
+// Chunks are shrunk until their estimate leaves this share of a block free
+const MAX_BLOCK_GAS_SHARE = 0.8;
+
+// "2024-05-01" -> unix seconds at the start (or end) of that UTC day
+function parseDate(name, value, endOfDay) {
+    if (!value) {
+        return null;
+    }
+    const time = Date.parse(`${value}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(time)) {
+        throw new Error(`${name} must be a date like 2024-05-01, got "${value}"`);
+    }
+    return Math.floor(time / 1000) + (endOfDay ? 86399 : 0);
+}
+
+// The selection is shared with the frontend's Recalls view, as an ES module
+const loadRecallSelection = () => import("../frontend/src/shared/recall.js");
+
+async function findCandidates(traceability, criteria, fromBlock) {
+    const { selectRecallCandidates } = await loadRecallSelection();
+    const latestBlock = await ethers.provider.getBlockNumber();
+
+    const created = new Map();
+    for (let start = fromBlock; start <= latestBlock; start += LOG_CHUNK_SIZE) {
+        const end = Math.min(start + LOG_CHUNK_SIZE - 1, latestBlock);
+        const logs = await traceability.queryFilter(traceability.filters.BatchCreated(), start, end);
+        for (const log of logs) {
+            created.set(log.args.batchId.toString(), log.args);
+        }
+    }
+
+    const { batches } = await selectRecallCandidates(traceability, created, criteria, { concurrency: FETCH_CONCURRENCY });
+    return batches.map(batch => ({
+        batchId: batch.batchId,
+        productName: batch.productName || "?",
+        currentOwner: batch.batchInfo.currentOwner,
+        isRepacked: batch.batchInfo.isRepacked,
+        matchedBy: batch.matchedBy,
+        recallId: batch.recallId
+    }));
+}
+
+// Splits batchIds into chunks whose recallBatches estimate fits in a block
+async function planChunks(traceability, signer, recallId, batchIds, chunkSize) {
+    const block = await ethers.provider.getBlock("latest");
+    const gasBudget = (block.gasLimit * BigInt(Math.round(MAX_BLOCK_GAS_SHARE * 100))) / 100n;
+
+    const chunks = [];
+    let offset = 0;
+    let size = chunkSize;
+    while (offset < batchIds.length) {
+        const chunk = batchIds.slice(offset, offset + size);
+        const estimate = await traceability.connect(signer).recallBatches.estimateGas(recallId, chunk);
+        if (estimate > gasBudget && size > 1) {
+            size = Math.ceil(size / 2);
+            continue;
+        }
+        chunks.push(chunk);
+        offset += chunk.length;
+    }
+    return chunks;
+}
+
+async function main() {
+    console.log("\n=== FROST-CHAIN PRODUCT RECALL SCRIPT ===\n");
+
+    const deployment = loadDeployment(hre.network.name);
+    const contractAddress = process.env.CONTRACT_ADDRESS || (deployment && deployment.contractAddress);
+    const criteria = {
+        productName: (process.env.RECALL_PRODUCT || "").trim(),
+        processor: (process.env.RECALL_PROCESSOR || "").trim(),
+        createdFrom: parseDate("RECALL_FROM", process.env.RECALL_FROM, false),
+        createdTo: parseDate("RECALL_TO", process.env.RECALL_TO, true),
+        includeDescendants: process.env.RECALL_DESCENDANTS !== "false"
+    };
+    const reason = (process.env.RECALL_REASON || "").trim();
+    const execute = process.env.RECALL_EXECUTE === "true";
+    const chunkSize = Number(process.env.RECALL_CHUNK_SIZE || 50);
+    const existingRecallId = process.env.RECALL_ID || null;
+
+    if (!contractAddress || (!criteria.productName && !criteria.processor && !criteria.createdFrom && !criteria.createdTo)) {
+        console.error("❌ Missing required parameters.");
+        console.error("Usage examples:");
+        console.error("1. Preview:");
+        console.error('   RECALL_PRODUCT="Frozen Peas" RECALL_FROM="2024-05-01" RECALL_TO="2024-05-31" npx hardhat run scripts/recall.js --network localhost');
+        console.error("2. Execute:");
+        console.error('   RECALL_PRODUCT="Frozen Peas" RECALL_REASON="Listeria found at Plant 2" RECALL_EXECUTE=true npx hardhat run scripts/recall.js --network localhost');
+        console.error("");
+        console.error("Give at least one of RECALL_PRODUCT, RECALL_PROCESSOR, RECALL_FROM or RECALL_TO, and CONTRACT_ADDRESS if there is no deployment file.");
+        process.exit(1);
+    }
+    if (criteria.processor && !ethers.isAddress(criteria.processor)) {
+        console.error("❌ Invalid processor address:", criteria.processor);
+        process.exit(1);
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > 100) {
+        console.error("❌ RECALL_CHUNK_SIZE must be between 1 and 100, got", process.env.RECALL_CHUNK_SIZE);
+        process.exit(1);
+    }
+
+    const { describeRecallCriteria } = await loadRecallSelection();
+    const criteriaText = describeRecallCriteria(criteria);
+    console.log("Contract Address:", contractAddress);
+    console.log("Criteria:", criteriaText);
+
+    const Traceability = await ethers.getContractFactory("Traceability");
+    const traceability = Traceability.attach(contractAddress);
+
+    console.log("\n--- Affected Batches ---");
+    const fromBlock = deployment && deployment.contractAddress === contractAddress ? deployment.blockNumber : 0;
+    const batches = await findCandidates(traceability, criteria, fromBlock);
+    for (const batch of batches) {
+        const notes = [
+            batch.matchedBy === "lineage" ? "repacked from a match" : null,
+            batch.isRepacked ? "repacked" : null,
+            batch.recallId ? `already in recall #${batch.recallId}` : null
+        ].filter(Boolean).join(", ");
+        console.log(`  #${batch.batchId}  ${batch.productName}  owner ${batch.currentOwner}${notes ? `  (${notes})` : ""}`);
+    }
+
+    const batchIds = batches.filter(batch => batch.recallId === null).map(batch => batch.batchId);
+    console.log(`\n${batches.length} batches match, ${batchIds.length} not yet recalled`);
+
+    if (batchIds.length === 0) {
+        console.log("ℹ️  Nothing to recall.");
+        return;
+    }
+    if (!execute) {
+        console.log("ℹ️  Preview only. Set RECALL_EXECUTE=true and RECALL_REASON to issue the recall.");
+        return;
+    }
+    if (!existingRecallId && !reason) {
+        console.error("❌ RECALL_REASON is required to issue a recall.");
+        process.exit(1);
+    }
+
+    const [admin] = await ethers.getSigners();
+    console.log("\nAdmin Address:", admin.address);
+
+    const DEFAULT_ADMIN_ROLE = "0x0000000000000000000000000000000000000000000000000000000000000000";
+    if (!(await traceability.hasRole(DEFAULT_ADMIN_ROLE, admin.address))) {
+        console.error("❌ Current account does not have admin role. Cannot proceed.");
+        process.exit(1);
+    }
+    console.log("✅ Admin role verified");
+
+    try {
+        let recallId = existingRecallId;
+        if (recallId) {
+            await traceability.getRecall(recallId);
+            console.log("\n--- Adding To Recall #" + recallId + " ---");
+        } else {
+            console.log("\n--- Issuing Recall ---");
+            const tx = await traceability.issueRecall(reason, criteriaText);
+            console.log("Transaction hash:", tx.hash);
+            const receipt = await tx.wait();
+            const issued = receipt.logs
+                .map(log => {
+                    try {
+                        return traceability.interface.parseLog(log);
+                    } catch {
+                        return null;
+                    }
+                })
+                .find(parsed => parsed && parsed.name === "RecallIssued");
+            recallId = issued.args.recallId.toString();
+            console.log("✅ Recall #" + recallId + " issued");
+        }
+
+        console.log("\n--- Flagging Batches ---");
+        const chunks = await planChunks(traceability, admin, recallId, batchIds, chunkSize);
+        let done = 0;
+        for (const chunk of chunks) {
+            const tx = await traceability.recallBatches(recallId, chunk);
+            const receipt = await tx.wait();
+            done += chunk.length;
+            console.log(`✅ ${done}/${batchIds.length} batches sent (tx ${tx.hash}, gas ${receipt.gasUsed.toString()})`);
+        }
+
+        const recall = await traceability.getRecall(recallId);
+        console.log(`\n🎉 Recall #${recallId} now covers ${recall.batchCount.toString()} batches.`);
+        console.log(`ℹ️  If the script stops early, rerun it with RECALL_ID=${recallId}; batches already flagged are skipped.\n`);
+
+    } catch (error) {
+        console.error("\n❌ Failed to execute recall:");
+        console.error(error.reason || error.message);
+        process.exit(1);
+    }
+}
+
+// Handle errors and run script
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("\n❌ Script failed:");
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,152 @@
+// scripts/sensors/attestation.js
+/**
+ * FROST-CHAIN Sensor Attestations - Signing Library
+ *
+ * Signs temperature readings as EIP-712 typed data the SensorAttestations
+ * contract verifies, so a relayer can submit them without being trusted.
+ * Works with any ethers v6 signer: a Wallet holding a device's key in a
+ * firmware simulator, or a Hardhat signer in tests.
+ */
+
+const { ethers } = require("ethers");
+
+const DOMAIN_NAME = "FROST-CHAIN Sensor Attestations";
+const DOMAIN_VERSION = "1";
+
+// Must match SENSOR_READING_TYPEHASH in contracts/SensorAttestations.sol
+const READING_TYPES = {
+    SensorReading: [
+        { name: "batchId", type: "uint256" },
+        { name: "temperature", type: "int256" },
+        { name: "location", type: "string" },
+        { name: "timestamp", type: "uint256" },
+        { name: "deviceId", type: "bytes32" }
+    ]
+};
+
+// SensorAttestations.AttestationRejection, indexed by value
+const REJECTION_REASONS = [
+    null,
+    "signed for a different batch",
+    "device is not registered or has been revoked",
+    "signature does not match the device's key",
+    "not newer than the device's last reading for the batch",
+    "taken before the batch was created",
+    "too far in the future",
+    "older than the batch's last accepted reading"
+];
+
+/**
+ * EIP-712 domain of a SensorAttestations deployment
+ * @param {string} verifyingContract SensorAttestations address
+ * @param {number|bigint} chainId Chain the contract is deployed on
+ */
+function attestationDomain(verifyingContract, chainId) {
+    return {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId: BigInt(chainId),
+        verifyingContract
+    };
+}
+
+/**
+ * Device ID for a serial number or name; a 32-byte hex string is used as is
+ */
+function toDeviceId(device) {
+    return ethers.isHexString(device, 32) ? device : ethers.id(device);
+}
+
+/**
+ * The signed fields of a reading, in the form the contract expects
+ */
+function toTypedReading({ batchId, temperature, location, timestamp, deviceId }) {
+    if (!Number.isInteger(Number(temperature))) {
+        throw new Error(`Temperature must be a whole number of degrees, got ${temperature}`);
+    }
+    return {
+        batchId: BigInt(batchId),
+        temperature: BigInt(temperature),
+        location: String(location),
+        timestamp: BigInt(timestamp),
+        deviceId: toDeviceId(deviceId)
+    };
+}
+
+/**
+ * Sign a reading as a device
+ * @param {import("ethers").Signer} signer The device's key
+ * @param {object} domain From attestationDomain
+ * @param {{batchId, temperature, location, timestamp, deviceId}} reading
+ * @returns {Promise<object>} The reading with its deviceId normalized and a signature
+ */
+async function signReading(signer, domain, reading) {
+    const value = toTypedReading(reading);
+    const signature = await signer.signTypedData(domain, READING_TYPES, value);
+    return {
+        batchId: value.batchId.toString(),
+        temperature: Number(value.temperature),
+        location: value.location,
+        timestamp: Number(value.timestamp),
+        deviceId: value.deviceId,
+        signature
+    };
+}
+
+/**
+ * Address that signed a reading, for checking attestations before relaying them
+ */
+function recoverReadingSigner(domain, signedReading) {
+    return ethers.verifyTypedData(domain, READING_TYPES, toTypedReading(signedReading), signedReading.signature);
+}
+
+/**
+ * A sensor that signs its readings with its own key
+ */
+class SensorDevice {
+    /**
+     * @param {object} options
+     * @param {string} options.deviceId Serial number, name or 32-byte ID
+     * @param {import("ethers").Signer} options.signer The device's key
+     * @param {object} options.domain From attestationDomain
+     */
+    constructor({ deviceId, signer, domain }) {
+        this.deviceId = toDeviceId(deviceId);
+        this.signer = signer;
+        this.domain = domain;
+    }
+
+    async address() {
+        return this.signer.getAddress();
+    }
+
+    /**
+     * Sign one reading
+     * @param {{batchId, temperature, location, timestamp}} reading
+     */
+    sign(reading) {
+        return signReading(this.signer, this.domain, { ...reading, deviceId: this.deviceId });
+    }
+
+    /**
+     * Sign readings one after another, as a device's firmware would
+     */
+    async signAll(readings) {
+        const signed = [];
+        for (const reading of readings) {
+            signed.push(await this.sign(reading));
+        }
+        return signed;
+    }
+}
+
+module.exports = {
+    READING_TYPES,
+    REJECTION_REASONS,
+    attestationDomain,
+    toDeviceId,
+    toTypedReading,
+    signReading,
+    recoverReadingSigner,
+    SensorDevice
+};
@@ -0,0 +1,109 @@
+// scripts/sensors/device.js
+/**
+ * FROST-CHAIN Sensor Device Simulator
+ *
+ * Plays the firmware of one temperature sensor: generates a trace with the
+ * cold-chain simulator's models and signs every reading with the device's
+ * own key, as EIP-712 typed data for the SensorAttestations contract. It
+ * needs no node connection and no gas; the signed readings are printed as
+ * one JSON object per line for scripts/sensors/relay.js to submit.
+ * Usage: npm run sensor > readings.jsonl (or node scripts/sensors/device.js)
+ *
+ * The device must be registered by a Traceability admin before its readings
+ * are accepted; the simulator prints the call to make.
+ *
+ * Environment variables:
+ * - DEVICE_BATCH: Batch the sensor is monitoring (required)
+ * - DEVICE_PRIVATE_KEY: The device's signing key (default a new random key, printed for reuse)
+ * - DEVICE_ID: Serial number or name, hashed into the on-chain device ID (default derived from the key)
+ * - DEVICE_SCENARIO: freezer, reefer or cabinet (default reefer)
+ * - DEVICE_READINGS: Number of readings, the newest taken now (default 6)
+ * - DEVICE_INTERVAL_MINUTES: Minutes between readings (default 1)
+ * - DEVICE_SEED: Seed for the trace (default random)
+ * - DEVICE_NETWORK: Deployment file to read defaults from (default localhost)
+ * - ATTESTATIONS_ADDRESS: SensorAttestations contract (default from deployments/<network>-deployment.json)
+ * - DEVICE_CHAIN_ID: Chain the contract is deployed on (default 31337, the Hardhat network)
+ */
+
+const { ethers } = require("ethers");
+const { SCENARIOS, createRandom, generateLeg } = require("../simulator/traces");
+const { SensorDevice, attestationDomain } = require("./attestation");
+const { loadDeployment } = require("../lib/deployment");
+
+const intFromEnv = (name, fallback) => {
+    const value = process.env[name];
+    if (value === undefined || value === "") {
+        return fallback;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new Error(`${name} must be a positive integer, got "${value}"`);
+    }
+    return parsed;
+};
+
+/**
+ * The last `count` readings of a leg that ends now
+ */
+function generateReadings({ scenario, count, intervalMinutes, seed, now }) {
+    const legSeconds = SCENARIOS[scenario].hours * 3600;
+    const { readings } = generateLeg(scenario, {
+        startTime: now - legSeconds + intervalMinutes * 60,
+        random: createRandom(seed),
+        intervalMinutes
+    });
+    return readings.slice(-count);
+}
+
+async function main() {
+    // Signed readings go to stdout, everything else to stderr
+    console.error("\n=== FROST-CHAIN SENSOR DEVICE SIMULATOR ===\n");
+
+    const network = process.env.DEVICE_NETWORK || "localhost";
+    const deployment = loadDeployment(network);
+    const contractAddress = process.env.ATTESTATIONS_ADDRESS || (deployment && deployment.sensorAttestationsAddress);
+    const batchId = process.env.DEVICE_BATCH;
+    const scenario = process.env.DEVICE_SCENARIO || "reefer";
+    if (!contractAddress || !batchId) {
+        throw new Error("Set DEVICE_BATCH, and ATTESTATIONS_ADDRESS if there is no deployment file");
+    }
+    if (!SCENARIOS[scenario]) {
+        throw new Error(`DEVICE_SCENARIO must be one of ${Object.keys(SCENARIOS).join(", ")}, got "${scenario}"`);
+    }
+
+    const wallet = process.env.DEVICE_PRIVATE_KEY
+        ? new ethers.Wallet(process.env.DEVICE_PRIVATE_KEY)
+        : ethers.Wallet.createRandom();
+    if (!process.env.DEVICE_PRIVATE_KEY) {
+        console.error("🔑 New device key (set DEVICE_PRIVATE_KEY to reuse it):", wallet.privateKey);
+    }
+
+    const name = process.env.DEVICE_ID || `sim-${wallet.address.slice(2, 10).toLowerCase()}`;
+    const domain = attestationDomain(contractAddress, intFromEnv("DEVICE_CHAIN_ID", 31337));
+    const device = new SensorDevice({ deviceId: name, signer: wallet, domain });
+
+    const readings = generateReadings({
+        scenario,
+        count: intFromEnv("DEVICE_READINGS", 6),
+        intervalMinutes: intFromEnv("DEVICE_INTERVAL_MINUTES", 1),
+        seed: process.env.DEVICE_SEED ? Number(process.env.DEVICE_SEED) : Math.floor(Math.random() * 2 ** 32),
+        now: Math.floor(Date.now() / 1000)
+    });
+    const signed = await device.signAll(readings.map(reading => ({ ...reading, batchId })));
+    signed.forEach(reading => console.log(JSON.stringify(reading)));
+
+    console.error(`✍️  Device "${name}" signed ${signed.length} readings for batch ${batchId}`);
+    console.error("   Device ID:", device.deviceId);
+    console.error("   Signer:   ", wallet.address);
+    console.error("   A Traceability admin registers it with:");
+    console.error(`   sensorAttestations.registerDevice("${device.deviceId}", "${wallet.address}", "${SCENARIOS[scenario].location}")`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("\n❌ Device simulator failed:", error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { generateReadings };
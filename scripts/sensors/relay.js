@@ -0,0 +1,235 @@
+// scripts/sensors/relay.js
+/**
+ * FROST-CHAIN Sensor Attestation Relay
+ *
+ * Submits readings that devices signed (see attestation.js and device.js) to
+ * the SensorAttestations contract. The relay holds no role and is not
+ * trusted: the contract checks every signature against its device registry.
+ * Before sending, readings are grouped by batch, put in timestamp order and
+ * checked the same way, so readings the contract would skip (unknown or
+ * revoked device, bad signature, replayed, or a timestamp Traceability
+ * would refuse) are reported instead of paying gas for them.
+ * Usage: npm run relay (or npx hardhat run scripts/sensors/relay.js --network localhost)
+ *
+ * Environment variables:
+ * - RELAY_FILE: Signed readings, as a JSON array or one JSON object per line (required)
+ * - ATTESTATIONS_ADDRESS: SensorAttestations contract (default from deployments/<network>-deployment.json)
+ * - RELAY_ACCOUNT_INDEX: Which of ethers.getSigners() pays for the transactions (default 0)
+ * - RELAY_MAX_READINGS_PER_TX: Readings per relayReadings transaction (default 25)
+ */
+
+const fs = require("fs");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { REJECTION_REASONS, attestationDomain, recoverReadingSigner, toDeviceId } = require("./attestation");
+const { ORACLE_ABI } = require("../oracle/bridge");
+const { loadDeployment } = require("../lib/deployment");
+
+const RELAY_ABI = [
+    "function relayReadings(uint256 batchId, tuple(uint256 batchId, int256 temperature, string location, uint256 timestamp, bytes32 deviceId, bytes signature)[] readings)",
+    "function getDevice(bytes32 deviceId) view returns (tuple(address signer, bool active, address registeredBy, uint64 registeredAt, string label))",
+    "function lastAttestedAt(uint256 batchId, bytes32 deviceId) view returns (uint256)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "function traceability() view returns (address)",
+    "event ReadingAttested(uint256 indexed batchId, bytes32 indexed deviceId, address indexed relayer, uint256 timestamp, string location, int256 temperature)",
+    "event AttestationRejected(uint256 indexed batchId, bytes32 indexed deviceId, uint8 indexed reason, address relayer, uint256 timestamp, int256 temperature)"
+];
+
+/**
+ * Parse a file of signed readings: a JSON array, or one JSON object per line
+ */
+function parseSignedReadings(text) {
+    const trimmed = text.trim();
+    if (trimmed === "") {
+        return [];
+    }
+    if (trimmed.startsWith("[")) {
+        return JSON.parse(trimmed);
+    }
+    return trimmed.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== "" && !line.startsWith("#"))
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * Check readings the way relayReadings will, in the order they will be sent
+ * @returns {Promise<{valid: object[], rejected: Array<{reading: object, reason: string}>}>}
+ */
+async function checkSignedReadings(contract, batchId, readings) {
+    const [, , , chainId, verifyingContract] = await contract.eip712Domain();
+    const domain = attestationDomain(verifyingContract, chainId);
+
+    const traceability = new ethers.Contract(await contract.traceability(), ORACLE_ABI, contract.runner);
+    const [batch, lastAccepted, tolerance, latest] = await Promise.all([
+        traceability.getBatchInfo(batchId),
+        traceability.lastOracleReadingAt(batchId),
+        traceability.ORACLE_CLOCK_TOLERANCE(),
+        contract.runner.provider.getBlock("latest")
+    ]);
+    const createdAt = Number(batch.creationTimestamp);
+    // An idle dev chain's last block can be far behind the next one
+    const latestAllowed = Math.max(latest.timestamp, Math.floor(Date.now() / 1000)) + Number(tolerance);
+    let lastReadingAt = Number(lastAccepted);
+
+    const devices = new Map();
+    const lastAttested = new Map();
+    const valid = [];
+    const rejected = [];
+
+    for (const reading of readings) {
+        const deviceId = toDeviceId(reading.deviceId);
+        if (!devices.has(deviceId)) {
+            const [device, last] = await Promise.all([
+                contract.getDevice(deviceId),
+                contract.lastAttestedAt(batchId, deviceId)
+            ]);
+            devices.set(deviceId, device);
+            lastAttested.set(deviceId, Number(last));
+        }
+
+        const device = devices.get(deviceId);
+        let reason = 0;
+        if (!device.active) {
+            reason = 2;
+        } else {
+            let signer = null;
+            try {
+                signer = recoverReadingSigner(domain, reading);
+            } catch (error) {
+                // Malformed signature
+            }
+            const timestamp = Number(reading.timestamp);
+            if (signer !== device.signer) {
+                reason = 3;
+            } else if (timestamp <= lastAttested.get(deviceId)) {
+                reason = 4;
+            } else if (timestamp < createdAt) {
+                reason = 5;
+            } else if (timestamp > latestAllowed) {
+                reason = 6;
+            } else if (timestamp < lastReadingAt) {
+                reason = 7;
+            }
+        }
+
+        if (reason) {
+            rejected.push({ reading, reason: REJECTION_REASONS[reason] });
+        } else {
+            valid.push(reading);
+            lastAttested.set(deviceId, Number(reading.timestamp));
+            lastReadingAt = Number(reading.timestamp);
+        }
+    }
+
+    return { valid, rejected };
+}
+
+/**
+ * Relay signed readings, one batch at a time and oldest first
+ * @param {object} options
+ * @param {import("ethers").Contract} options.contract SensorAttestations with RELAY_ABI, connected to the relayer
+ * @param {object[]} options.readings Signed readings from signReading
+ * @param {number} [options.maxReadingsPerTx=25]
+ * @returns {Promise<{transactions: number, relayed: number, rejected: Array<{reading: object, reason: string}>}>}
+ */
+async function relayAttestations({ contract, readings, maxReadingsPerTx = 25 }) {
+    const result = { transactions: 0, relayed: 0, rejected: [] };
+
+    const byBatch = new Map();
+    for (const reading of readings) {
+        const batchId = String(reading.batchId);
+        if (!byBatch.has(batchId)) {
+            byBatch.set(batchId, []);
+        }
+        byBatch.get(batchId).push(reading);
+    }
+
+    for (const [batchId, batchReadings] of byBatch) {
+        batchReadings.sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+        const { valid, rejected } = await checkSignedReadings(contract, batchId, batchReadings);
+        result.rejected.push(...rejected);
+
+        for (let start = 0; start < valid.length; start += maxReadingsPerTx) {
+            const chunk = valid.slice(start, start + maxReadingsPerTx);
+            const tx = await contract.relayReadings(batchId, chunk.map(reading => ({
+                batchId: reading.batchId,
+                temperature: reading.temperature,
+                location: reading.location,
+                timestamp: reading.timestamp,
+                deviceId: toDeviceId(reading.deviceId),
+                signature: reading.signature
+            })));
+            const receipt = await tx.wait();
+            result.transactions++;
+
+            // The contract has the final say, e.g. after another relayer got in first
+            for (const log of receipt.logs) {
+                const parsed = contract.interface.parseLog(log);
+                if (!parsed) continue;
+
+                if (parsed.name === "ReadingAttested") {
+                    result.relayed++;
+                } else if (parsed.name === "AttestationRejected") {
+                    result.rejected.push({
+                        reading: { batchId, deviceId: parsed.args.deviceId, temperature: Number(parsed.args.temperature), timestamp: Number(parsed.args.timestamp) },
+                        reason: REJECTION_REASONS[Number(parsed.args.reason)]
+                    });
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+async function main() {
+    console.log("\n=== FROST-CHAIN SENSOR ATTESTATION RELAY ===\n");
+
+    const deployment = loadDeployment(hre.network.name);
+    const address = process.env.ATTESTATIONS_ADDRESS || (deployment && deployment.sensorAttestationsAddress);
+    const file = process.env.RELAY_FILE;
+    const maxReadingsPerTx = Number(process.env.RELAY_MAX_READINGS_PER_TX || 25);
+    if (!address || !file) {
+        console.error("❌ Set RELAY_FILE, and ATTESTATIONS_ADDRESS if there is no deployment file.");
+        process.exit(1);
+    }
+    if (!Number.isInteger(maxReadingsPerTx) || maxReadingsPerTx < 1) {
+        console.error("❌ RELAY_MAX_READINGS_PER_TX must be a positive integer, got", process.env.RELAY_MAX_READINGS_PER_TX);
+        process.exit(1);
+    }
+
+    const signers = await ethers.getSigners();
+    const relayer = signers[Number(process.env.RELAY_ACCOUNT_INDEX || 0)];
+    const contract = new ethers.Contract(address, RELAY_ABI, relayer);
+    const readings = parseSignedReadings(fs.readFileSync(file, "utf8"));
+
+    console.log("Relayer:", relayer.address);
+    console.log("SensorAttestations:", address);
+    console.log("Signed readings:", readings.length);
+
+    const result = await relayAttestations({ contract, readings, maxReadingsPerTx });
+
+    for (const { reading, reason } of result.rejected) {
+        console.warn(`⚠️  Batch ${reading.batchId}: skipped reading at ${reading.timestamp}, ${reason}`);
+    }
+    console.log(`📡 Relayed ${result.relayed} readings in ${result.transactions} transactions, ${result.rejected.length} skipped`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("\n❌ Relay failed:");
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = { RELAY_ABI, parseSignedReadings, checkSignedReadings, relayAttestations };
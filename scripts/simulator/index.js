@@ -0,0 +1,403 @@
+// scripts/simulator/index.js
+/**
+ * FROST-CHAIN Cold-Chain Simulator
+ *
+ * Drives N batches through the real custody path with generated sensor
+ * traces, for demos and load testing:
+ * 1. The processor creates each batch and keeps it in its freezer
+ * 2. It hands the batch to a distributor's reefer truck (proposeTransfer / acceptTransfer)
+ * 3. The distributor hands it to a retailer's display cabinet
+ * Readings for each leg go in through submitOracleReadings (via the oracle
+ * bridge) or, with SIM_READINGS=trace, as the owner's addTraceEvent calls.
+ * Chain time is moved forward through every leg, so this needs a Hardhat
+ * network. A batch that ends up compromised stays with its holder, and the
+ * closing report says which reading broke it and what caused it.
+ * Usage: npm run simulate (or npx hardhat run scripts/simulator/index.js --network localhost)
+ *
+ * Accounts from ethers.getSigners(): #0 admin and processor, #1 distributor,
+ * #2 retailer, #3 oracle. Missing roles are granted by #0.
+ *
+ * Environment variables:
+ * - CONTRACT_ADDRESS: The deployed contract (default from deployments/<network>-deployment.json;
+ *   the in-process hardhat network deploys a fresh one)
+ * - SIM_BATCHES: Number of batches (default 5)
+ * - SIM_SEED: Seed for the traces; the same seed replays the same run (default random)
+ * - SIM_INTERVAL_MINUTES: Minutes between readings (default 10)
+ * - SIM_DOOR_OPEN_RATE: Multiplier on each unit's door openings (default 1)
+ * - SIM_COMPRESSOR_FAILURE_CHANCE: Chance per batch and leg of a compressor failure (default 0.1)
+ * - SIM_DRIFT: Most degrees a thermostat drifts warm over a leg (default 2)
+ * - SIM_READINGS: "oracle" (default) or "trace"
+ * - SIM_PROFILE_ID: Temperature profile for the batches (default the simulator's own, registered on first use)
+ * - SIM_PRODUCT: Product name (default "Frozen Peas")
+ * - SIM_MAX_READINGS_PER_TX: Oracle readings per transaction (default 50)
+ * - SIM_REPORT: Also write the report as JSON to this file
+ */
+
+const fs = require("fs");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { OracleBridge, ORACLE_ABI } = require("../oracle/bridge");
+const { SCENARIOS, LEGS, createRandom, generateLeg } = require("./traces");
+const { loadDeployment } = require("../lib/deployment");
+
+// Frozen food with the slack real cold chains allow for door openings
+const SIMULATOR_PROFILE = {
+    name: "Frozen, simulator (30 min / 6°C excursions)",
+    minTemperature: -40,
+    maxTemperature: -18,
+    maxExcursionMinutes: 30,
+    maxExcursionDegrees: 6
+};
+
+const ROLES = {
+    DISTRIBUTOR_ROLE: ethers.keccak256(ethers.toUtf8Bytes("DISTRIBUTOR_ROLE")),
+    RETAILER_ROLE: ethers.keccak256(ethers.toUtf8Bytes("RETAILER_ROLE")),
+    ORACLE_ROLE: ethers.keccak256(ethers.toUtf8Bytes("ORACLE_ROLE"))
+};
+
+const numberFromEnv = (name, fallback) => {
+    const value = process.env[name];
+    if (value === undefined || value === "") {
+        return fallback;
+    }
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+        throw new Error(`${name} must be a non-negative number, got "${value}"`);
+    }
+    return parsed;
+};
+
+const latestTimestamp = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+/**
+ * Mine a block at `timestamp`, unless the chain is already past it
+ */
+async function travelTo(timestamp) {
+    if (timestamp > await latestTimestamp()) {
+        await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+        await ethers.provider.send("evm_mine", []);
+    }
+}
+
+async function ensureRoles(traceability, admin, accounts, logger) {
+    for (const [roleName, account] of accounts) {
+        if (!(await traceability.hasRole(ROLES[roleName], account.address))) {
+            await (await traceability.connect(admin).grantRole(ROLES[roleName], account.address)).wait();
+            logger.log(`🔑 Granted ${roleName} to ${account.address}`);
+        }
+    }
+}
+
+async function findOrRegisterProfile(traceability, admin) {
+    const count = Number(await traceability.getTemperatureProfileCount());
+    for (let profileId = 1; profileId <= count; profileId++) {
+        const profile = await traceability.getTemperatureProfile(profileId);
+        if (profile.name === SIMULATOR_PROFILE.name && profile.active) {
+            return profileId;
+        }
+    }
+
+    const { name, minTemperature, maxTemperature, maxExcursionMinutes, maxExcursionDegrees } = SIMULATOR_PROFILE;
+    await (await traceability.connect(admin).registerTemperatureProfile(
+        name, minTemperature, maxTemperature, maxExcursionMinutes, maxExcursionDegrees
+    )).wait();
+    return Number(await traceability.getTemperatureProfileCount());
+}
+
+/**
+ * Record one leg's readings with the owner's addTraceEvent, each in a block
+ * at the reading's own time
+ */
+async function sendTraceReadings(traceability, owner, readings) {
+    let lastTimestamp = await latestTimestamp();
+    for (const reading of readings.sort((a, b) => a.timestamp - b.timestamp)) {
+        lastTimestamp = Math.max(reading.timestamp, lastTimestamp + 1);
+        await ethers.provider.send("evm_setNextBlockTimestamp", [lastTimestamp]);
+        await (await traceability.connect(owner).addTraceEvent(
+            reading.batchId, reading.location, reading.temperature, "Sensor reading"
+        )).wait();
+    }
+}
+
+/**
+ * Explain why a batch was compromised from its Compromised log, the
+ * excursion that led to it and the incidents the simulator injected
+ */
+function explainCompromise(batch, compromised, excursionStart, profile) {
+    const timestamp = Number(compromised.args.timestamp);
+    const temperature = Number(compromised.args.temperature);
+    const leg = batch.legs.find(l => timestamp >= l.startTime && timestamp <= l.endTime) || batch.legs[batch.legs.length - 1];
+    const maxTemperature = Number(profile.maxTemperature);
+    const minTemperature = Number(profile.minTemperature);
+    const deviation = temperature > maxTemperature ? temperature - maxTemperature : minTemperature - temperature;
+
+    const breach = deviation > Number(profile.maxExcursionDegrees)
+        ? `reading of ${temperature}°C, ${deviation}°C past the limit`
+        : `out of range for ${Math.round((timestamp - excursionStart) / 60)} min`;
+
+    // The incident most likely to blame: a compressor failure, else the last door opening or drift before the excursion ended it
+    const candidates = batch.incidents.filter(incident =>
+        incident.leg === leg.scenario && incident.timestamp <= timestamp && incident.timestamp >= excursionStart - 3600
+    );
+    const cause = candidates.find(incident => incident.type === "compressor-failure") ||
+        candidates[candidates.length - 1] ||
+        batch.incidents.find(incident => incident.leg === leg.scenario && incident.type === "drift");
+
+    return {
+        leg: SCENARIOS[leg.scenario].label,
+        timestamp,
+        temperature,
+        breach,
+        cause: cause ? cause.detail : "sensor noise around the limit"
+    };
+}
+
+async function buildReport(traceability, batches, fromBlock, stats) {
+    const compromisedLogs = await traceability.queryFilter(traceability.filters.Compromised(), fromBlock);
+    const excursionLogs = await traceability.queryFilter(traceability.filters.TemperatureExcursion(), fromBlock);
+
+    const report = [];
+    for (const batch of batches) {
+        const info = await traceability.getBatchInfo(batch.batchId);
+        const excursions = excursionLogs.filter(log => log.args.batchId.toString() === batch.batchId);
+        const entry = {
+            batchId: batch.batchId,
+            holder: batch.holder,
+            compromised: info.isCompromised,
+            excursions: excursions.filter(log => Number(log.args.phase) === 0).length,
+            incidents: batch.incidents.length
+        };
+
+        const compromised = compromisedLogs.find(log => log.args.batchId.toString() === batch.batchId);
+        if (compromised) {
+            const started = excursions
+                .filter(log => Number(log.args.phase) === 0 && log.args.timestamp <= compromised.args.timestamp)
+                .pop();
+            const excursionStart = started ? Number(started.args.timestamp) : Number(compromised.args.timestamp);
+            const profile = await traceability.getBatchTemperatureProfile(batch.batchId);
+            entry.reason = explainCompromise(batch, compromised, excursionStart, profile);
+        }
+        report.push(entry);
+    }
+
+    return { ...stats, batches: report };
+}
+
+function printReport(report) {
+    const compromised = report.batches.filter(batch => batch.compromised);
+
+    console.log("\n=== SIMULATION REPORT ===\n");
+    console.log(`Seed: ${report.seed} | Readings: ${report.readings} via ${report.mode} | Transactions: ${report.transactions} | ${report.seconds.toFixed(1)} s`);
+    console.table(report.batches.map(batch => ({
+        batch: batch.batchId,
+        holder: batch.holder,
+        compromised: batch.compromised ? "❌" : "✅",
+        excursions: batch.excursions,
+        incidents: batch.incidents
+    })));
+
+    if (compromised.length === 0) {
+        console.log("✅ No batch was compromised");
+        return;
+    }
+    console.log(`❌ ${compromised.length} of ${report.batches.length} batches compromised:`);
+    for (const batch of compromised) {
+        const { leg, timestamp, breach, cause } = batch.reason;
+        console.log(`   Batch ${batch.batchId} (${leg}, ${new Date(timestamp * 1000).toISOString()}): ${breach}; ${cause}`);
+    }
+}
+
+/**
+ * Run a simulation against a deployed contract
+ * @param {object} options
+ * @param {import("ethers").Contract} options.traceability
+ * @param {object} options.accounts {processor, distributor, retailer, oracle} signers; the processor must be an admin
+ * @param {object} [options.logger=console] Where progress is written, also handed to the oracle bridge
+ * @returns {Promise<object>} The report
+ */
+async function runSimulation({
+    traceability,
+    accounts: { processor, distributor, retailer, oracle },
+    batchCount = 5,
+    seed = Math.floor(Math.random() * 2 ** 32),
+    intervalMinutes = 10,
+    doorOpenRate = 1,
+    compressorFailureChance = 0.1,
+    maxDrift = 2,
+    mode = "oracle",
+    profileId,
+    productName = "Frozen Peas",
+    maxReadingsPerTx = 50,
+    logger = console
+}) {
+    if (!["oracle", "trace"].includes(mode)) {
+        throw new Error(`Readings mode must be "oracle" or "trace", got "${mode}"`);
+    }
+    const startedAt = Date.now();
+    const random = createRandom(seed);
+    const stats = { seed, mode, readings: 0, transactions: 0 };
+    const fromBlock = await ethers.provider.getBlockNumber();
+
+    await ensureRoles(traceability, processor, [
+        ["DISTRIBUTOR_ROLE", distributor],
+        ["RETAILER_ROLE", retailer],
+        ["ORACLE_ROLE", oracle]
+    ], logger);
+    profileId = profileId || await findOrRegisterProfile(traceability, processor);
+
+    const send = async (txPromise) => {
+        const receipt = await (await txPromise).wait();
+        stats.transactions++;
+        return receipt;
+    };
+
+    logger.log(`📦 Creating ${batchCount} batches with profile ${profileId}...`);
+    const batches = [];
+    for (let i = 1; i <= batchCount; i++) {
+        const receipt = await send(traceability.connect(processor).createBatchWithProfile(
+            `${productName} #${i}`, `Simulated lot, seed ${seed}`, profileId, 100, "cases"
+        ));
+        const created = receipt.logs
+            .map(log => traceability.interface.parseLog(log))
+            .find(log => log && log.name === "BatchCreated");
+        batches.push({ batchId: created.args.batchId.toString(), holder: "processor", legs: [], incidents: [], temperature: undefined });
+    }
+
+    const bridge = mode === "oracle"
+        ? await new OracleBridge({
+            contract: new ethers.Contract(await traceability.getAddress(), ORACLE_ABI, new ethers.NonceManager(oracle)),
+            maxReadingsPerTx,
+            logger
+        }).init()
+        : null;
+    const holders = { freezer: ["processor", processor], reefer: ["distributor", distributor], cabinet: ["retailer", retailer] };
+
+    for (const [legIndex, scenarioName] of LEGS.entries()) {
+        const scenario = SCENARIOS[scenarioName];
+        const [holderName, holder] = holders[scenarioName];
+        const active = [];
+
+        for (const batch of batches) {
+            if ((await traceability.getBatchInfo(batch.batchId)).isCompromised) {
+                continue;
+            }
+            if (legIndex > 0) {
+                const [, from] = holders[LEGS[legIndex - 1]];
+                await send(traceability.connect(from).proposeTransfer(batch.batchId, holder.address, `Handover to ${scenario.label}`));
+                await send(traceability.connect(holder).acceptTransfer(
+                    batch.batchId, scenario.location, batch.temperature, "Received"
+                ));
+                batch.holder = holderName;
+            }
+            active.push(batch);
+        }
+        if (active.length === 0) {
+            break;
+        }
+
+        logger.log(`🌡️  ${scenario.label}: ${active.length} batches for ${scenario.hours} h`);
+        const startTime = await latestTimestamp() + 60;
+        let endTime = startTime;
+        const readings = [];
+
+        for (const batch of active) {
+            const leg = generateLeg(scenarioName, {
+                startTime,
+                random,
+                intervalMinutes,
+                doorOpenRate,
+                compressorFailureChance,
+                maxDrift,
+                startTemperature: batch.temperature
+            });
+            batch.legs.push({ scenario: scenarioName, startTime, endTime: leg.endTime });
+            batch.incidents.push(...leg.incidents.map(incident => ({ ...incident, leg: scenarioName })));
+            batch.temperature = leg.endTemperature;
+            readings.push(...leg.readings.map(reading => ({ ...reading, batchId: batch.batchId })));
+            endTime = Math.max(endTime, leg.endTime);
+        }
+        stats.readings += readings.length;
+
+        if (bridge) {
+            await travelTo(endTime);
+            bridge.ingest(readings);
+            const result = await bridge.flush();
+            stats.transactions += result.transactions;
+            if (bridge.buffer.size() > 0) {
+                throw new Error(`${bridge.buffer.size()} readings could not be submitted: ${bridge.status().lastError}`);
+            }
+        } else {
+            await sendTraceReadings(traceability, holder, readings);
+            stats.transactions += readings.length;
+            await travelTo(endTime);
+        }
+    }
+
+    stats.seconds = (Date.now() - startedAt) / 1000;
+    return buildReport(traceability, batches, fromBlock, stats);
+}
+
+async function main() {
+    console.log("\n=== FROST-CHAIN COLD-CHAIN SIMULATOR ===\n");
+
+    const [processor, distributor, retailer, oracle] = await ethers.getSigners();
+    if (!oracle) {
+        throw new Error("The simulator needs four accounts: admin/processor, distributor, retailer and oracle");
+    }
+
+    let contractAddress = process.env.CONTRACT_ADDRESS;
+    if (!contractAddress && hre.network.name === "hardhat") {
+        const traceability = await (await ethers.getContractFactory("Traceability")).deploy();
+        await traceability.waitForDeployment();
+        contractAddress = await traceability.getAddress();
+        console.log("Deployed a fresh contract on the in-process network");
+    }
+    if (!contractAddress) {
+        const deployment = loadDeployment(hre.network.name);
+        contractAddress = deployment && deployment.contractAddress;
+    }
+    if (!contractAddress) {
+        throw new Error("No contract address. Set CONTRACT_ADDRESS or deploy with scripts/deploy.js first.");
+    }
+
+    const clientVersion = await ethers.provider.send("web3_clientVersion", []);
+    if (!/hardhat/i.test(clientVersion)) {
+        throw new Error(`The simulator moves chain time and needs a Hardhat network, not ${clientVersion}`);
+    }
+
+    console.log("Network:", hre.network.name);
+    console.log("Contract Address:", contractAddress);
+
+    const seedValue = process.env.SIM_SEED;
+    const report = await runSimulation({
+        traceability: await ethers.getContractAt("Traceability", contractAddress),
+        accounts: { processor, distributor, retailer, oracle },
+        batchCount: numberFromEnv("SIM_BATCHES", 5),
+        seed: seedValue ? numberFromEnv("SIM_SEED", 0) : undefined,
+        intervalMinutes: numberFromEnv("SIM_INTERVAL_MINUTES", 10) || 10,
+        doorOpenRate: numberFromEnv("SIM_DOOR_OPEN_RATE", 1),
+        compressorFailureChance: numberFromEnv("SIM_COMPRESSOR_FAILURE_CHANCE", 0.1),
+        maxDrift: numberFromEnv("SIM_DRIFT", 2),
+        mode: process.env.SIM_READINGS || "oracle",
+        profileId: numberFromEnv("SIM_PROFILE_ID", 0) || undefined,
+        productName: process.env.SIM_PRODUCT || "Frozen Peas",
+        maxReadingsPerTx: numberFromEnv("SIM_MAX_READINGS_PER_TX", 50)
+    });
+
+    printReport(report);
+    if (process.env.SIM_REPORT) {
+        fs.writeFileSync(process.env.SIM_REPORT, JSON.stringify(report, null, 2));
+        console.log(`\n📝 Report written to ${process.env.SIM_REPORT}`);
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Simulation failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { runSimulation, SIMULATOR_PROFILE };
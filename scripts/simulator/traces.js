@@ -0,0 +1,160 @@
+// scripts/simulator/traces.js
+/**
+ * FROST-CHAIN Cold-Chain Simulator - Temperature Traces
+ *
+ * Generates believable readings for the three legs of a frozen-food batch's
+ * journey. Each leg is simulated minute by minute: the unit pulls the
+ * temperature back towards its setpoint, door openings add a sudden jump,
+ * a failed compressor lets it climb until the unit recovers, and a drifting
+ * thermostat slowly raises the setpoint. Readings are sampled every
+ * `intervalMinutes` with sensor noise and rounded to whole degrees, as the
+ * contract stores them.
+ */
+
+const SCENARIOS = {
+    freezer: {
+        label: "Processor freezer",
+        location: "Cold Store A",
+        hours: 24,
+        setpoint: -22,
+        noise: 0.4,
+        doorOpensPerHour: 0.5,
+        doorJump: [3, 6],
+        warmingPerMinute: 0.15
+    },
+    reefer: {
+        label: "Reefer truck",
+        location: "Reefer Truck 7",
+        hours: 8,
+        setpoint: -21,
+        noise: 0.7,
+        doorOpensPerHour: 0.25,
+        doorJump: [4, 8],
+        warmingPerMinute: 0.25
+    },
+    cabinet: {
+        label: "Retail cabinet",
+        location: "Store 12 Display Freezer",
+        hours: 12,
+        setpoint: -20,
+        noise: 0.9,
+        doorOpensPerHour: 4,
+        doorJump: [1, 3],
+        warmingPerMinute: 0.2
+    }
+};
+
+// Custody order of the legs
+const LEGS = ["freezer", "reefer", "cabinet"];
+
+// Share of the gap to the setpoint a working unit closes each minute
+const RECOVERY_PER_MINUTE = 0.12;
+
+/**
+ * Small seeded PRNG (mulberry32), so a seed replays the same run
+ * @returns {() => number} Uniform numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const between = (random, [min, max]) => min + random() * (max - min);
+
+/**
+ * Simulate one leg
+ * @param {string} scenarioName Key of SCENARIOS
+ * @param {object} options
+ * @param {number} options.startTime Unix seconds of the first reading
+ * @param {() => number} options.random From createRandom
+ * @param {number} [options.intervalMinutes=10] Minutes between readings
+ * @param {number} [options.doorOpenRate=1] Multiplier on the scenario's door openings
+ * @param {number} [options.compressorFailureChance=0.1] Chance the compressor fails during the leg
+ * @param {number} [options.maxDrift=2] Most degrees the setpoint drifts up by the end of the leg
+ * @param {number} [options.startTemperature] Temperature at the start, e.g. carried over from the last leg
+ * @returns {{readings: Array<{temperature: number, location: string, timestamp: number}>,
+ *            incidents: Array<{type: string, timestamp: number, detail: string}>, endTime: number, endTemperature: number}}
+ */
+function generateLeg(scenarioName, {
+    startTime,
+    random,
+    intervalMinutes = 10,
+    doorOpenRate = 1,
+    compressorFailureChance = 0.1,
+    maxDrift = 2,
+    startTemperature
+}) {
+    const scenario = SCENARIOS[scenarioName];
+    if (!scenario) {
+        throw new Error(`Unknown scenario: ${scenarioName}`);
+    }
+
+    const minutes = scenario.hours * 60;
+    const drift = random() * maxDrift;
+    const incidents = [];
+    if (drift >= 1) {
+        incidents.push({
+            type: "drift",
+            timestamp: startTime,
+            detail: `thermostat drifts ${drift.toFixed(1)}°C warm over the leg`
+        });
+    }
+
+    // Failure window, if any: starts somewhere in the first 80% of the leg
+    let failure = null;
+    if (random() < compressorFailureChance) {
+        const start = Math.floor(random() * minutes * 0.8);
+        failure = { start, end: start + Math.floor(between(random, [45, 150])) };
+        incidents.push({
+            type: "compressor-failure",
+            timestamp: startTime + failure.start * 60,
+            detail: `compressor down for ${failure.end - failure.start} min`
+        });
+    }
+
+    const readings = [];
+    let temperature = startTemperature ?? scenario.setpoint;
+    const doorChance = (scenario.doorOpensPerHour * doorOpenRate) / 60;
+
+    for (let minute = 0; minute < minutes; minute++) {
+        const setpoint = scenario.setpoint + drift * (minute / minutes);
+        if (failure && minute >= failure.start && minute < failure.end) {
+            temperature += scenario.warmingPerMinute;
+        } else {
+            temperature += (setpoint - temperature) * RECOVERY_PER_MINUTE;
+        }
+
+        if (random() < doorChance) {
+            const jump = between(random, scenario.doorJump);
+            temperature += jump;
+            incidents.push({
+                type: "door-open",
+                timestamp: startTime + minute * 60,
+                detail: `door open, +${jump.toFixed(1)}°C`
+            });
+        }
+
+        if (minute % intervalMinutes === 0) {
+            readings.push({
+                temperature: Math.round(temperature + (random() - 0.5) * 2 * scenario.noise),
+                location: scenario.location,
+                timestamp: startTime + minute * 60
+            });
+        }
+    }
+
+    return {
+        readings,
+        incidents,
+        endTime: startTime + minutes * 60,
+        endTemperature: Math.round(temperature)
+    };
+}
+
+module.exports = { SCENARIOS, LEGS, createRandom, generateLeg };
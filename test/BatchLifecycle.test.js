@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { ROLES, deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Batch Lifecycle Tests
+ *
+ * Validates the terminal states that close a batch:
+ * - Retailers sell batches they own, unless compromised
+ * - Owners and admins dispose of batches with a reason
+ * - Distributors and retailers return batches to their processor
+ * - Closed batches reject further readings, transfers and repacking
+ */
+describe("Batch Lifecycle", function () {
+    let traceability;
+    let admin;
+    let processor;
+    let distributor;
+    let retailer;
+    let oracle;
+
+    const STATUS = { CREATED: 0, IN_TRANSIT: 1, DELIVERED: 2, COMPROMISED: 3, SOLD: 4, DISPOSED: 5, RETURNED: 6 };
+
+    const { RETAILER_ROLE } = ROLES;
+
+    // Batch 1, handed from the processor to the distributor and on to the retailer
+    async function lifecycleFixture() {
+        const fixture = await deployTraceabilityFixture();
+        const { traceability, processor, distributor, retailer } = fixture;
+
+        const handOver = async (batchId, from, to) => {
+            await traceability.connect(from).proposeTransfer(batchId, to.address, "Handover");
+            await traceability.connect(to).acceptTransfer(batchId, "Depot", -20, "Received");
+        };
+
+        await traceability.connect(processor).createBatch("Frozen Peas", "Pallet 7", 40, "cases");
+        await handOver(1, processor, distributor);
+        await handOver(1, distributor, retailer);
+        return fixture;
+    }
+
+    beforeEach(async function () {
+        ({ traceability, admin, processor, distributor, retailer, oracle } = await loadFixture(lifecycleFixture));
+    });
+
+    describe("markBatchSold", function () {
+        it("Should let the retailer owning the batch sell it", async function () {
+            await expect(traceability.connect(retailer).markBatchSold(1, "Store 12"))
+                .to.emit(traceability, "BatchClosed")
+                .withArgs(1, retailer.address, STATUS.SOLD, anyValue, "Store 12");
+
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.status).to.equal(STATUS.SOLD);
+            expect(batch.currentOwner).to.equal(retailer.address);
+        });
+
+        it("Should only let retailers sell batches they own", async function () {
+            await expect(traceability.connect(distributor).markBatchSold(1, "")).to.be.reverted;
+
+            await traceability.grantRole(RETAILER_ROLE, distributor.address);
+            await expect(traceability.connect(distributor).markBatchSold(1, ""))
+                .to.be.revertedWith("Only the current owner can sell");
+        });
+
+        it("Should refuse to sell compromised batches", async function () {
+            await traceability.connect(retailer).addTraceEvent(1, "Store 12", -5, "Freezer failure");
+
+            await expect(traceability.connect(retailer).markBatchSold(1, ""))
+                .to.be.revertedWith("Compromised batches cannot be sold");
+        });
+    });
+
+    describe("disposeBatch", function () {
+        it("Should let the owner dispose of a compromised batch", async function () {
+            await traceability.connect(retailer).addTraceEvent(1, "Store 12", -5, "Freezer failure");
+
+            await expect(traceability.connect(retailer).disposeBatch(1, "Thawed in store"))
+                .to.emit(traceability, "BatchClosed")
+                .withArgs(1, retailer.address, STATUS.DISPOSED, anyValue, "Thawed in store");
+
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.status).to.equal(STATUS.DISPOSED);
+            expect(batch.isCompromised).to.be.true;
+        });
+
+        it("Should let an admin dispose of a batch they do not own", async function () {
+            await traceability.connect(admin).disposeBatch(1, "Ordered destroyed");
+            expect((await traceability.getBatchInfo(1)).status).to.equal(STATUS.DISPOSED);
+        });
+
+        it("Should require a reason and the owner or an admin", async function () {
+            await expect(traceability.connect(retailer).disposeBatch(1, ""))
+                .to.be.revertedWith("Disposal reason cannot be empty");
+            await expect(traceability.connect(distributor).disposeBatch(1, "Not mine"))
+                .to.be.revertedWith("Only the current owner or an admin can dispose");
+        });
+
+        it("Should not dispose of sold batches", async function () {
+            await traceability.connect(retailer).markBatchSold(1, "");
+
+            await expect(traceability.connect(admin).disposeBatch(1, "Too late"))
+                .to.be.revertedWith("Batch is closed");
+        });
+    });
+
+    describe("returnToProcessor", function () {
+        it("Should hand the batch back to its processor and close it", async function () {
+            await expect(traceability.connect(retailer).returnToProcessor(1, "Damaged packaging"))
+                .to.emit(traceability, "Handover")
+                .withArgs(1, retailer.address, processor.address, anyValue, STATUS.RETURNED, "Damaged packaging")
+                .and.to.emit(traceability, "BatchClosed")
+                .withArgs(1, retailer.address, STATUS.RETURNED, anyValue, "Damaged packaging");
+
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.currentOwner).to.equal(processor.address);
+            expect(batch.status).to.equal(STATUS.RETURNED);
+
+            // The processor closes it out for good
+            await traceability.connect(processor).disposeBatch(1, "Destroyed at plant");
+            expect((await traceability.getBatchInfo(1)).status).to.equal(STATUS.DISPOSED);
+        });
+
+        it("Should only let distributors and retailers return batches", async function () {
+            await traceability.connect(processor).createBatch("Corn", "Pallet 8", 10, "cases");
+
+            await expect(traceability.connect(processor).returnToProcessor(2, ""))
+                .to.be.revertedWith("Only distributors and retailers can return batches");
+            await expect(traceability.connect(distributor).returnToProcessor(1, ""))
+                .to.be.revertedWith("Only the current owner can return");
+        });
+
+        it("Should not close a batch with a live transfer", async function () {
+            await traceability.connect(retailer).proposeTransfer(1, distributor.address, "Back to depot");
+
+            await expect(traceability.connect(retailer).returnToProcessor(1, ""))
+                .to.be.revertedWith("Batch has a pending transfer");
+
+            // Once the proposal expires it is dropped on closing
+            await time.increase((await traceability.TRANSFER_ACCEPTANCE_PERIOD()) + 1n);
+            await traceability.connect(retailer).returnToProcessor(1, "");
+            expect((await traceability.getPendingTransfer(1)).to).to.equal(ethers.ZeroAddress);
+        });
+    });
+
+    describe("Closed batches", function () {
+        beforeEach(async function () {
+            await traceability.connect(retailer).markBatchSold(1, "Store 12");
+        });
+
+        it("Should reject further readings", async function () {
+            await expect(traceability.connect(retailer).addTraceEvent(1, "Store 12", -20, ""))
+                .to.be.revertedWith("Batch is closed");
+            await expect(traceability.connect(oracle).submitOracleReadings(1, [-20], ["Store 12"], [1700000000]))
+                .to.be.revertedWith("Batch is closed");
+        });
+
+        it("Should reject transfers, repacking and further closing", async function () {
+            await expect(traceability.connect(retailer).proposeTransfer(1, distributor.address, ""))
+                .to.be.revertedWith("Batch is closed");
+            await expect(traceability.connect(retailer).splitBatch(1, "Frozen Peas", [20, 20], ""))
+                .to.be.revertedWith("Batch is closed");
+            await expect(traceability.connect(retailer).returnToProcessor(1, ""))
+                .to.be.revertedWith("Batch is closed");
+            await expect(traceability.connect(retailer).markBatchSold(1, ""))
+                .to.be.revertedWith("Batch is closed");
+        });
+
+        it("Should keep the final status when the batch is recalled", async function () {
+            await traceability.issueRecall("Listeria", "product=Frozen Peas");
+            await traceability.recallBatches(1, [1]);
+
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.status).to.equal(STATUS.SOLD);
+            expect(batch.isCompromised).to.be.true;
+
+            // The retailer still confirms the notice
+            await expect(traceability.connect(retailer).acknowledgeRecall(1))
+                .to.emit(traceability, "RecallAcknowledged");
+        });
+    });
+});
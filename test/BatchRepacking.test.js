@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { ROLES, deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Batch Repacking Tests
+ *
+ * Validates splitting and merging batches at distribution centers:
+ * - Quantity and unit on createBatch
+ * - splitBatch children sum to the parent and inherit its processor and cold-chain state
+ * - mergeBatches requires a shared profile, unit and processor and inherits compromise
+ * - Parent/child lineage and the freeze on repacked batches
+ */
+describe("Batch Repacking", function () {
+    let traceability;
+    let processor;
+    let distributor;
+    let unauthorized;
+
+    const { PROCESSOR_ROLE } = ROLES;
+
+    async function repackingFixture() {
+        const fixture = await deployTraceabilityFixture();
+        const { traceability, processor, distributor } = fixture;
+
+        // Batch 1: a pallet of 40 cases, handed to the distributor
+        await traceability.connect(processor).createBatch("Frozen Peas", "Pallet 7", 40, "cases");
+        await traceability.connect(processor).proposeTransfer(1, distributor.address, "Truck 4");
+        await traceability.connect(distributor).acceptTransfer(1, "Depot", -20, "Received");
+        return fixture;
+    }
+
+    beforeEach(async function () {
+        ({ traceability, processor, distributor, others: [unauthorized] } = await loadFixture(repackingFixture));
+    });
+
+    describe("Quantity and Unit", function () {
+        it("Should store the quantity and unit given to createBatch", async function () {
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.quantity).to.equal(40);
+            expect(batch.unit).to.equal("cases");
+            expect(batch.isRepacked).to.be.false;
+        });
+
+        it("Should reject a zero quantity or an empty unit", async function () {
+            await expect(
+                traceability.connect(processor).createBatch("Frozen Peas", "Pallet 8", 0, "cases")
+            ).to.be.revertedWith("Quantity must be positive");
+
+            await expect(
+                traceability.connect(processor).createBatch("Frozen Peas", "Pallet 8", 40, "")
+            ).to.be.revertedWith("Unit cannot be empty");
+        });
+    });
+
+    describe("splitBatch", function () {
+        it("Should create child batches owned by the splitter with the given quantities", async function () {
+            await expect(traceability.connect(distributor).splitBatch(1, "Frozen Peas", [10, 30], "Store orders"))
+                .to.emit(traceability, "BatchSplit")
+                .withArgs(1, distributor.address, anyValue, [2, 3], [10, 30], "Store orders")
+                .and.to.emit(traceability, "BatchCreated")
+                .withArgs(3, processor.address, 1, anyValue, "Frozen Peas", "Store orders");
+
+            const child = await traceability.getBatchInfo(2);
+            expect(child.quantity).to.equal(10);
+            expect(child.unit).to.equal("cases");
+            expect(child.currentOwner).to.equal(distributor.address);
+            // Returns and recalls still reach the processor the product came from
+            expect(child.processor).to.equal(processor.address);
+            expect(child.status).to.equal(1); // IN_TRANSIT, like the parent
+            expect(child.profileId).to.equal(1);
+            expect((await traceability.getBatchInfo(3)).quantity).to.equal(30);
+        });
+
+        it("Should return a child to the parent's processor, not the splitter", async function () {
+            await traceability.connect(distributor).splitBatch(1, "Frozen Peas", [10, 30], "Store orders");
+            await traceability.connect(distributor).returnToProcessor(2, "Damaged cases");
+
+            expect((await traceability.getBatchInfo(2)).currentOwner).to.equal(processor.address);
+        });
+
+        it("Should link parent and children and mark the parent repacked", async function () {
+            await traceability.connect(distributor).splitBatch(1, "Frozen Peas", [10, 30], "Store orders");
+
+            expect(await traceability.getChildBatchIds(1)).to.deep.equal([2n, 3n]);
+            expect(await traceability.getParentBatchIds(2)).to.deep.equal([1n]);
+            expect(await traceability.getParentBatchIds(1)).to.deep.equal([]);
+            expect((await traceability.getBatchInfo(1)).isRepacked).to.be.true;
+        });
+
+        it("Should require child quantities to sum to the parent", async function () {
+            await expect(
+                traceability.connect(distributor).splitBatch(1, "Frozen Peas", [10, 20], "Short")
+            ).to.be.revertedWith("Child quantities must sum to the parent quantity");
+
+            await expect(
+                traceability.connect(distributor).splitBatch(1, "Frozen Peas", [0, 40], "Empty case")
+            ).to.be.revertedWith("Quantity must be positive");
+
+            await expect(
+                traceability.connect(distributor).splitBatch(1, "Frozen Peas", [40], "One child")
+            ).to.be.revertedWith("Split needs 2 to 50 child batches");
+        });
+
+        it("Should only allow the current owner to split", async function () {
+            await expect(
+                traceability.connect(unauthorized).splitBatch(1, "Frozen Peas", [10, 30], "Store orders")
+            ).to.be.revertedWith("Only the current owner can repack");
+        });
+
+        it("Should pass compromise and open excursions on to the children", async function () {
+            await traceability.connect(distributor).addTraceEvent(1, "Depot", -10, "Door left open");
+            await traceability.connect(distributor).splitBatch(1, "Frozen Peas", [10, 30], "Store orders");
+
+            const child = await traceability.getBatchInfo(2);
+            expect(child.isCompromised).to.be.true;
+            expect(child.status).to.equal(3); // COMPROMISED
+            expect(child.excursionStartedAt).to.equal((await traceability.getBatchInfo(1)).excursionStartedAt);
+        });
+
+        it("Should freeze the parent once it is repacked", async function () {
+            await traceability.connect(distributor).splitBatch(1, "Frozen Peas", [10, 30], "Store orders");
+
+            await expect(
+                traceability.connect(distributor).addTraceEvent(1, "Depot", -20, "Check")
+            ).to.be.revertedWith("Batch has been repacked");
+            await expect(
+                traceability.connect(distributor).proposeTransfer(1, processor.address, "Return")
+            ).to.be.revertedWith("Batch has been repacked");
+            await expect(
+                traceability.connect(distributor).splitBatch(1, "Frozen Peas", [20, 20], "Again")
+            ).to.be.revertedWith("Batch has been repacked");
+        });
+    });
+
+    describe("mergeBatches", function () {
+        beforeEach(async function () {
+            // Batches 2 and 3: cases from the pallet
+            await traceability.connect(distributor).splitBatch(1, "Frozen Peas", [10, 30], "Store orders");
+        });
+
+        it("Should create a batch holding the total quantity", async function () {
+            await traceability.connect(processor).createBatch("Frozen Corn", "Pallet 9", 5, "cases");
+            await traceability.connect(processor).proposeTransfer(4, distributor.address, "Truck 4");
+            await traceability.connect(distributor).acceptTransfer(4, "Depot", -20, "Received");
+
+            await expect(traceability.connect(distributor).mergeBatches([2, 4], "Mixed Vegetables", "Mixed pallet"))
+                .to.emit(traceability, "BatchMerged")
+                .withArgs(4, distributor.address, 5, anyValue, "Mixed pallet")
+                .and.to.emit(traceability, "BatchCreated")
+                .withArgs(5, processor.address, 1, anyValue, "Mixed Vegetables", "Mixed pallet");
+
+            const merged = await traceability.getBatchInfo(5);
+            expect(merged.processor).to.equal(processor.address);
+            expect(merged.currentOwner).to.equal(distributor.address);
+            expect(merged.quantity).to.equal(15);
+            expect(merged.unit).to.equal("cases");
+            expect(merged.status).to.equal(1); // IN_TRANSIT, like the first batch
+            expect(await traceability.getParentBatchIds(5)).to.deep.equal([2n, 4n]);
+            expect(await traceability.getChildBatchIds(4)).to.deep.equal([5n]);
+            expect((await traceability.getBatchInfo(2)).isRepacked).to.be.true;
+        });
+
+        it("Should compromise the merged batch if any merged batch is compromised", async function () {
+            await traceability.connect(distributor).addTraceEvent(3, "Depot", -10, "Door left open");
+            await traceability.connect(distributor).mergeBatches([2, 3], "Frozen Peas", "Consolidated");
+
+            expect(await traceability.isBatchCompromised(4)).to.be.true;
+        });
+
+        it("Should reject batches with different units or profiles", async function () {
+            // The depot packs some product itself
+            await traceability.grantRole(PROCESSOR_ROLE, distributor.address);
+            await traceability.connect(distributor).createBatch("Frozen Peas", "Loose", 12, "kg");
+            await expect(
+                traceability.connect(distributor).mergeBatches([2, 4], "Frozen Peas", "Mixed units")
+            ).to.be.revertedWith("Merged batches must share a unit");
+
+            await traceability.registerTemperatureProfile("Chilled", 0, 4, 30, 0);
+            await traceability.connect(distributor).createBatchWithProfile("Butter", "Lot 2", 2, 3, "cases");
+            await expect(
+                traceability.connect(distributor).mergeBatches([2, 5], "Mixed", "Mixed profiles")
+            ).to.be.revertedWith("Merged batches must share a temperature profile");
+        });
+
+        it("Should reject batches from different processors", async function () {
+            // The depot packs the same product itself
+            await traceability.grantRole(PROCESSOR_ROLE, distributor.address);
+            await traceability.connect(distributor).createBatch("Frozen Peas", "Depot pack", 6, "cases");
+
+            await expect(
+                traceability.connect(distributor).mergeBatches([2, 4], "Frozen Peas", "Mixed sources")
+            ).to.be.revertedWith("Merged batches must share a processor");
+        });
+
+        it("Should reject duplicate, foreign and repacked batches", async function () {
+            await expect(
+                traceability.connect(distributor).mergeBatches([2, 2], "Frozen Peas", "Twice")
+            ).to.be.revertedWith("Batch has been repacked");
+
+            await expect(
+                traceability.connect(unauthorized).mergeBatches([2, 3], "Frozen Peas", "Not mine")
+            ).to.be.revertedWith("Only the current owner can repack");
+
+            await expect(
+                traceability.connect(distributor).mergeBatches([1, 2], "Frozen Peas", "Parent again")
+            ).to.be.revertedWith("Batch has been repacked");
+
+            await expect(
+                traceability.connect(distributor).mergeBatches([2, 99], "Frozen Peas", "Unknown")
+            ).to.be.revertedWith("Batch does not exist");
+        });
+    });
+});
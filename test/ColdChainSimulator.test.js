@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { SCENARIOS, createRandom, generateLeg } = require("../scripts/simulator/traces");
+const { runSimulation, SIMULATOR_PROFILE } = require("../scripts/simulator");
+const { deploy } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Cold-Chain Simulator Tests
+ *
+ * - Traces are reproducible from a seed and react to the injected incidents
+ * - Simulated batches travel the custody path on the in-process Hardhat network
+ * - The report matches the contract's compromise flags and names the cause
+ */
+describe("Cold-Chain Simulator", function () {
+    const START = 1760000000;
+
+    describe("Traces", function () {
+        it("Should replay the same trace from the same seed", function () {
+            const options = { startTime: START, intervalMinutes: 15, compressorFailureChance: 0.5 };
+            const first = generateLeg("reefer", { ...options, random: createRandom(11) });
+            const second = generateLeg("reefer", { ...options, random: createRandom(11) });
+
+            expect(second).to.deep.equal(first);
+            expect(first.readings).to.have.length((SCENARIOS.reefer.hours * 60) / 15);
+            expect(first.readings[1].timestamp - first.readings[0].timestamp).to.equal(15 * 60);
+            expect(first.endTime).to.equal(START + SCENARIOS.reefer.hours * 3600);
+        });
+
+        it("Should hold the setpoint without incidents and warm up when the compressor fails", function () {
+            const quiet = generateLeg("freezer", {
+                startTime: START,
+                random: createRandom(5),
+                doorOpenRate: 0,
+                compressorFailureChance: 0,
+                maxDrift: 0
+            });
+            expect(quiet.incidents).to.have.length(0);
+            quiet.readings.forEach(reading => {
+                expect(reading.temperature).to.be.within(SCENARIOS.freezer.setpoint - 1, SCENARIOS.freezer.setpoint + 1);
+            });
+
+            const failing = generateLeg("freezer", {
+                startTime: START,
+                random: createRandom(5),
+                doorOpenRate: 0,
+                compressorFailureChance: 1,
+                maxDrift: 0
+            });
+            expect(failing.incidents.map(incident => incident.type)).to.deep.equal(["compressor-failure"]);
+            const warmest = Math.max(...failing.readings.map(reading => reading.temperature));
+            expect(warmest).to.be.greaterThan(SCENARIOS.freezer.setpoint + 5);
+        });
+    });
+
+    describe("Custody Path", function () {
+        let traceability;
+        let accounts;
+
+        const silent = { log() {}, warn() {}, error() {} };
+
+        // A bare deployment; the simulator grants the roles it needs
+        async function simulatorFixture() {
+            const [processor, distributor, retailer, oracle] = await ethers.getSigners();
+            const traceability = await deploy("Traceability");
+            return { traceability, accounts: { processor, distributor, retailer, oracle } };
+        }
+
+        beforeEach(async function () {
+            ({ traceability, accounts } = await loadFixture(simulatorFixture));
+        });
+
+        it("Should hand healthy batches on to the retailer", async function () {
+            const report = await runSimulation({
+                traceability,
+                accounts,
+                logger: silent,
+                batchCount: 2,
+                seed: 1,
+                intervalMinutes: 60,
+                doorOpenRate: 0,
+                compressorFailureChance: 0,
+                maxDrift: 0
+            });
+
+            expect(report.batches.map(batch => batch.compromised)).to.deep.equal([false, false]);
+            for (const batch of report.batches) {
+                const info = await traceability.getBatchInfo(batch.batchId);
+                expect(batch.holder).to.equal("retailer");
+                expect(info.currentOwner).to.equal(accounts.retailer.address);
+                expect((await traceability.getBatchTemperatureProfile(batch.batchId)).name).to.equal(SIMULATOR_PROFILE.name);
+            }
+            const readings = await traceability.queryFilter(traceability.filters.OracleReading());
+            expect(readings).to.have.length(report.readings);
+        });
+
+        it("Should report compromised batches with the reading and incident behind them", async function () {
+            const report = await runSimulation({
+                traceability,
+                accounts,
+                logger: silent,
+                batchCount: 2,
+                seed: 2,
+                intervalMinutes: 30,
+                doorOpenRate: 0,
+                compressorFailureChance: 1,
+                maxDrift: 0,
+                mode: "trace"
+            });
+
+            for (const batch of report.batches) {
+                const info = await traceability.getBatchInfo(batch.batchId);
+                expect(batch.compromised).to.equal(true);
+                expect(info.isCompromised).to.equal(true);
+                // Compromised batches stay in the freezer
+                expect(batch.holder).to.equal("processor");
+                expect(info.currentOwner).to.equal(accounts.processor.address);
+                expect(batch.reason.leg).to.equal(SCENARIOS.freezer.label);
+                expect(batch.reason.cause).to.match(/^compressor down for \d+ min$/);
+            }
+        });
+    });
+});
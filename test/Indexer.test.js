@@ -0,0 +1,342 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { JsonStore } = require("../scripts/indexer/store");
+const { Indexer } = require("../scripts/indexer/indexer");
+const { createApiServer } = require("../scripts/indexer/api");
+const { INDEXER_ABI, decodeLog } = require("../scripts/indexer/decode");
+const { ROLES, deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Event Indexer Tests
+ *
+ * Runs the indexer against the in-process Hardhat network:
+ * - Projections (owner, status, compromise flag, roles) match the contract
+ * - Legacy BatchEventLog logs decode like the typed batch events
+ * - Reorgs are detected from changed block hashes and rolled back
+ * - The HTTP API serves the indexed views
+ */
+describe("Event Indexer", function () {
+    let traceability;
+    let owner;
+    let processor;
+    let distributor;
+    let retailer;
+    let indexer;
+
+    const { DISTRIBUTOR_ROLE, RETAILER_ROLE } = ROLES;
+
+    async function indexerFixture() {
+        const fixture = await deployTraceabilityFixture();
+        const deployBlock = fixture.traceability.deploymentTransaction().blockNumber;
+        return { ...fixture, deployBlock };
+    }
+
+    beforeEach(async function () {
+        let deployBlock;
+        ({ traceability, admin: owner, processor, distributor, retailer, deployBlock } = await loadFixture(indexerFixture));
+
+        indexer = await new Indexer({
+            provider: ethers.provider,
+            contractAddress: await traceability.getAddress(),
+            store: new JsonStore(null),
+            startBlock: deployBlock
+        }).init();
+    });
+
+    describe("Projections", function () {
+        it("Should track owner, status and compromise flag like the contract", async function () {
+            await traceability.createBatch("Frozen Peas", "Lot 7", 100, "cases");
+            await traceability.proposeTransfer(1, distributor.address, "Truck 4");
+            await traceability.connect(distributor).acceptTransfer(1, "Depot", -20, "Received");
+            await traceability.connect(distributor).addTraceEvent(1, "Depot", -10, "Door left open");
+
+            const result = await indexer.sync();
+            expect(result.indexed).to.be.greaterThan(0);
+
+            const batch = indexer.projections.batches.get("1");
+            const onChain = await traceability.getBatchInfo(1);
+            expect(batch.productName).to.equal("Frozen Peas");
+            expect(batch.currentOwner).to.equal(onChain.currentOwner);
+            expect(batch.status).to.equal(Number(onChain.status));
+            expect(batch.isCompromised).to.be.true;
+            expect(batch.temperature).to.equal(-10);
+        });
+
+        it("Should derive the handover status from roles held at that block", async function () {
+            await traceability.createBatch("Fish Fillets", "Lot 9", 100, "cases");
+            await traceability.proposeTransfer(1, retailer.address, "Direct to store");
+            await traceability.connect(retailer).acceptTransfer(1, "Store", -20, "Received");
+            await traceability.revokeRole(RETAILER_ROLE, retailer.address);
+
+            await indexer.sync();
+
+            expect(indexer.projections.batches.get("1").status).to.equal(2); // DELIVERED
+            expect(indexer.projections.roles.get(RETAILER_ROLE).has(retailer.address.toLowerCase())).to.be.false;
+            expect(indexer.projections.roles.get(DISTRIBUTOR_ROLE).get(distributor.address.toLowerCase()).grantedBy)
+                .to.equal(owner.address);
+        });
+
+        it("Should track open temperature excursions like the contract", async function () {
+            await traceability.registerTemperatureProfile("Ice Cream", -30, -20, 10, 5);
+            await traceability.createBatchWithProfile("Vanilla Tubs", "Lot 3", 2, 100, "cases");
+            await traceability.addTraceEvent(1, "Loading Dock", -18, "Door open");
+
+            await indexer.sync();
+            const onChain = await traceability.getBatchInfo(1);
+            expect(indexer.projections.batches.get("1").excursionStartedAt).to.equal(Number(onChain.excursionStartedAt));
+
+            await traceability.addTraceEvent(1, "Cold Room", -25, "Door closed");
+            await indexer.sync();
+            expect(indexer.projections.batches.get("1").excursionStartedAt).to.equal(null);
+            expect(indexer.projections.events.at(-2).details.durationSeconds).to.be.greaterThan(0);
+        });
+
+        it("Should link split and merged batches and pass on their state like the contract", async function () {
+            await traceability.createBatch("Frozen Peas", "Pallet 7", 40, "cases");
+            await traceability.addTraceEvent(1, "Depot", -10, "Door left open");
+            await traceability.splitBatch(1, "Frozen Peas", [10, 30], "Store orders");
+            await traceability.createBatch("Frozen Peas", "Pallet 8", 5, "cases");
+            await traceability.mergeBatches([3, 4], "Frozen Peas", "Consolidated");
+
+            await indexer.sync();
+            const { batches } = indexer.projections;
+
+            expect(batches.get("1").isRepacked).to.be.true;
+            expect(batches.get("1").childBatchIds).to.deep.equal(["2", "3"]);
+            expect(batches.get("2").parentBatchIds).to.deep.equal(["1"]);
+            expect(batches.get("5").parentBatchIds).to.deep.equal(["3", "4"]);
+            for (const batchId of ["2", "3", "5"]) {
+                const onChain = await traceability.getBatchInfo(batchId);
+                expect(batches.get(batchId).status).to.equal(Number(onChain.status));
+                expect(batches.get(batchId).isCompromised).to.equal(onChain.isCompromised);
+            }
+            expect(batches.get("4").isCompromised).to.be.false;
+        });
+
+        it("Should give split and merged batches to the owner who repacked them", async function () {
+            await traceability.connect(processor).createBatch("Frozen Peas", "Pallet 7", 40, "cases");
+            await traceability.connect(processor).proposeTransfer(1, distributor.address, "Truck 4");
+            await traceability.connect(distributor).acceptTransfer(1, "Depot", -20, "Received");
+            await traceability.connect(distributor).splitBatch(1, "Frozen Peas", [10, 20, 10], "Store orders");
+            await traceability.connect(distributor).mergeBatches([3, 4], "Frozen Peas", "Consolidated");
+
+            await indexer.sync();
+            const { batches } = indexer.projections;
+
+            for (const batchId of ["2", "3", "4", "5"]) {
+                const onChain = await traceability.getBatchInfo(batchId);
+                expect(onChain.currentOwner).to.equal(distributor.address);
+                expect(batches.get(batchId).currentOwner).to.equal(onChain.currentOwner);
+                expect(batches.get(batchId).processor).to.equal(processor.address);
+            }
+        });
+
+        it("Should track recalls and their acknowledgement like the contract", async function () {
+            await traceability.createBatch("Frozen Peas", "Lot 7", 100, "cases");
+            await traceability.proposeTransfer(1, distributor.address, "Truck 4");
+            await traceability.connect(distributor).acceptTransfer(1, "Depot", -20, "Received");
+            await traceability.issueRecall("Listeria found at plant", "product=Frozen Peas");
+            await traceability.recallBatches(1, [1]);
+
+            await indexer.sync();
+            const batch = indexer.projections.batches.get("1");
+            expect(batch.recallId).to.equal("1");
+            expect(batch.recallAcknowledgedAt).to.equal(null);
+            expect(batch.isCompromised).to.be.true;
+            expect(indexer.projections.events.at(-2).details).to.deep.equal({
+                kind: "RECALL",
+                reason: "Listeria found at plant"
+            });
+
+            await traceability.connect(distributor).acknowledgeRecall(1);
+            await indexer.sync();
+            const onChain = await traceability.getBatchRecall(1);
+            expect(indexer.projections.batches.get("1").recallAcknowledgedAt).to.equal(Number(onChain.acknowledgedAt));
+            expect(indexer.projections.events.at(-1).actor).to.equal(distributor.address);
+        });
+
+        it("Should close returned and sold batches like the contract", async function () {
+            await traceability.createBatch("Frozen Peas", "Lot 7", 100, "cases");
+            await traceability.createBatch("Frozen Corn", "Lot 8", 50, "cases");
+            for (const batchId of [1, 2]) {
+                await traceability.proposeTransfer(batchId, retailer.address, "Truck 4");
+                await traceability.connect(retailer).acceptTransfer(batchId, "Store", -20, "Received");
+            }
+            await traceability.connect(retailer).returnToProcessor(1, "Damaged packaging");
+            await traceability.connect(retailer).markBatchSold(2, "Store 12");
+            // A recall after the sale leaves the final status alone
+            await traceability.issueRecall("Listeria found at plant", "product=Frozen Corn");
+            await traceability.recallBatches(1, [2]);
+
+            await indexer.sync();
+            for (const batchId of [1, 2]) {
+                const onChain = await traceability.getBatchInfo(batchId);
+                const indexed = indexer.projections.batches.get(batchId.toString());
+                expect(indexed.currentOwner).to.equal(onChain.currentOwner);
+                expect(indexed.status).to.equal(Number(onChain.status));
+                expect(indexed.isCompromised).to.equal(onChain.isCompromised);
+            }
+            expect(indexer.projections.batches.get("1").currentOwner).to.equal(owner.address);
+
+            const closed = indexer.projections.events.filter(event => ["SOLD", "RETURNED"].includes(event.eventType));
+            expect(closed.map(event => [event.batchId, event.eventType, event.details.notes])).to.deep.equal([
+                ["1", "RETURNED", "Damaged packaging"],
+                ["2", "SOLD", "Store 12"]
+            ]);
+        });
+    });
+
+    describe("Legacy Events", function () {
+        const legacyInterface = new ethers.Interface(INDEXER_ABI);
+
+        const legacyLog = (eventType, details, temperature) => ({
+            ...legacyInterface.encodeEventLog("BatchEventLog", [1, ethers.ZeroAddress, 1700000000, eventType, details, temperature]),
+            blockNumber: 1,
+            blockHash: ethers.ZeroHash,
+            transactionHash: ethers.ZeroHash,
+            index: 0
+        });
+
+        it("Should decode BatchEventLog details strings into the typed fields", async function () {
+            const handover = await decodeLog(legacyLog(
+                "HANDOVER",
+                `Transferred from ${owner.address.toLowerCase()} to ${distributor.address.toLowerCase()} | Truck 4`,
+                -18
+            ));
+            expect(handover.kind).to.equal("BatchEventLog");
+            expect(handover.eventType).to.equal("HANDOVER");
+            expect(handover.details.to).to.equal(distributor.address);
+            expect(handover.details.notes).to.equal("Truck 4");
+            expect(handover.isTemperatureReading).to.be.false;
+
+            const breach = await decodeLog(legacyLog("COMPROMISED", "TEMPERATURE BREACH at Depot | Temp: -10C | Door open", -10));
+            expect(breach.details.location).to.equal("Depot");
+            expect(breach.details.reason).to.equal("Temperature breach");
+            expect(breach.isTemperatureReading).to.be.true;
+        });
+
+        it("Should decode typed events to the same eventType names", async function () {
+            await traceability.createBatch("Frozen Peas", "Lot 7", 100, "cases");
+            await traceability.proposeTransfer(1, distributor.address, "Truck 4");
+            await traceability.connect(distributor).acceptTransfer(1, "Depot", -20, "Received");
+            await traceability.emergencyCompromiseBatch(1, "Recall");
+
+            await indexer.sync();
+
+            const events = indexer.projections.events;
+            expect(events.map(e => e.eventType)).to.deep.equal(["CREATED", "TRANSFER_PROPOSED", "HANDOVER", "UPDATE", "COMPROMISED"]);
+            expect(events[0].details.productName).to.equal("Frozen Peas");
+            expect(events[1].details.to).to.equal(distributor.address);
+            expect(events[2].details.to).to.equal(distributor.address);
+            expect(events[3].actor).to.equal(distributor.address);
+            expect(events[4].details.reason).to.equal("Recall");
+        });
+    });
+
+    describe("Reorg Handling", function () {
+        it("Should roll back blocks whose hash changed and re-index the new chain", async function () {
+            await traceability.createBatch("Ice Cream", "Lot 1", 100, "cases");
+            await indexer.sync();
+
+            const snapshot = await network.provider.send("evm_snapshot");
+            await traceability.createBatch("Orphaned Batch", "Lot 2", 100, "cases");
+            await indexer.sync();
+            expect(indexer.projections.batches.get("2").productName).to.equal("Orphaned Batch");
+
+            // Replace the last block with a different one at the same height
+            await network.provider.send("evm_revert", [snapshot]);
+            await traceability.createBatch("Canonical Batch", "Lot 2", 100, "cases");
+
+            const result = await indexer.sync();
+            expect(result.rolledBackTo).to.not.equal(null);
+            expect(indexer.projections.batches.get("1").productName).to.equal("Ice Cream");
+            expect(indexer.projections.batches.get("2").productName).to.equal("Canonical Batch");
+            expect(indexer.projections.events.filter(e => e.batchId === "2")).to.have.length(1);
+        });
+
+        it("Should roll back when the chain is shorter than the index", async function () {
+            const snapshot = await network.provider.send("evm_snapshot");
+            await traceability.createBatch("Dropped Batch", "Lot 3", 100, "cases");
+            await indexer.sync();
+
+            await network.provider.send("evm_revert", [snapshot]);
+
+            const result = await indexer.sync();
+            expect(result.rolledBackTo).to.not.equal(null);
+            expect(indexer.projections.batches.has("1")).to.be.false;
+        });
+    });
+
+    describe("Query API", function () {
+        let server;
+        let baseUrl;
+
+        beforeEach(async function () {
+            await traceability.createBatch("Frozen Peas", "Lot 7", 100, "cases");
+            await traceability.createBatch("Fish Fillets", "Lot 9", 100, "cases");
+            await traceability.emergencyCompromiseBatch(2, "Recall");
+            await indexer.sync();
+
+            server = createApiServer(indexer);
+            await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async function () {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        const get = async (path) => {
+            const response = await fetch(`${baseUrl}${path}`);
+            return { status: response.status, body: await response.json() };
+        };
+
+        it("Should list batches newest first and filter compromised ones", async function () {
+            const { body } = await get("/batches");
+            expect(body.total).to.equal(2);
+            expect(body.batches.map(b => b.batchId)).to.deep.equal(["2", "1"]);
+
+            const compromised = await get("/compromised");
+            expect(compromised.body.map(b => b.batchId)).to.deep.equal(["2"]);
+        });
+
+        it("Should return events with the last indexed block", async function () {
+            const { body } = await get("/events?batchIds=1");
+            expect(body.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(body.events).to.have.length(1);
+            expect(body.events[0].eventType).to.equal("CREATED");
+            expect(body.events[0].details.productName).to.equal("Frozen Peas");
+        });
+
+        it("Should serve owners and roles", async function () {
+            const owned = await get(`/owners/${owner.address}/batches`);
+            expect(owned.body).to.have.length(2);
+
+            const roles = await get(`/roles/${distributor.address}`);
+            expect(roles.body.roles).to.deep.equal(["DISTRIBUTOR_ROLE"]);
+        });
+
+        it("Should serve transfers waiting for a recipient until they are accepted or cancelled", async function () {
+            await traceability.proposeTransfer(1, distributor.address, "Truck 4");
+            await traceability.proposeTransfer(2, distributor.address, "Truck 5");
+            await traceability.cancelTransfer(2);
+            await indexer.sync();
+
+            const incoming = await get(`/owners/${distributor.address}/incoming`);
+            expect(incoming.body.map(b => b.batchId)).to.deep.equal(["1"]);
+            const pending = await traceability.getPendingTransfer(1);
+            expect(incoming.body[0].pendingTransfer.expiresAt).to.equal(Number(pending.expiresAt));
+
+            await traceability.connect(distributor).acceptTransfer(1, "Depot", -20, "Received");
+            await indexer.sync();
+            expect((await get(`/owners/${distributor.address}/incoming`)).body).to.have.length(0);
+            expect((await get(`/owners/${distributor.address}/batches`)).body.map(b => b.batchId)).to.deep.equal(["1"]);
+        });
+
+        it("Should reject unknown batches and malformed addresses", async function () {
+            expect((await get("/batches/99")).status).to.equal(404);
+            expect((await get("/roles/not-an-address")).status).to.equal(400);
+        });
+    });
+});
@@ -0,0 +1,363 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ReadingBuffer } = require("../scripts/oracle/buffer");
+const { OracleBridge, ORACLE_ABI, checkReadings } = require("../scripts/oracle/bridge");
+const { parseReadingsCsv, shiftToNow } = require("../scripts/oracle/csv");
+const { createIngestServer } = require("../scripts/oracle/api");
+const { ROLES, deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Oracle Bridge Tests
+ *
+ * Runs the bridge against the in-process Hardhat network:
+ * - The buffer deduplicates readings and keeps them in timestamp order
+ * - CSV logs parse and can be shifted up to the present
+ * - Flushes split readings into chunks bounded by count and gas
+ * - Readings the contract would skip for their timestamps are dropped and reported
+ * - Nonce clashes with other transactions from the key are retried
+ * - Transactions whose confirmation is lost are looked up, never resent
+ * - Readings for closed batches are dropped instead of retried
+ * - The HTTP API buffers readings posted with its key and refuses the rest
+ */
+describe("Oracle Bridge", function () {
+    let traceability;
+    let owner;
+    let oracle;
+    let bridge;
+    let start;
+    let logged;
+
+    const { ORACLE_ROLE } = ROLES;
+
+    const reading = (batchId, offset, temperature = -19, location = "Cold Store A") => ({
+        batchId,
+        temperature,
+        location,
+        timestamp: start + offset
+    });
+
+    const oracleReadings = async () => {
+        const logs = await traceability.queryFilter(traceability.filters.OracleReading());
+        return logs.map(log => ({
+            batchId: log.args.batchId.toString(),
+            timestamp: Number(log.args.timestamp),
+            location: log.args.location,
+            transactionHash: log.transactionHash
+        }));
+    };
+
+    // Captures what the bridge logs instead of printing it
+    const logger = {
+        log: (...args) => logged.push(["log", args.join(" ")]),
+        warn: (...args) => logged.push(["warn", args.join(" ")]),
+        error: (...args) => logged.push(["error", args.join(" ")])
+    };
+
+    const createBridge = (options = {}) => new OracleBridge({
+        contract: new ethers.Contract(traceability.target, ORACLE_ABI, new ethers.NonceManager(oracle)),
+        retryDelay: 0,
+        logger,
+        ...options
+    });
+
+    async function bridgeFixture() {
+        const fixture = await deployTraceabilityFixture();
+        const { traceability } = fixture;
+
+        await traceability.createBatch("Frozen Peas", "Lot 7", 100, "cases");
+        await traceability.createBatch("Fish Fillets", "Lot 9", 100, "cases");
+
+        const start = (await ethers.provider.getBlock("latest")).timestamp;
+        // Readings below are taken in the hour after the batches were created
+        await time.increase(3600);
+        return { ...fixture, start };
+    }
+
+    beforeEach(async function () {
+        ({ traceability, admin: owner, oracle, start } = await loadFixture(bridgeFixture));
+        logged = [];
+        bridge = await createBridge().init();
+    });
+
+    describe("Reading Buffer", function () {
+        it("Should keep readings in timestamp order and drop duplicates", function () {
+            const buffer = new ReadingBuffer();
+            const { accepted, rejected } = buffer.add([
+                reading(1, 600),
+                reading(1, 0),
+                reading(1, 300),
+                reading(1, 300),
+                reading(1, 300, -19, "Loading Dock")
+            ]);
+
+            expect(accepted).to.equal(4);
+            expect(rejected.map(r => r.reason)).to.deep.equal(["duplicate"]);
+            expect(buffer.peek("1", 10).map(r => r.timestamp)).to.deep.equal([start, start + 300, start + 300, start + 600]);
+        });
+
+        it("Should reject invalid readings and readings older than a submitted one", function () {
+            const buffer = new ReadingBuffer();
+            buffer.add([reading(1, 0), reading(1, 300)]);
+            buffer.ack("1", buffer.peek("1", 2));
+
+            const { accepted, rejected } = buffer.add([
+                reading(1, 100),
+                reading(1, 300),
+                reading(1, 400, "warm"),
+                { batchId: "0", temperature: -18, location: "Dock", timestamp: start },
+                { batchId: 1, temperature: -18.6, location: "Dock", timestamp: new Date(start * 1000 + 500000).toISOString() }
+            ]);
+
+            expect(accepted).to.equal(1);
+            expect(rejected.map(r => r.reason)).to.deep.equal([
+                "older than a submitted reading",
+                "duplicate",
+                "Invalid temperature for batch 1: warm",
+                "Invalid batch ID: 0"
+            ]);
+            expect(buffer.peek("1", 1)[0]).to.include({ temperature: -19, timestamp: start + 500 });
+        });
+    });
+
+    describe("CSV Replay", function () {
+        it("Should parse quoted fields, skip comments and require the reading columns", function () {
+            const readings = parseReadingsCsv([
+                "# exported from gateway 3",
+                "timestamp,batchId,location,temperature,humidity",
+                "1760000000,1,\"Dock 2, North\",-18,40",
+                "",
+                "2025-10-09T09:00:00Z,2,Truck 4,-20,38"
+            ].join("\n"));
+
+            expect(readings).to.deep.equal([
+                { batchId: "1", timestamp: "1760000000", temperature: "-18", location: "Dock 2, North" },
+                { batchId: "2", timestamp: "2025-10-09T09:00:00Z", temperature: "-20", location: "Truck 4" }
+            ]);
+            expect(() => parseReadingsCsv("batchId,timestamp,temperature\n1,2,3")).to.throw("missing column(s): location");
+        });
+
+        it("Should shift a log so its newest reading is now", function () {
+            const shifted = shiftToNow([
+                { batchId: "1", timestamp: "1760000000", temperature: "-18", location: "Dock" },
+                { batchId: "1", timestamp: "1760000300", temperature: "-18", location: "Dock" },
+                { batchId: "1", timestamp: "soon", temperature: "-18", location: "Dock" }
+            ], 2000000000);
+
+            expect(shifted.map(r => r.timestamp)).to.deep.equal([1999999700, 2000000000, "soon"]);
+        });
+    });
+
+    describe("Submission", function () {
+        it("Should submit readings in chunks, in timestamp order per batch", async function () {
+            bridge = await createBridge({ maxReadingsPerTx: 4 }).init();
+            const readings = [];
+            for (let i = 9; i >= 0; i--) {
+                readings.push(reading(1, i * 60));
+            }
+            readings.push(reading(2, 0, -21, "Truck 4"));
+            bridge.ingest(readings);
+
+            const result = await bridge.flush();
+            expect(result).to.deep.equal({ transactions: 4, submitted: 11, dropped: 0, rejected: 0 });
+            expect(bridge.buffer.size()).to.equal(0);
+
+            const events = await oracleReadings();
+            const batch1 = events.filter(e => e.batchId === "1");
+            expect(batch1.map(e => e.timestamp)).to.deep.equal([...Array(10).keys()].map(i => start + i * 60));
+            expect(new Set(batch1.map(e => e.transactionHash)).size).to.equal(3);
+            expect(events.filter(e => e.batchId === "2")).to.have.length(1);
+        });
+
+        it("Should halve chunks until they fit the gas limit", async function () {
+            // Room for two readings per transaction
+            const budget = await bridge.contract.submitOracleReadings.estimateGas(
+                ...OracleBridge.toArgs("1", [reading(1, 0), reading(1, 60)])
+            );
+
+            bridge = await createBridge({ maxReadingsPerTx: 8, maxGasPerTx: budget }).init();
+            const readings = [];
+            for (let i = 0; i < 8; i++) {
+                readings.push(reading(1, i * 60));
+            }
+            bridge.ingest(readings);
+
+            const result = await bridge.flush();
+            expect(result.submitted).to.equal(8);
+            expect(result.transactions).to.be.greaterThan(1);
+
+            const events = await oracleReadings();
+            for (const hash of new Set(events.map(e => e.transactionHash))) {
+                const receipt = await ethers.provider.getTransactionReceipt(hash);
+                expect(receipt.gasUsed).to.be.at.most(budget);
+            }
+        });
+
+        it("Should retry with a fresh nonce after another transaction from the same key", async function () {
+            bridge.ingest([reading(1, 0)]);
+            await bridge.flush();
+
+            // Sent around the bridge's NonceManager, which still expects the old nonce
+            await traceability.connect(oracle).submitOracleReadings(2, [-20], ["Truck 4"], [start]);
+
+            bridge.ingest([reading(1, 60)]);
+            const result = await bridge.flush();
+            expect(result.submitted).to.equal(1);
+            expect(bridge.status().failures).to.equal(0);
+            expect((await oracleReadings()).filter(e => e.batchId === "1")).to.have.length(2);
+        });
+
+        it("Should not resend a transaction whose confirmation timed out", async function () {
+            bridge = await createBridge({ confirmTimeout: 200 }).init();
+            bridge.ingest([reading(1, 0), reading(1, 60)]);
+
+            await network.provider.send("evm_setAutomine", [false]);
+            try {
+                const first = await bridge.flush();
+                expect(first.submitted).to.equal(0);
+                expect(bridge.status().failures).to.equal(1);
+
+                // Still pending: nothing new is sent for the batch
+                await bridge.flush();
+                expect(await ethers.provider.getTransactionCount(oracle.address, "pending"))
+                    .to.equal(await ethers.provider.getTransactionCount(oracle.address, "latest") + 1);
+                await network.provider.send("evm_mine", []);
+            } finally {
+                await network.provider.send("evm_setAutomine", [true]);
+            }
+
+            const settled = await bridge.flush();
+            expect(settled).to.include({ transactions: 1, submitted: 2 });
+            expect(bridge.buffer.size()).to.equal(0);
+            expect(await oracleReadings()).to.have.length(2);
+        });
+
+        it("Should drop readings for a closed batch and keep submitting the others", async function () {
+            await traceability.disposeBatch(1, "Freezer failure");
+            bridge.ingest([reading(1, 0), reading(1, 60), reading(2, 0)]);
+
+            const result = await bridge.flush();
+            expect(result).to.deep.equal({ transactions: 1, submitted: 1, dropped: 2, rejected: 0 });
+
+            const { rejected } = bridge.ingest([reading(1, 120)]);
+            expect(rejected[0].reason).to.equal("Batch is closed");
+            expect(bridge.buffer.size()).to.equal(0);
+        });
+
+        it("Should keep readings buffered when a send keeps failing", async function () {
+            bridge = await createBridge({ maxRetries: 1 }).init();
+            bridge.ingest([reading(1, 0)]);
+            await traceability.revokeRole(ORACLE_ROLE, oracle.address);
+
+            const result = await bridge.flush();
+            expect(result.submitted).to.equal(0);
+            expect(bridge.buffer.size()).to.equal(1);
+            expect(bridge.status().failures).to.equal(1);
+        });
+
+        it("Should drop and report readings the contract would skip for their timestamps", async function () {
+            // Another oracle already reported up to start + 600
+            await traceability.connect(oracle).submitOracleReadings(1, [-20], ["Truck 4"], [start + 600]);
+            const now = await time.latest();
+
+            bridge.ingest([
+                reading(1, -60),
+                reading(1, 300),
+                reading(1, 900),
+                { batchId: 1, temperature: -19, location: "Cold Store A", timestamp: now + 3600 }
+            ]);
+            const result = await bridge.flush();
+
+            expect(result).to.include({ submitted: 1, rejected: 3 });
+            expect(bridge.status().recentRejections.map(r => r.reason)).to.deep.equal([
+                "before the batch was created",
+                "older than the batch's last accepted reading",
+                "too far in the future"
+            ]);
+            expect(logged.filter(([level]) => level === "warn")).to.have.length(3);
+            const events = (await oracleReadings()).filter(e => e.batchId === "1");
+            expect(events.map(e => e.timestamp)).to.deep.equal([start + 600, start + 900]);
+        });
+
+        it("Should apply the contract's timestamp checks in order", function () {
+            const readings = [{ timestamp: 90 }, { timestamp: 100 }, { timestamp: 150 }, { timestamp: 150 }, { timestamp: 400 }];
+            const { valid, rejected } = checkReadings(readings, { creationTimestamp: 95, lastAcceptedAt: 120, now: 200, tolerance: 100 });
+
+            expect(valid.map(r => r.timestamp)).to.deep.equal([150, 150]);
+            expect(rejected.map(r => [r.reading.timestamp, r.reason])).to.deep.equal([
+                [90, "before the batch was created"],
+                [100, "older than the batch's last accepted reading"],
+                [400, "too far in the future"]
+            ]);
+        });
+
+        it("Should refuse to start without ORACLE_ROLE", async function () {
+            const contract = new ethers.Contract(traceability.target, ORACLE_ABI, new ethers.NonceManager(owner));
+            let error;
+            try {
+                await new OracleBridge({ contract }).init();
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("does not hold ORACLE_ROLE");
+        });
+    });
+
+    describe("Ingest API", function () {
+        const API_KEY = "test-gateway-key";
+        let server;
+        let baseUrl;
+
+        beforeEach(async function () {
+            server = createIngestServer(bridge, { apiKey: API_KEY });
+            await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async function () {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        const post = async (path, body, key = API_KEY) => {
+            const response = await fetch(`${baseUrl}${path}`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", "X-Oracle-Key": key },
+                body: typeof body === "string" ? body : JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        };
+
+        it("Should buffer posted readings and report them in the status", async function () {
+            const single = await post("/readings", reading(1, 0));
+            expect(single.status).to.equal(202);
+            expect(single.body).to.deep.equal({ accepted: 1, rejected: [], pending: 1 });
+
+            const batch = await post("/readings", { readings: [reading(1, 0), reading(2, 0)] });
+            expect(batch.body.accepted).to.equal(1);
+            expect(batch.body.rejected[0].reason).to.equal("duplicate");
+
+            await bridge.flush();
+            const status = await (await fetch(`${baseUrl}/status`, { headers: { "X-Oracle-Key": API_KEY } })).json();
+            expect(status).to.include({ oracle: oracle.address, pending: 0, submitted: 2, transactions: 2 });
+        });
+
+        it("Should reject malformed bodies and unknown endpoints", async function () {
+            expect((await post("/readings", "not json")).status).to.equal(400);
+            expect((await post("/status", {})).status).to.equal(405);
+            expect((await post("/unknown", {})).status).to.equal(404);
+        });
+
+        it("Should refuse requests without the API key and send no CORS headers", async function () {
+            const wrongKey = await post("/readings", reading(1, 0), "guess");
+            expect(wrongKey.status).to.equal(401);
+
+            const noKey = await fetch(`${baseUrl}/readings`, { method: "POST", body: JSON.stringify(reading(1, 0)) });
+            expect(noKey.status).to.equal(401);
+            expect(noKey.headers.get("access-control-allow-origin")).to.be.null;
+            expect((await fetch(`${baseUrl}/status`)).status).to.equal(401);
+            expect(bridge.buffer.size()).to.equal(0);
+
+            expect(() => createIngestServer(bridge)).to.throw("needs an API key");
+        });
+    });
+});
@@ -0,0 +1,280 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ROLES, deploy, deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Oracle Quorum Tests
+ *
+ * Validates M-of-N breach confirmation for oracle readings:
+ * - Traceability admins assign, replace and clear a batch's quorum
+ * - A quorum batch is only compromised once enough assigned oracles report
+ *   a breach within the window; lone breaches emit OracleDisagreement
+ * - Unassigned oracles cannot compromise a quorum batch
+ * - Batches without a quorum and the owner's own readings behave as before
+ * - Split and merged batches inherit their parents' quorum; replaced or
+ *   cleared quorums forget their breach reports
+ */
+describe("OracleQuorum", function () {
+    let traceability;
+    let admin;
+    let quorum;
+    let processor;
+    let oracleA;
+    let oracleB;
+    let oracleC;
+    let outsider;
+    let start;
+
+    const { DEFAULT_ADMIN_ROLE, ORACLE_ROLE } = ROLES;
+
+    // Ice cream: -30C to -20C, up to 10 minutes and 5 degrees out of range
+    const ICE_CREAM_PROFILE_ID = 2;
+    // Far enough above the range to breach the peak limit at once
+    const BREACH = 0;
+    const WINDOW = 15 * 60;
+
+    const submit = (oracle, timestamp, temperature = BREACH, batchId = 1) =>
+        traceability.connect(oracle).submitOracleReadings(batchId, [temperature], ["Reefer Truck 7"], [timestamp]);
+
+    const isCompromised = async (batchId = 1) => (await traceability.getBatchInfo(batchId)).isCompromised;
+
+    // A wired-in quorum contract, three oracles and ice cream batches 1 and 2,
+    // created an hour before each test starts
+    async function quorumFixture() {
+        const fixture = await deployTraceabilityFixture();
+        const { traceability, admin, processor, oracle: oracleA, others: [oracleB, oracleC, outsider] } = fixture;
+
+        const quorum = await deploy("OracleQuorum", await traceability.getAddress());
+        await traceability.setOracleQuorum(await quorum.getAddress());
+
+        for (const oracle of [oracleB, oracleC]) {
+            await traceability.grantRole(ORACLE_ROLE, oracle.address);
+        }
+        await traceability.registerTemperatureProfile("Ice Cream", -30, -20, 10, 5);
+        await traceability.connect(processor).createBatchWithProfile("Vanilla Tubs", "Lot 3", ICE_CREAM_PROFILE_ID, 100, "cases");
+        await traceability.connect(processor).createBatchWithProfile("Choc Ices", "Lot 4", ICE_CREAM_PROFILE_ID, 100, "cases");
+
+        await time.increase(3600);
+        const start = await time.latest();
+        return { traceability, admin, quorum, processor, oracleA, oracleB, oracleC, outsider, start };
+    }
+
+    beforeEach(async function () {
+        ({ traceability, admin, quorum, processor, oracleA, oracleB, oracleC, outsider, start } = await loadFixture(quorumFixture));
+    });
+
+    describe("Deployment", function () {
+        it("Should point at the Traceability contract and be wired into it", async function () {
+            expect(await quorum.traceability()).to.equal(await traceability.getAddress());
+            expect(await traceability.oracleQuorum()).to.equal(await quorum.getAddress());
+        });
+
+        it("Should only let admins set the quorum contract", async function () {
+            await expect(traceability.connect(outsider).setOracleQuorum(outsider.address))
+                .to.be.reverted;
+            await expect(traceability.setOracleQuorum(ethers.ZeroAddress))
+                .to.emit(traceability, "OracleQuorumChanged")
+                .withArgs(admin.address, ethers.ZeroAddress);
+        });
+
+        it("Should only accept breach reports from Traceability", async function () {
+            await expect(quorum.reportBreach(1, oracleA.address, BREACH, start))
+                .to.be.revertedWith("Only Traceability can report breaches");
+        });
+    });
+
+    describe("setQuorum", function () {
+        it("Should store the quorum and emit QuorumSet", async function () {
+            const oracles = [oracleA.address, oracleB.address, oracleC.address];
+            await expect(quorum.setQuorum(1, oracles, 2, WINDOW))
+                .to.emit(quorum, "QuorumSet")
+                .withArgs(1, admin.address, oracles, 2, WINDOW);
+
+            const stored = await quorum.getQuorum(1);
+            expect(stored.oracles).to.deep.equal(oracles);
+            expect(stored.threshold).to.equal(2);
+            expect(stored.window).to.equal(WINDOW);
+            expect(await quorum.hasQuorum(1)).to.be.true;
+            expect(await quorum.hasQuorum(2)).to.be.false;
+            expect(await quorum.isAssigned(1, oracleB.address)).to.be.true;
+        });
+
+        it("Should reject invalid quorums", async function () {
+            const two = [oracleA.address, oracleB.address];
+            await expect(quorum.connect(outsider).setQuorum(1, two, 1, WINDOW))
+                .to.be.revertedWith("Only Traceability admins can manage quorums");
+            await expect(quorum.setQuorum(1, two, 0, WINDOW))
+                .to.be.revertedWith("Threshold must be between 1 and the number of oracles");
+            await expect(quorum.setQuorum(1, two, 3, WINDOW))
+                .to.be.revertedWith("Threshold must be between 1 and the number of oracles");
+            await expect(quorum.setQuorum(1, two, 2, 0))
+                .to.be.revertedWith("Window must be positive");
+            await expect(quorum.setQuorum(1, [oracleA.address, oracleA.address], 2, WINDOW))
+                .to.be.revertedWith("Duplicate oracle");
+            await expect(quorum.setQuorum(1, [oracleA.address, outsider.address], 2, WINDOW))
+                .to.be.revertedWith("Quorum oracles must hold ORACLE_ROLE");
+            await expect(quorum.setQuorum(1, Array(11).fill(oracleA.address), 2, WINDOW))
+                .to.be.revertedWith("Too many oracles");
+            await expect(quorum.setQuorum(99, two, 2, WINDOW))
+                .to.be.revertedWith("Batch does not exist");
+        });
+
+        it("Should unassign replaced oracles and clear quorums", async function () {
+            await quorum.setQuorum(1, [oracleA.address, oracleB.address], 2, WINDOW);
+            await quorum.setQuorum(1, [oracleB.address, oracleC.address], 2, WINDOW);
+            expect(await quorum.isAssigned(1, oracleA.address)).to.be.false;
+            expect(await quorum.isAssigned(1, oracleC.address)).to.be.true;
+
+            await expect(quorum.clearQuorum(1))
+                .to.emit(quorum, "QuorumCleared");
+            expect(await quorum.hasQuorum(1)).to.be.false;
+            expect(await quorum.isAssigned(1, oracleB.address)).to.be.false;
+            await expect(quorum.clearQuorum(1)).to.be.revertedWith("Batch has no quorum");
+        });
+
+        it("Should follow admin grants on Traceability", async function () {
+            await traceability.grantRole(DEFAULT_ADMIN_ROLE, outsider.address);
+            await expect(quorum.connect(outsider).setQuorum(1, [oracleA.address], 1, WINDOW))
+                .to.emit(quorum, "QuorumSet");
+        });
+    });
+
+    describe("Breach confirmation", function () {
+        beforeEach(async function () {
+            await quorum.setQuorum(1, [oracleA.address, oracleB.address, oracleC.address], 2, WINDOW);
+        });
+
+        it("Should not let one oracle compromise a quorum batch", async function () {
+            await expect(submit(oracleA, start))
+                .to.emit(quorum, "OracleDisagreement")
+                .withArgs(1, oracleA.address, start, BREACH, 1, 2)
+                .and.not.to.emit(traceability, "Compromised");
+
+            expect(await isCompromised()).to.be.false;
+            expect(await quorum.lastBreachAt(1, oracleA.address)).to.equal(start);
+        });
+
+        it("Should compromise once enough oracles agree within the window", async function () {
+            await submit(oracleA, start - WINDOW);
+
+            await expect(submit(oracleB, start))
+                .to.emit(quorum, "BreachConfirmed")
+                .withArgs(1, oracleB.address, start, BREACH, 2)
+                .and.to.emit(traceability, "Compromised");
+            expect(await isCompromised()).to.be.true;
+        });
+
+        it("Should not count breaches outside the window", async function () {
+            await submit(oracleA, start - WINDOW - 1);
+
+            await expect(submit(oracleB, start))
+                .to.emit(quorum, "OracleDisagreement")
+                .withArgs(1, oracleB.address, start, BREACH, 1, 2);
+            expect(await isCompromised()).to.be.false;
+        });
+
+        it("Should ignore breaches from oracles outside the quorum", async function () {
+            await traceability.grantRole(ORACLE_ROLE, outsider.address);
+            await submit(oracleA, start);
+
+            await expect(submit(outsider, start))
+                .to.emit(quorum, "UnassignedOracleReport")
+                .withArgs(1, outsider.address, start, BREACH)
+                .and.not.to.emit(traceability, "Compromised");
+            expect(await isCompromised()).to.be.false;
+        });
+
+        it("Should need the quorum for oracle trace events too", async function () {
+            await expect(traceability.connect(oracleA).addTraceEvent(1, "Reefer Truck 7", BREACH, "Sensor alarm"))
+                .to.emit(quorum, "OracleDisagreement");
+            expect(await isCompromised()).to.be.false;
+
+            await expect(traceability.connect(oracleB).addTraceEvent(1, "Reefer Truck 7", BREACH, "Sensor alarm"))
+                .to.emit(quorum, "BreachConfirmed");
+            expect(await isCompromised()).to.be.true;
+        });
+
+        it("Should let the owner's own readings compromise a quorum batch", async function () {
+            await expect(traceability.connect(processor).addTraceEvent(1, "Cold Store A", BREACH, "Door left open"))
+                .to.emit(traceability, "Compromised")
+                .and.not.to.emit(quorum, "OracleDisagreement");
+        });
+
+        it("Should let one oracle compromise batches without a quorum", async function () {
+            await expect(submit(oracleA, start, BREACH, 2))
+                .to.emit(traceability, "Compromised")
+                .and.not.to.emit(quorum, "OracleDisagreement");
+            expect(await isCompromised(2)).to.be.true;
+        });
+
+        it("Should forget breach reports when the quorum is replaced or cleared", async function () {
+            await submit(oracleA, start);
+            await quorum.setQuorum(1, [oracleA.address, oracleB.address], 2, WINDOW);
+            expect(await quorum.lastBreachAt(1, oracleA.address)).to.equal(0);
+
+            await expect(submit(oracleB, start + 1))
+                .to.emit(quorum, "OracleDisagreement")
+                .withArgs(1, oracleB.address, start + 1, BREACH, 1, 2);
+
+            await quorum.clearQuorum(1);
+            expect(await quorum.lastBreachAt(1, oracleB.address)).to.equal(0);
+        });
+
+        it("Should let one oracle compromise any batch once the quorum contract is removed", async function () {
+            await traceability.setOracleQuorum(ethers.ZeroAddress);
+
+            await expect(submit(oracleA, start))
+                .to.emit(traceability, "Compromised");
+        });
+    });
+
+    describe("Repacking", function () {
+        const oracles = () => [oracleA.address, oracleB.address, oracleC.address];
+
+        it("Should give split batches the parent's quorum", async function () {
+            await quorum.setQuorum(1, oracles(), 2, WINDOW);
+
+            await expect(traceability.connect(processor).splitBatch(1, "Vanilla Tubs", [60, 40], "Cases"))
+                .to.emit(quorum, "QuorumSet")
+                .withArgs(3, admin.address, oracles(), 2, WINDOW);
+
+            for (const childId of [3, 4]) {
+                expect(await quorum.hasQuorum(childId)).to.be.true;
+                expect(await quorum.isAssigned(childId, oracleC.address)).to.be.true;
+                expect(await quorum.inheritedFrom(childId)).to.equal(1);
+            }
+            // Readings must postdate the child's creation
+            await expect(submit(oracleA, await time.latest(), BREACH, 3))
+                .to.emit(quorum, "OracleDisagreement")
+                .and.not.to.emit(traceability, "Compromised");
+            expect(await isCompromised(3)).to.be.false;
+        });
+
+        it("Should give a merged batch the quorum its parents share", async function () {
+            await quorum.setQuorum(1, oracles(), 2, WINDOW);
+            await quorum.setQuorum(2, oracles(), 2, WINDOW);
+
+            await traceability.connect(processor).mergeBatches([1, 2], "Mixed Pallet", "Consolidated");
+            expect(await quorum.hasQuorum(3)).to.be.true;
+            expect((await quorum.getQuorum(3)).oracles).to.deep.equal(oracles());
+        });
+
+        it("Should reject merging batches with different quorums", async function () {
+            await quorum.setQuorum(1, oracles(), 2, WINDOW);
+            await expect(traceability.connect(processor).mergeBatches([1, 2], "Mixed Pallet", "Consolidated"))
+                .to.be.revertedWith("Merged batches must share a quorum");
+            await expect(traceability.connect(processor).mergeBatches([2, 1], "Mixed Pallet", "Consolidated"))
+                .to.be.revertedWith("Merged batches must share a quorum");
+
+            await quorum.setQuorum(2, oracles(), 3, WINDOW);
+            await expect(traceability.connect(processor).mergeBatches([1, 2], "Mixed Pallet", "Consolidated"))
+                .to.be.revertedWith("Merged batches must share a quorum");
+        });
+
+        it("Should only accept quorum inheritance from Traceability", async function () {
+            await expect(quorum.inheritQuorum(1, 2))
+                .to.be.revertedWith("Only Traceability can pass on quorums");
+        });
+    });
+});
@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ROLES, deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Oracle Reading Validation Tests
+ *
+ * Validates the timestamp checks in submitOracleReadings:
+ * - Readings before the batch's creation are skipped
+ * - Readings more than ORACLE_CLOCK_TOLERANCE ahead of the block are skipped
+ * - Readings older than the batch's last accepted oracle reading are skipped, whichever oracle sent it
+ * - Skipped readings emit OracleReadingRejected and the rest still go through
+ */
+describe("Oracle Reading Validation", function () {
+    let traceability;
+    let oracle;
+    let secondOracle;
+    let createdAt;
+    let tolerance;
+
+    const { ORACLE_ROLE } = ROLES;
+
+    // Traceability.ReadingRejection
+    const BEFORE_CREATION = 1;
+    const IN_FUTURE = 2;
+    const OUT_OF_ORDER = 3;
+
+    // Batch 1, created an hour before each test starts
+    async function validationFixture() {
+        const fixture = await deployTraceabilityFixture();
+        const { traceability } = fixture;
+
+        await traceability.createBatch("Frozen Peas", "Lot 7", 100, "cases");
+        const createdAt = Number((await traceability.getBatchInfo(1)).creationTimestamp);
+        const tolerance = Number(await traceability.ORACLE_CLOCK_TOLERANCE());
+        await time.increase(3600);
+        return { ...fixture, createdAt, tolerance };
+    }
+
+    beforeEach(async function () {
+        ({ traceability, oracle, others: [secondOracle], createdAt, tolerance } = await loadFixture(validationFixture));
+    });
+
+    const submit = (timestamps, readings = timestamps.map(() => -20)) =>
+        traceability.connect(oracle).submitOracleReadings(1, readings, timestamps.map(() => "Truck 4"), timestamps);
+
+    it("Should skip readings from before the batch was created", async function () {
+        await expect(submit([createdAt - 1, createdAt]))
+            .to.emit(traceability, "OracleReadingRejected")
+            .withArgs(1, oracle.address, BEFORE_CREATION, createdAt - 1, "Truck 4", -20)
+            .and.to.emit(traceability, "OracleReading")
+            .withArgs(1, oracle.address, ethers.id("Truck 4"), createdAt, "Truck 4", -20);
+
+        expect(await traceability.lastOracleReadingAt(1)).to.equal(createdAt);
+    });
+
+    it("Should skip readings dated past the clock tolerance", async function () {
+        const now = await time.latest();
+        // The submission is mined one second after the latest block
+        const limit = now + 1 + tolerance;
+
+        const tx = await submit([limit, limit + 1]);
+        const receipt = await tx.wait();
+        const names = receipt.logs.map(log => traceability.interface.parseLog(log).name);
+        expect(names).to.deep.equal(["OracleReading", "OracleReadingRejected"]);
+
+        await expect(tx)
+            .to.emit(traceability, "OracleReadingRejected")
+            .withArgs(1, oracle.address, IN_FUTURE, limit + 1, "Truck 4", -20);
+        expect(await traceability.lastOracleReadingAt(1)).to.equal(limit);
+    });
+
+    it("Should skip readings older than the last accepted one, within and across submissions", async function () {
+        await expect(submit([createdAt + 600, createdAt + 300, createdAt + 600]))
+            .to.emit(traceability, "OracleReadingRejected")
+            .withArgs(1, oracle.address, OUT_OF_ORDER, createdAt + 300, "Truck 4", -20);
+
+        await expect(submit([createdAt + 599]))
+            .to.emit(traceability, "OracleReadingRejected")
+            .withArgs(1, oracle.address, OUT_OF_ORDER, createdAt + 599, "Truck 4", -20)
+            .and.not.to.emit(traceability, "OracleReading");
+
+        const accepted = await traceability.queryFilter(traceability.filters.OracleReading(1));
+        expect(accepted.map(log => Number(log.args.timestamp))).to.deep.equal([createdAt + 600, createdAt + 600]);
+    });
+
+    it("Should not let skipped readings compromise the batch", async function () {
+        const now = await time.latest();
+
+        await expect(submit([createdAt - 60, now + tolerance * 10], [5, 5]))
+            .to.not.emit(traceability, "Compromised");
+
+        const batch = await traceability.getBatchInfo(1);
+        expect(batch.isCompromised).to.be.false;
+        expect(batch.excursionStartedAt).to.equal(0);
+        expect(await traceability.lastOracleReadingAt(1)).to.equal(0);
+    });
+
+    it("Should not let another oracle's older reading end or stretch an excursion", async function () {
+        await traceability.grantRole(ORACLE_ROLE, secondOracle.address);
+        // 60 minutes / 10°C of slack, so the excursion stays open
+        await traceability.registerTemperatureProfile("Frozen, tolerant", -60, -18, 60, 10);
+        await traceability.createBatchWithProfile("Fish Fillets", "Lot 9", 2, 100, "cases");
+        const batchCreatedAt = Number((await traceability.getBatchInfo(2)).creationTimestamp);
+        await time.increase(3600);
+        const report = (from, readings, timestamps) =>
+            traceability.connect(from).submitOracleReadings(2, readings, timestamps.map(() => "Truck 4"), timestamps);
+
+        await report(oracle, [-10, -10], [batchCreatedAt + 300, batchCreatedAt + 600]);
+        expect((await traceability.getBatchInfo(2)).excursionStartedAt).to.equal(batchCreatedAt + 300);
+
+        // A second sensor on the same batch reports from before the first one's last reading
+        await expect(report(secondOracle, [-20, -10], [batchCreatedAt + 400, batchCreatedAt + 100]))
+            .to.emit(traceability, "OracleReadingRejected")
+            .withArgs(2, secondOracle.address, OUT_OF_ORDER, batchCreatedAt + 400, "Truck 4", -20)
+            .and.not.to.emit(traceability, "TemperatureExcursion");
+
+        expect((await traceability.getBatchInfo(2)).excursionStartedAt).to.equal(batchCreatedAt + 300);
+        expect(await traceability.lastOracleReadingAt(2)).to.equal(batchCreatedAt + 600);
+    });
+
+    it("Should check each batch against its own last reading", async function () {
+        await traceability.createBatch("Fish Fillets", "Lot 9", 100, "cases");
+        const secondCreatedAt = Number((await traceability.getBatchInfo(2)).creationTimestamp);
+        // Batch 1's last reading is newer than anything batch 2 has reported
+        await time.increase(60);
+        await submit([await time.latest()]);
+
+        await expect(traceability.connect(oracle).submitOracleReadings(2, [-20], ["Truck 5"], [secondCreatedAt]))
+            .to.emit(traceability, "OracleReading");
+        expect(await traceability.lastOracleReadingAt(2)).to.equal(secondCreatedAt);
+    });
+});
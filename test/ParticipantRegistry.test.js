@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { ROLES, deploy, deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Participant Registry Tests
+ *
+ * Validates the registry naming the organizations behind addresses:
+ * - Traceability admins register, update and remove participants
+ * - Everyone else is rejected, following admin grants on Traceability
+ * - Registered accounts can be listed after removals
+ */
+describe("ParticipantRegistry", function () {
+    let traceability;
+    let registry;
+    let admin;
+    let processor;
+    let distributor;
+    let outsider;
+
+    const { DEFAULT_ADMIN_ROLE } = ROLES;
+
+    const register = (signer, account, organization = "Nordic Cold Storage AB") =>
+        registry.connect(signer).registerParticipant(
+            account,
+            organization,
+            "Gothenburg Depot",
+            "SE",
+            "SE-LIV-4411",
+            "ops@nordiccold.example"
+        );
+
+    async function registryFixture() {
+        const fixture = await deployTraceabilityFixture();
+        const registry = await deploy("ParticipantRegistry", await fixture.traceability.getAddress());
+        return { ...fixture, registry };
+    }
+
+    beforeEach(async function () {
+        ({ traceability, registry, admin, processor, distributor, others: [outsider] } = await loadFixture(registryFixture));
+    });
+
+    describe("Deployment", function () {
+        it("Should point at the Traceability contract", async function () {
+            expect(await registry.traceability()).to.equal(await traceability.getAddress());
+        });
+
+        it("Should reject a zero Traceability address", async function () {
+            const ParticipantRegistry = await ethers.getContractFactory("ParticipantRegistry");
+            await expect(ParticipantRegistry.deploy(ethers.ZeroAddress))
+                .to.be.revertedWith("Traceability address cannot be zero");
+        });
+    });
+
+    describe("registerParticipant", function () {
+        it("Should store the entry and emit ParticipantRegistered", async function () {
+            await expect(register(admin, distributor.address))
+                .to.emit(registry, "ParticipantRegistered")
+                .withArgs(distributor.address, admin.address, anyValue, "Nordic Cold Storage AB", "Gothenburg Depot", "SE");
+
+            const participant = await registry.getParticipant(distributor.address);
+            expect(participant.organization).to.equal("Nordic Cold Storage AB");
+            expect(participant.licenseNumber).to.equal("SE-LIV-4411");
+            expect(participant.contact).to.equal("ops@nordiccold.example");
+            expect(participant.updatedBy).to.equal(admin.address);
+            expect(participant.updatedAt).to.be.greaterThan(0);
+            expect(await registry.isRegistered(distributor.address)).to.be.true;
+        });
+
+        it("Should update an entry without listing the account twice", async function () {
+            await register(admin, distributor.address);
+            await register(admin, distributor.address, "Nordic Cold Logistics AB");
+
+            expect((await registry.getParticipant(distributor.address)).organization)
+                .to.equal("Nordic Cold Logistics AB");
+            expect(await registry.getParticipantAccounts()).to.deep.equal([distributor.address]);
+        });
+
+        it("Should require an address and an organization name", async function () {
+            await expect(register(admin, ethers.ZeroAddress))
+                .to.be.revertedWith("Participant address cannot be zero");
+            await expect(register(admin, distributor.address, ""))
+                .to.be.revertedWith("Organization name cannot be empty");
+        });
+
+        it("Should only accept Traceability admins", async function () {
+            await expect(register(outsider, outsider.address))
+                .to.be.revertedWith("Only Traceability admins can manage participants");
+
+            await traceability.grantRole(DEFAULT_ADMIN_ROLE, processor.address);
+            await expect(register(processor, outsider.address))
+                .to.emit(registry, "ParticipantRegistered");
+        });
+    });
+
+    describe("removeParticipant", function () {
+        beforeEach(async function () {
+            await register(admin, processor.address, "Arctic Seafoods AS");
+            await register(admin, distributor.address);
+            await register(admin, outsider.address, "Polar Retail Oy");
+        });
+
+        it("Should clear the entry and keep the other accounts listed", async function () {
+            await expect(registry.removeParticipant(processor.address))
+                .to.emit(registry, "ParticipantRemoved")
+                .withArgs(processor.address, admin.address, anyValue);
+
+            expect((await registry.getParticipant(processor.address)).updatedAt).to.equal(0);
+            expect(await registry.isRegistered(processor.address)).to.be.false;
+            expect([...await registry.getParticipantAccounts()])
+                .to.have.members([distributor.address, outsider.address]);
+
+            // The moved account can still be removed and re-registered
+            await registry.removeParticipant(outsider.address);
+            await register(admin, processor.address, "Arctic Seafoods AS");
+            expect([...await registry.getParticipantAccounts()])
+                .to.have.members([distributor.address, processor.address]);
+        });
+
+        it("Should reject unknown accounts and non-admins", async function () {
+            await registry.removeParticipant(processor.address);
+
+            await expect(registry.removeParticipant(processor.address))
+                .to.be.revertedWith("Participant is not registered");
+            await expect(registry.connect(outsider).removeParticipant(distributor.address))
+                .to.be.revertedWith("Only Traceability admins can manage participants");
+        });
+    });
+});
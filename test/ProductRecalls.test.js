@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Product Recall Tests
+ *
+ * Validates recalls issued by admins:
+ * - issueRecall records the reason and selection criteria
+ * - recallBatches flags batches in bounded, resendable chunks
+ * - Owners acknowledge recall notices on-chain
+ * - Recalled batches cannot be repacked
+ */
+describe("Product Recalls", function () {
+    let traceability;
+    let admin;
+    let processor;
+    let distributor;
+    let unauthorized;
+
+    // Traceability.CompromiseKind
+    const EMERGENCY = 1;
+    const RECALL = 2;
+
+    async function recallsFixture() {
+        const fixture = await deployTraceabilityFixture();
+        const { traceability, processor, distributor } = fixture;
+
+        // Batches 1-3; batch 2 is with the distributor
+        await traceability.connect(processor).createBatch("Frozen Peas", "Lot 1", 40, "cases");
+        await traceability.connect(processor).createBatch("Frozen Peas", "Lot 2", 40, "cases");
+        await traceability.connect(processor).createBatch("Frozen Corn", "Lot 3", 40, "cases");
+        await traceability.connect(processor).proposeTransfer(2, distributor.address, "Truck 4");
+        await traceability.connect(distributor).acceptTransfer(2, "Depot", -20, "Received");
+        return fixture;
+    }
+
+    beforeEach(async function () {
+        ({ traceability, admin, processor, distributor, others: [unauthorized] } = await loadFixture(recallsFixture));
+    });
+
+    describe("issueRecall", function () {
+        it("Should record the recall and emit RecallIssued", async function () {
+            await expect(traceability.issueRecall("Listeria found at plant", "product=Frozen Peas"))
+                .to.emit(traceability, "RecallIssued")
+                .withArgs(1, admin.address, anyValue, "Listeria found at plant", "product=Frozen Peas");
+
+            const recall = await traceability.getRecall(1);
+            expect(recall.initiator).to.equal(admin.address);
+            expect(recall.reason).to.equal("Listeria found at plant");
+            expect(recall.criteria).to.equal("product=Frozen Peas");
+            expect(recall.batchCount).to.equal(0);
+            expect(await traceability.getRecallCount()).to.equal(1);
+        });
+
+        it("Should only allow admins to issue recalls and flag batches", async function () {
+            await expect(traceability.connect(processor).issueRecall("Listeria", "")).to.be.reverted;
+
+            await traceability.issueRecall("Listeria", "");
+            await expect(traceability.connect(processor).recallBatches(1, [1])).to.be.reverted;
+        });
+
+        it("Should reject an empty reason and unknown recalls", async function () {
+            await expect(traceability.issueRecall("", "product=Frozen Peas"))
+                .to.be.revertedWith("Recall reason cannot be empty");
+            await expect(traceability.getRecall(1)).to.be.revertedWith("Recall does not exist");
+            await expect(traceability.recallBatches(1, [1])).to.be.revertedWith("Recall does not exist");
+        });
+    });
+
+    describe("recallBatches", function () {
+        beforeEach(async function () {
+            await traceability.issueRecall("Listeria found at plant", "product=Frozen Peas");
+        });
+
+        it("Should flag batches, compromise them and notify their owners", async function () {
+            await expect(traceability.recallBatches(1, [1, 2]))
+                .to.emit(traceability, "BatchRecalled")
+                .withArgs(2, 1, distributor.address, anyValue)
+                .and.to.emit(traceability, "Compromised")
+                .withArgs(1, admin.address, RECALL, anyValue, 0, "Listeria found at plant");
+
+            expect(await traceability.isBatchCompromised(2)).to.be.true;
+            expect((await traceability.getBatchRecall(2)).recallId).to.equal(1);
+            expect((await traceability.getBatchRecall(3)).recallId).to.equal(0);
+            expect((await traceability.getRecall(1)).batchCount).to.equal(2);
+        });
+
+        it("Should skip batches already under a recall so chunks can be resent", async function () {
+            await traceability.recallBatches(1, [1]);
+
+            await expect(traceability.recallBatches(1, [1, 2]))
+                .to.emit(traceability, "BatchRecalled")
+                .withArgs(2, 1, anyValue, anyValue);
+            expect((await traceability.getRecall(1)).batchCount).to.equal(2);
+
+            await traceability.issueRecall("Second notice", "");
+            await traceability.recallBatches(2, [1]);
+            expect((await traceability.getBatchRecall(1)).recallId).to.equal(1);
+            expect((await traceability.getRecall(2)).batchCount).to.equal(0);
+        });
+
+        it("Should not emit a second Compromised for batches compromised already", async function () {
+            await traceability.emergencyCompromiseBatch(1, "Damaged packaging");
+
+            await expect(traceability.recallBatches(1, [1]))
+                .to.emit(traceability, "BatchRecalled")
+                .and.not.to.emit(traceability, "Compromised");
+            expect(await traceability.isBatchCompromised(1)).to.be.true;
+        });
+
+        it("Should bound the batches per call and reject unknown batches", async function () {
+            await expect(traceability.recallBatches(1, []))
+                .to.be.revertedWith("Recall needs 1 to 100 batches per call");
+
+            const tooMany = Array.from({ length: 101 }, () => 1);
+            await expect(traceability.recallBatches(1, tooMany))
+                .to.be.revertedWith("Recall needs 1 to 100 batches per call");
+
+            await expect(traceability.recallBatches(1, [1, 99]))
+                .to.be.revertedWith("Batch does not exist");
+        });
+
+        it("Should keep recalled batches from being split or merged", async function () {
+            await traceability.recallBatches(1, [1]);
+
+            await expect(traceability.connect(processor).splitBatch(1, "Frozen Peas", [20, 20], "Orders"))
+                .to.be.revertedWith("Batch is under recall");
+            await expect(traceability.connect(processor).mergeBatches([3, 1], "Mixed", "Pallet"))
+                .to.be.revertedWith("Batch is under recall");
+        });
+    });
+
+    describe("acknowledgeRecall", function () {
+        beforeEach(async function () {
+            await traceability.issueRecall("Listeria found at plant", "product=Frozen Peas");
+            await traceability.recallBatches(1, [1, 2]);
+        });
+
+        it("Should record the owner's acknowledgement", async function () {
+            await expect(traceability.connect(distributor).acknowledgeRecall(2))
+                .to.emit(traceability, "RecallAcknowledged")
+                .withArgs(2, 1, distributor.address, anyValue);
+
+            const batchRecall = await traceability.getBatchRecall(2);
+            expect(batchRecall.acknowledgedBy).to.equal(distributor.address);
+            expect(batchRecall.acknowledgedAt).to.be.greaterThan(0);
+            expect((await traceability.getRecall(1)).acknowledgedCount).to.equal(1);
+        });
+
+        it("Should only accept one acknowledgement from the current owner", async function () {
+            await expect(traceability.connect(processor).acknowledgeRecall(2))
+                .to.be.revertedWith("Only the current owner can acknowledge");
+
+            await traceability.connect(distributor).acknowledgeRecall(2);
+            await expect(traceability.connect(distributor).acknowledgeRecall(2))
+                .to.be.revertedWith("Recall already acknowledged");
+        });
+
+        it("Should reject batches that are not recalled", async function () {
+            await expect(traceability.connect(processor).acknowledgeRecall(3))
+                .to.be.revertedWith("Batch is not under recall");
+        });
+    });
+
+    describe("Compromise kinds", function () {
+        it("Should keep EMERGENCY distinct from RECALL", async function () {
+            await expect(traceability.emergencyCompromiseBatch(3, "Freezer fire"))
+                .to.emit(traceability, "Compromised")
+                .withArgs(3, admin.address, EMERGENCY, anyValue, 0, "Freezer fire");
+            expect((await traceability.getBatchRecall(3)).recallId).to.equal(0);
+            await expect(traceability.connect(unauthorized).acknowledgeRecall(3))
+                .to.be.revertedWith("Batch is not under recall");
+        });
+    });
+});
@@ -0,0 +1,313 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    READING_TYPES,
+    attestationDomain,
+    toDeviceId,
+    signReading,
+    recoverReadingSigner,
+    SensorDevice
+} = require("../scripts/sensors/attestation");
+const { RELAY_ABI, parseSignedReadings, relayAttestations } = require("../scripts/sensors/relay");
+const { ROLES, deploy, deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Sensor Attestation Tests
+ *
+ * Hardhat signers play the devices:
+ * - Traceability admins register, rotate and revoke device keys
+ * - Any account relays EIP-712 signed readings, which reach Traceability
+ *   as oracle readings and can compromise the batch
+ * - Unknown or revoked devices, bad signatures, replays, readings for
+ *   another batch and readings Traceability would skip for their timestamps
+ *   are rejected with AttestationRejected
+ * - The relay script checks, orders and chunks readings before sending
+ */
+describe("SensorAttestations", function () {
+    let traceability;
+    let attestations;
+    let domain;
+    let processor;
+    let relayer;
+    let deviceKey;
+    let otherKey;
+    let outsider;
+    let device;
+    let start;
+
+    const { ORACLE_ROLE } = ROLES;
+    const DEVICE = "TRUCK7-PROBE-2";
+
+    // SensorAttestations.AttestationRejection
+    const WRONG_BATCH = 1;
+    const UNKNOWN_DEVICE = 2;
+    const BAD_SIGNATURE = 3;
+    const REPLAYED = 4;
+    const BEFORE_CREATION = 5;
+    const IN_FUTURE = 6;
+    const OUT_OF_ORDER = 7;
+
+    const reading = (offset, temperature = -20, batchId = 1) => ({
+        batchId,
+        temperature,
+        location: "Reefer Truck 7",
+        timestamp: start + offset
+    });
+
+    const relay = (signed, batchId = 1, from = relayer) =>
+        attestations.connect(from).relayReadings(batchId, signed);
+
+    // Attestations holding ORACLE_ROLE, batches 1 and 2 created an hour
+    // before each test starts, and one registered device
+    async function attestationsFixture() {
+        const fixture = await deployTraceabilityFixture();
+        const { traceability, processor, others: [relayer, deviceKey, otherKey, outsider] } = fixture;
+
+        const attestations = await deploy("SensorAttestations", await traceability.getAddress());
+        await traceability.grantRole(ORACLE_ROLE, await attestations.getAddress());
+
+        await traceability.connect(processor).createBatch("Frozen Peas", "Lot 7", 100, "cases");
+        await traceability.connect(processor).createBatch("Fish Fillets", "Lot 9", 100, "cases");
+
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = attestationDomain(await attestations.getAddress(), chainId);
+        const device = new SensorDevice({ deviceId: DEVICE, signer: deviceKey, domain });
+        await attestations.registerDevice(toDeviceId(DEVICE), deviceKey.address, "Reefer Truck 7, rear probe");
+
+        await time.increase(3600);
+        const start = await time.latest();
+        return { traceability, attestations, domain, processor, relayer, deviceKey, otherKey, outsider, device, start };
+    }
+
+    beforeEach(async function () {
+        ({
+            traceability, attestations, domain, processor, relayer, deviceKey, otherKey, outsider, device, start
+        } = await loadFixture(attestationsFixture));
+    });
+
+    describe("Signing Library", function () {
+        it("Should produce the digest the contract verifies", async function () {
+            const signed = await device.sign(reading(0, -19));
+            const typed = { ...signed, batchId: 1n, temperature: -19n, timestamp: BigInt(signed.timestamp) };
+            delete typed.signature;
+
+            expect(await attestations.readingDigest(1, -19, "Reefer Truck 7", signed.timestamp, signed.deviceId))
+                .to.equal(ethers.TypedDataEncoder.hash(domain, READING_TYPES, typed));
+            expect(recoverReadingSigner(domain, signed)).to.equal(deviceKey.address);
+            expect(signed.deviceId).to.equal(ethers.id(DEVICE));
+        });
+
+        it("Should refuse fractional temperatures", async function () {
+            let error;
+            try {
+                await signReading(deviceKey, domain, { ...reading(0, -19.5), deviceId: DEVICE });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.match(/whole number/);
+        });
+    });
+
+    describe("Device Registry", function () {
+        it("Should only let Traceability admins register and revoke devices", async function () {
+            const id = toDeviceId("FREEZER-A1");
+            await expect(attestations.connect(outsider).registerDevice(id, otherKey.address, "Cold Store A"))
+                .to.be.revertedWith("Only Traceability admins can manage devices");
+            await expect(attestations.registerDevice(ethers.ZeroHash, otherKey.address, "Cold Store A"))
+                .to.be.revertedWith("Device ID cannot be zero");
+            await expect(attestations.registerDevice(id, ethers.ZeroAddress, "Cold Store A"))
+                .to.be.revertedWith("Signer address cannot be zero");
+
+            await expect(attestations.registerDevice(id, otherKey.address, "Cold Store A"))
+                .to.emit(attestations, "DeviceRegistered");
+            expect((await attestations.getDevice(id)).signer).to.equal(otherKey.address);
+
+            await expect(attestations.connect(outsider).revokeDevice(id))
+                .to.be.revertedWith("Only Traceability admins can manage devices");
+            await expect(attestations.revokeDevice(id))
+                .to.emit(attestations, "DeviceRevoked");
+            expect((await attestations.getDevice(id)).active).to.be.false;
+            await expect(attestations.revokeDevice(id)).to.be.revertedWith("Device is not active");
+        });
+    });
+
+    describe("relayReadings", function () {
+        it("Should forward signed readings from any relayer as oracle readings", async function () {
+            const signed = await device.signAll([reading(-120), reading(-60, -19)]);
+
+            await expect(relay(signed))
+                .to.emit(attestations, "ReadingAttested")
+                .withArgs(1, toDeviceId(DEVICE), relayer.address, start - 60, "Reefer Truck 7", -19)
+                .and.to.emit(traceability, "OracleReading")
+                .withArgs(1, await attestations.getAddress(), ethers.id("Reefer Truck 7"), start - 60, "Reefer Truck 7", -19);
+
+            const logs = await traceability.queryFilter(traceability.filters.OracleReading(1));
+            expect(logs.map(log => Number(log.args.temperature))).to.deep.equal([-20, -19]);
+            expect(await attestations.lastAttestedAt(1, toDeviceId(DEVICE))).to.equal(start - 60);
+        });
+
+        it("Should let a signed breach compromise the batch", async function () {
+            await expect(relay([await device.sign(reading(0, 10))]))
+                .to.emit(traceability, "Compromised");
+            expect((await traceability.getBatchInfo(1)).isCompromised).to.be.true;
+        });
+
+        it("Should skip readings from unknown devices and with bad signatures", async function () {
+            const stranger = new SensorDevice({ deviceId: "UNKNOWN-1", signer: otherKey, domain });
+            const impostor = new SensorDevice({ deviceId: DEVICE, signer: otherKey, domain });
+            const tampered = { ...(await device.sign(reading(-30, 10))), temperature: -20 };
+            const valid = await device.sign(reading(-10));
+
+            const tx = relay([await stranger.sign(reading(-50)), await impostor.sign(reading(-40)), tampered, valid]);
+            await expect(tx)
+                .to.emit(attestations, "AttestationRejected")
+                .withArgs(1, toDeviceId("UNKNOWN-1"), UNKNOWN_DEVICE, relayer.address, start - 50, -20);
+            await expect(tx)
+                .to.emit(attestations, "AttestationRejected")
+                .withArgs(1, toDeviceId(DEVICE), BAD_SIGNATURE, relayer.address, start - 40, -20);
+            await expect(tx)
+                .to.emit(attestations, "AttestationRejected")
+                .withArgs(1, toDeviceId(DEVICE), BAD_SIGNATURE, relayer.address, start - 30, -20);
+
+            const logs = await traceability.queryFilter(traceability.filters.OracleReading(1));
+            expect(logs.map(log => Number(log.args.timestamp))).to.deep.equal([start - 10]);
+        });
+
+        it("Should skip replays, readings for another batch and readings signed for another deployment", async function () {
+            const signed = await device.sign(reading(-60));
+            await relay([signed]);
+
+            const otherDomain = attestationDomain(outsider.address, domain.chainId);
+            const foreign = await signReading(deviceKey, otherDomain, { ...reading(-5), deviceId: DEVICE });
+
+            const tx = relay([signed, await device.sign(reading(-30, -20, 2)), foreign]);
+            await expect(tx)
+                .to.emit(attestations, "AttestationRejected")
+                .withArgs(1, toDeviceId(DEVICE), REPLAYED, relayer.address, start - 60, -20);
+            await expect(tx)
+                .to.emit(attestations, "AttestationRejected")
+                .withArgs(1, toDeviceId(DEVICE), WRONG_BATCH, relayer.address, start - 30, -20);
+            await expect(tx)
+                .to.emit(attestations, "AttestationRejected")
+                .withArgs(1, toDeviceId(DEVICE), BAD_SIGNATURE, relayer.address, start - 5, -20);
+            await expect(tx).not.to.emit(traceability, "OracleReading");
+        });
+
+        it("Should reject a device's reading older than another device's, without attesting it", async function () {
+            const second = new SensorDevice({ deviceId: "TRUCK7-PROBE-3", signer: otherKey, domain });
+            await attestations.registerDevice(second.deviceId, otherKey.address, "Reefer Truck 7, front probe");
+            await relay([await device.sign(reading(-30))]);
+
+            const tx = relay(await second.signAll([reading(-60, -21), reading(-20, -21)]));
+            await expect(tx)
+                .to.emit(attestations, "AttestationRejected")
+                .withArgs(1, second.deviceId, OUT_OF_ORDER, relayer.address, start - 60, -21);
+            await expect(tx)
+                .to.emit(attestations, "ReadingAttested")
+                .withArgs(1, second.deviceId, relayer.address, start - 20, "Reefer Truck 7", -21);
+            await expect(tx).not.to.emit(traceability, "OracleReadingRejected");
+
+            // The rejected reading did not move the device's replay cursor past itself
+            const attested = await attestations.queryFilter(attestations.filters.ReadingAttested(1));
+            expect(attested.map(log => Number(log.args.timestamp) - start)).to.deep.equal([-30, -20]);
+            expect(await attestations.lastAttestedAt(1, second.deviceId)).to.equal(start - 20);
+        });
+
+        it("Should reject readings from before the batch or too far in the future", async function () {
+            const tolerance = Number(await traceability.ORACLE_CLOCK_TOLERANCE());
+            const tx = relay(await device.signAll([reading(-7200), reading(tolerance + 60)]));
+            await expect(tx)
+                .to.emit(attestations, "AttestationRejected")
+                .withArgs(1, toDeviceId(DEVICE), BEFORE_CREATION, relayer.address, start - 7200, -20);
+            await expect(tx)
+                .to.emit(attestations, "AttestationRejected")
+                .withArgs(1, toDeviceId(DEVICE), IN_FUTURE, relayer.address, start + tolerance + 60, -20);
+            await expect(tx).not.to.emit(traceability, "OracleReading");
+            expect(await attestations.lastAttestedAt(1, toDeviceId(DEVICE))).to.equal(0);
+        });
+
+        it("Should stop accepting a device once revoked and follow key rotation", async function () {
+            await attestations.revokeDevice(toDeviceId(DEVICE));
+            await expect(relay([await device.sign(reading(-60))]))
+                .to.emit(attestations, "AttestationRejected")
+                .withArgs(1, toDeviceId(DEVICE), UNKNOWN_DEVICE, relayer.address, start - 60, -20);
+
+            // The device's key is replaced; old signatures no longer count
+            await attestations.registerDevice(toDeviceId(DEVICE), otherKey.address, "Reefer Truck 7, rear probe");
+            const rotated = new SensorDevice({ deviceId: DEVICE, signer: otherKey, domain });
+            await expect(relay([await device.sign(reading(-50)), await rotated.sign(reading(-40))]))
+                .to.emit(attestations, "AttestationRejected")
+                .withArgs(1, toDeviceId(DEVICE), BAD_SIGNATURE, relayer.address, start - 50, -20)
+                .and.to.emit(traceability, "OracleReading");
+        });
+
+        it("Should revert without readings or without ORACLE_ROLE", async function () {
+            await expect(relay([])).to.be.revertedWith("Must provide at least one reading");
+
+            await traceability.revokeRole(ORACLE_ROLE, await attestations.getAddress());
+            await expect(relay([await device.sign(reading(-60))])).to.be.reverted;
+        });
+    });
+
+    describe("Relay Script", function () {
+        let contract;
+
+        beforeEach(function () {
+            contract = new ethers.Contract(attestations.target, RELAY_ABI, relayer);
+        });
+
+        it("Should parse JSON arrays and JSON lines", function () {
+            const lines = '# signed by TRUCK7-PROBE-2\n{"batchId":"1","timestamp":1}\n\n{"batchId":"1","timestamp":2}\n';
+            expect(parseSignedReadings(lines).map(r => r.timestamp)).to.deep.equal([1, 2]);
+            expect(parseSignedReadings('[{"batchId":"2"}]')).to.deep.equal([{ batchId: "2" }]);
+            expect(parseSignedReadings("  ")).to.deep.equal([]);
+        });
+
+        it("Should relay each batch in timestamp order, in chunks", async function () {
+            const second = new SensorDevice({ deviceId: "TRUCK7-PROBE-3", signer: otherKey, domain });
+            await attestations.registerDevice(second.deviceId, otherKey.address, "Reefer Truck 7, front probe");
+
+            const signed = [
+                ...(await device.signAll([reading(-50), reading(-30), reading(-10)])),
+                ...(await second.signAll([reading(-40, -21), reading(-20, -21, 2)]))
+            ].reverse();
+
+            const result = await relayAttestations({ contract, readings: signed, maxReadingsPerTx: 2 });
+            expect(result).to.deep.equal({ transactions: 3, relayed: 5, rejected: [] });
+
+            const logs = await traceability.queryFilter(traceability.filters.OracleReading(1));
+            expect(logs.map(log => Number(log.args.timestamp) - start)).to.deep.equal([-50, -40, -30, -10]);
+        });
+
+        it("Should report readings the contract would skip without sending them", async function () {
+            const signed = await device.sign(reading(-60));
+            await relayAttestations({ contract, readings: [signed] });
+
+            const stranger = new SensorDevice({ deviceId: "UNKNOWN-1", signer: otherKey, domain });
+            const second = new SensorDevice({ deviceId: "TRUCK7-PROBE-3", signer: outsider, domain });
+            await attestations.registerDevice(second.deviceId, outsider.address, "Reefer Truck 7, front probe");
+            const before = await ethers.provider.getTransactionCount(relayer.address);
+            const result = await relayAttestations({
+                contract,
+                readings: [
+                    signed,
+                    await stranger.sign(reading(-30)),
+                    { ...(await device.sign(reading(-20))), temperature: 5 },
+                    await second.sign(reading(-90)),
+                    await second.sign(reading(-7200))
+                ]
+            });
+
+            expect(result.transactions).to.equal(0);
+            expect(result.rejected.map(r => r.reason)).to.deep.equal([
+                "taken before the batch was created",
+                "older than the batch's last accepted reading",
+                "not newer than the device's last reading for the batch",
+                "device is not registered or has been revoked",
+                "signature does not match the device's key"
+            ]);
+            expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(before);
+        });
+    });
+});
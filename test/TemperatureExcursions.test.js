@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Temperature Excursion Tests
+ *
+ * Validates excursion tolerance on top of temperature profiles:
+ * - Short or shallow excursions are recorded but do not compromise the batch
+ * - Excursions past the profile's duration or peak limit compromise it
+ * - Excursion start and end are logged as their own events
+ * - Oracle batches are timed by the readings' own timestamps
+ */
+describe("Temperature Excursions", function () {
+    let traceability;
+    let processor;
+    let oracle;
+
+    // Ice cream: -30C to -20C, up to 10 minutes and 5 degrees out of range
+    const ICE_CREAM_PROFILE_ID = 2;
+    const MAX_EXCURSION_SECONDS = 10 * 60;
+
+    // Traceability.ExcursionPhase
+    const STARTED = 0;
+    const ENDED = 1;
+
+    // Ice cream batch 1
+    async function excursionFixture() {
+        const fixture = await deployTraceabilityFixture();
+        const { traceability, processor } = fixture;
+
+        await traceability.registerTemperatureProfile("Ice Cream", -30, -20, 10, 5);
+        await traceability.connect(processor).createBatchWithProfile("Vanilla Tubs", "Lot 3", ICE_CREAM_PROFILE_ID, 100, "cases");
+        return fixture;
+    }
+
+    beforeEach(async function () {
+        ({ traceability, processor, oracle } = await loadFixture(excursionFixture));
+    });
+
+    describe("addTraceEvent", function () {
+        it("Should record a short excursion without compromising the batch", async function () {
+            await expect(traceability.connect(processor).addTraceEvent(1, "Loading Dock", -17, "Door open"))
+                .to.emit(traceability, "TemperatureExcursion")
+                .withArgs(1, processor.address, STARTED, anyValue, "Loading Dock", -17, 0);
+
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.isCompromised).to.be.false;
+            expect(batch.excursionStartedAt).to.be.greaterThan(0);
+
+            await time.increase(120);
+
+            await expect(traceability.connect(processor).addTraceEvent(1, "Cold Room", -24, "Door closed"))
+                .to.emit(traceability, "TemperatureExcursion")
+                .withArgs(1, processor.address, ENDED, anyValue, "Cold Room", -24, anyValue);
+
+            const after = await traceability.getBatchInfo(1);
+            expect(after.isCompromised).to.be.false;
+            expect(after.excursionStartedAt).to.equal(0);
+        });
+
+        it("Should log out-of-range readings within tolerance without compromising", async function () {
+            await expect(traceability.connect(processor).addTraceEvent(1, "Loading Dock", -17, "Door open"))
+                .to.emit(traceability, "TraceRecorded")
+                .withArgs(1, processor.address, ethers.id("Loading Dock"), anyValue, "Loading Dock", -17, "Door open")
+                .and.not.to.emit(traceability, "Compromised");
+        });
+
+        it("Should report the excursion duration when it ends", async function () {
+            await traceability.connect(processor).addTraceEvent(1, "Loading Dock", -18, "Door open");
+            const startedAt = (await traceability.getBatchInfo(1)).excursionStartedAt;
+
+            const tx = await traceability.connect(processor).addTraceEvent(1, "Cold Room", -25, "Door closed");
+            const endedAt = (await ethers.provider.getBlock((await tx.wait()).blockNumber)).timestamp;
+
+            await expect(tx)
+                .to.emit(traceability, "TemperatureExcursion")
+                .withArgs(1, processor.address, ENDED, endedAt, "Cold Room", -25, endedAt - Number(startedAt));
+        });
+
+        it("Should compromise once the excursion outlasts the profile's duration", async function () {
+            await traceability.connect(processor).addTraceEvent(1, "Loading Dock", -18, "Door open");
+            await time.increase(MAX_EXCURSION_SECONDS + 1);
+
+            await expect(traceability.connect(processor).addTraceEvent(1, "Loading Dock", -19, "Still open"))
+                .to.emit(traceability, "Compromised")
+                .withArgs(1, processor.address, 0, anyValue, -19, ""); // TEMPERATURE_BREACH
+
+            expect(await traceability.isBatchCompromised(1)).to.be.true;
+        });
+
+        it("Should compromise at once when a reading passes the peak limit", async function () {
+            await traceability.connect(processor).addTraceEvent(1, "Loading Dock", -14, "Compressor failure");
+            expect(await traceability.isBatchCompromised(1)).to.be.true;
+        });
+
+        it("Should treat readings below the minimum as excursions too", async function () {
+            await traceability.connect(processor).addTraceEvent(1, "Blast Freezer", -33, "Over-chilled");
+            expect(await traceability.isBatchCompromised(1)).to.be.false;
+
+            await traceability.connect(processor).addTraceEvent(1, "Blast Freezer", -40, "Over-chilled");
+            expect(await traceability.isBatchCompromised(1)).to.be.true;
+        });
+
+        it("Should keep compromising on the first out-of-range reading with the default profile", async function () {
+            await traceability.connect(processor).createBatch("Frozen Peas", "Grade A", 100, "cases");
+
+            await traceability.connect(processor).addTraceEvent(2, "Loading Dock", -17, "Door open");
+            expect(await traceability.isBatchCompromised(2)).to.be.true;
+        });
+    });
+
+    describe("submitOracleReadings", function () {
+        it("Should time excursions by the submitted timestamps", async function () {
+            const start = await time.latest();
+            await time.increase(600);
+
+            await traceability.connect(oracle).submitOracleReadings(
+                1,
+                [-18, -17, -25],
+                ["Truck 4", "Truck 4", "Truck 4"],
+                [start, start + 300, start + 600]
+            );
+
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.isCompromised).to.be.false;
+            expect(batch.excursionStartedAt).to.equal(0);
+        });
+
+        it("Should compromise when the submitted timestamps span more than the allowed duration", async function () {
+            const start = await time.latest();
+            await time.increase(MAX_EXCURSION_SECONDS + 1);
+
+            await expect(
+                traceability.connect(oracle).submitOracleReadings(
+                    1,
+                    [-18, -18],
+                    ["Truck 4", "Truck 4"],
+                    [start, start + MAX_EXCURSION_SECONDS + 1]
+                )
+            )
+                .to.emit(traceability, "TemperatureExcursion")
+                .withArgs(1, oracle.address, STARTED, start, "Truck 4", -18, 0)
+                .and.to.emit(traceability, "Compromised")
+                .withArgs(1, oracle.address, 0, start + MAX_EXCURSION_SECONDS + 1, -18, "");
+
+            expect(await traceability.isBatchCompromised(1)).to.be.true;
+        });
+
+        it("Should continue an excursion across submissions", async function () {
+            const start = await time.latest();
+            await time.increase(MAX_EXCURSION_SECONDS + 1);
+
+            await traceability.connect(oracle).submitOracleReadings(1, [-18], ["Truck 4"], [start]);
+            await traceability.connect(oracle).submitOracleReadings(1, [-19], ["Truck 4"], [start + 300]);
+            expect(await traceability.isBatchCompromised(1)).to.be.false;
+
+            await traceability.connect(oracle).submitOracleReadings(1, [-19], ["Truck 4"], [start + MAX_EXCURSION_SECONDS + 1]);
+            expect(await traceability.isBatchCompromised(1)).to.be.true;
+        });
+
+        it("Should not count time for readings reported out of order", async function () {
+            await time.increase(MAX_EXCURSION_SECONDS * 3);
+            const start = await time.latest();
+
+            // The older reading is rejected rather than stretching the excursion
+            await expect(traceability.connect(oracle).submitOracleReadings(
+                1,
+                [-18, -18],
+                ["Truck 4", "Truck 4"],
+                [start, start - MAX_EXCURSION_SECONDS * 2]
+            )).to.emit(traceability, "OracleReadingRejected");
+
+            expect(await traceability.isBatchCompromised(1)).to.be.false;
+        });
+    });
+});
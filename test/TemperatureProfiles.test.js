@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Temperature Profile Tests
+ *
+ * Validates per-product temperature ranges:
+ * - Admin-only registration and retirement of profiles
+ * - createBatch (default profile) and createBatchWithProfile
+ * - Breach detection in addTraceEvent and submitOracleReadings against the batch's profile
+ */
+describe("Temperature Profiles", function () {
+    let traceability;
+    let owner;
+    let processor;
+    let oracle;
+    let unauthorized;
+
+    const DEFAULT_PROFILE_ID = 1;
+    const CHILLED_DOUGH_PROFILE_ID = 2;
+
+    async function profilesFixture() {
+        const fixture = await deployTraceabilityFixture();
+
+        // Profile 2: chilled dough, 0C to 4C
+        await fixture.traceability.registerTemperatureProfile("Chilled Dough", 0, 4, 30, 0);
+        return fixture;
+    }
+
+    beforeEach(async function () {
+        ({ traceability, admin: owner, processor, oracle, others: [unauthorized] } = await loadFixture(profilesFixture));
+    });
+
+    describe("Registration", function () {
+        it("Should register the default frozen profile at deployment", async function () {
+            expect(await traceability.DEFAULT_PROFILE_ID()).to.equal(DEFAULT_PROFILE_ID);
+
+            const profile = await traceability.getTemperatureProfile(DEFAULT_PROFILE_ID);
+            expect(profile.maxTemperature).to.equal(-18);
+            expect(profile.minTemperature).to.be.lessThan(-18);
+            expect(profile.active).to.be.true;
+        });
+
+        it("Should store and emit registered profiles", async function () {
+            await expect(traceability.registerTemperatureProfile("Ice Cream", -30, -20, 10, 3))
+                .to.emit(traceability, "TemperatureProfileRegistered")
+                .withArgs(3, "Ice Cream", -30, -20, 10, 3);
+
+            const profile = await traceability.getTemperatureProfile(3);
+            expect(profile.name).to.equal("Ice Cream");
+            expect(profile.minTemperature).to.equal(-30);
+            expect(profile.maxTemperature).to.equal(-20);
+            expect(profile.maxExcursionMinutes).to.equal(10);
+            expect(profile.maxExcursionDegrees).to.equal(3);
+            expect(await traceability.getTemperatureProfileCount()).to.equal(3);
+        });
+
+        it("Should only allow admins to register and retire profiles", async function () {
+            await expect(
+                traceability.connect(processor).registerTemperatureProfile("Frozen Seafood", -25, -18, 15, 0)
+            ).to.be.reverted;
+
+            await expect(
+                traceability.connect(unauthorized).setTemperatureProfileActive(CHILLED_DOUGH_PROFILE_ID, false)
+            ).to.be.reverted;
+        });
+
+        it("Should reject empty names and inverted ranges", async function () {
+            await expect(
+                traceability.registerTemperatureProfile("", -25, -18, 15, 0)
+            ).to.be.revertedWith("Profile name cannot be empty");
+
+            await expect(
+                traceability.registerTemperatureProfile("Frozen Seafood", -18, -25, 15, 0)
+            ).to.be.revertedWith("Minimum temperature must be below maximum");
+        });
+
+        it("Should reject unknown profile IDs", async function () {
+            await expect(traceability.getTemperatureProfile(0))
+                .to.be.revertedWith("Temperature profile does not exist");
+            await expect(traceability.getTemperatureProfile(99))
+                .to.be.revertedWith("Temperature profile does not exist");
+        });
+    });
+
+    describe("Batch Creation", function () {
+        it("Should use the default profile when none is given", async function () {
+            await traceability.connect(processor).createBatch("Frozen Peas", "Grade A", 100, "cases");
+
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.profileId).to.equal(DEFAULT_PROFILE_ID);
+
+            const profile = await traceability.getBatchTemperatureProfile(1);
+            expect(profile.maxTemperature).to.equal(-18);
+        });
+
+        it("Should store the given profile on the batch", async function () {
+            await traceability.connect(processor).createBatchWithProfile("Croissant Dough", "Lot 12", CHILLED_DOUGH_PROFILE_ID, 100, "cases");
+
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.profileId).to.equal(CHILLED_DOUGH_PROFILE_ID);
+        });
+
+        it("Should reject unknown and retired profiles", async function () {
+            await expect(
+                traceability.connect(processor).createBatchWithProfile("Croissant Dough", "Lot 12", 99, 100, "cases")
+            ).to.be.revertedWith("Temperature profile does not exist");
+
+            await expect(traceability.setTemperatureProfileActive(CHILLED_DOUGH_PROFILE_ID, false))
+                .to.emit(traceability, "TemperatureProfileStatusChanged")
+                .withArgs(CHILLED_DOUGH_PROFILE_ID, false);
+
+            await expect(
+                traceability.connect(processor).createBatchWithProfile("Croissant Dough", "Lot 12", CHILLED_DOUGH_PROFILE_ID, 100, "cases")
+            ).to.be.revertedWith("Temperature profile is not active");
+        });
+    });
+
+    describe("Breach Detection", function () {
+        beforeEach(async function () {
+            await traceability.connect(processor).createBatchWithProfile("Croissant Dough", "Lot 12", CHILLED_DOUGH_PROFILE_ID, 100, "cases");
+        });
+
+        it("Should accept readings inside the batch's range that the default profile would reject", async function () {
+            await traceability.connect(processor).addTraceEvent(1, "Cold Room 2", 3, "Within range");
+            expect(await traceability.isBatchCompromised(1)).to.be.false;
+        });
+
+        it("Should compromise on readings above the maximum", async function () {
+            await expect(traceability.connect(processor).addTraceEvent(1, "Loading Dock", 12, "Door open"))
+                .to.emit(traceability, "Compromised")
+                .withArgs(1, processor.address, 0, anyValue, 12, ""); // TEMPERATURE_BREACH
+            expect(await traceability.isBatchCompromised(1)).to.be.true;
+        });
+
+        it("Should compromise on readings below the minimum", async function () {
+            await traceability.connect(processor).addTraceEvent(1, "Blast Freezer", -5, "Dough frozen");
+            expect(await traceability.isBatchCompromised(1)).to.be.true;
+        });
+
+        it("Should check oracle readings against the batch's profile", async function () {
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            await traceability.connect(oracle).submitOracleReadings(1, [2, 4], ["Sensor A", "Sensor A"], [now, now + 60]);
+            expect(await traceability.isBatchCompromised(1)).to.be.false;
+
+            await traceability.connect(oracle).submitOracleReadings(1, [5], ["Sensor A"], [now + 120]);
+            expect(await traceability.isBatchCompromised(1)).to.be.true;
+        });
+
+        it("Should keep checking existing batches after their profile is retired", async function () {
+            await traceability.setTemperatureProfileActive(CHILLED_DOUGH_PROFILE_ID, false);
+
+            await traceability.connect(processor).addTraceEvent(1, "Cold Room 2", 3, "Within range");
+            expect(await traceability.isBatchCompromised(1)).to.be.false;
+        });
+    });
+});
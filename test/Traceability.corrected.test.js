@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 /**
  * FROST-CHAIN Comprehensive Test Suite
@@ -30,6 +31,10 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
     const RETAILER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("RETAILER_ROLE"));
     const ORACLE_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ORACLE_ROLE"));
 
+    // Revert reason of OpenZeppelin 4.9's AccessControl when `account` lacks `role`
+    const missingRole = (account, role) =>
+        `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+
     // Test constants
     const SAFE_TEMPERATURE = -20; // Below threshold
     const UNSAFE_TEMPERATURE = -15; // Above threshold
@@ -100,20 +105,46 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             it("Should only allow PROCESSOR_ROLE to create batches", async function () {
                 // Processor should succeed
                 await expect(
-                    traceability.connect(processor).createBatch("Frozen Peas", "Grade A")
+                    traceability.connect(processor).createBatch("Frozen Peas", "Grade A", 100, "cases")
                 ).to.not.be.reverted;
 
-                // Non-processor should fail with AccessControl error
+                // Non-processors fail with the AccessControl error, on either entry point
                 await expect(
-                    traceability.connect(unauthorized).createBatch("Frozen Peas", "Grade A")
-                ).to.be.reverted;
+                    traceability.connect(unauthorized).createBatch("Frozen Peas", "Grade A", 100, "cases")
+                ).to.be.revertedWith(missingRole(unauthorized, PROCESSOR_ROLE));
+                await expect(
+                    traceability.connect(distributor).createBatchWithProfile("Frozen Peas", "Grade A", 1, 100, "cases")
+                ).to.be.revertedWith(missingRole(distributor, PROCESSOR_ROLE));
+                expect(await traceability.getBatchCount()).to.equal(1);
+            });
+
+            it("Should let the admin open batch creation to anyone and restrict it again", async function () {
+                expect(await traceability.processorAllowlistEnabled()).to.be.true;
+
+                await expect(traceability.setProcessorAllowlistEnabled(false))
+                    .to.emit(traceability, "ProcessorAllowlistChanged")
+                    .withArgs(owner.address, false);
+                await expect(
+                    traceability.connect(unauthorized).createBatch("Frozen Peas", "Grade A", 100, "cases")
+                ).to.emit(traceability, "BatchCreated");
+
+                await traceability.setProcessorAllowlistEnabled(true);
+                await expect(
+                    traceability.connect(unauthorized).createBatch("Frozen Peas", "Grade A", 100, "cases")
+                ).to.be.revertedWith(missingRole(unauthorized, PROCESSOR_ROLE));
+            });
+
+            it("Should only allow the admin to change the processor allowlist", async function () {
+                await expect(
+                    traceability.connect(processor).setProcessorAllowlistEnabled(false)
+                ).to.be.revertedWith(missingRole(processor, DEFAULT_ADMIN_ROLE));
             });
 
             it("Should restrict role management to admin only", async function () {
                 // Non-admin should fail to grant roles
                 await expect(
                     traceability.connect(unauthorized).grantRole(PROCESSOR_ROLE, unauthorized.address)
-                ).to.be.reverted;
+                ).to.be.revertedWith(missingRole(unauthorized, DEFAULT_ADMIN_ROLE));
             });
         });
 
@@ -121,7 +152,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             it("Should prevent non-admin from granting roles", async function () {
                 await expect(
                     traceability.connect(unauthorized).grantRole(DISTRIBUTOR_ROLE, unauthorized.address)
-                ).to.be.reverted;
+                ).to.be.revertedWith(missingRole(unauthorized, DEFAULT_ADMIN_ROLE));
             });
 
             it("Should prevent non-admin from revoking roles", async function () {
@@ -129,7 +160,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
                 
                 await expect(
                     traceability.connect(unauthorized).revokeRole(DISTRIBUTOR_ROLE, distributor.address)
-                ).to.be.reverted;
+                ).to.be.revertedWith(missingRole(unauthorized, DEFAULT_ADMIN_ROLE));
             });
         });
 
@@ -152,14 +183,15 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
         });
 
         describe("createBatch Event", function () {
-            it("Should emit BatchEventLog with correct parameters on batch creation", async function () {
+            it("Should emit BatchCreated with correct parameters on batch creation", async function () {
                 const productName = "Frozen Peas";
                 const additionalDetails = "Grade A, Organic";
                 
                 await expect(
-                    traceability.connect(processor).createBatch(productName, additionalDetails)
+                    traceability.connect(processor).createBatch(productName, additionalDetails, 100, "cases")
                 )
-                .to.emit(traceability, "BatchEventLog"); // Simplified test - just check event is emitted
+                .to.emit(traceability, "BatchCreated")
+                .withArgs(1, processor.address, 1, anyValue, productName, additionalDetails);
             });
         });
 
@@ -167,46 +199,76 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             let batchId;
 
             beforeEach(async function () {
-                const tx = await traceability.connect(processor).createBatch("Frozen Peas", "Grade A");
+                const tx = await traceability.connect(processor).createBatch("Frozen Peas", "Grade A", 100, "cases");
                 batchId = 1; // First batch created will have ID 1
             });
 
-            it("Should emit BatchEventLog with UPDATE eventType for safe temperature", async function () {
+            it("Should emit TraceRecorded without Compromised for safe temperature", async function () {
                 const location = "Warehouse A";
                 const additionalNotes = "Regular check";
                 
                 await expect(
                     traceability.connect(processor).addTraceEvent(batchId, location, SAFE_TEMPERATURE, additionalNotes)
                 )
-                .to.emit(traceability, "BatchEventLog"); // Simplified test
+                .to.emit(traceability, "TraceRecorded")
+                .withArgs(batchId, processor.address, ethers.id(location), anyValue, location, SAFE_TEMPERATURE, additionalNotes)
+                .and.not.to.emit(traceability, "Compromised");
             });
 
-            it("Should emit BatchEventLog with COMPROMISED eventType for unsafe temperature", async function () {
+            it("Should emit TraceRecorded and Compromised for unsafe temperature", async function () {
                 const location = "Warehouse B";
                 const additionalNotes = "Temperature spike detected";
                 
                 await expect(
                     traceability.connect(processor).addTraceEvent(batchId, location, UNSAFE_TEMPERATURE, additionalNotes)
                 )
-                .to.emit(traceability, "BatchEventLog"); // Simplified test
+                .to.emit(traceability, "TraceRecorded")
+                .withArgs(batchId, processor.address, ethers.id(location), anyValue, location, UNSAFE_TEMPERATURE, additionalNotes)
+                .and.to.emit(traceability, "Compromised")
+                .withArgs(batchId, processor.address, 0, anyValue, UNSAFE_TEMPERATURE, ""); // TEMPERATURE_BREACH
+            });
+
+            it("Should allow filtering readings by location hash", async function () {
+                await traceability.connect(processor).addTraceEvent(batchId, "Warehouse A", SAFE_TEMPERATURE, "Check 1");
+                await traceability.connect(processor).addTraceEvent(batchId, "Warehouse B", SAFE_TEMPERATURE, "Check 2");
+                await traceability.connect(processor).addTraceEvent(batchId, "Warehouse A", SAFE_TEMPERATURE, "Check 3");
+
+                const events = await traceability.queryFilter(
+                    traceability.filters.TraceRecorded(batchId, null, ethers.id("Warehouse A"))
+                );
+                expect(events.map(e => e.args.notes)).to.deep.equal(["Check 1", "Check 3"]);
             });
         });
 
-        describe("transferOwnership Event", function () {
+        describe("Transfer Events", function () {
             let batchId;
 
             beforeEach(async function () {
-                const tx = await traceability.connect(processor).createBatch("Frozen Peas", "Grade A");
+                const tx = await traceability.connect(processor).createBatch("Frozen Peas", "Grade A", 100, "cases");
                 batchId = 1; // First batch created will have ID 1
             });
 
-            it("Should emit BatchEventLog with HANDOVER eventType", async function () {
+            it("Should emit TransferProposed with the recipient and deadline", async function () {
+                const handoverNotes = "Transfer to distribution center";
+                
+                await expect(
+                    traceability.connect(processor).proposeTransfer(batchId, distributor.address, handoverNotes)
+                )
+                .to.emit(traceability, "TransferProposed")
+                .withArgs(batchId, processor.address, distributor.address, anyValue, anyValue, handoverNotes);
+            });
+
+            it("Should emit Handover with the new owner and status on acceptance", async function () {
                 const handoverNotes = "Transfer to distribution center";
+                await traceability.connect(processor).proposeTransfer(batchId, distributor.address, handoverNotes);
                 
                 await expect(
-                    traceability.connect(processor).transferOwnership(batchId, distributor.address, handoverNotes)
+                    traceability.connect(distributor).acceptTransfer(batchId, "Distribution Center", SAFE_TEMPERATURE, "Received")
                 )
-                .to.emit(traceability, "BatchEventLog"); // Simplified test
+                .to.emit(traceability, "Handover")
+                .withArgs(batchId, processor.address, distributor.address, anyValue, 1, handoverNotes) // IN_TRANSIT
+                .and.to.emit(traceability, "TraceRecorded")
+                .withArgs(batchId, distributor.address, ethers.id("Distribution Center"), anyValue, "Distribution Center", SAFE_TEMPERATURE, "Received");
             });
         });
     });
@@ -222,7 +284,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
         describe("Happy Path - Complete Supply Chain Journey", function () {
             it("Should successfully complete a full supply chain journey", async function () {
                 // 1. Create batch
-                const tx1 = await traceability.connect(processor).createBatch("Frozen Peas", "Grade A, Organic");
+                const tx1 = await traceability.connect(processor).createBatch("Frozen Peas", "Grade A, Organic", 100, "cases");
                 const batchId = 1; // First batch will have ID 1
 
                 // Verify initial state
@@ -239,12 +301,18 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
                     "Quality check passed"
                 );
 
-                // 3. Transfer to distributor
-                await traceability.connect(processor).transferOwnership(
+                // 3. Transfer to distributor, who accepts with a receiving reading
+                await traceability.connect(processor).proposeTransfer(
                     batchId, 
                     distributor.address, 
                     "Shipped to distribution center"
                 );
+                await traceability.connect(distributor).acceptTransfer(
+                    batchId, 
+                    "Distribution Center", 
+                    SAFE_TEMPERATURE, 
+                    "Inventory received"
+                );
 
                 // Verify transfer
                 const afterTransfer = await traceability.getBatchInfo(batchId);
@@ -256,15 +324,21 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
                     batchId, 
                     "Distribution Center", 
                     SAFE_TEMPERATURE, 
-                    "Inventory received"
+                    "Stored in freezer"
                 );
 
                 // 5. Transfer to retailer
-                await traceability.connect(distributor).transferOwnership(
+                await traceability.connect(distributor).proposeTransfer(
                     batchId, 
                     retailer.address, 
                     "Delivered to retail store"
                 );
+                await traceability.connect(retailer).acceptTransfer(
+                    batchId, 
+                    "Retail Store", 
+                    SAFE_TEMPERATURE, 
+                    "Delivery received"
+                );
 
                 // Verify final state
                 const finalBatch = await traceability.getBatchInfo(batchId);
@@ -288,7 +362,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
         describe("Failure Path - Temperature Breach", function () {
             it("Should correctly handle temperature breach scenario", async function () {
                 // Create batch
-                const tx = await traceability.connect(processor).createBatch("Frozen Chicken", "Premium Grade");
+                const tx = await traceability.connect(processor).createBatch("Frozen Chicken", "Premium Grade", 100, "cases");
                 const batchId = 1; // First batch will have ID 1
 
                 // Verify initial state
@@ -312,7 +386,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
 
             it("Should maintain compromise state through transfers", async function () {
                 // Create and compromise batch
-                const tx = await traceability.connect(processor).createBatch("Frozen Fish", "Fresh Catch");
+                const tx = await traceability.connect(processor).createBatch("Frozen Fish", "Fresh Catch", 100, "cases");
                 const batchId = 1; // First batch will have ID 1
 
                 await traceability.connect(processor).addTraceEvent(
@@ -323,11 +397,17 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
                 );
 
                 // Transfer to distributor
-                await traceability.connect(processor).transferOwnership(
+                await traceability.connect(processor).proposeTransfer(
                     batchId, 
                     distributor.address, 
                     "Transfer despite compromise"
                 );
+                await traceability.connect(distributor).acceptTransfer(
+                    batchId, 
+                    "Distribution Center", 
+                    SAFE_TEMPERATURE, 
+                    "Received"
+                );
 
                 // Verify compromise state is maintained (but status may change due to transfer)
                 expect(await traceability.isBatchCompromised(batchId)).to.be.true;
@@ -342,7 +422,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             let batchId;
 
             beforeEach(async function () {
-                const tx = await traceability.connect(processor).createBatch("Frozen Vegetables", "Mixed");
+                const tx = await traceability.connect(processor).createBatch("Frozen Vegetables", "Mixed", 100, "cases");
                 batchId = 1; // First batch will have ID 1
             });
 
@@ -359,7 +439,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
 
             it("Should prevent non-owner from transferring ownership", async function () {
                 await expect(
-                    traceability.connect(distributor).transferOwnership(
+                    traceability.connect(distributor).proposeTransfer(
                         batchId, 
                         retailer.address, 
                         "Unauthorized transfer"
@@ -369,13 +449,17 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
 
             it("Should allow owner to transfer ownership", async function () {
                 await expect(
-                    traceability.connect(processor).transferOwnership(
+                    traceability.connect(processor).proposeTransfer(
                         batchId, 
                         distributor.address, 
                         "Authorized transfer"
                     )
                 ).to.not.be.reverted;
 
+                // The sender keeps custody until the recipient accepts
+                expect((await traceability.getBatchInfo(batchId)).currentOwner).to.equal(processor.address);
+
+                await traceability.connect(distributor).acceptTransfer(batchId, "Depot", SAFE_TEMPERATURE, "");
                 const batchInfo = await traceability.getBatchInfo(batchId);
                 expect(batchInfo.currentOwner).to.equal(distributor.address);
             });
@@ -402,7 +486,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
                 ).to.be.revertedWith("Batch does not exist");
 
                 await expect(
-                    traceability.connect(processor).transferOwnership(
+                    traceability.connect(processor).proposeTransfer(
                         nonExistentBatchId, 
                         distributor.address, 
                         "Transfer"
@@ -419,13 +503,13 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             let batchId;
 
             beforeEach(async function () {
-                const tx = await traceability.connect(processor).createBatch("Test Product", "Test Details");
+                const tx = await traceability.connect(processor).createBatch("Test Product", "Test Details", 100, "cases");
                 batchId = 1; // First batch will have ID 1
             });
 
             it("Should prevent transfer to zero address", async function () {
                 await expect(
-                    traceability.connect(processor).transferOwnership(
+                    traceability.connect(processor).proposeTransfer(
                         batchId, 
                         ethers.ZeroAddress, 
                         "Invalid transfer"
@@ -435,7 +519,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
 
             it("Should prevent transfer to self", async function () {
                 await expect(
-                    traceability.connect(processor).transferOwnership(
+                    traceability.connect(processor).proposeTransfer(
                         batchId, 
                         processor.address, 
                         "Self transfer"
@@ -461,7 +545,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             await traceability.grantRole(PROCESSOR_ROLE, processor.address);
             await traceability.grantRole(ORACLE_ROLE, oracle.address);
             
-            const tx = await traceability.connect(processor).createBatch("IoT Monitored Batch", "Temperature Sensors");
+            const tx = await traceability.connect(processor).createBatch("IoT Monitored Batch", "Temperature Sensors", 100, "cases");
             batchId = 1; // First batch will have ID 1
         });
 
@@ -493,12 +577,8 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             it("Should process multiple oracle readings successfully", async function () {
                 const readings = [-19, -20, -18, -17]; // Last reading should trigger compromise
                 const locations = ["Sensor A", "Sensor B", "Sensor C", "Sensor D"];
-                const timestamps = [
-                    Math.floor(Date.now() / 1000),
-                    Math.floor(Date.now() / 1000) + 60,
-                    Math.floor(Date.now() / 1000) + 120,
-                    Math.floor(Date.now() / 1000) + 180
-                ];
+                const now = (await ethers.provider.getBlock("latest")).timestamp;
+                const timestamps = [now, now + 60, now + 120, now + 180];
 
                 await expect(
                     traceability.connect(oracle).submitOracleReadings(
@@ -513,6 +593,22 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
                 expect(await traceability.isBatchCompromised(batchId)).to.be.true;
             });
 
+            it("Should emit an OracleReading per reading with the sensor's timestamp", async function () {
+                const timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+
+                await expect(
+                    traceability.connect(oracle).submitOracleReadings(
+                        batchId,
+                        [-22, -21],
+                        ["Sensor A", "Sensor B"],
+                        [timestamp, timestamp + 60]
+                    )
+                )
+                .to.emit(traceability, "OracleReading")
+                .withArgs(batchId, oracle.address, ethers.id("Sensor B"), timestamp + 60, "Sensor B", -21)
+                .and.not.to.emit(traceability, "Compromised");
+            });
+
             it("Should validate array lengths in oracle readings", async function () {
                 await expect(
                     traceability.connect(oracle).submitOracleReadings(
@@ -544,7 +640,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
         beforeEach(async function () {
             await traceability.grantRole(PROCESSOR_ROLE, processor.address);
             
-            const tx = await traceability.connect(processor).createBatch("Admin Test Batch", "For testing admin functions");
+            const tx = await traceability.connect(processor).createBatch("Admin Test Batch", "For testing admin functions", 100, "cases");
             batchId = 1; // First batch will have ID 1
         });
 
@@ -555,7 +651,8 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
                 await expect(
                     traceability.emergencyCompromiseBatch(batchId, reason)
                 )
-                .to.emit(traceability, "BatchEventLog"); // Simplified test
+                .to.emit(traceability, "Compromised")
+                .withArgs(batchId, owner.address, 1, anyValue, 0, reason); // EMERGENCY
 
                 expect(await traceability.isBatchCompromised(batchId)).to.be.true;
             });
@@ -589,15 +686,15 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             it("Should return correct batch count", async function () {
                 expect(await traceability.getBatchCount()).to.equal(0);
                 
-                await traceability.connect(processor).createBatch("Batch 1", "Details 1");
+                await traceability.connect(processor).createBatch("Batch 1", "Details 1", 100, "cases");
                 expect(await traceability.getBatchCount()).to.equal(1);
                 
-                await traceability.connect(processor).createBatch("Batch 2", "Details 2");
+                await traceability.connect(processor).createBatch("Batch 2", "Details 2", 100, "cases");
                 expect(await traceability.getBatchCount()).to.equal(2);
             });
 
             it("Should return complete batch information", async function () {
-                const tx = await traceability.connect(processor).createBatch("Test Batch", "Complete Info Test");
+                const tx = await traceability.connect(processor).createBatch("Test Batch", "Complete Info Test", 100, "cases");
                 const batchId = 1; // First batch will have ID 1
 
                 const batchInfo = await traceability.getBatchInfo(batchId);
@@ -618,7 +715,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             await traceability.grantRole(PROCESSOR_ROLE, processor.address);
             
             // Create batch and measure gas
-            const tx = await traceability.connect(processor).createBatch("Gas Test Batch", "Measuring efficiency");
+            const tx = await traceability.connect(processor).createBatch("Gas Test Batch", "Measuring efficiency", 100, "cases");
             const receipt = await tx.wait();
             
             // Verify gas usage is reasonable for the operations performed
@@ -629,7 +726,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
         it("Should efficiently emit events vs storing in arrays", async function () {
             await traceability.grantRole(PROCESSOR_ROLE, processor.address);
             
-            const tx1 = await traceability.connect(processor).createBatch("Event Test", "Testing event efficiency");
+            const tx1 = await traceability.connect(processor).createBatch("Event Test", "Testing event efficiency", 100, "cases");
             const batchId = 1; // First batch will have ID 1
 
             const tx2 = await traceability.connect(processor).addTraceEvent(
@@ -656,7 +753,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
 
         it("Should handle complex multi-actor scenario with oracle intervention", async function () {
             // Create batch
-            const tx = await traceability.connect(processor).createBatch("Complex Scenario Batch", "Multi-actor test");
+            const tx = await traceability.connect(processor).createBatch("Complex Scenario Batch", "Multi-actor test", 100, "cases");
             const batchId = 1; // First batch will have ID 1
 
             // Processor adds initial event
@@ -668,7 +765,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             );
 
             // Transfer to distributor
-            await traceability.connect(processor).transferOwnership(
+            await traceability.connect(processor).proposeTransfer(
                 batchId, 
                 distributor.address, 
                 "Shipped to distribution"
@@ -688,7 +785,7 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             );
 
             // Distributor confirms receipt
-            await traceability.connect(distributor).addTraceEvent(
+            await traceability.connect(distributor).acceptTransfer(
                 batchId, 
                 "Distribution Warehouse", 
                 -21, 
@@ -696,11 +793,17 @@ describe("Traceability Smart Contract - Comprehensive Test Suite", function () {
             );
 
             // Transfer to retailer
-            await traceability.connect(distributor).transferOwnership(
+            await traceability.connect(distributor).proposeTransfer(
                 batchId, 
                 retailer.address, 
                 "Final delivery to store"
             );
+            await traceability.connect(retailer).acceptTransfer(
+                batchId, 
+                "Retail Store", 
+                -20, 
+                "Delivery received"
+            );
 
             // Verify final state
             const finalBatch = await traceability.getBatchInfo(batchId);
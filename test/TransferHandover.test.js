@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployTraceabilityFixture } = require("./helpers/deploy");
+
+/**
+ * FROST-CHAIN Two-Step Handover Tests
+ *
+ * Validates transfers the recipient has to accept:
+ * - proposeTransfer leaves custody with the sender until acceptance
+ * - acceptTransfer moves custody and records the receiving reading
+ * - The sender can cancel, and proposals expire after TRANSFER_ACCEPTANCE_PERIOD
+ * - Batches with a live proposal cannot be split or merged
+ */
+describe("Two-Step Handover", function () {
+    let traceability;
+    let processor;
+    let distributor;
+    let retailer;
+    let unauthorized;
+    let acceptancePeriod;
+
+    async function handoverFixture() {
+        const fixture = await deployTraceabilityFixture();
+        await fixture.traceability.connect(fixture.processor).createBatch("Frozen Peas", "Pallet 7", 40, "cases");
+        return fixture;
+    }
+
+    beforeEach(async function () {
+        ({ traceability, processor, distributor, retailer, others: [unauthorized] } = await loadFixture(handoverFixture));
+        acceptancePeriod = await traceability.TRANSFER_ACCEPTANCE_PERIOD();
+    });
+
+    describe("proposeTransfer", function () {
+        it("Should record the proposal and leave custody with the sender", async function () {
+            await expect(traceability.connect(processor).proposeTransfer(1, distributor.address, "Truck 4"))
+                .to.emit(traceability, "TransferProposed")
+                .withArgs(1, processor.address, distributor.address, anyValue, anyValue, "Truck 4");
+
+            const pending = await traceability.getPendingTransfer(1);
+            expect(pending.to).to.equal(distributor.address);
+            expect(pending.expiresAt - pending.proposedAt).to.equal(acceptancePeriod);
+            expect(pending.notes).to.equal("Truck 4");
+
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.currentOwner).to.equal(processor.address);
+            expect(batch.status).to.equal(0); // CREATED
+        });
+
+        it("Should reject a second proposal while one is live", async function () {
+            await traceability.connect(processor).proposeTransfer(1, unauthorized.address, "Typo");
+
+            await expect(traceability.connect(processor).proposeTransfer(1, distributor.address, "Truck 4"))
+                .to.be.revertedWith("A transfer is already pending");
+        });
+
+        it("Should keep batches with a live proposal from being split or merged", async function () {
+            await traceability.connect(processor).createBatch("Frozen Peas", "Pallet 8", 10, "cases");
+            await traceability.connect(processor).proposeTransfer(1, distributor.address, "Truck 4");
+
+            await expect(traceability.connect(processor).splitBatch(1, "Frozen Peas", [20, 20], "Orders"))
+                .to.be.revertedWith("Batch has a pending transfer");
+            await expect(traceability.connect(processor).mergeBatches([2, 1], "Frozen Peas", "Pallet"))
+                .to.be.revertedWith("Batch has a pending transfer");
+        });
+    });
+
+    describe("acceptTransfer", function () {
+        beforeEach(async function () {
+            await traceability.connect(processor).proposeTransfer(1, distributor.address, "Truck 4");
+        });
+
+        it("Should move custody, set the status and record the receiving reading", async function () {
+            await expect(traceability.connect(distributor).acceptTransfer(1, "Depot", -21, "Received"))
+                .to.emit(traceability, "Handover")
+                .withArgs(1, processor.address, distributor.address, anyValue, 1, "Truck 4") // IN_TRANSIT
+                .and.to.emit(traceability, "TraceRecorded")
+                .withArgs(1, distributor.address, ethers.id("Depot"), anyValue, "Depot", -21, "Received");
+
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.currentOwner).to.equal(distributor.address);
+            expect(batch.status).to.equal(1);
+            expect((await traceability.getPendingTransfer(1)).to).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should check the receiving reading against the batch's profile", async function () {
+            await expect(traceability.connect(distributor).acceptTransfer(1, "Depot", -5, "Arrived warm"))
+                .to.emit(traceability, "Compromised");
+
+            const batch = await traceability.getBatchInfo(1);
+            expect(batch.currentOwner).to.equal(distributor.address);
+            expect(batch.isCompromised).to.be.true;
+        });
+
+        it("Should only let the recipient accept", async function () {
+            await expect(traceability.connect(retailer).acceptTransfer(1, "Store", -20, ""))
+                .to.be.revertedWith("Only the recipient can accept");
+            await expect(traceability.connect(processor).acceptTransfer(1, "Plant", -20, ""))
+                .to.be.revertedWith("Only the recipient can accept");
+        });
+
+        it("Should reject acceptance after the deadline", async function () {
+            await time.increase(acceptancePeriod + 1n);
+
+            await expect(traceability.connect(distributor).acceptTransfer(1, "Depot", -20, ""))
+                .to.be.revertedWith("Transfer has expired");
+
+            // An expired proposal can be replaced without cancelling it first
+            await expect(traceability.connect(processor).proposeTransfer(1, retailer.address, "Direct to store"))
+                .to.emit(traceability, "TransferProposed");
+            await traceability.connect(retailer).acceptTransfer(1, "Store", -20, "");
+            expect((await traceability.getBatchInfo(1)).status).to.equal(2); // DELIVERED
+        });
+    });
+
+    describe("cancelTransfer", function () {
+        it("Should let the sender withdraw a proposal", async function () {
+            await traceability.connect(processor).proposeTransfer(1, unauthorized.address, "Typo");
+
+            await expect(traceability.connect(unauthorized).cancelTransfer(1))
+                .to.be.revertedWith("Only the current owner can cancel");
+            await expect(traceability.connect(processor).cancelTransfer(1))
+                .to.emit(traceability, "TransferCancelled")
+                .withArgs(1, processor.address, unauthorized.address, anyValue);
+
+            await expect(traceability.connect(unauthorized).acceptTransfer(1, "Nowhere", -20, ""))
+                .to.be.revertedWith("No pending transfer");
+            await traceability.connect(processor).proposeTransfer(1, distributor.address, "Truck 4");
+        });
+
+        it("Should reject cancelling when nothing is pending", async function () {
+            await expect(traceability.connect(processor).cancelTransfer(1))
+                .to.be.revertedWith("No pending transfer");
+        });
+    });
+});
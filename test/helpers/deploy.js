@@ -0,0 +1,51 @@
+const { ethers } = require("hardhat");
+
+/**
+ * FROST-CHAIN Test Fixtures
+ *
+ * Shared deployment for the test suites. Build each suite's fixture on
+ * deployTraceabilityFixture and pass it to loadFixture from
+ * @nomicfoundation/hardhat-network-helpers, so the setup runs once and later
+ * tests start from a snapshot of it.
+ */
+
+const ROLES = {
+    DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+    PROCESSOR_ROLE: ethers.id("PROCESSOR_ROLE"),
+    DISTRIBUTOR_ROLE: ethers.id("DISTRIBUTOR_ROLE"),
+    RETAILER_ROLE: ethers.id("RETAILER_ROLE"),
+    ORACLE_ROLE: ethers.id("ORACLE_ROLE")
+};
+
+/**
+ * Deploy a contract and wait for it to be mined
+ */
+async function deploy(name, ...args) {
+    const Contract = await ethers.getContractFactory(name);
+    const contract = await Contract.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+}
+
+/**
+ * A fresh Traceability contract administered by the first signer, with one
+ * signer in each role and the rest in none:
+ * admin, processor, distributor, retailer, oracle, ...others
+ */
+async function deployTraceabilityFixture() {
+    const [admin, processor, distributor, retailer, oracle, ...others] = await ethers.getSigners();
+    const traceability = await deploy("Traceability");
+
+    await traceability.grantRole(ROLES.PROCESSOR_ROLE, processor.address);
+    await traceability.grantRole(ROLES.DISTRIBUTOR_ROLE, distributor.address);
+    await traceability.grantRole(ROLES.RETAILER_ROLE, retailer.address);
+    await traceability.grantRole(ROLES.ORACLE_ROLE, oracle.address);
+
+    return { traceability, admin, processor, distributor, retailer, oracle, others };
+}
+
+module.exports = {
+    ROLES,
+    deploy,
+    deployTraceabilityFixture
+};